@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * HexNuts command line
+ * Usage: hexnuts <command> [arguments] [--wallet <name>] [--mint <url>] [--json]
+ *
+ * Every script in scripts/ is a command: `hexnuts send 100` runs
+ * `node scripts/send.js 100` in the same process. Help text comes from the
+ * scripts' own header comments.
+ *
+ *   hexnuts --help           # List commands
+ *   hexnuts help <command>   # Usage of one command (or: hexnuts <command> --help)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const output = require('../lib/output');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'scripts');
+
+// Modules in scripts/ that aren't commands
+const NOT_COMMANDS = ['wallet-store'];
+
+// Options that take a value, handled by lib/profile and wallet-store
+const VALUE_OPTIONS = ['--wallet', '--mint'];
+
+const GLOBAL_OPTIONS = [
+  '  --wallet <name>  Use a named wallet profile (or HEXNUTS_WALLET=<name>)',
+  '  --mint <url>     Mint to use instead of the profile\'s default mint',
+  '  --json           Print a single JSON object with the result or error'
+];
+
+function listCommands() {
+  return fs.readdirSync(SCRIPTS_DIR)
+    .filter(f => f.endsWith('.js'))
+    .map(f => path.basename(f, '.js'))
+    .filter(name => !NOT_COMMANDS.includes(name))
+    .sort();
+}
+
+/**
+ * Header comment of a script, with `node x.js` shown as `hexnuts x`
+ */
+function readHelp(name) {
+  const source = fs.readFileSync(path.join(SCRIPTS_DIR, `${name}.js`), 'utf8');
+  const match = source.match(/\/\*\*([\s\S]*?)\*\//);
+  if (!match) return [];
+  return match[1].split('\n')
+    .map(line => line.replace(/^\s*\* ?/, '').trimEnd())
+    .join('\n')
+    .trim()
+    .replace(/\bnode (?:scripts\/)?([a-z][a-z0-9-]*)\.js\b/g, 'hexnuts $1')
+    .split('\n');
+}
+
+function showCommands() {
+  const commands = listCommands().map(name => ({ name, summary: readHelp(name)[0] || '' }));
+  output.result({ commands });
+  
+  console.log('Usage: hexnuts <command> [arguments] [options]\n');
+  console.log('Commands:');
+  const width = Math.max(...commands.map(c => c.name.length));
+  for (const { name, summary } of commands) {
+    console.log(`  ${name.padEnd(width)}  ${summary}`);
+  }
+  console.log('\nOptions (all commands):');
+  GLOBAL_OPTIONS.forEach(line => console.log(line));
+  console.log('\nRun "hexnuts help <command>" for the usage of a command.');
+}
+
+function showHelp(name) {
+  const help = readHelp(name);
+  output.result({ name, help: help.join('\n') });
+  
+  help.forEach(line => console.log(line));
+  console.log('\nOptions (all commands):');
+  GLOBAL_OPTIONS.forEach(line => console.log(line));
+}
+
+function unknownCommand(name) {
+  console.error(`Unknown command: ${name}`);
+  console.error('Run "hexnuts --help" for the list of commands.');
+  output.exit('USAGE');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // The command is the first argument that isn't an option (or its value)
+  let index = -1;
+  for (let i = 0; i < args.length; i++) {
+    if (VALUE_OPTIONS.includes(args[i])) {
+      i++;
+    } else if (!args[i].startsWith('-')) {
+      index = i;
+      break;
+    }
+  }
+  
+  if (args.includes('--version') || args.includes('-V')) {
+    const { version } = require('../package.json');
+    output.result({ version });
+    console.log(`hexnuts ${version}`);
+    return;
+  }
+  
+  if (index === -1) {
+    showCommands();
+    return;
+  }
+  
+  const commands = listCommands();
+  const name = args[index];
+  const rest = [...args.slice(0, index), ...args.slice(index + 1)];
+  
+  if (name === 'help') {
+    const topic = rest.find(a => !a.startsWith('-'));
+    if (!topic) return showCommands();
+    if (!commands.includes(topic)) return unknownCommand(topic);
+    return showHelp(topic);
+  }
+  if (!commands.includes(name)) {
+    return unknownCommand(name);
+  }
+  if (rest.includes('--help') || rest.includes('-h')) {
+    return showHelp(name);
+  }
+  
+  // Run the script as if it had been started directly
+  const script = path.join(SCRIPTS_DIR, `${name}.js`);
+  process.argv = [process.argv[0], script, ...rest];
+  require(script);
+}
+
+main();
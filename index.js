@@ -0,0 +1,17 @@
+/**
+ * HexNuts library entrypoint
+ *
+ *   const { HexNutsWallet } = require('hexnuts');
+ *   const wallet = new HexNutsWallet();
+ *   const { token } = await wallet.send(100);
+ *
+ * See lib/hexnuts-wallet.js for the methods and lib/errors.js for errors.
+ */
+
+const { HexNutsWallet } = require('./lib/hexnuts-wallet');
+const errors = require('./lib/errors');
+
+module.exports = {
+  HexNutsWallet,
+  ...errors
+};
@@ -0,0 +1,277 @@
+/**
+ * Approval Requests
+ *
+ * Spends over the spending policy's requireApprovalAbove aren't carried
+ * out: HexNutsWallet parks the call here, in the wallet's storage
+ * backend, and fails with APPROVAL_REQUIRED. Once the request is
+ * approved, the process that took the approval (approve.js, serve.js or
+ * mcp.js) replays the call, and the result stays on the request for the
+ * agent that asked. Results can hold tokens, so requests are kept with
+ * (and encrypted like) the proofs.
+ *
+ * An approval is either local (approve.js <id>, by whoever can run
+ * scripts on this wallet) or signed by a key in the policy's approvers:
+ * a BIP-340 Schnorr signature over
+ *
+ *   sha256("hexnuts-approval:" + id + ":" + digest)
+ *
+ * where digest is the SHA-256 of the request's agent, spend and call, so
+ * a signature approves exactly one spend. Requests nobody approves expire
+ * after the policy's approvalExpiry (default 24h).
+ *
+ * States: pending, then approved (replaying), completed or failed;
+ * or pending, then rejected or expired. A request left approved was
+ * interrupted, and approving it again resumes it (HexNutsWallet.approve).
+ *
+ * Callers that change requests hold the wallet lock (HexNutsWallet does).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { schnorr } = require('@noble/curves/secp256k1.js');
+const groups = require('./groups');
+const { openStorage } = require('./storage');
+const { APPROVALS_FILE } = require('./paths');
+const { parseDuration } = require('./duration');
+const { recipientKey } = require('./policy');
+const { InvalidArgumentError, NotFoundError, PolicyViolationError } = require('./errors');
+
+const STATES = ['pending', 'approved', 'completed', 'failed', 'rejected', 'expired'];
+
+const DEFAULT_EXPIRY = '24h';
+
+// Finished requests are kept this long, so agents can pick up results
+const KEEP_FINISHED = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} ApprovalRequest
+ * @property {string} id
+ * @property {string} state - See STATES
+ * @property {string|null} agent - Who asked
+ * @property {Spend} spend - See lib/hexnuts-wallet.js
+ * @property {string} method - HexNutsWallet method to replay
+ * @property {Array} args - Its arguments
+ * @property {string} digest - Hex; what approvers sign (with the id)
+ * @property {string} createdAt
+ * @property {string} expiresAt
+ * @property {string} [approvedBy] - Approver's x-only pubkey, or "local"
+ * @property {string} [approvedAt]
+ * @property {string} [finishedAt] - When it completed, failed, was rejected or expired
+ * @property {object} [result] - What the replayed call resolved to (completed)
+ * @property {{code: string, message: string}} [error] - Why it failed (failed)
+ */
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+// Pending requests past their expiry are expired (saved with the next change)
+function expireRequests(requests, now = Date.now()) {
+  for (const request of requests) {
+    if (request.state === 'pending' && new Date(request.expiresAt).getTime() <= now) {
+      request.state = 'expired';
+      request.finishedAt = request.expiresAt;
+    }
+  }
+  return requests;
+}
+
+// Requests used to live in approval-requests.json, in plaintext: moved
+// into the wallet the first time they're read
+function importRequestsFile(storage) {
+  if (!fs.existsSync(APPROVALS_FILE)) return;
+  const { requests = [] } = JSON.parse(fs.readFileSync(APPROVALS_FILE, 'utf8'));
+  storage.transaction(() => {
+    for (const request of requests) {
+      if (!storage.getApproval(request.id)) storage.putApproval(request);
+    }
+  });
+  fs.rmSync(APPROVALS_FILE, { force: true });
+}
+
+/**
+ * @returns {ApprovalRequest[]} Oldest first
+ */
+function loadRequests() {
+  const storage = openStorage();
+  importRequestsFile(storage);
+  return expireRequests(storage.listApprovals().sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+}
+
+function saveRequest(request) {
+  openStorage().putApproval(request);
+}
+
+// Finished requests are dropped once agents had KEEP_FINISHED to see them
+function pruneRequests(requests) {
+  const cutoff = Date.now() - KEEP_FINISHED;
+  const storage = openStorage();
+  for (const r of requests) {
+    if (!['pending', 'approved'].includes(r.state) && new Date(r.finishedAt || r.createdAt).getTime() < cutoff) {
+      storage.deleteApproval(r.id);
+    }
+  }
+}
+
+/**
+ * Hex SHA-256 of what a request asks for
+ */
+function digestOf(request) {
+  const { id, agent, spend, method, args } = request;
+  return sha256(JSON.stringify({ id, agent, spend, method, args })).toString('hex');
+}
+
+/**
+ * The 32 bytes approvers sign (digest recomputed, not taken on trust)
+ */
+function signingHash(request) {
+  return sha256(`hexnuts-approval:${request.id}:${digestOf(request)}`);
+}
+
+/**
+ * Park a call until it is approved
+ *
+ * @param {object} call
+ * @param {string|null} call.agent
+ * @param {Spend} call.spend
+ * @param {string} call.method
+ * @param {Array} call.args - JSON-serializable
+ * @param {object} [options]
+ * @param {string} [options.expiry='24h'] - Duration until it expires unapproved
+ * @returns {ApprovalRequest}
+ */
+function createRequest({ agent, spend, method, args }, { expiry = DEFAULT_EXPIRY } = {}) {
+  const now = Date.now();
+  const request = {
+    id: crypto.randomBytes(8).toString('hex'),
+    state: 'pending',
+    agent: agent || null,
+    spend,
+    method,
+    args,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + parseDuration(expiry)).toISOString()
+  };
+  request.digest = digestOf(request);
+  openStorage().transaction(() => {
+    pruneRequests(loadRequests());
+    saveRequest(request);
+  });
+  return request;
+}
+
+/**
+ * Requests, oldest first
+ *
+ * @param {object} [options]
+ * @param {string} [options.state]
+ * @param {string} [options.agent] - Only this agent's
+ * @returns {ApprovalRequest[]}
+ */
+function listRequests({ state, agent } = {}) {
+  if (state && !STATES.includes(state)) {
+    throw new InvalidArgumentError(`Unknown state: ${state} (use ${STATES.join(', ')})`);
+  }
+  return loadRequests().filter(r => (!state || r.state === state) && (!agent || r.agent === agent));
+}
+
+/**
+ * @returns {ApprovalRequest}
+ * @throws {NotFoundError}
+ */
+function getRequest(id) {
+  const request = listRequests().find(r => r.id === id);
+  if (!request) throw new NotFoundError(`No approval request ${id}`);
+  return request;
+}
+
+/**
+ * Merge fields into a stored request
+ *
+ * @returns {ApprovalRequest} The updated request
+ */
+function updateRequest(id, fields) {
+  return openStorage().transaction(() => {
+    const request = loadRequests().find(r => r.id === id);
+    if (!request) throw new NotFoundError(`No approval request ${id}`);
+    Object.assign(request, fields);
+    saveRequest(request);
+    return request;
+  });
+}
+
+/**
+ * Sign an approval as an approver
+ *
+ * The request is checked against its digest first, so what was shown to
+ * the approver is what gets approved.
+ *
+ * @param {ApprovalRequest} request - As shown by approve.js show --json
+ * @param {string} privkey - Hex secret key
+ * @returns {{id: string, pubkey: string, sig: string}} pubkey is x-only hex
+ * @throws {InvalidArgumentError} The request doesn't match its digest
+ */
+function signApproval(request, privkey) {
+  if (!request || !request.id || digestOf(request) !== request.digest) {
+    throw new InvalidArgumentError('Approval request doesn\'t match its digest (altered or incomplete)');
+  }
+  const key = Buffer.from(privkey, 'hex');
+  return {
+    id: request.id,
+    pubkey: Buffer.from(schnorr.getPublicKey(key)).toString('hex'),
+    sig: Buffer.from(schnorr.sign(signingHash(request), key)).toString('hex')
+  };
+}
+
+/**
+ * Check a signed approval against the policy's approvers
+ *
+ * DID approvers are resolved only if the key isn't listed directly.
+ *
+ * @param {ApprovalRequest} request
+ * @param {{pubkey: string, sig: string}} approval - pubkey as hex or npub
+ * @param {string[]} approvers - Pubkeys, npubs or DIDs (policy.approvers)
+ * @returns {string} The approver's x-only pubkey
+ * @throws {PolicyViolationError} Not an approver, or a bad signature
+ */
+function verifyApproval(request, { pubkey, sig } = {}, approvers = []) {
+  if (!pubkey || !sig) {
+    throw new InvalidArgumentError('A signed approval needs pubkey and sig');
+  }
+  const key = recipientKey(pubkey);
+  
+  const listed = approvers.some(a => !a.startsWith('did:') && recipientKey(a) === key) ||
+    approvers.filter(a => a.startsWith('did:')).some(did => {
+      try {
+        return groups.resolveDIDPubkey(did).slice(-64) === key;
+      } catch (e) {
+        return false;
+      }
+    });
+  if (!listed) {
+    throw new PolicyViolationError(`${pubkey} is not an approver in the spending policy`, { rule: 'approvers' });
+  }
+  
+  let valid;
+  try {
+    valid = schnorr.verify(Buffer.from(sig, 'hex'), signingHash(request), Buffer.from(key, 'hex'));
+  } catch (e) {
+    valid = false;
+  }
+  if (!valid) {
+    throw new PolicyViolationError(`Approval signature doesn't match request ${request.id}`, { rule: 'approvers' });
+  }
+  return key;
+}
+
+module.exports = {
+  STATES,
+  DEFAULT_EXPIRY,
+  digestOf,
+  createRequest,
+  listRequests,
+  getRequest,
+  updateRequest,
+  signApproval,
+  verifyApproval
+};
@@ -13,6 +13,8 @@
 const { execSync, spawnSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { PROFILE, NOSTR_ENV } = require('./paths');
+const { DEFAULT_PROFILE } = require('./profile');
 
 // Skill locations (archon-keymaster consolidated structure)
 const CLAWD_DIR = process.env.CLAWD_DIR || path.join(process.env.HOME, 'clawd');
@@ -46,13 +48,14 @@ function getAvailableSkills() {
 
 /**
  * Load keys from archon-keymaster/nostr or fallback to nostr.env
+ * 
+ * Named wallet profiles only use their own nostr.env (created by
+ * wallets.js create); the Archon identity belongs to the default profile.
  */
 function loadKeys() {
-  const nostrEnv = path.join(process.env.HOME, '.config/hex/nostr.env');
-  
   // Try to load from nostr.env (already derived by archon-keymaster/nostr)
-  if (fs.existsSync(nostrEnv)) {
-    const content = fs.readFileSync(nostrEnv, 'utf8');
+  if (fs.existsSync(NOSTR_ENV)) {
+    const content = fs.readFileSync(NOSTR_ENV, 'utf8');
     const pubMatch = content.match(/NOSTR_PUBLIC_KEY_HEX="?([a-f0-9]+)"?/i);
     const secMatch = content.match(/NOSTR_SECRET_KEY_HEX="?([a-f0-9]+)"?/i);
     
@@ -66,7 +69,7 @@ function loadKeys() {
   }
   
   // If archon-keymaster/nostr available, try to derive keys
-  if (skillAvailable('nostr')) {
+  if (PROFILE === DEFAULT_PROFILE && skillAvailable('nostr')) {
     try {
       const script = path.join(SKILLS.nostr, 'derive-nostr.sh');
       execSync(`bash ${script}`, { stdio: 'pipe' });
@@ -0,0 +1,57 @@
+/**
+ * Global Command-line Options
+ *
+ * Options every script understands (--wallet, --mint, --json) are taken
+ * out of process.argv when the module handling them loads, before the
+ * script parses its own arguments.
+ *
+ * Only when running as a command (scripts/, bin/): a program importing the
+ * library keeps its own argv and console.
+ */
+
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// Started as a HexNuts script or through bin/hexnuts.js
+const IS_CLI = !!require.main && ['scripts', 'bin'].some(dir =>
+  path.dirname(require.main.filename) === path.join(ROOT, dir));
+
+/**
+ * Remove "<name> <value>" / "<name>=<value>" from an argv array
+ *
+ * @returns {string|null} The value, if given
+ */
+function takeOption(argv, name) {
+  for (let i = 2; i < argv.length; i++) {
+    if (argv[i] === name) {
+      const value = argv[i + 1] || '';
+      argv.splice(i, 2);
+      return value;
+    }
+    if (argv[i].startsWith(`${name}=`)) {
+      const value = argv[i].slice(name.length + 1);
+      argv.splice(i, 1);
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove a boolean flag from an argv array
+ *
+ * @returns {boolean} Whether it was given
+ */
+function takeFlag(argv, name) {
+  const i = argv.indexOf(name, 2);
+  if (i === -1) return false;
+  argv.splice(i, 1);
+  return true;
+}
+
+module.exports = {
+  IS_CLI,
+  takeOption,
+  takeFlag
+};
@@ -0,0 +1,97 @@
+/**
+ * Crash-safe File Writes
+ *
+ * Data is written to a temporary file in the same directory, flushed to
+ * disk and renamed over the target, so readers only ever see the old or
+ * the new contents. Optional rolling snapshots keep the previous versions
+ * around (file.1 newest ... file.N oldest) for recovery.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * fsync a directory so a rename inside it survives a crash
+ */
+function syncDir(dir) {
+  let fd;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch (e) {
+    // Not supported on every platform/filesystem
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Shift snapshots up by one and hard-link the current file as file.1
+ */
+function rotateSnapshots(file, count) {
+  if (!fs.existsSync(file)) return;
+  
+  for (let i = count - 1; i >= 1; i--) {
+    if (fs.existsSync(`${file}.${i}`)) {
+      fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+  }
+  
+  const link = `${file}.1.tmp-${process.pid}`;
+  try {
+    fs.linkSync(file, link);
+  } catch (e) {
+    // No hard links (e.g. some network filesystems): fall back to a copy
+    fs.copyFileSync(file, link);
+  }
+  fs.renameSync(link, `${file}.1`);
+}
+
+/**
+ * Atomically replace a file's contents
+ *
+ * @param {string} file - Target path
+ * @param {string} data - New contents
+ * @param {object} options
+ * @param {number} [options.mode=0o600] - File permissions
+ * @param {number} [options.snapshots=0] - Previous versions to keep
+ */
+function writeFileAtomic(file, data, options = {}) {
+  const { mode = 0o600, snapshots = 0 } = options;
+  const tmp = `${file}.tmp-${process.pid}`;
+  
+  const fd = fs.openSync(tmp, 'w', mode);
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } catch (e) {
+    fs.closeSync(fd);
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+  fs.closeSync(fd);
+  fs.chmodSync(tmp, mode);
+  
+  if (snapshots > 0) {
+    rotateSnapshots(file, snapshots);
+  }
+  
+  fs.renameSync(tmp, file);
+  syncDir(path.dirname(file));
+}
+
+/**
+ * List existing snapshots of a file, newest first
+ */
+function listSnapshots(file, count) {
+  const result = [];
+  for (let i = 1; i <= count; i++) {
+    if (fs.existsSync(`${file}.${i}`)) result.push(`${file}.${i}`);
+  }
+  return result;
+}
+
+module.exports = {
+  writeFileAtomic,
+  listSnapshots
+};
@@ -0,0 +1,228 @@
+/**
+ * BOLT 11 Invoices
+ *
+ * Decodes Lightning invoices locally, without asking a mint, so a payment
+ * can be checked (amount, payee, expiry) before it is quoted or paid.
+ * The payee is the `n` field when the invoice has one, which the
+ * signature must then verify against, otherwise the key recovered from
+ * the invoice signature.
+ *
+ * checkInvoice() is what melt() asks before quoting: an invoice that has
+ * expired, is for another network, or leaves the amount to the payer
+ * without one being given is turned down before any mint sees it.
+ */
+
+const crypto = require('crypto');
+const { bech32 } = require('@scure/base');
+const { secp256k1 } = require('@noble/curves/secp256k1.js');
+const { InvalidArgumentError } = require('./errors');
+
+// Human-readable prefix: ln + network + optional amount
+const PREFIX = /^ln(bcrt|bc|tbs|tb)(?:(\d+)([munp])?)?$/;
+
+const NETWORKS = { bc: 'bitcoin', tb: 'testnet', tbs: 'signet', bcrt: 'regtest' };
+
+// Millisatoshis per unit of the amount multiplier (none: whole bitcoin)
+const MSAT_PER_UNIT = { '': 100000000000n, m: 100000000n, u: 100000n, n: 100n };
+
+// Tagged field types (5-bit values)
+const TAGS = {
+  1: 'paymentHash',
+  13: 'description',
+  19: 'payee',
+  23: 'descriptionHash',
+  6: 'expiry',
+  24: 'minFinalCltvExpiry'
+};
+
+// Seconds an invoice stays valid without an `x` field
+const DEFAULT_EXPIRY = 3600;
+
+/**
+ * @typedef {object} Invoice
+ * @property {string} network - bitcoin, testnet, signet or regtest
+ * @property {number|null} amount - Sats (rounded down; null: any amount)
+ * @property {number|null} amountMsat
+ * @property {number} timestamp - Unix time the invoice was created
+ * @property {number} expiry - Seconds it stays valid
+ * @property {number} expiresAt - Unix time
+ * @property {string|null} paymentHash - Hex
+ * @property {string|null} description
+ * @property {string|null} descriptionHash - Hex
+ * @property {string} payee - Node pubkey (compressed hex)
+ * @property {number|null} minFinalCltvExpiry
+ */
+
+function wordsToInt(words) {
+  return words.reduce((n, w) => n * 32 + w, 0);
+}
+
+// 5-bit words to bytes, zero-padding the last byte
+function wordsToBytes(words) {
+  const bytes = [];
+  let acc = 0;
+  let bits = 0;
+  for (const w of words) {
+    acc = (acc << 5) | w;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (bits > 0) bytes.push((acc << (8 - bits)) & 0xff);
+  return Buffer.from(bytes);
+}
+
+function parseAmount(digits, unit = '') {
+  if (digits === undefined) return null;
+  if (unit === 'p') {
+    // Picobitcoin: only whole millisatoshis are valid
+    const pico = BigInt(digits);
+    if (pico % 10n !== 0n) throw new InvalidArgumentError('Invalid invoice amount (sub-millisatoshi)');
+    return Number(pico / 10n);
+  }
+  return Number(BigInt(digits) * MSAT_PER_UNIT[unit]);
+}
+
+/**
+ * Decode a bolt11 invoice and recover its payee
+ *
+ * @param {string} invoice - lnbc... (a lightning: prefix is accepted)
+ * @returns {Invoice}
+ * @throws {InvalidArgumentError} Not a valid bolt11 invoice, or not signed by its payee
+ */
+function decodeInvoice(invoice) {
+  const text = String(invoice || '').trim().toLowerCase().replace(/^lightning:/, '');
+  
+  let prefix;
+  let words;
+  try {
+    ({ prefix, words } = bech32.decode(text, Number.MAX_SAFE_INTEGER));
+  } catch (e) {
+    throw new InvalidArgumentError(`Not a bolt11 invoice: ${e.message}`);
+  }
+  
+  const match = PREFIX.exec(prefix);
+  if (!match) {
+    throw new InvalidArgumentError(`Not a bolt11 invoice: unknown prefix ${prefix}`);
+  }
+  // Timestamp (7 words) and signature (104 words) at least
+  if (words.length < 7 + 104) {
+    throw new InvalidArgumentError('Not a bolt11 invoice: too short');
+  }
+  
+  const data = words.slice(0, -104);
+  const amountMsat = parseAmount(match[2], match[3]);
+  const result = {
+    network: NETWORKS[match[1]],
+    amount: amountMsat === null ? null : Math.floor(amountMsat / 1000),
+    amountMsat,
+    timestamp: wordsToInt(data.slice(0, 7)),
+    expiry: DEFAULT_EXPIRY,
+    expiresAt: null,
+    paymentHash: null,
+    description: null,
+    descriptionHash: null,
+    payee: null,
+    minFinalCltvExpiry: null
+  };
+  
+  for (let i = 7; i + 3 <= data.length;) {
+    const type = data[i];
+    const length = data[i + 1] * 32 + data[i + 2];
+    const field = data.slice(i + 3, i + 3 + length);
+    i += 3 + length;
+    
+    const name = TAGS[type];
+    // An `n` that isn't 33 bytes is skipped, as BOLT 11 asks
+    if (!name || field.length < length || (name === 'payee' && length !== 53)) continue;
+    if (name === 'expiry' || name === 'minFinalCltvExpiry') {
+      result[name] = wordsToInt(field);
+    } else if (name === 'description') {
+      result.description = wordsToBytes(field).subarray(0, Math.floor(length * 5 / 8)).toString('utf8');
+    } else {
+      // Hashes are 52 words (32 bytes), the payee 53 (33 bytes)
+      result[name] = wordsToBytes(field).subarray(0, Math.floor(length * 5 / 8)).toString('hex');
+    }
+  }
+  result.expiresAt = result.timestamp + result.expiry;
+  
+  const signature = wordsToBytes(words.slice(-104));
+  const hash = crypto.createHash('sha256')
+    .update(Buffer.concat([Buffer.from(prefix, 'utf8'), wordsToBytes(data)]))
+    .digest();
+  if (result.payee) {
+    // BOLT 11 lets the signature be high-S when `n` names the key
+    let valid;
+    try {
+      valid = secp256k1.verify(signature.subarray(0, 64), hash, Buffer.from(result.payee, 'hex'),
+        { prehash: false, lowS: false });
+    } catch (e) {
+      valid = false;
+    }
+    if (!valid) {
+      throw new InvalidArgumentError(`Invalid invoice signature: not made by its payee ${result.payee}`);
+    }
+  } else {
+    try {
+      result.payee = secp256k1.Signature.fromBytes(signature.subarray(0, 64), 'compact')
+        .addRecoveryBit(signature[64])
+        .recoverPublicKey(hash)
+        .toHex(true);
+    } catch (e) {
+      throw new InvalidArgumentError(`Invalid invoice signature: ${e.message}`);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Why an invoice can't be paid as it is (empty: it can)
+ *
+ * @param {Invoice} decoded
+ * @param {object} [options]
+ * @param {string} [options.network='bitcoin'] - Network the wallet's mints pay on
+ * @param {number} [options.amount] - Sats to pay, for an invoice without an amount
+ * @param {number} [options.now] - Unix time (default: now)
+ * @returns {string[]}
+ */
+function invoiceProblems(decoded, { network = 'bitcoin', amount, now = Math.floor(Date.now() / 1000) } = {}) {
+  const problems = [];
+  if (decoded.expiresAt <= now) {
+    problems.push(`Invoice expired ${new Date(decoded.expiresAt * 1000).toISOString()}`);
+  }
+  if (decoded.network !== network) {
+    problems.push(`Invoice is for ${decoded.network}, the wallet pays on ${network}`);
+  }
+  if (decoded.amountMsat === null && !amount) {
+    problems.push('Invoice has no amount: give the amount to pay');
+  }
+  if (decoded.amountMsat !== null && amount && amount !== decoded.amount) {
+    problems.push(`Invoice is for ${decoded.amount} sats, not ${amount}`);
+  }
+  return problems;
+}
+
+/**
+ * Decode an invoice and make sure it can be paid
+ *
+ * @param {string} invoice
+ * @param {object} [options] - See invoiceProblems()
+ * @returns {Invoice}
+ * @throws {InvalidArgumentError} Not an invoice, expired, wrong network, or amount missing
+ */
+function checkInvoice(invoice, options) {
+  const decoded = decodeInvoice(invoice);
+  const problems = invoiceProblems(decoded, options);
+  if (problems.length > 0) throw new InvalidArgumentError(problems.join('; '));
+  return decoded;
+}
+
+module.exports = {
+  decodeInvoice,
+  invoiceProblems,
+  checkInvoice
+};
@@ -0,0 +1,105 @@
+/**
+ * API Clients
+ *
+ * Who may call the serve.js HTTP API, and what they may do. Each client
+ * has a name, a bearer token and a list of permissions (one per
+ * operation). Only a SHA-256 hash of the token is stored, in
+ * api-clients.json in the profile directory; the token itself is shown
+ * once, when the client is added.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { CLIENTS_FILE, ensureConfigDir } = require('./paths');
+const { writeFileAtomic } = require('./atomic');
+const { isValidName } = require('./profile');
+const { InvalidArgumentError, NotFoundError } = require('./errors');
+
+// One per API operation (see lib/server.js)
+const PERMISSIONS = ['balance', 'history', 'mint', 'melt', 'send', 'receive', 'lock'];
+
+// Given when --allow is left out: look, don't spend
+const DEFAULT_PERMISSIONS = ['balance', 'history'];
+
+const TOKEN_PREFIX = 'hxn_';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * @returns {Array<{name: string, tokenHash: string, permissions: string[], created: string}>}
+ */
+function loadClients(file = CLIENTS_FILE) {
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8')).clients || [];
+}
+
+function saveClients(clients, file = CLIENTS_FILE) {
+  ensureConfigDir();
+  writeFileAtomic(file, JSON.stringify({ clients }, null, 2));
+}
+
+/**
+ * Parse a permission list ("balance,send" or "all")
+ */
+function parsePermissions(value) {
+  if (!value) return DEFAULT_PERMISSIONS;
+  const permissions = value === 'all' ? PERMISSIONS : value.split(',').map(p => p.trim()).filter(Boolean);
+  for (const permission of permissions) {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new InvalidArgumentError(`Unknown permission: ${permission} (use ${PERMISSIONS.join(', ')} or all)`);
+    }
+  }
+  return [...new Set(permissions)];
+}
+
+/**
+ * Add a client with a new random token
+ *
+ * @returns {{client: object, token: string}} The token is not stored and can't be shown again
+ */
+function addClient(name, permissions = DEFAULT_PERMISSIONS) {
+  if (!isValidName(name)) {
+    throw new InvalidArgumentError(`Invalid client name: "${name}" (use a-z, 0-9, - and _, up to 32 characters)`);
+  }
+  const clients = loadClients();
+  if (clients.some(c => c.name === name)) {
+    throw new InvalidArgumentError(`Client ${name} already exists (remove it first to issue a new token)`);
+  }
+  
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+  const client = { name, tokenHash: hashToken(token), permissions, created: new Date().toISOString() };
+  saveClients([...clients, client]);
+  return { client, token };
+}
+
+function removeClient(name) {
+  const clients = loadClients();
+  if (!clients.some(c => c.name === name)) {
+    throw new NotFoundError(`No API client named ${name}`);
+  }
+  saveClients(clients.filter(c => c.name !== name));
+}
+
+/**
+ * Client for a bearer token, or null
+ * Read from disk on every call, so added and removed clients take effect
+ * without restarting the server.
+ */
+function authenticate(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+  const hash = Buffer.from(hashToken(token), 'hex');
+  return loadClients().find(c =>
+    crypto.timingSafeEqual(Buffer.from(c.tokenHash, 'hex'), hash)) || null;
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_PERMISSIONS,
+  loadClients,
+  parsePermissions,
+  addClient,
+  removeClient,
+  authenticate
+};
@@ -0,0 +1,55 @@
+/**
+ * Wallet Settings
+ *
+ * Defaults merged with cashu-config.json in the profile's directory.
+ */
+
+const fs = require('fs');
+const { CONFIG_FILE, ensureConfigDir } = require('./paths');
+const { writeFileAtomic } = require('./atomic');
+
+const DEFAULT_CONFIG = {
+  // Mint used when a script isn't given one
+  defaultMint: 'https://bolverker.com/cashu',
+  // Storage backend: 'json' or 'sqlite' (see migrate-storage.js)
+  storage: 'json',
+  // Unclaimed sends older than this are swapped back by reclaim.js
+  reclaimAfter: '7d',
+  // MCP tool calls spending more sats than this ask the user first (mcp.js)
+  mcpConfirmAbove: 1000,
+  // Invoices for another network (testnet, signet, regtest) are turned down
+  network: 'bitcoin',
+  // Shares of the ecash to keep at each mint (see lib/rebalance.js); null: off
+  rebalance: null
+};
+
+function readStored(file = CONFIG_FILE) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Load wallet settings (defaults merged with cashu-config.json)
+ *
+ * @param {string} [file] - Another profile's config file
+ */
+function loadConfig(file = CONFIG_FILE) {
+  return { ...DEFAULT_CONFIG, ...readStored(file) };
+}
+
+/**
+ * Persist a single setting to cashu-config.json
+ */
+function setConfig(key, value) {
+  ensureConfigDir();
+  const stored = readStored();
+  stored[key] = value;
+  writeFileAtomic(CONFIG_FILE, JSON.stringify(stored, null, 2));
+  return { ...DEFAULT_CONFIG, ...stored };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  loadConfig,
+  setConfig
+};
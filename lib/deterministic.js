@@ -5,15 +5,21 @@
  * Requires ARCHON_PASSPHRASE environment variable.
  * 
  * Security: The mnemonic is accessed only during derivation,
- * never stored. Counter state is persisted to allow recovery.
+ * never stored. Counter state is persisted in wallet storage to allow
+ * recovery.
  */
 
 const { execSync } = require('child_process');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { openStorage } = require('./storage');
+const { PROFILE, LEGACY_COUNTER_FILE } = require('./paths');
+const { DEFAULT_PROFILE } = require('./profile');
 
-const COUNTER_FILE = path.join(process.env.HOME, '.config/hex/cashu-counters.json');
+// Counters used to live in their own file; it's still read so a wallet
+// never reuses a counter recorded there
+const COUNTER_FILE = LEGACY_COUNTER_FILE;
 const ARCHON_CONFIG = path.join(process.env.HOME, '.config/hex/archon');
 
 /**
@@ -61,6 +67,10 @@ function mnemonicToSeed(mnemonic, passphrase = '') {
 /**
  * Derive Cashu-specific seed from Archon mnemonic
  * Uses additional derivation to separate Cashu from other uses
+ * 
+ * Named wallet profiles get their own seed (the profile name is part of
+ * the derivation), so profiles sharing an Archon identity never derive
+ * the same secrets. Recover them with the same --wallet name.
  */
 function deriveCashuSeed() {
   const mnemonic = getMnemonic();
@@ -73,17 +83,15 @@ function deriveCashuSeed() {
   
   // Additional HMAC derivation for Cashu-specific seed
   // This ensures Cashu secrets are different from Archon/Nostr secrets
-  const cashuSeed = crypto.createHmac('sha512', 'HexNuts/Cashu/v1')
+  const label = PROFILE === DEFAULT_PROFILE ? 'HexNuts/Cashu/v1' : `HexNuts/Cashu/v1/${PROFILE}`;
+  const cashuSeed = crypto.createHmac('sha512', label)
     .update(baseSeed)
     .digest();
   
   return cashuSeed;
 }
 
-/**
- * Load counter state from file
- */
-function loadCounters() {
+function loadLegacyCounters() {
   if (fs.existsSync(COUNTER_FILE)) {
     try {
       return JSON.parse(fs.readFileSync(COUNTER_FILE, 'utf8'));
@@ -95,24 +103,60 @@ function loadCounters() {
 }
 
 /**
- * Save counter state to file
+ * Load counter state (wallet storage, merged with the legacy counter file)
  */
-function saveCounters(counters) {
-  const dir = path.dirname(COUNTER_FILE);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+function loadCounters() {
+  const counters = loadLegacyCounters();
+  for (const [keysetId, next] of Object.entries(openStorage().getCounters())) {
+    counters[keysetId] = Math.max(counters[keysetId] || 0, next);
   }
-  fs.writeFileSync(COUNTER_FILE, JSON.stringify(counters, null, 2), { mode: 0o600 });
-  fs.chmodSync(COUNTER_FILE, 0o600);
+  return counters;
+}
+
+/**
+ * Save counter state (counters only ever move forward)
+ */
+function saveCounters(counters) {
+  const storage = openStorage();
+  storage.transaction(() => {
+    for (const [keysetId, next] of Object.entries(counters)) {
+      storage.setCounter(keysetId, next);
+    }
+  });
 }
 
 /**
  * Update counter for a keyset
  */
 function updateCounter(keysetId, next) {
-  const counters = loadCounters();
-  counters[keysetId] = Math.max(counters[keysetId] || 0, next);
-  saveCounters(counters);
+  openStorage().setCounter(keysetId, next);
+}
+
+/**
+ * NUT-13 counter source backed by wallet storage
+ * 
+ * Each reservation is a single storage transaction, so processes sharing
+ * the seed never hand out the same counter twice.
+ */
+function createCounterSource() {
+  const storage = openStorage();
+  const legacy = loadLegacyCounters();
+  
+  return {
+    async reserve(keysetId, n) {
+      return storage.transaction(() => {
+        const start = Math.max(storage.getCounters()[keysetId] || 0, legacy[keysetId] || 0);
+        if (n > 0) storage.setCounter(keysetId, start + n);
+        return { start, count: n };
+      });
+    },
+    async advanceToAtLeast(keysetId, minNext) {
+      storage.setCounter(keysetId, minNext);
+    },
+    async snapshot() {
+      return loadCounters();
+    }
+  };
 }
 
 /**
@@ -133,7 +177,7 @@ function getDeterministicConfig() {
   
   return {
     bip39seed: seed,
-    counterInit: loadCounters()
+    counterSource: createCounterSource()
   };
 }
 
@@ -144,6 +188,7 @@ module.exports = {
   loadCounters,
   saveCounters,
   updateCounter,
+  createCounterSource,
   isDeterministicAvailable,
   getDeterministicConfig,
   COUNTER_FILE
@@ -0,0 +1,24 @@
+/**
+ * Duration Parsing
+ *
+ * Relative ages like "30m", "24h", "7d" or "2w", used by history filters
+ * and the reclaim policy.
+ */
+
+const UNITS = { m: 60e3, h: 3600e3, d: 86400e3, w: 604800e3 };
+
+/**
+ * Parse a relative age into milliseconds
+ *
+ * @param {string} value - Number followed by m, h, d or w
+ * @returns {number|null} Milliseconds, or null if not a valid age
+ */
+function parseDuration(value) {
+  const match = /^(\d+)([mhdw])$/.exec(value || '');
+  if (!match) return null;
+  return parseInt(match[1]) * UNITS[match[2]];
+}
+
+module.exports = {
+  parseDuration
+};
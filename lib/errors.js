@@ -0,0 +1,170 @@
+/**
+ * HexNuts Errors
+ *
+ * Everything HexNutsWallet throws on purpose is a HexNutsError. `code`
+ * matches the error codes of the --json output (lib/output.js), so
+ * callers can switch on it without instanceof checks; extra fields
+ * describe the failure (mint, amounts, quote, ...).
+ *
+ * Errors from other layers keep their own codes: LOCK_TIMEOUT (wallet
+ * busy, lib/lock.js) and WALLET_LOCKED / BAD_PASSPHRASE (encryption, lib/wallet-crypto.js).
+ * Mint and network failures are cashu-ts errors (HttpResponseError,
+ * MintOperationError, NetworkError).
+ */
+
+class HexNutsError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [code='ERROR']
+   * @param {object} [details] - Extra fields copied onto the error
+   */
+  constructor(message, code = 'ERROR', details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Invalid argument (amount, pubkey, threshold, ...)
+ */
+class InvalidArgumentError extends HexNutsError {
+  constructor(message, details) {
+    super(message, 'USAGE', details);
+  }
+}
+
+/**
+ * Not enough ecash at the mint
+ */
+class InsufficientBalanceError extends HexNutsError {
+  constructor(mint, needed, available) {
+    super(needed === null
+      ? `No ecash at ${mint}`
+      : `Insufficient balance at ${mint}: have ${available} sats, need ${needed} sats`,
+    'INSUFFICIENT_BALANCE', { mint, needed, available });
+  }
+}
+
+/**
+ * Token string that can't be decoded
+ */
+class InvalidTokenError extends HexNutsError {
+  constructor(message) {
+    super(message, 'INVALID_TOKEN');
+  }
+}
+
+/**
+ * P2PK-locked token received without a key to unlock it
+ */
+class TokenLockedError extends HexNutsError {
+  constructor(message) {
+    super(message, 'TOKEN_LOCKED');
+  }
+}
+
+/**
+ * Own key, recipient key or group member keys could not be loaded
+ */
+class KeyUnavailableError extends HexNutsError {
+  constructor(message) {
+    super(message, 'KEY_UNAVAILABLE');
+  }
+}
+
+/**
+ * Mint quote claimed before its invoice was paid
+ */
+class QuoteNotPaidError extends HexNutsError {
+  constructor(quote, state) {
+    super(`Quote ${quote} not paid yet (state: ${state})`, 'QUOTE_NOT_PAID', { quote, state });
+  }
+}
+
+/**
+ * Lightning payment failed; the inputs went back to the wallet
+ */
+class PaymentFailedError extends HexNutsError {
+  constructor(quote) {
+    super('Payment failed, proofs returned to wallet', 'PAYMENT_FAILED', { quote });
+  }
+}
+
+/**
+ * Spend the caller's confirm hook turned down (see HexNutsWallet)
+ */
+class SpendNotConfirmedError extends HexNutsError {
+  constructor(spend, reason) {
+    super(reason || `${spend.action} of ${spend.amount} sats was not confirmed`, 'NOT_CONFIRMED', { spend });
+  }
+}
+
+/**
+ * Spend refused by the spending policy (see lib/policy.js)
+ */
+class PolicyViolationError extends HexNutsError {
+  /**
+   * @param {string} message
+   * @param {object} details - rule, and for limits: limit, spent, scope
+   */
+  constructor(message, details) {
+    super(message, 'POLICY_DENIED', details);
+  }
+}
+
+/**
+ * Spend over the policy's approval threshold, parked as an approval
+ * request instead of carried out (see lib/approvals.js)
+ */
+class ApprovalRequiredError extends HexNutsError {
+  /**
+   * @param {object} request - The approval request
+   * @param {number} threshold - Sats above which approval is needed
+   */
+  constructor(request, threshold) {
+    super(`${request.spend.action} of ${request.spend.amount} sats is over the ${threshold} sat approval threshold: ` +
+      `parked as approval request ${request.id} (approve with: node approve.js ${request.id})`,
+    'APPROVAL_REQUIRED', { request: request.id, threshold, expiresAt: request.expiresAt });
+  }
+}
+
+/**
+ * Lightning address or LNURL service failed, or handed out an invoice
+ * that doesn't match the request (see lib/lnurl.js)
+ */
+class LnurlError extends HexNutsError {
+  /**
+   * @param {string} message
+   * @param {object} [details] - url
+   */
+  constructor(message, details) {
+    super(message, 'LNURL_ERROR', details);
+  }
+}
+
+/**
+ * Record, backup or file that doesn't exist
+ */
+class NotFoundError extends HexNutsError {
+  constructor(message) {
+    super(message, 'NOT_FOUND');
+  }
+}
+
+module.exports = {
+  HexNutsError,
+  InvalidArgumentError,
+  InsufficientBalanceError,
+  InvalidTokenError,
+  TokenLockedError,
+  KeyUnavailableError,
+  QuoteNotPaidError,
+  PaymentFailedError,
+  SpendNotConfirmedError,
+  PolicyViolationError,
+  ApprovalRequiredError,
+  LnurlError,
+  NotFoundError
+};
@@ -2,10 +2,23 @@
  * Archon Group Resolution
  * 
  * Resolves Archon groups to member pubkeys for multi-sig P2PK locking.
+ *
+ * Group names and DIDs can come from API and MCP clients, so they are
+ * checked against DID_PATTERN / ALIAS_PATTERN and handed to keymaster as
+ * arguments, never through a shell.
  */
 
-const { execSync } = require('child_process');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
 const path = require('path');
+const { InvalidArgumentError } = require('./errors');
+
+// Where keymaster runs, with the variables its .env sets
+const KEYMASTER_DIR = path.join(process.env.HOME, 'clawd/archon-personal');
+
+// did:<method>:<id>, and group aliases: letters, digits, . _ -
+const DID_PATTERN = /^did:[a-z0-9]+:[A-Za-z0-9._:-]+$/;
+const ALIAS_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
 
 // Archon config location
 const ARCHON_CONFIG = process.env.ARCHON_CONFIG_DIR || 
@@ -26,16 +39,64 @@ function jwkToCompressedPubkey(jwk) {
   return prefix + x.toString('hex');
 }
 
+function isDID(value) {
+  return typeof value === 'string' && DID_PATTERN.test(value);
+}
+
+/**
+ * @throws {InvalidArgumentError} Not a DID
+ */
+function checkDID(did) {
+  if (!isDID(did)) throw new InvalidArgumentError(`Invalid DID: ${did}`);
+  return did;
+}
+
+/**
+ * @throws {InvalidArgumentError} Neither a DID nor an alias
+ */
+function checkGroup(groupIdOrAlias) {
+  if (!isDID(groupIdOrAlias) && !(typeof groupIdOrAlias === 'string' && ALIAS_PATTERN.test(groupIdOrAlias))) {
+    throw new InvalidArgumentError(`Invalid group: ${groupIdOrAlias} (use a DID or an alias of letters, digits, . _ -)`);
+  }
+  return groupIdOrAlias;
+}
+
+/**
+ * Variables from keymaster's .env, as `source .env` would set them
+ * (KEY=value lines, optionally exported and quoted)
+ */
+function keymasterEnv() {
+  const env = { ...process.env };
+  for (const line of fs.readFileSync(path.join(KEYMASTER_DIR, '.env'), 'utf8').split('\n')) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+    if (match) env[match[1]] = match[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+  }
+  return env;
+}
+
+/**
+ * Run a keymaster command, its arguments passed as they are (no shell)
+ *
+ * @returns {string} stdout
+ */
+function keymaster(...args) {
+  return execFileSync('npx', ['@didcid/keymaster', ...args], {
+    cwd: KEYMASTER_DIR,
+    env: keymasterEnv(),
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+}
+
 /**
  * Get group info by DID or alias
+ *
+ * @throws {InvalidArgumentError} Neither a DID nor an alias
  */
 function getGroup(groupIdOrAlias) {
+  checkGroup(groupIdOrAlias);
   try {
-    const result = execSync(
-      `cd ~/clawd/archon-personal && source .env && npx @didcid/keymaster get-group "${groupIdOrAlias}" 2>/dev/null`,
-      { encoding: 'utf8', shell: '/bin/bash' }
-    );
-    return JSON.parse(result);
+    return JSON.parse(keymaster('get-group', groupIdOrAlias));
   } catch (e) {
     throw new Error(`Failed to resolve group: ${e.message}`);
   }
@@ -43,14 +104,13 @@ function getGroup(groupIdOrAlias) {
 
 /**
  * Resolve a DID to get its secp256k1 pubkey
+ *
+ * @throws {InvalidArgumentError} Not a DID
  */
 function resolveDIDPubkey(did) {
+  checkDID(did);
   try {
-    const result = execSync(
-      `cd ~/clawd/archon-personal && source .env && npx @didcid/keymaster resolve-did "${did}" 2>/dev/null`,
-      { encoding: 'utf8', shell: '/bin/bash' }
-    );
-    const doc = JSON.parse(result);
+    const doc = JSON.parse(keymaster('resolve-did', did));
     
     // Find secp256k1 verification method
     const vm = doc.didDocument?.verificationMethod?.find(
@@ -69,29 +129,30 @@ function resolveDIDPubkey(did) {
 
 /**
  * Resolve all members of a group to their pubkeys
+ * Members whose DID can't be resolved are listed in `failed`.
  */
 function resolveGroupPubkeys(groupIdOrAlias) {
   const group = getGroup(groupIdOrAlias);
   
-  console.log(`Resolving group "${group.name}" with ${group.members.length} members...`);
-  
   const pubkeys = [];
   const resolved = [];
+  const failed = [];
   
   for (const memberDID of group.members) {
     try {
+      // Members come from keymaster's answer: checked like any DID
       const pubkey = resolveDIDPubkey(memberDID);
       pubkeys.push(pubkey);
       resolved.push({ did: memberDID, pubkey });
-      console.log(`  ✓ ${memberDID.slice(0, 30)}... → ${pubkey.slice(0, 16)}...`);
     } catch (e) {
-      console.error(`  ✗ ${memberDID.slice(0, 30)}... → ${e.message}`);
+      failed.push({ did: memberDID, error: e.message });
     }
   }
   
   return {
     name: group.name,
     members: resolved,
+    failed,
     pubkeys
   };
 }
@@ -101,17 +162,17 @@ function resolveGroupPubkeys(groupIdOrAlias) {
  */
 function listGroups() {
   try {
-    const result = execSync(
-      `cd ~/clawd/archon-personal && source .env && npx @didcid/keymaster list-groups 2>/dev/null`,
-      { encoding: 'utf8', shell: '/bin/bash' }
-    );
-    return JSON.parse(result);
+    return JSON.parse(keymaster('list-groups'));
   } catch (e) {
     return [];
   }
 }
 
 module.exports = {
+  DID_PATTERN,
+  ALIAS_PATTERN,
+  isDID,
+  checkGroup,
   getGroup,
   resolveDIDPubkey,
   resolveGroupPubkeys,
@@ -0,0 +1,2621 @@
+/**
+ * HexNuts Library API
+ *
+ * HexNutsWallet runs the wallet operations behind the scripts, for
+ * programs that import HexNuts (require('hexnuts')) instead of spawning
+ * scripts. Methods resolve to plain result objects, with the same fields
+ * as the scripts' --json output, and reject with HexNutsError subclasses
+ * (lib/errors.js) or the mint's errors from cashu-ts.
+ *
+ * The wallet profile is fixed per process (HEXNUTS_WALLET, read when
+ * HexNuts is first required; see lib/profile.js).
+ *
+ * Long-running programs (serve.js) pass cacheTtl to keep each mint's
+ * loaded cashu-ts wallet and resolved group keys in memory between calls.
+ *
+ * Spending methods (melt, send, lock and their variants, and transfers
+ * between mints) check every Spend against the wallet's spending policy
+ * (lib/policy.js) and then ask the caller's `confirm` hook, an async
+ * function, before any ecash leaves the wallet (or its mint). Resolving to false aborts with SpendNotConfirmedError.
+ *
+ * Spends over the policy's approval threshold are parked as approval
+ * requests (lib/approvals.js) and fail with ApprovalRequiredError;
+ * approve() carries them out later.
+ *
+ * Mint quotes are kept in the wallet from mint() on, with the state last
+ * seen at the mint, so a paid invoice can always be claimed later
+ * (quotes(), claimPaidQuotes()). waitForQuote() follows a quote over a
+ * NUT-17 WebSocket subscription where the mint offers one, and polls
+ * checkMintQuote either way.
+ *
+ * Tokens locked to several keys are redeemed with a redemption file
+ * (lib/redemption.js) that the keyholders sign in turn: createRedemption(),
+ * signRedemption(), combineRedemptions(), then finalizeRedemption().
+ *
+ * Hash-locked tokens (NUT-14, lib/htlc.js) come from lockToHash() and are
+ * received with their preimage; revealedPreimage() reads the preimage a
+ * redeemed one revealed at its mint, for atomic swaps.
+ */
+
+const {
+  CheckStateEnum,
+  MeltQuoteState,
+  MintQuoteState,
+  P2PKBuilder,
+  getSecretKind,
+  getSecretData,
+  getEncodedTokenV4,
+  getP2PKSigFlag,
+  getP2PKLocktime,
+  getP2PKWitnessPubkeys,
+  getP2PKWitnessRefundkeys,
+  getTagInt,
+  getPubKeyFromPrivKey,
+  signP2PKProofs,
+  verifyP2PKSpendingConditions
+} = require('@cashu/cashu-ts');
+const store = require('../scripts/wallet-store');
+const pending = require('./pending');
+const archon = require('./archon');
+const groups = require('./groups');
+const npub = require('./npub');
+const { NOSTR_ENV } = require('./paths');
+const { parseDuration } = require('./duration');
+const approvals = require('./approvals');
+const { errorCode } = require('./output');
+const { loadPolicy, checkSpend, approvalThreshold } = require('./policy');
+const { decodeInvoice, invoiceProblems, checkInvoice } = require('./bolt11');
+const lnurl = require('./lnurl');
+const multipath = require('./multipath');
+const redemption = require('./redemption');
+const htlc = require('./htlc');
+const inspection = require('./inspect');
+const { rebalanceSettings, planMoves } = require('./rebalance');
+const { createWallet, cacheMint, decodeToken } = require('./wallet');
+const {
+  InvalidArgumentError,
+  InsufficientBalanceError,
+  InvalidTokenError,
+  TokenLockedError,
+  KeyUnavailableError,
+  QuoteNotPaidError,
+  PaymentFailedError,
+  SpendNotConfirmedError,
+  ApprovalRequiredError,
+  NotFoundError
+} = require('./errors');
+
+// Mint quotes still worth checking; EXPIRED is local (unpaid past expiry)
+const OPEN_QUOTE_STATES = ['UNPAID', 'PAID'];
+
+// Between quote checks: plain polling, and as a fallback to a subscription
+const POLL_INTERVAL = 5 * 1000;
+const SUBSCRIBED_POLL_INTERVAL = 30 * 1000;
+
+// How long a transfer's mint quote may take to show up as paid
+const TRANSFER_TIMEOUT = 60 * 1000;
+
+/**
+ * @typedef {object} Spend - What a confirm hook is asked about
+ * @property {'melt'|'send'|'lock'|'transfer'} action
+ * @property {string} mint
+ * @property {number} amount - Sats leaving the wallet (transfer: moved to another of its mints), before fees
+ * @property {number} [feeReserve] - Lightning fee reserve (melt only)
+ * @property {string} [invoice] - (melt only)
+ * @property {string} [payee] - Node pubkey of the invoice (melt only)
+ * @property {string|null} [description] - Invoice description (melt only)
+ * @property {string} [address] - Lightning address or LNURL the invoice came from (melt only)
+ * @property {Array<{mint: string, amount: number, feeReserve: number}>} [parts] - Multi-path melt: what each mint pays
+ *   (`mint` is the first part's)
+ * @property {Array<{from: string, to: string, amount: number, feeReserve: number}>} [transfers] - Moved between
+ *   the wallet's mints (multi-path melt: first; their fee reserves are in `feeReserve`)
+ * @property {string} [to] - Mint the first transfer goes to (transfer only)
+ * @property {string[]} [pubkeys] - Keys the token is locked to (lock only)
+ * @property {string[]} [recipients] - DIDs or npubs behind the pubkeys (lock only)
+ * @property {string} [counterparty] - Recipient, group or pubkeys (lock only)
+ * @property {string[]} [refundKeys] - Keys that can take the token once the locktime passes (lock only)
+ * @property {number|null} [locktime] - When the refund path opens; with no refund keys anyone can spend it then (lock only)
+ */
+
+/**
+ * @typedef {object} BalanceResult
+ * @property {string} [mint] - Set when asked for one mint
+ * @property {number} balance - Spendable sats
+ * @property {number} pending - Sats in in-flight operations (see pending.js)
+ * @property {Array<{mint: string, balance: number, proofs: number, pending: number}>} [mints] - Per mint, when asked for all
+ */
+
+/**
+ * @typedef {object} MintQuoteResult
+ * @property {string} mint
+ * @property {number} amount
+ * @property {string} quote - Quote ID, for claimQuote()
+ * @property {string} request - bolt11 invoice to pay
+ * @property {number} expiry - Unix time
+ * @property {string} state
+ */
+
+/**
+ * @typedef {object} QuoteRecord - A mint quote as kept in the wallet
+ * @property {string} quote - Quote ID
+ * @property {string} mint
+ * @property {number} amount
+ * @property {string} request - bolt11 invoice
+ * @property {number} expiry - Unix time
+ * @property {'UNPAID'|'PAID'|'ISSUED'|'EXPIRED'} state - As last seen (EXPIRED: unpaid past expiry)
+ * @property {string} createdAt
+ * @property {string} [claimedAt] - Minted into this wallet
+ * @property {string} [transfer] - Paid from this other mint of the wallet (see transfer())
+ */
+
+/**
+ * @typedef {object} ClaimResult
+ * @property {string} mint
+ * @property {string} quote
+ * @property {number} amount - Sats minted
+ * @property {number} proofs - Number of proofs minted
+ * @property {number} balance - New balance at the mint
+ */
+
+/**
+ * @typedef {object} MeltResult
+ * @property {string} mint
+ * @property {'paid'|'pending'} state - 'pending': inputs are kept as a pending record until settled
+ * @property {number} amount - Invoice amount
+ * @property {number} feeReserve - Lightning fee reserve asked by the mint
+ * @property {number} [fee] - Fee actually paid (paid only)
+ * @property {string} quote
+ * @property {string|null} [preimage] - (paid only)
+ * @property {number} [balance] - (paid only)
+ * @property {string} [pending] - Pending record ID (pending only)
+ */
+
+/**
+ * @typedef {object} MultiPathPlan - How an invoice would be paid from several mints
+ * @property {number} amount - Invoice amount
+ * @property {number} feeReserve - Fee reserves of every part and transfer together
+ * @property {Array<{mint: string, amount: number, feeReserve: number, quote: string}>} parts - Paid at once (NUT-15)
+ * @property {Array<{from: string, to: string, amount: number, feeReserve: number}>} transfers - Moved first
+ * @property {Array<{mint: string, error: string}>} skipped - Mints with ecash that couldn't be reached
+ */
+
+/**
+ * @typedef {object} MultiPathResult
+ * @property {'paid'|'pending'} state - 'pending': some parts are still in flight
+ * @property {number} amount - Invoice amount
+ * @property {number} feeReserve
+ * @property {number} [fee] - Fees of every part and transfer (paid only)
+ * @property {string|null} [preimage] - (paid only)
+ * @property {MeltResult[]} parts
+ * @property {Array<{from: string, to: string, amount: number, fee: number, quote: string}>} transfers - Carried out
+ * @property {number} balance - Across all mints
+ */
+
+/**
+ * @typedef {object} TransferResult
+ * @property {string} from
+ * @property {string} to
+ * @property {number} amount - Sats minted at `to`
+ * @property {number} feeReserve - Lightning fee reserve asked by `from`
+ * @property {number} fee - Fee actually paid
+ * @property {string} quote - Mint quote at `to`
+ * @property {number} fromBalance - New balance at `from`
+ * @property {number} toBalance - New balance at `to`
+ */
+
+/**
+ * @typedef {object} TransferState - An interrupted transfer, as resumeTransfers() left it
+ * @property {string} quote - Mint quote at `to`
+ * @property {string} from
+ * @property {string} to
+ * @property {number} amount
+ * @property {'completed'|'waiting'|'failed'} state - waiting: in flight, or paid but not arrived yet
+ * @property {string} detail
+ */
+
+/**
+ * @typedef {object} RebalancePlan
+ * @property {number} total - Sats at the target mints
+ * @property {Array<{mint: string, balance: number, share: number, target: number}>} mints - share and target in percent
+ * @property {Array<{from: string, to: string, amount: number, feeReserve: number}>} transfers - Empty when in balance
+ * @property {number} feeReserve
+ */
+
+/**
+ * @typedef {object} SendResult
+ * @property {string} mint
+ * @property {number} amount - Sats in the token
+ * @property {number} fee - Swap fee
+ * @property {string} token - Encoded token
+ * @property {number} balance - New balance at the mint
+ * @property {number} [removed] - Already spent proofs dropped (verify only)
+ */
+
+/**
+ * @typedef {object} ReceiveResult
+ * @property {string} mint
+ * @property {number} amount - Sats received
+ * @property {number} fee - Swap fee
+ * @property {boolean} p2pk - Whether the token was P2PK-locked
+ * @property {string|null} hashlock - Hash the token was locked to (NUT-14 HTLC)
+ * @property {'main'|'refund'|'unlocked'|null} path - How the lock was met (NUT-11): its main keys (and preimage),
+ *   its refund keys past the locktime, or unlocked past a locktime without refund keys (null: not locked)
+ * @property {string|null} memo
+ * @property {number} balance - New balance at the mint
+ */
+
+/**
+ * @typedef {object} RedemptionStatus - Who has signed a redemption (see lib/redemption.js)
+ * @property {string} id
+ * @property {string} mint
+ * @property {number} amount - Sats the outputs are worth
+ * @property {number} fee - Input fees
+ * @property {string|null} memo
+ * @property {boolean} sigAll - Signatures cover the outputs too (SIG_ALL): they approve this exact redemption
+ * @property {boolean} complete - Every input has the signatures its lock asks for
+ * @property {Array<{amount: number, path: string, required: number, signed: string[], unsigned: string[], complete: boolean}>} inputs
+ *   Per proof: path main, refund or unlocked once met (failed until then), keys that signed and keys that still could
+ * @property {boolean} creator - This wallet created it, and gets the outputs
+ */
+
+/**
+ * @typedef {object} RedemptionResult
+ * @property {Redemption} redemption - The file, as it is now (lib/redemption.js)
+ * @property {RedemptionStatus} status
+ * @property {number} [added] - Signatures added (signRedemption only)
+ */
+
+/**
+ * @typedef {object} RedemptionClaim
+ * @property {string} id
+ * @property {string} mint
+ * @property {number} amount
+ * @property {'claimed'|'waiting'|'failed'} state - waiting: not finalised yet; failed: the token was spent elsewhere
+ * @property {number} [fee] - (claimed only)
+ * @property {number} [balance] - New balance at the mint (claimed only)
+ */
+
+/**
+ * @typedef {object} LockResult
+ * @property {string} mint
+ * @property {number} amount - Sats in the token
+ * @property {number} fee - Swap fee
+ * @property {string[]} pubkeys - Keys the token is locked to
+ * @property {number} threshold - Signatures required
+ * @property {string[]} refundPubkeys
+ * @property {number|null} locktime
+ * @property {'SIG_INPUTS'|'SIG_ALL'} sigFlag - What signatures cover: the inputs, or the whole swap
+ * @property {string} token - Encoded token
+ * @property {number} balance - New balance at the mint
+ */
+
+/**
+ * @typedef {LockResult} HashlockResult
+ * @property {string} hash - SHA-256 hash the token is locked to
+ * @property {string|null} preimage - As given (it redeems the token: keep it secret until it should)
+ */
+
+/**
+ * @typedef {object} RevealedPreimage
+ * @property {string} mint
+ * @property {string} hash
+ * @property {'UNSPENT'|'PENDING'|'SPENT'} state - Of the token's proofs at the mint
+ * @property {string|null} preimage - Revealed by the redemption (null: not redeemed yet, or refunded)
+ */
+
+/**
+ * @typedef {LockResult} GroupLockResult
+ * @property {string} group - Group name
+ * @property {string[]} members - DIDs of the members the token is locked to
+ * @property {Array<{did: string, error: string}>} failed - Members left out (DID not resolvable)
+ */
+
+/**
+ * @typedef {object} InspectResult
+ * @property {string} mint
+ * @property {string} unit
+ * @property {number} amount - Sats in the token
+ * @property {number} proofs - Number of proofs
+ * @property {string|null} memo
+ * @property {boolean} p2pk - Whether the token is P2PK-locked
+ * @property {string|null} lockedTo - Pubkey of the first locked proof
+ * @property {{hash: string, pubkeys: string[], threshold: number, refundPubkeys: string[], locktime: number|null}|null} hashlock
+ *   Conditions of the first hash-locked proof (NUT-14)
+ * @property {Object<string, number>} denominations - Proof count per amount
+ * @property {ConditionGroup[]} conditions - Proofs grouped by spending conditions (several: a mixed token)
+ * @property {KeysetUse[]} keysets
+ * @property {number|null} fee - Input fee to receive it (null: a keyset isn't known)
+ * @property {{valid: number, invalid: number, missing: number, unverified: number}} dleq - Proofs by DLEQ check (NUT-12)
+ * @property {Array<{amount: number, keyset: string, condition: number, dleq: string, state: string|null}>} details
+ *   Per proof: index into conditions, DLEQ check, NUT-07 state (with check)
+ * @property {boolean} checked - Asked the mint (states and keysets live, not as cached)
+ * @property {{UNSPENT: number, PENDING: number, SPENT: number}|null} states - Proofs by state (with check)
+ */
+
+/**
+ * @typedef {object} ConditionGroup - Proofs sharing spending conditions (see lib/inspect.js)
+ * @property {'P2PK'|'HTLC'|string|null} kind - null: no conditions, anyone holding it can spend it
+ * @property {string|null} hash - HTLC hash
+ * @property {KeyIdentity[]} pubkeys - Main path signers, with their npub, DID and whether they're the wallet's own (lib/inspect.js)
+ * @property {number} threshold
+ * @property {number|null} locktime
+ * @property {KeyIdentity[]} refundPubkeys
+ * @property {number} refundThreshold
+ * @property {'SIG_INPUTS'|'SIG_ALL'|null} sigFlag
+ * @property {string[][]} otherTags
+ * @property {number} amount - Sats under these conditions
+ * @property {number} proofs
+ */
+
+/**
+ * @typedef {object} KeysetUse - A keyset the token's proofs are from
+ * @property {string} id
+ * @property {number} proofs
+ * @property {boolean} known - The wallet has the mint's keyset (cached, or from the mint with check)
+ * @property {boolean|null} active - Whether the mint still signs with it (null: unknown)
+ * @property {number|null} inputFeePpk - Fee per proof, in thousandths of a sat
+ */
+
+/**
+ * @typedef {object} InvoiceInfo - A decoded invoice (Invoice in lib/bolt11.js), and whether melt() would pay it
+ * @property {string} network - bitcoin, testnet, signet or regtest
+ * @property {number|null} amount - Sats (null: the payer names the amount)
+ * @property {string} payee - Node pubkey
+ * @property {string|null} description
+ * @property {number} expiresAt - Unix time
+ * @property {boolean} expired
+ * @property {string[]} problems - Why melt() would turn it down (empty: payable)
+ */
+
+/**
+ * @typedef {object} HistoryResult
+ * @property {object[]} transactions - Ledger entries, oldest first
+ * @property {number} incoming - Sats minted, received, restored and reclaimed
+ * @property {number} outgoing - Sats melted, sent and locked
+ * @property {number} fees - Fees paid
+ */
+
+function sumProofs(proofs) {
+  return proofs.reduce((s, p) => s + p.amount, 0);
+}
+
+function requireAmount(amount) {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new InvalidArgumentError(`Invalid amount: ${amount} (whole sats above 0)`);
+  }
+}
+
+/**
+ * Date from a Date, an ISO date or a relative age like "7d"
+ */
+function toDate(value) {
+  if (value instanceof Date) return value;
+  const age = parseDuration(value);
+  if (age !== null) return new Date(Date.now() - age);
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new InvalidArgumentError(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+function requireBalance(mintUrl, amount, proofs = store.getProofsForMint(mintUrl)) {
+  const available = sumProofs(proofs);
+  if (available < amount) {
+    throw new InsufficientBalanceError(mintUrl, amount, available);
+  }
+}
+
+/**
+ * Spend of moves between the wallet's mints
+ *
+ * @param {Array<object>} transfers - From multipath.quoteTransfer()
+ * @returns {Spend}
+ */
+function transferSpend(transfers) {
+  const described = transfers.map(multipath.describeTransfer);
+  return {
+    action: 'transfer',
+    mint: described[0].from,
+    to: described[0].to,
+    amount: described.reduce((s, t) => s + t.amount, 0),
+    feeReserve: described.reduce((s, t) => s + t.feeReserve, 0),
+    transfers: described
+  };
+}
+
+function describeQuote(quote) {
+  const { id, mint, amount, request, expiry, state, createdAt, claimedAt, transfer } = quote;
+  return { quote: id, mint, amount, request, expiry, state, createdAt, ...(claimedAt && { claimedAt }), ...(transfer && { transfer }) };
+}
+
+/**
+ * Whether the mint announces NUT-17 subscriptions to mint quotes
+ */
+function canSubscribe(wallet) {
+  if (typeof WebSocket === 'undefined') return false;
+  try {
+    const nut17 = wallet.getMintInfo().isSupported(17);
+    return nut17.supported && (nut17.params || []).some(p =>
+      p.method === 'bolt11' && p.unit === 'sat' && (p.commands || []).includes('bolt11_mint_quote'));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Ask the caller's confirm hook about a spend, if there is one
+ */
+async function confirmSpend(confirm, spend) {
+  if (confirm && !await confirm(spend)) {
+    throw new SpendNotConfirmedError(spend);
+  }
+}
+
+/**
+ * Compressed (02/03) hex pubkey; x-only (Nostr) keys get the 02 prefix
+ */
+function normalizePubkey(pk) {
+  if (typeof pk !== 'string' || !/^(0[23])?[0-9a-f]{64}$/i.test(pk)) {
+    throw new InvalidArgumentError(`Invalid pubkey: ${pk}`);
+  }
+  return pk.length === 64 ? '02' + pk : pk;
+}
+
+function isP2PK(proof) {
+  try {
+    return getSecretKind(proof.secret) === 'P2PK';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Rewrite P2PK locks given as npub (some wallets do this) to hex, which
+ * is what the mint verifies signatures against
+ *
+ * @returns {{proofs: object[], converted: boolean}}
+ */
+function fixNpubP2PKProofs(proofs) {
+  let converted = false;
+  const toHex = (key) => {
+    const hex = npub.isNpub(key) ? npub.decode(key) : null;
+    if (hex) converted = true;
+    return hex || key;
+  };
+  
+  const fixed = proofs.map(proof => {
+    if (!isP2PK(proof)) return proof;
+    const [kind, data] = JSON.parse(proof.secret);
+    if (!data || !data.data) return proof;
+    
+    const tags = Array.isArray(data.tags)
+      ? data.tags.map(tag => Array.isArray(tag) && tag[0] === 'pubkeys' ? ['pubkeys', ...tag.slice(1).map(toHex)] : tag)
+      : data.tags;
+    return { ...proof, secret: JSON.stringify([kind, { ...data, data: toHex(data.data), tags }]) };
+  });
+  
+  return { proofs: converted ? fixed : proofs, converted };
+}
+
+/**
+ * Own Archon/Nostr pubkey
+ *
+ * @throws {KeyUnavailableError} It can't be loaded
+ */
+function ownPubkey() {
+  const own = archon.getCashuPubkey();
+  if (!own) {
+    throw new KeyUnavailableError(`Could not load own pubkey (run archon-keymaster/nostr or create ${NOSTR_ENV})`);
+  }
+  return own;
+}
+
+/**
+ * Keys the wallet can name: its own, and those it locked to DIDs before
+ * (lock entries in the ledger pair their pubkeys with their recipients)
+ *
+ * @returns {{own: string|null, dids: Map<string, string>}} DIDs by x-only pubkey
+ */
+function knownKeys() {
+  const dids = new Map();
+  for (const tx of store.getHistory({ type: 'lock' })) {
+    const { pubkeys = [], recipients = [] } = tx;
+    if (pubkeys.length !== recipients.length) continue;
+    pubkeys.forEach((pk, i) => {
+      if (String(recipients[i]).startsWith('did:')) dids.set(pk.slice(-64).toLowerCase(), recipients[i]);
+    });
+  }
+  return { own: archon.getCashuPubkey(), dids };
+}
+
+function pubkeyOf(privkey) {
+  return Buffer.from(getPubKeyFromPrivKey(new Uint8Array(Buffer.from(privkey, 'hex')))).toString('hex');
+}
+
+/**
+ * Why a locked proof can't be received with the given keys, and when it
+ * could be
+ */
+function lockedReason(proof, pubkeys) {
+  const lock = pending.lockPaths(proof, pubkeys);
+  if (!lock) return 'Token is locked with a condition the key can\'t meet';
+  const at = (time) => new Date(time * 1000).toISOString();
+  const [main] = lock.paths;
+  const locked = main.hashlock ? 'hash-locked' : 'P2PK-locked';
+  
+  const later = lock.paths.find(p => !p.open && p.held >= p.required);
+  if (later && later.path === 'anyone') return `Token is ${locked} until ${at(later.opensAt)}, then anyone can redeem it`;
+  if (later) return `Token is locked to its recipients until ${at(later.opensAt)}, then refundable to your key`;
+  
+  if (main.hashlock && !htlc.revealedPreimage(proof, proof.witness)) {
+    return `Token is hash-locked (HTLC): the preimage of ${main.hashlock} is needed to receive it`;
+  }
+  const short = lock.paths.find(p => p.open && p.held > 0 && p.held < p.required);
+  if (short) {
+    return `Token needs ${short.required} signatures${short.path === 'refund' ? ' (refund path)' : ''}: one key can't redeem it alone`;
+  }
+  return pubkeys.length === 0 ? `Token is ${locked}: a private key is needed to receive it` : `Token is ${locked} to another key`;
+}
+
+/**
+ * Private keys to sign with: the ones given, and own key with self
+ *
+ * @returns {string[]}
+ * @throws {KeyUnavailableError} self, but own key can't be loaded
+ */
+function signingKeys({ privkey, self = false }) {
+  const keys = [].concat(privkey || []);
+  if (self) {
+    const own = archon.getCashuPrivkey();
+    if (!own) {
+      throw new KeyUnavailableError(`Could not load own privkey (run archon-keymaster/nostr or create ${NOSTR_ENV})`);
+    }
+    keys.push(own);
+  }
+  return keys;
+}
+
+/**
+ * Split off proofs to send (optionally P2PK- or hash-locked) and record the send
+ */
+async function sendAndRecord(wallet, mintUrl, amount, { p2pk, htlc: hashlock, type, counterparty, pubkeys, recipients, memo, agent }) {
+  const meta = { type };
+  if (agent) meta.agent = agent;
+  if (counterparty) meta.counterparty = counterparty;
+  // Who a lock's keys belong to, for inspect() to name them later
+  if (recipients && recipients.length > 0) Object.assign(meta, { pubkeys, recipients });
+  if (memo) meta.memo = memo;
+  
+  // Inputs stay recorded as pending until the swap settles
+  const { send, fee, token } = await pending.sendProofs(wallet, mintUrl, amount, { p2pk, htlc: hashlock, meta });
+  const sent = sumProofs(send);
+  
+  store.recordTransaction({
+    ...meta,
+    mint: mintUrl,
+    amount: sent,
+    fee,
+    tokenHash: store.hashToken(token)
+  });
+  
+  return { amount: sent, fee, token, balance: store.getBalanceForMint(mintUrl) };
+}
+
+class HexNutsWallet {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.mint] - Mint for calls that don't name one (default: the profile's default mint)
+   * @param {boolean} [options.silent=true] - Don't log when deterministic mode is active
+   * @param {number} [options.cacheTtl=0] - Keep loaded mints and group keys for this many ms (0: load on every call)
+   * @param {string} [options.agent] - Who spends, for the spending policy and the ledger (default: HEXNUTS_AGENT)
+   */
+  constructor({ mint, silent = true, cacheTtl = 0, agent = process.env.HEXNUTS_AGENT || null } = {}) {
+    this.defaultMint = mint || store.DEFAULT_MINT;
+    this.silent = silent;
+    this.cacheTtl = cacheTtl;
+    this.agent = agent;
+    this._wallets = new Map();
+    this._groups = new Map();
+    // Quote subscriptions open per mint, to close idle WebSockets
+    this._subscriptions = new Map();
+  }
+  
+  /**
+   * The same wallet acting for another agent (shares the loaded mints)
+   *
+   * @param {string} agent
+   * @returns {HexNutsWallet}
+   */
+  forAgent(agent) {
+    return Object.assign(Object.create(this), { agent });
+  }
+  
+  /**
+   * Policy check, then the approval threshold, then the caller's confirm hook
+   *
+   * @param {Spend} spend
+   * @param {function} [confirm]
+   * @param {{method: string, args: Array}} call - How to replay the spend once approved
+   * @throws {ApprovalRequiredError} Parked as an approval request
+   */
+  async _authorize(spend, confirm, call) {
+    const policy = loadPolicy();
+    checkSpend(spend, { agent: this.agent, policy });
+    
+    // Replays of approved requests (see approve) skip the threshold
+    const threshold = this._approved ? null : approvalThreshold(spend, { agent: this.agent, policy });
+    if (threshold !== null) {
+      const request = await store.withWalletLock(() => approvals.createRequest(
+        { agent: this.agent, spend, ...call },
+        { expiry: policy.approvalExpiry }
+      ));
+      throw new ApprovalRequiredError(request, threshold);
+    }
+    
+    await confirmSpend(confirm, spend);
+  }
+  
+  /**
+   * cashu-ts wallet for a mint (see lib/wallet.js)
+   *
+   * With cacheTtl, one wallet per mint is kept and its keysets are
+   * reloaded once they are older than cacheTtl. A failed load isn't
+   * cached.
+   */
+  wallet(mintUrl = this.defaultMint) {
+    if (!this.cacheTtl) {
+      return createWallet(mintUrl, { silent: this.silent });
+    }
+    
+    let entry = this._wallets.get(mintUrl);
+    if (!entry) {
+      entry = { loaded: createWallet(mintUrl, { silent: this.silent }), at: Date.now() };
+    } else if (Date.now() - entry.at > this.cacheTtl) {
+      entry = {
+        loaded: entry.loaded.then(async (wallet) => {
+          await wallet.loadMint(true);
+          cacheMint(mintUrl, wallet);
+          return wallet;
+        }),
+        at: Date.now()
+      };
+    } else {
+      return entry.loaded;
+    }
+    
+    this._wallets.set(mintUrl, entry);
+    entry.loaded.catch(() => {
+      if (this._wallets.get(mintUrl) === entry) this._wallets.delete(mintUrl);
+    });
+    return entry.loaded;
+  }
+  
+  /**
+   * Balance at one mint, or at every mint in the wallet
+   *
+   * @param {object} [options]
+   * @param {string} [options.mint] - Only this mint
+   * @returns {Promise<BalanceResult>}
+   */
+  async balance({ mint } = {}) {
+    if (mint) {
+      return { mint, balance: store.getBalanceForMint(mint), pending: store.getPendingBalance(mint) };
+    }
+    return {
+      balance: store.getTotalBalance(),
+      pending: store.getPending().reduce((s, r) => s + r.amount, 0),
+      mints: store.getAllMints().map(m => ({
+        mint: m,
+        balance: store.getBalanceForMint(m),
+        proofs: store.getProofsForMint(m).length,
+        pending: store.getPendingBalance(m)
+      }))
+    };
+  }
+  
+  /**
+   * Request a Lightning invoice to mint ecash
+   *
+   * The quote is kept in the wallet (see quotes()); pay the invoice, then
+   * call claimQuote(), or watchQuote() to claim it as soon as it's paid.
+   *
+   * @param {number} amount - Sats
+   * @param {object} [options]
+   * @param {string} [options.mint]
+   * @returns {Promise<MintQuoteResult>}
+   */
+  async mint(amount, { mint } = {}) {
+    requireAmount(amount);
+    const mintUrl = mint || this.defaultMint;
+    const wallet = await this.wallet(mintUrl);
+    
+    const quote = await wallet.createMintQuote(amount);
+    
+    // Keep the quote until it's claimed, so it isn't lost with the caller
+    store.saveQuote({
+      id: quote.quote,
+      kind: 'mint',
+      mint: mintUrl,
+      amount,
+      request: quote.request,
+      expiry: quote.expiry,
+      state: quote.state
+    });
+    
+    return {
+      mint: mintUrl,
+      amount,
+      quote: quote.quote,
+      request: quote.request,
+      expiry: quote.expiry,
+      state: quote.state
+    };
+  }
+  
+  /**
+   * Mint the ecash of a paid quote
+   *
+   * @param {string} quoteId
+   * @param {object} [options]
+   * @param {string} [options.mint]
+   * @returns {Promise<ClaimResult>}
+   * @throws {QuoteNotPaidError} The invoice isn't paid (or the quote was already claimed)
+   */
+  async claimQuote(quoteId, { mint } = {}) {
+    if (!quoteId) throw new InvalidArgumentError('Quote ID required');
+    const stored = store.getQuote(quoteId);
+    const mintUrl = mint || (stored && stored.mint) || this.defaultMint;
+    
+    // Held until the proofs are stored, so two claims of one quote never interleave
+    return store.withWalletLock(async () => {
+      const wallet = await this.wallet(mintUrl);
+      const quote = await this._checkQuote(wallet, mintUrl, quoteId);
+      
+      if (quote.state !== MintQuoteState.PAID) {
+        throw new QuoteNotPaidError(quoteId, quote.state);
+      }
+      
+      const proofs = await wallet.mintProofs(quote.amount, quoteId);
+      
+      store.withLock(() => {
+        store.addProofsForMint(mintUrl, proofs);
+        store.saveQuote({ id: quoteId, state: MintQuoteState.ISSUED, claimedAt: new Date().toISOString() });
+      });
+      
+      const amount = sumProofs(proofs);
+      store.recordTransaction({
+        type: stored && stored.transfer ? 'transfer' : 'mint',
+        mint: mintUrl,
+        amount,
+        quote: quoteId,
+        invoice: quote.request,
+        counterparty: (stored && stored.transfer) || undefined
+      });
+      
+      return { mint: mintUrl, quote: quoteId, amount, proofs: proofs.length, balance: store.getBalanceForMint(mintUrl) };
+    });
+  }
+  
+  /**
+   * Ask the mint about a quote and keep what it says
+   */
+  async _checkQuote(wallet, mintUrl, quoteId) {
+    const quote = await wallet.checkMintQuote(quoteId);
+    const stored = store.getQuote(quoteId) || {};
+    const expired = quote.state === MintQuoteState.UNPAID && quote.expiry && quote.expiry * 1000 < Date.now();
+    
+    store.saveQuote({
+      id: quoteId,
+      kind: 'mint',
+      mint: mintUrl,
+      amount: quote.amount || stored.amount,
+      request: quote.request,
+      expiry: quote.expiry,
+      state: expired ? 'EXPIRED' : quote.state
+    });
+    return { ...quote, amount: quote.amount || stored.amount, state: expired ? 'EXPIRED' : quote.state };
+  }
+  
+  /**
+   * Mint quotes kept in the wallet, oldest first
+   *
+   * @param {object} [options]
+   * @param {string|string[]} [options.state] - Default: the open ones (UNPAID, PAID)
+   * @param {boolean} [options.all] - Every state
+   * @param {string} [options.mint]
+   * @returns {{quotes: QuoteRecord[]}} As last seen; see checkQuote()
+   */
+  quotes({ state, all = false, mint } = {}) {
+    const states = all ? null : [].concat(state || OPEN_QUOTE_STATES);
+    const quotes = store.getQuotes({ kind: 'mint', mint })
+      .filter(q => !states || states.includes(q.state))
+      .map(describeQuote);
+    return { quotes };
+  }
+  
+  /**
+   * Refresh a quote's state from the mint
+   *
+   * @param {string} quoteId
+   * @param {object} [options]
+   * @param {string} [options.mint] - Default: the quote's mint, if kept
+   * @returns {Promise<QuoteRecord>}
+   */
+  async checkQuote(quoteId, { mint } = {}) {
+    if (!quoteId) throw new InvalidArgumentError('Quote ID required');
+    const stored = store.getQuote(quoteId);
+    const mintUrl = mint || (stored && stored.mint) || this.defaultMint;
+    
+    await this._checkQuote(await this.wallet(mintUrl), mintUrl, quoteId);
+    return describeQuote(store.getQuote(quoteId));
+  }
+  
+  /**
+   * Wait until a quote's invoice is paid
+   *
+   * Subscribes over the mint's NUT-17 WebSocket where offered (checking
+   * every 30 seconds as well, in case the subscription drops) and
+   * polls every `interval` otherwise.
+   *
+   * @param {string} quoteId
+   * @param {object} [options]
+   * @param {string} [options.mint] - Default: the quote's mint, if kept
+   * @param {number} [options.timeout] - Give up after this many ms (default: at the quote's expiry)
+   * @param {number} [options.interval=5000] - Ms between checks without a subscription
+   * @param {AbortSignal} [options.signal] - Stop waiting
+   * @returns {Promise<QuoteRecord>} state PAID (or ISSUED, if already claimed)
+   * @throws {QuoteNotPaidError} Expired, timed out or aborted (state: EXPIRED or UNPAID)
+   */
+  async waitForQuote(quoteId, { mint, timeout, interval = POLL_INTERVAL, signal } = {}) {
+    if (!quoteId) throw new InvalidArgumentError('Quote ID required');
+    const stored = store.getQuote(quoteId);
+    const mintUrl = mint || (stored && stored.mint) || this.defaultMint;
+    const wallet = await this.wallet(mintUrl);
+    const deadline = timeout ? Date.now() + timeout : Infinity;
+    
+    // Woken early by a subscription notice or the caller's signal
+    let wake = () => {};
+    const nap = (ms) => new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+    const onAbort = () => wake();
+    if (signal) signal.addEventListener('abort', onAbort);
+    
+    const subscription = new AbortController();
+    const subscribe = canSubscribe(wallet);
+    let subscribed = subscribe;
+    if (subscribe) {
+      this._subscriptions.set(mintUrl, (this._subscriptions.get(mintUrl) || 0) + 1);
+      wallet.on.onceMintPaid(quoteId, { signal: subscription.signal })
+        .then(() => wake(), () => {
+          // Connection refused or dropped: polling carries on
+          subscribed = false;
+        });
+    }
+    
+    try {
+      for (;;) {
+        const quote = await this._checkQuote(wallet, mintUrl, quoteId);
+        if (quote.state === MintQuoteState.PAID || quote.state === MintQuoteState.ISSUED) {
+          return describeQuote(store.getQuote(quoteId));
+        }
+        if (quote.state === 'EXPIRED' || Date.now() >= deadline || (signal && signal.aborted)) {
+          throw new QuoteNotPaidError(quoteId, quote.state);
+        }
+        
+        const untilExpiry = quote.expiry ? quote.expiry * 1000 - Date.now() + 1000 : Infinity;
+        await nap(Math.max(0, Math.min(subscribed ? SUBSCRIBED_POLL_INTERVAL : interval, deadline - Date.now(), untilExpiry)));
+      }
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      subscription.abort();
+      if (subscribe) this._releaseSubscription(wallet, mintUrl);
+    }
+  }
+  
+  /**
+   * Close a mint's WebSocket once no quote is followed over it (kept
+   * open with cacheTtl, for the next subscription)
+   */
+  _releaseSubscription(wallet, mintUrl) {
+    const open = (this._subscriptions.get(mintUrl) || 1) - 1;
+    this._subscriptions.set(mintUrl, open);
+    if (open === 0 && !this.cacheTtl) {
+      wallet.mint.disconnectWebSocket();
+    }
+  }
+  
+  /**
+   * Wait until a quote is paid, then claim it
+   *
+   * @param {string} quoteId
+   * @param {object} [options] - See waitForQuote()
+   * @returns {Promise<ClaimResult>}
+   * @throws {QuoteNotPaidError}
+   */
+  async watchQuote(quoteId, options = {}) {
+    const quote = await this.waitForQuote(quoteId, options);
+    return this.claimQuote(quoteId, { mint: quote.mint });
+  }
+  
+  /**
+   * Check every open quote and claim the paid ones
+   *
+   * @param {object} [options]
+   * @param {string} [options.mint] - Only quotes of this mint
+   * @returns {Promise<{claimed: ClaimResult[], unpaid: QuoteRecord[], expired: QuoteRecord[], failed: Array<{quote: string, mint: string, error: string}>}>}
+   */
+  async claimPaidQuotes({ mint } = {}) {
+    const result = { claimed: [], unpaid: [], expired: [], failed: [] };
+    
+    for (const { quote: id, mint: mintUrl } of this.quotes({ mint }).quotes) {
+      try {
+        const quote = await this.checkQuote(id, { mint: mintUrl });
+        if (quote.state === MintQuoteState.PAID) {
+          result.claimed.push(await this.claimQuote(id, { mint: mintUrl }));
+        } else if (quote.state === 'EXPIRED') {
+          result.expired.push(quote);
+        } else if (quote.state === MintQuoteState.UNPAID) {
+          result.unpaid.push(quote);
+        } else {
+          result.failed.push({ quote: id, mint: mintUrl, error: 'Issued, but not into this wallet (restore.js may recover it)' });
+        }
+      } catch (e) {
+        result.failed.push({ quote: id, mint: mintUrl, error: e.message });
+      }
+    }
+    return result;
+  }
+  
+  /**
+   * Pay a Lightning invoice with ecash
+   *
+   * The invoice is decoded first: expired invoices, invoices for another
+   * network than the configured one and invoices without an amount (unless
+   * `amount` is given) are turned down before a quote is asked for.
+   *
+   * If the mint reports the payment as still in flight, resolves with
+   * state 'pending' and the inputs stay recorded until pending.js settles
+   * them. If the request itself fails in a way that leaves the outcome
+   * unknown, the error carries the pending record ID as `err.pending`.
+   *
+   * @param {string} invoice - bolt11 invoice
+   * @param {object} [options]
+   * @param {string} [options.mint]
+   * @param {number} [options.amount] - Sats to pay, for an invoice without an amount
+   * @param {function(Spend): Promise<boolean>} [options.confirm] - Asked once the quote is known
+   * @param {string} [options.address] - Lightning address or LNURL the invoice came from (recorded as the counterparty)
+   * @returns {Promise<MeltResult>}
+   * @throws {InvalidArgumentError} Invalid or expired invoice, wrong network, or amount missing
+   * @throws {InsufficientBalanceError}
+   * @throws {PolicyViolationError}
+   * @throws {ApprovalRequiredError}
+   * @throws {SpendNotConfirmedError}
+   * @throws {PaymentFailedError} The mint couldn't pay; the inputs are back in the wallet
+   */
+  async melt(invoice, { mint, confirm, address, amount } = {}) {
+    if (!invoice) throw new InvalidArgumentError('Invoice required');
+    if (amount !== undefined) requireAmount(amount);
+    const decoded = checkInvoice(invoice, { network: store.loadConfig().network, amount });
+    const mintUrl = mint || this.defaultMint;
+    if (store.getProofsForMint(mintUrl).length === 0) {
+      throw new InsufficientBalanceError(mintUrl, null, 0);
+    }
+    
+    const wallet = await this.wallet(mintUrl);
+    // Only an invoice without an amount is quoted for the one given
+    const payerAmount = decoded.amountMsat === null ? amount : undefined;
+    if (payerAmount && !wallet.getMintInfo().supportsAmountless('bolt11', 'sat')) {
+      throw new InvalidArgumentError(`${mintUrl} doesn't pay invoices without an amount`);
+    }
+    const quote = await wallet.createMeltQuote(invoice, payerAmount && payerAmount * 1000);
+    requireBalance(mintUrl, quote.amount + quote.fee_reserve);
+    
+    const payee = decoded.payee;
+    const spend = {
+      action: 'melt',
+      mint: mintUrl,
+      amount: quote.amount,
+      feeReserve: quote.fee_reserve,
+      invoice,
+      payee,
+      description: decoded.description,
+      ...(address && { address })
+    };
+    
+    // Asked before taking the lock, which other processes would wait on
+    const options = { mint: mintUrl, ...(address && { address }), ...(payerAmount && { amount: payerAmount }) };
+    await this._authorize(spend, confirm, { method: 'melt', args: [invoice, options] });
+    
+    // Held until the outcome is persisted, so nothing settles or reuses the
+    // inputs while the payment is in flight
+    return store.withWalletLock(async () => {
+      // Again under the lock: a concurrent spend may have used up a budget
+      checkSpend(spend, { agent: this.agent });
+      const prepared = await this._prepareMelt(wallet, mintUrl, quote, { invoice, counterparty: address || payee });
+      return this._completeMelt(wallet, prepared);
+    });
+  }
+  
+  /**
+   * Select inputs for a melt quote and record them as pending-melt
+   *
+   * Recorded with the blanks for the change and the quote before the mint
+   * can consume them, so a payment that settles later is finished by
+   * pending.js. Runs under the wallet lock.
+   *
+   * @param {object} meta
+   * @param {string} meta.invoice
+   * @param {string} [meta.counterparty] - For the ledger
+   * @param {'melt'|'transfer'} [meta.type='melt'] - transfer: paying an invoice of another of the wallet's mints
+   */
+  async _prepareMelt(wallet, mintUrl, quote, { invoice, counterparty, type = 'melt' }) {
+    const proofs = store.getProofsForMint(mintUrl);
+    requireBalance(mintUrl, quote.amount + quote.fee_reserve, proofs);
+    
+    // Select proofs to melt; overpaid amounts come back as NUT-08 change
+    const { send } = wallet.selectProofsToSend(proofs, quote.amount + quote.fee_reserve, true);
+    const preview = await wallet.prepareMelt('bolt11', quote, send);
+    
+    const record = store.withLock(() => {
+      store.saveQuote({
+        id: quote.quote,
+        kind: 'melt',
+        mint: mintUrl,
+        amount: quote.amount,
+        feeReserve: quote.fee_reserve,
+        request: invoice,
+        expiry: quote.expiry,
+        state: quote.state
+      });
+      return store.reservePending(mintUrl, send, {
+        type,
+        state: 'pending-melt',
+        quote: quote.quote,
+        paymentAmount: quote.amount,
+        feeReserve: quote.fee_reserve,
+        invoice,
+        outputs: pending.serializeOutputs(preview.outputData),
+        counterparty: counterparty || undefined,
+        agent: this.agent || undefined
+      });
+    });
+    return { mintUrl, quote, preview, record };
+  }
+  
+  /**
+   * Have the mint pay a prepared melt and settle its record
+   *
+   * @returns {Promise<MeltResult>}
+   * @throws {PaymentFailedError} The mint couldn't pay; the inputs are back in the wallet
+   *   (other errors carry `err.pending` when the outcome is unknown)
+   */
+  async _completeMelt(wallet, { mintUrl, quote, preview, record }) {
+    const summary = { mint: mintUrl, amount: quote.amount, feeReserve: quote.fee_reserve, quote: quote.quote };
+    
+    let result;
+    try {
+      result = await wallet.completeMelt(preview);
+    } catch (err) {
+      // Timed out or failed: the melt quote tells whether the payment went out
+      let settled;
+      try {
+        settled = await pending.resolveMelt(wallet, record);
+      } catch (e) {
+        err.pending = record.id;
+        throw err;
+      }
+      if (settled.action === 'finalised') {
+        return { ...summary, state: 'paid', fee: settled.fee, preimage: settled.preimage, balance: store.getBalanceForMint(mintUrl) };
+      }
+      if (settled.state === MeltQuoteState.PENDING) {
+        return { ...summary, state: 'pending', pending: record.id };
+      }
+      if (settled.action !== 'returned') err.pending = record.id;
+      throw err;
+    }
+    
+    if (result.quote.state === MeltQuoteState.UNPAID) {
+      store.withLock(() => {
+        store.releasePending(record.id);
+        store.saveQuote({ id: quote.quote, state: MeltQuoteState.UNPAID });
+      });
+      throw new PaymentFailedError(quote.quote);
+    }
+    
+    if (result.quote.state !== MeltQuoteState.PAID) {
+      store.saveQuote({ id: quote.quote, state: result.quote.state });
+      return { ...summary, state: 'pending', pending: record.id };
+    }
+    
+    const { fee, preimage } = pending.finishMelt(record, result.quote, result.change);
+    return { ...summary, state: 'paid', fee, preimage, balance: store.getBalanceForMint(mintUrl) };
+  }
+  
+  /**
+   * Wait for a pending payment to settle
+   *
+   * Checks the melt quote (NUT-05) every `interval` until the payment is
+   * paid, with its fee-reserve change back in the wallet, or failed, with
+   * the inputs back.
+   *
+   * @param {string} quoteId - MeltResult.quote
+   * @param {object} [options]
+   * @param {number} [options.timeout] - Stop after this many ms (the result is then still pending)
+   * @param {number} [options.interval=5000] - Ms between checks
+   * @param {AbortSignal} [options.signal] - Stop waiting
+   * @returns {Promise<MeltResult>}
+   * @throws {NotFoundError} No payment of this quote in flight
+   * @throws {PaymentFailedError}
+   */
+  async waitForMelt(quoteId, { timeout, interval = POLL_INTERVAL, signal } = {}) {
+    const record = store.getPending({ state: 'pending-melt' }).find(r => r.quote === quoteId);
+    if (!record) throw new NotFoundError(`No payment in flight for melt quote ${quoteId}`);
+    const wallet = await this.wallet(record.mint);
+    const deadline = timeout ? Date.now() + timeout : Infinity;
+    const summary = {
+      mint: record.mint,
+      amount: record.paymentAmount,
+      feeReserve: record.feeReserve,
+      quote: quoteId
+    };
+    
+    for (;;) {
+      const settled = await pending.resolveMelt(wallet, record);
+      if (settled.action === 'finalised') {
+        return { ...summary, state: 'paid', fee: settled.fee, preimage: settled.preimage, balance: store.getBalanceForMint(record.mint) };
+      }
+      if (settled.action === 'returned') throw new PaymentFailedError(quoteId);
+      if (!settled.state) {
+        throw new NotFoundError(`Payment of melt quote ${quoteId} was settled elsewhere (see history.js)`);
+      }
+      if (Date.now() >= deadline || (signal && signal.aborted)) {
+        return { ...summary, state: 'pending', pending: record.id };
+      }
+      
+      await new Promise(resolve => {
+        const timer = setTimeout(done, Math.max(0, Math.min(interval, deadline - Date.now())));
+        function done() {
+          clearTimeout(timer);
+          if (signal) signal.removeEventListener('abort', done);
+          resolve();
+        }
+        if (signal) signal.addEventListener('abort', done);
+      });
+    }
+  }
+  
+  /**
+   * Pay a Lightning address (LUD-16) or LNURL-pay service (LUD-06)
+   *
+   * Fetches an invoice for the amount and melts to pay it once its amount
+   * and description hash check out (see lib/lnurl.js). Policy, approval
+   * and confirm apply as for melt(); an approved request pays the invoice
+   * fetched here, so it must be approved before that invoice expires.
+   *
+   * @param {string} target - name@domain, lnurl1... or lnurlp://...
+   * @param {number} amount - Sats for the payee (fees come on top)
+   * @param {object} [options]
+   * @param {string} [options.comment] - For the payee, if the service takes comments (LUD-12)
+   * @param {string} [options.mint]
+   * @param {function(Spend): Promise<boolean>} [options.confirm]
+   * @returns {Promise<MeltResult & {address: string, description: string|null, successAction: object|null}>}
+   *   successAction: the service's LUD-09 message or URL to show once paid
+   * @throws {LnurlError} Service failed, or its invoice doesn't match
+   * @throws {InsufficientBalanceError}
+   * @throws {PolicyViolationError}
+   * @throws {ApprovalRequiredError}
+   * @throws {SpendNotConfirmedError}
+   * @throws {PaymentFailedError}
+   */
+  async payAddress(target, amount, { comment, mint, confirm } = {}) {
+    requireAmount(amount);
+    const payRequest = await lnurl.resolvePayRequest(target);
+    const { invoice, successAction } = await lnurl.fetchInvoice(payRequest, amount, { comment });
+    const address = payRequest.address || target.trim();
+    
+    const result = await this.melt(invoice, { mint, confirm, address });
+    return { ...result, address, description: payRequest.description, successAction };
+  }
+  
+  /**
+   * Mints that could pay part of an invoice: those with ecash (or the
+   * ones given), reachable, with what each can melt
+   */
+  async _multiPathCandidates(mints) {
+    const candidates = [];
+    const skipped = [];
+    for (const mintUrl of mints || store.getAllMints()) {
+      const proofs = store.getProofsForMint(mintUrl);
+      if (proofs.length === 0) continue;
+      try {
+        const wallet = await this.wallet(mintUrl);
+        candidates.push({
+          mint: mintUrl,
+          wallet,
+          // Input fees depend on the proofs picked: allow for all of them
+          available: sumProofs(proofs) - wallet.getFeesForProofs(proofs),
+          mpp: multipath.supportsMpp(wallet)
+        });
+      } catch (e) {
+        skipped.push({ mint: mintUrl, error: e.message });
+      }
+    }
+    return { candidates, skipped };
+  }
+  
+  async _planMultiPath(invoice, { mints } = {}) {
+    if (!invoice) throw new InvalidArgumentError('Invoice required');
+    const decoded = checkInvoice(invoice, { network: store.loadConfig().network });
+    const { candidates, skipped } = await this._multiPathCandidates(mints);
+    const plan = await multipath.planPayment(candidates, invoice, decoded.amount);
+    return { plan, decoded, skipped };
+  }
+  
+  /**
+   * How an invoice would be paid from several mints, without paying it
+   *
+   * Asks the mints for quotes (see lib/multipath.js), so the fee reserve
+   * of every part and transfer is known.
+   *
+   * @param {string} invoice - bolt11 invoice (with an amount)
+   * @param {object} [options]
+   * @param {string[]} [options.mints] - Only these mints (default: every mint with ecash)
+   * @returns {Promise<MultiPathPlan>}
+   * @throws {InvalidArgumentError} Invalid or expired invoice, wrong network, or no amount
+   * @throws {InsufficientBalanceError} The mints together can't pay it
+   */
+  async planMultiPath(invoice, options) {
+    const { plan, skipped } = await this._planMultiPath(invoice, options);
+    return { ...multipath.describePlan(plan), skipped };
+  }
+  
+  /**
+   * Pay an invoice from several mints
+   *
+   * Mints announcing NUT-15 pay a part each, all at once; what they can't
+   * cover is first moved in from the other mints over Lightning (see
+   * lib/multipath.js). A mint that can pay it all alone just melts. The
+   * spend shown to the policy and the confirm hook has the parts, the
+   * transfers and their total fee reserve.
+   *
+   * A transfer that doesn't settle stops the payment before any part is
+   * paid: its inputs stay pending (pending.js) and its mint quote is
+   * claimed once paid (quotes.js).
+   *
+   * @param {string} invoice - bolt11 invoice (with an amount)
+   * @param {object} [options]
+   * @param {string[]} [options.mints] - Only these mints (default: every mint with ecash)
+   * @param {function(Spend): Promise<boolean>} [options.confirm]
+   * @returns {Promise<MultiPathResult>}
+   * @throws {InvalidArgumentError}
+   * @throws {InsufficientBalanceError}
+   * @throws {PolicyViolationError}
+   * @throws {ApprovalRequiredError}
+   * @throws {SpendNotConfirmedError}
+   * @throws {PaymentFailedError} A part couldn't be paid; its inputs are back in the wallet
+   * @throws {QuoteNotPaidError} A transfer didn't arrive (yet)
+   */
+  async meltMultiPath(invoice, { mints, confirm } = {}) {
+    const { plan, decoded } = await this._planMultiPath(invoice, { mints });
+    const summary = multipath.describePlan(plan);
+    const spend = {
+      action: 'melt',
+      mint: plan.parts[0].mint,
+      amount: plan.amount,
+      feeReserve: summary.feeReserve,
+      invoice,
+      payee: decoded.payee,
+      description: decoded.description,
+      parts: summary.parts.map(({ mint, amount, feeReserve }) => ({ mint, amount, feeReserve })),
+      transfers: summary.transfers
+    };
+    
+    await this._authorize(spend, confirm, { method: 'meltMultiPath', args: [invoice, { ...(mints && { mints }) }] });
+    
+    return store.withWalletLock(async () => {
+      checkSpend(spend, { agent: this.agent });
+      
+      const transfers = [];
+      for (const transfer of plan.transfers) {
+        transfers.push(await this._transfer(transfer));
+      }
+      
+      const prepared = [];
+      try {
+        for (const part of plan.parts) {
+          const melt = await this._prepareMelt(part.wallet, part.mint, part.quote, { invoice, counterparty: decoded.payee });
+          prepared.push({ ...melt, wallet: part.wallet });
+        }
+      } catch (err) {
+        // Nothing was sent yet
+        store.withLock(() => prepared.forEach(p => store.releasePending(p.record.id)));
+        throw err;
+      }
+      
+      // All parts at once: the payee settles only when every part has arrived
+      const settled = await Promise.allSettled(prepared.map(p => this._completeMelt(p.wallet, p)));
+      const parts = settled.filter(s => s.status === 'fulfilled').map(s => s.value);
+      const failed = settled.find(s => s.status === 'rejected');
+      if (failed) {
+        const inFlight = parts.filter(p => p.state === 'pending').map(p => p.pending);
+        if (inFlight.length > 0 && !failed.reason.pending) failed.reason.pending = inFlight.join(', ');
+        throw failed.reason;
+      }
+      
+      const result = {
+        amount: plan.amount,
+        feeReserve: summary.feeReserve,
+        parts,
+        transfers,
+        balance: store.getTotalBalance()
+      };
+      if (parts.some(p => p.state === 'pending')) return { state: 'pending', ...result };
+      
+      const fee = [...parts, ...transfers].reduce((s, x) => s + x.fee, 0);
+      const preimage = (parts.find(p => p.preimage) || {}).preimage || null;
+      return { state: 'paid', ...result, fee, preimage };
+    });
+  }
+  
+  /**
+   * Move ecash from one of the wallet's mints to another: the source
+   * melts to pay a mint quote of the target, which is then claimed.
+   * Runs under the wallet lock.
+   *
+   * @param {object} transfer - From multipath.quoteTransfer()
+   * @returns {Promise<{from: string, to: string, amount: number, fee: number, quote: string}>}
+   */
+  async _transfer({ from, to, source, mintQuote, meltQuote }) {
+    // Kept first, so the quote can still be claimed if anything below fails
+    store.saveQuote({
+      id: mintQuote.quote,
+      kind: 'mint',
+      mint: to,
+      amount: meltQuote.amount,
+      request: mintQuote.request,
+      expiry: mintQuote.expiry,
+      state: mintQuote.state,
+      transfer: from
+    });
+    
+    const prepared = await this._prepareMelt(source, from, meltQuote, { invoice: mintQuote.request, counterparty: to, type: 'transfer' });
+    const paid = await this._completeMelt(source, prepared);
+    if (paid.state !== 'paid') {
+      const err = new QuoteNotPaidError(mintQuote.quote, 'UNPAID');
+      err.pending = paid.pending;
+      throw err;
+    }
+    
+    const claimed = await this.watchQuote(mintQuote.quote, { mint: to, timeout: TRANSFER_TIMEOUT });
+    return { from, to, amount: claimed.amount, fee: paid.fee, quote: mintQuote.quote };
+  }
+  
+  /**
+   * Move ecash from one of the wallet's mints to another over Lightning
+   *
+   * The source mint pays the invoice of a mint quote at the target, which
+   * is claimed once paid. Every step is kept as it happens: the mint quote
+   * (marked as a transfer) before anything is paid, the inputs as a
+   * pending melt while the payment is in flight. resumeTransfers() picks
+   * up a transfer that was interrupted.
+   *
+   * @param {number} amount - Sats to arrive at `to` (the Lightning fee comes on top, at `from`)
+   * @param {object} options
+   * @param {string} [options.from] - Default: the default mint
+   * @param {string} options.to
+   * @param {function(Spend): Promise<boolean>} [options.confirm]
+   * @returns {Promise<TransferResult>}
+   * @throws {InvalidArgumentError} No target, or the same mint twice
+   * @throws {InsufficientBalanceError}
+   * @throws {PolicyViolationError}
+   * @throws {ApprovalRequiredError}
+   * @throws {SpendNotConfirmedError}
+   * @throws {PaymentFailedError} The source mint couldn't pay; the inputs are back in the wallet
+   * @throws {QuoteNotPaidError} In flight (`err.pending`) or not arrived yet; see resumeTransfers()
+   */
+  async transfer(amount, { from, to, confirm } = {}) {
+    requireAmount(amount);
+    const fromUrl = from || this.defaultMint;
+    if (!to) throw new InvalidArgumentError('Target mint required');
+    if (to === fromUrl) throw new InvalidArgumentError(`Can't transfer from ${to} to itself`);
+    if (store.getProofsForMint(fromUrl).length === 0) {
+      throw new InsufficientBalanceError(fromUrl, null, 0);
+    }
+    
+    const source = { mint: fromUrl, wallet: await this.wallet(fromUrl) };
+    const target = { mint: to, wallet: await this.wallet(to) };
+    const transfer = await multipath.quoteTransfer(source, target, amount);
+    requireBalance(fromUrl, transfer.amount + transfer.fee_reserve);
+    
+    const spend = transferSpend([transfer]);
+    await this._authorize(spend, confirm, { method: 'transfer', args: [amount, { from: fromUrl, to }] });
+    
+    return store.withWalletLock(async () => {
+      checkSpend(spend, { agent: this.agent });
+      const result = await this._transfer(transfer);
+      return {
+        ...result,
+        feeReserve: transfer.fee_reserve,
+        fromBalance: store.getBalanceForMint(fromUrl),
+        toBalance: store.getBalanceForMint(to)
+      };
+    });
+  }
+  
+  /**
+   * Finish transfers that were interrupted
+   *
+   * For every open transfer quote, settles the payment at the source mint
+   * if it is still recorded as in flight (see pending.js), then claims the
+   * quote at the target once it shows as paid.
+   *
+   * @returns {Promise<{transfers: TransferState[]}>}
+   */
+  async resumeTransfers() {
+    return store.withWalletLock(async () => {
+      const transfers = [];
+      const open = store.getQuotes({ kind: 'mint' }).filter(q => q.transfer && OPEN_QUOTE_STATES.includes(q.state));
+      for (const stored of open) {
+        const entry = { quote: stored.id, from: stored.transfer, to: stored.mint, amount: stored.amount };
+        try {
+          transfers.push({ ...entry, ...await this._resumeTransfer(stored) });
+        } catch (e) {
+          transfers.push({ ...entry, state: 'waiting', detail: e.message });
+        }
+      }
+      return { transfers };
+    });
+  }
+  
+  async _resumeTransfer(stored) {
+    // The payment at the source first: in flight, failed or paid
+    const record = store.getPending({ state: 'pending-melt' }).find(r => r.invoice === stored.request);
+    if (record) {
+      const settled = await pending.resolveMelt(await this.wallet(record.mint), record);
+      if (settled.action === 'returned') {
+        return { state: 'failed', detail: 'payment failed, inputs back at the source mint' };
+      }
+      if (settled.action !== 'finalised') return { state: 'waiting', detail: settled.detail };
+    } else {
+      const melt = store.getQuotes({ kind: 'melt', mint: stored.transfer }).find(q => q.request === stored.request);
+      if (!melt || melt.state !== MeltQuoteState.PAID) {
+        return { state: 'failed', detail: melt ? 'payment failed, nothing left the source mint' : 'never paid' };
+      }
+    }
+    
+    const quote = await this._checkQuote(await this.wallet(stored.mint), stored.mint, stored.id);
+    if (quote.state === MintQuoteState.PAID) {
+      const claimed = await this.claimQuote(stored.id, { mint: stored.mint });
+      return { state: 'completed', amount: claimed.amount, detail: `minted ${claimed.amount} sats` };
+    }
+    if (quote.state === MintQuoteState.ISSUED) {
+      return { state: 'failed', detail: 'issued, but not into this wallet (restore.js may recover it)' };
+    }
+    return { state: 'waiting', detail: `paid at the source, quote ${quote.state.toLowerCase()} at the target` };
+  }
+  
+  /**
+   * Target mints' balances and the moves that would rebalance them
+   */
+  _rebalanceState() {
+    const settings = rebalanceSettings(store.loadConfig());
+    if (!settings) {
+      throw new InvalidArgumentError('No rebalance targets set (see transfer.js rebalance --set-targets)');
+    }
+    const balances = Object.fromEntries(Object.keys(settings.targets).map(m => [m, store.getBalanceForMint(m)]));
+    return { settings, ...planMoves(balances, settings) };
+  }
+  
+  async _planRebalance() {
+    const { settings, total, mints, moves } = this._rebalanceState();
+    
+    const transfers = [];
+    for (const move of moves) {
+      const source = { mint: move.from, wallet: await this.wallet(move.from) };
+      const target = { mint: move.to, wallet: await this.wallet(move.to) };
+      // Moves out of one mint share its balance, input fees included
+      const proofs = store.getProofsForMint(move.from);
+      const used = transfers.filter(t => t.from === move.from).reduce((s, t) => s + t.amount + t.fee_reserve, 0);
+      const available = Math.min(move.amount, sumProofs(proofs) - source.wallet.getFeesForProofs(proofs) - used);
+      const transfer = await multipath.quoteFitting(available, move.amount, n => multipath.quoteTransfer(source, target, n));
+      if (transfer && transfer.amount >= settings.minTransfer) transfers.push(transfer);
+    }
+    return { total, mints, transfers };
+  }
+  
+  /**
+   * How the mints would be rebalanced, without moving anything
+   *
+   * Reads the `rebalance` setting (see lib/rebalance.js) and asks the
+   * mints for quotes, so each move's fee reserve is known.
+   *
+   * @returns {Promise<RebalancePlan>}
+   * @throws {InvalidArgumentError} No or invalid rebalance settings
+   */
+  async planRebalance() {
+    const { total, mints, transfers } = await this._planRebalance();
+    const described = transfers.map(multipath.describeTransfer);
+    return { total, mints, transfers: described, feeReserve: described.reduce((s, t) => s + t.feeReserve, 0) };
+  }
+  
+  /**
+   * Move ecash between the target mints until each holds its share
+   *
+   * Nothing moves while every mint is within the tolerance. The moves go
+   * to the policy and the confirm hook as one transfer spend, then run one
+   * after the other (see transfer()); a move that fails stops the rest.
+   *
+   * @param {object} [options]
+   * @param {function(Spend): Promise<boolean>} [options.confirm]
+   * @returns {Promise<{total: number, mints: RebalancePlan['mints'], transfers: Array<object>, fee: number}>}
+   *   mints: as left by the moves
+   * @throws {InvalidArgumentError} No or invalid rebalance settings
+   * @throws {PolicyViolationError}
+   * @throws {ApprovalRequiredError}
+   * @throws {SpendNotConfirmedError}
+   * @throws {PaymentFailedError}
+   * @throws {QuoteNotPaidError}
+   */
+  async rebalance({ confirm } = {}) {
+    const { total, mints, transfers } = await this._planRebalance();
+    if (transfers.length === 0) return { total, mints, transfers: [], fee: 0 };
+    
+    const spend = transferSpend(transfers);
+    await this._authorize(spend, confirm, { method: 'rebalance', args: [] });
+    
+    return store.withWalletLock(async () => {
+      checkSpend(spend, { agent: this.agent });
+      const done = [];
+      for (const transfer of transfers) {
+        done.push(await this._transfer(transfer));
+      }
+      const after = this._rebalanceState();
+      return { total: after.total, mints: after.mints, transfers: done, fee: done.reduce((s, t) => s + t.fee, 0) };
+    });
+  }
+  
+  /**
+   * Create a token to hand to someone
+   *
+   * The token stays recorded as pending-send until the recipient claims
+   * it (see reclaim.js).
+   *
+   * @param {number} amount - Sats
+   * @param {object} [options]
+   * @param {string} [options.mint]
+   * @param {boolean} [options.verify] - Drop proofs the mint reports as spent first (extra roundtrip)
+   * @param {function(Spend): Promise<boolean>} [options.confirm]
+   * @returns {Promise<SendResult>}
+   * @throws {InsufficientBalanceError}
+   * @throws {PolicyViolationError}
+   * @throws {ApprovalRequiredError}
+   * @throws {SpendNotConfirmedError}
+   */
+  async send(amount, { mint, verify = false, confirm } = {}) {
+    requireAmount(amount);
+    const mintUrl = mint || this.defaultMint;
+    
+    const spend = { action: 'send', mint: mintUrl, amount };
+    requireBalance(mintUrl, amount);
+    await this._authorize(spend, confirm, { method: 'send', args: [amount, { mint: mintUrl, verify }] });
+    
+    return store.withWalletLock(async () => {
+      checkSpend(spend, { agent: this.agent });
+      const proofs = store.getProofsForMint(mintUrl);
+      requireBalance(mintUrl, amount, proofs);
+      
+      const wallet = await this.wallet(mintUrl);
+      
+      let removed = 0;
+      if (verify) {
+        const states = await wallet.checkProofsStates(proofs);
+        const spent = proofs.filter((p, i) => states[i].state !== CheckStateEnum.UNSPENT);
+        if (spent.length > 0) {
+          store.removeProofsForMint(mintUrl, spent);
+          removed = spent.length;
+          requireBalance(mintUrl, amount);
+        }
+      }
+      
+      const sent = await sendAndRecord(wallet, mintUrl, amount, { type: 'send', agent: this.agent });
+      return { mint: mintUrl, ...sent, ...(verify && { removed }) };
+    });
+  }
+  
+  /**
+   * Receive a token into the wallet (swapped for fresh proofs)
+   *
+   * A P2PK-locked token is signed with the key given, for its main keys
+   * or, once its locktime has passed, its refund keys. Past the locktime
+   * of a lock without refund keys, no key is needed. A hash-locked token
+   * (NUT-14) also takes its preimage on the main path.
+   *
+   * @param {string} token - Encoded token
+   * @param {object} [options]
+   * @param {string} [options.privkey] - Key for a P2PK-locked token
+   * @param {boolean} [options.self] - Unlock with own Archon/Nostr key
+   * @param {string} [options.preimage] - Preimage of a hash-locked token (hex)
+   * @returns {Promise<ReceiveResult>}
+   * @throws {InvalidTokenError}
+   * @throws {InvalidArgumentError} A preimage that doesn't open the token's hashlock
+   * @throws {TokenLockedError} Locked and the key or preimage (if any) can't meet the lock now: the message says why,
+   *   and when a refund path opens to it
+   * @throws {KeyUnavailableError} self, but own key can't be loaded
+   */
+  async receive(token, { privkey, self = false, preimage } = {}) {
+    if (!token) throw new InvalidArgumentError('Token required');
+    
+    let decoded;
+    try {
+      decoded = await decodeToken(token, (mint) => this.wallet(mint));
+    } catch (e) {
+      throw new InvalidTokenError(`Invalid token format: ${e.message}`);
+    }
+    
+    const mintUrl = decoded.mint;
+    const tokenAmount = sumProofs(decoded.proofs);
+    const p2pk = decoded.proofs.some(isP2PK);
+    const hashed = decoded.proofs.find(htlc.isHTLC);
+    const hashlock = hashed ? htlc.hashlockOf(hashed) : null;
+    if (preimage && !hashlock) {
+      throw new InvalidArgumentError('Token is not hash-locked: it needs no preimage');
+    }
+    
+    let tokenToReceive = token;
+    let key = privkey;
+    let path = null;
+    if (p2pk || hashlock) {
+      let { proofs, converted } = fixNpubP2PKProofs(decoded.proofs);
+      if (preimage) proofs = htlc.addPreimage(proofs, preimage);
+      if (converted || preimage) {
+        tokenToReceive = getEncodedTokenV4({ mint: mintUrl, proofs, memo: decoded.memo });
+      }
+      
+      if (!key && self) {
+        key = archon.getCashuPrivkey();
+        if (!key) {
+          throw new KeyUnavailableError(`Could not load own privkey (run archon-keymaster/nostr or create ${NOSTR_ENV})`);
+        }
+      }
+      
+      // Checked here rather than by the mint, to say which paths the key
+      // could take (main keys, refund keys after the locktime) and when.
+      // SIG_ALL signatures cover the swap's outputs, made later: whether
+      // the key meets the lock doesn't depend on what it signs, so a
+      // signature over the inputs alone stands in
+      const sigAll = proofs.some(p => pending.isLocked(p) && getP2PKSigFlag(p.secret) === 'SIG_ALL');
+      const message = sigAll ? redemption.sigAllMessage(proofs, []) : undefined;
+      const signed = key ? signP2PKProofs(proofs, key, undefined, message) : proofs;
+      const checks = signed.filter(pending.isLocked).map(p => ({
+        proof: p,
+        check: htlc.isHTLC(p) ? htlc.verifyHashlock(p, message) : verifyP2PKSpendingConditions(p, undefined, message)
+      }));
+      const unmet = checks.find(c => !c.check.success);
+      if (unmet) {
+        throw new TokenLockedError(lockedReason(unmet.proof, key ? [pubkeyOf(key)] : []));
+      }
+      path = checks.some(c => c.check.path === 'REFUND') ? 'refund'
+        : checks.every(c => c.check.path === 'UNLOCKED') ? 'unlocked' : 'main';
+    }
+    
+    // Held from wallet creation on, since that loads the NUT-13 counters
+    return store.withWalletLock(async () => {
+      const wallet = await this.wallet(mintUrl);
+      
+      const proofs = await wallet.receive(tokenToReceive, key ? { privkey: key } : {});
+      store.addProofsForMint(mintUrl, proofs);
+      
+      const amount = sumProofs(proofs);
+      store.recordTransaction({
+        type: 'receive',
+        mint: mintUrl,
+        amount,
+        fee: tokenAmount - amount,
+        tokenHash: store.hashToken(token),
+        memo: decoded.memo
+      });
+      
+      return {
+        mint: mintUrl,
+        amount,
+        fee: tokenAmount - amount,
+        p2pk,
+        hashlock,
+        path,
+        memo: decoded.memo || null,
+        balance: store.getBalanceForMint(mintUrl)
+      };
+    });
+  }
+  
+  /**
+   * Start redeeming a token locked to several keys
+   *
+   * Fixes the swap's outputs, keeps their secrets in this wallet and
+   * returns the redemption file for the other keyholders to sign, already
+   * signed with the keys given (if any). The outputs come to this wallet
+   * whoever finalises it. Under a SIG_ALL lock, every signature approves
+   * these outputs.
+   *
+   * @param {string} token - Encoded token
+   * @param {object} [options]
+   * @param {string|string[]} [options.privkey] - Keys to sign with right away
+   * @param {boolean} [options.self] - Also sign with own Archon/Nostr key
+   * @returns {Promise<RedemptionResult>}
+   * @throws {InvalidTokenError}
+   * @throws {InvalidArgumentError} Not P2PK-locked, or SIG_ALL proofs under different locks
+   * @throws {KeyUnavailableError} self, but own key can't be loaded
+   */
+  async createRedemption(token, { privkey, self = false } = {}) {
+    if (!token) throw new InvalidArgumentError('Token required');
+    
+    let decoded;
+    try {
+      decoded = await decodeToken(token, (mint) => this.wallet(mint));
+    } catch (e) {
+      throw new InvalidTokenError(`Invalid token format: ${e.message}`);
+    }
+    const { proofs } = fixNpubP2PKProofs(decoded.proofs);
+    const keys = signingKeys({ privkey, self });
+    
+    return store.withWalletLock(async () => {
+      const wallet = await this.wallet(decoded.mint);
+      const preview = await wallet.prepareSwapToReceive({ ...decoded, proofs });
+      // Sorted the way the mint will sign them
+      const { outputData } = wallet.createSwapTransaction(preview.inputs, preview.keepOutputs);
+      
+      let file = redemption.createRedemption({
+        mint: decoded.mint,
+        unit: decoded.unit || 'sat',
+        memo: decoded.memo || null,
+        inputs: proofs,
+        outputs: outputData.map(o => o.blindedMessage),
+        fee: preview.fees
+      });
+      store.saveRedemption({
+        id: file.id,
+        mint: file.mint,
+        amount: file.amount,
+        fee: file.fee,
+        memo: file.memo,
+        inputs: proofs.map(({ witness, ...proof }) => proof),
+        outputs: pending.serializeOutputs(outputData),
+        createdAt: new Date().toISOString()
+      });
+      
+      if (keys.length > 0) file = redemption.signRedemption(file, keys).redemption;
+      return { redemption: file, status: this.redemptionStatus(file) };
+    });
+  }
+  
+  /**
+   * Add signatures to a redemption file
+   *
+   * Needs no wallet: any keyholder can sign.
+   *
+   * @param {Redemption|string} file - The file, or its JSON
+   * @param {object} options
+   * @param {string|string[]} [options.privkey]
+   * @param {boolean} [options.self] - Sign with own Archon/Nostr key
+   * @returns {RedemptionResult}
+   * @throws {InvalidArgumentError} Not a redemption file, no key given, or nothing for the keys to sign
+   * @throws {KeyUnavailableError} self, but own key can't be loaded
+   */
+  signRedemption(file, { privkey, self = false } = {}) {
+    const parsed = redemption.parseRedemption(file);
+    const keys = signingKeys({ privkey, self });
+    if (keys.length === 0) throw new InvalidArgumentError('A key to sign with is required (privkey or self)');
+    
+    const signed = redemption.signRedemption(parsed, keys);
+    if (signed.added === 0) {
+      throw new InvalidArgumentError('Nothing signed: the key isn\'t one the token is locked to, or has signed already');
+    }
+    return { ...signed, status: this.redemptionStatus(signed.redemption) };
+  }
+  
+  /**
+   * Merge copies of a redemption file signed by different keyholders
+   *
+   * @param {Array<Redemption|string>} files
+   * @returns {RedemptionResult}
+   * @throws {InvalidArgumentError} Not redemption files, or of different redemptions
+   */
+  combineRedemptions(files) {
+    if (!Array.isArray(files) || files.length === 0) throw new InvalidArgumentError('Redemption files required');
+    const combined = redemption.combineRedemptions(files.map(f => redemption.parseRedemption(f)));
+    return { redemption: combined, status: this.redemptionStatus(combined) };
+  }
+  
+  /**
+   * Signatures a redemption file has and still needs
+   *
+   * @param {Redemption|string} file
+   * @returns {RedemptionStatus}
+   * @throws {InvalidArgumentError} Not a redemption file
+   */
+  redemptionStatus(file) {
+    const parsed = redemption.parseRedemption(file);
+    return { ...redemption.redemptionStatus(parsed), creator: !!store.getRedemption(parsed.id) };
+  }
+  
+  /**
+   * Send a fully signed redemption to the mint
+   *
+   * Anyone with the file can. The creator's wallet takes the new proofs
+   * at once; anyone else's leaves them for the creator's
+   * claimRedemptions().
+   *
+   * @param {Redemption|string} file
+   * @returns {Promise<RedemptionClaim>} state claimed (creator) or waiting (anyone else: finalised, not claimed)
+   * @throws {InvalidArgumentError} Not a redemption file
+   * @throws {TokenLockedError} Signatures still missing
+   */
+  async finalizeRedemption(file) {
+    const parsed = redemption.parseRedemption(file);
+    const status = redemption.redemptionStatus(parsed);
+    if (!status.complete) {
+      const missing = status.inputs.filter(i => !i.complete).length;
+      throw new TokenLockedError(`Redemption is not fully signed yet (${missing} of ${status.inputs.length} proofs need signatures)`);
+    }
+    
+    return store.withWalletLock(async () => {
+      const wallet = await this.wallet(parsed.mint);
+      const record = store.getRedemption(parsed.id);
+      
+      let signatures;
+      try {
+        ({ signatures } = await wallet.mint.swap(redemption.swapRequest(parsed)));
+      } catch (err) {
+        // Finalised before (by another keyholder, or a response that got lost)
+        if (record) {
+          const claim = await this._claimRedemption(wallet, record);
+          if (claim.state === 'claimed') return claim;
+        }
+        throw err;
+      }
+      
+      if (!record) {
+        return { id: parsed.id, mint: parsed.mint, amount: parsed.amount, state: 'waiting' };
+      }
+      const outputData = pending.deserializeOutputs(record.outputs);
+      const proofs = outputData.map((o, i) => o.toProof(signatures[i], wallet.getKeyset(o.blindedMessage.id)));
+      return this._storeRedeemed(record, proofs);
+    });
+  }
+  
+  /**
+   * Claim the outputs of redemptions this wallet created and someone
+   * else finalised (NUT-09 restore)
+   *
+   * Redemptions whose token was spent some other way are dropped.
+   *
+   * @returns {Promise<{redemptions: RedemptionClaim[]}>}
+   */
+  async claimRedemptions() {
+    return store.withWalletLock(async () => {
+      const redemptions = [];
+      for (const record of store.getRedemptions()) {
+        const wallet = await this.wallet(record.mint);
+        redemptions.push(await this._claimRedemption(wallet, record));
+      }
+      return { redemptions };
+    });
+  }
+  
+  async _claimRedemption(wallet, record) {
+    const claim = { id: record.id, mint: record.mint, amount: record.amount };
+    const proofs = await pending.recoverOutputs(wallet, record.outputs);
+    if (proofs.length > 0) return this._storeRedeemed(record, proofs);
+    
+    const states = await wallet.checkProofsStates(record.inputs);
+    if (states.some(s => s.state === CheckStateEnum.SPENT)) {
+      store.removeRedemption(record.id);
+      return { ...claim, state: 'failed' };
+    }
+    return { ...claim, state: 'waiting' };
+  }
+  
+  _storeRedeemed(record, proofs) {
+    const amount = sumProofs(proofs);
+    // The record goes with the same write that credits its proofs
+    store.withLock(() => {
+      store.addProofsForMint(record.mint, proofs);
+      store.recordTransaction({
+        type: 'receive',
+        mint: record.mint,
+        amount,
+        fee: record.fee,
+        memo: record.memo || undefined
+      });
+      store.removeRedemption(record.id);
+    });
+    
+    return {
+      id: record.id,
+      mint: record.mint,
+      amount,
+      state: 'claimed',
+      fee: record.fee,
+      balance: store.getBalanceForMint(record.mint)
+    };
+  }
+  
+  /**
+   * Create a token locked to one or more pubkeys (NUT-11)
+   *
+   * @param {number} amount - Sats
+   * @param {object} options
+   * @param {string|string[]} [options.pubkeys] - Hex pubkeys (x-only keys get 02)
+   * @param {boolean} [options.self] - Also lock to own Archon/Nostr pubkey
+   * @param {number} [options.threshold] - Signatures required (default: all keys)
+   * @param {string[]} [options.refundKeys] - Keys that can spend once locktime has passed
+   * @param {number} [options.refundThreshold] - Refund signatures required
+   * @param {number} [options.locktime] - Unix time the refund path opens
+   * @param {boolean} [options.sigAll] - Signatures cover the redeeming swap's outputs too (NUT-11 SIG_ALL),
+   *   so no keyholder's signature can be used to redeem into outputs they didn't approve
+   * @param {string} [options.counterparty] - Shown in history (default: the pubkeys)
+   * @param {string[]} [options.recipients] - DIDs or npubs the pubkeys belong to (for the spending policy)
+   * @param {string} [options.memo] - Kept in history
+   * @param {string} [options.mint]
+   * @param {function(Spend): Promise<boolean>} [options.confirm]
+   * @returns {Promise<LockResult>}
+   * @throws {InsufficientBalanceError}
+   * @throws {KeyUnavailableError} self, but own key can't be loaded
+   * @throws {PolicyViolationError}
+   * @throws {ApprovalRequiredError}
+   * @throws {SpendNotConfirmedError}
+   */
+  async lock(amount, options = {}) {
+    requireAmount(amount);
+    
+    const pubkeys = [].concat(options.pubkeys || []).map(normalizePubkey);
+    if (options.self) pubkeys.push(ownPubkey());
+    if (pubkeys.length === 0) {
+      throw new InvalidArgumentError('At least one pubkey (or self) is required');
+    }
+    
+    const threshold = options.threshold || pubkeys.length;
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > pubkeys.length) {
+      throw new InvalidArgumentError(`Threshold must be between 1 and ${pubkeys.length}`);
+    }
+    
+    const refundKeys = (options.refundKeys || []).map(normalizePubkey);
+    if (refundKeys.length > 0 && !options.locktime) {
+      throw new InvalidArgumentError('Refund keys require a locktime');
+    }
+    
+    let p2pk;
+    if (pubkeys.length === 1 && refundKeys.length === 0 && !options.sigAll) {
+      p2pk = { pubkey: pubkeys[0] };
+    } else {
+      const builder = new P2PKBuilder();
+      builder.addLockPubkey(pubkeys);
+      if (threshold < pubkeys.length) {
+        builder.requireLockSignatures(threshold);
+      }
+      if (refundKeys.length > 0) {
+        builder.addRefundPubkey(refundKeys);
+        builder.lockUntil(options.locktime);
+        if (options.refundThreshold) {
+          builder.requireRefundSignatures(options.refundThreshold);
+        }
+      }
+      if (options.sigAll) builder.sigAll();
+      p2pk = builder.toOptions();
+    }
+    
+    const mintUrl = options.mint || this.defaultMint;
+    const counterparty = options.counterparty || pubkeys.join(',');
+    const spend = {
+      action: 'lock',
+      mint: mintUrl,
+      amount,
+      pubkeys,
+      recipients: options.recipients || [],
+      counterparty,
+      refundKeys,
+      locktime: refundKeys.length > 0 ? options.locktime : null
+    };
+    requireBalance(mintUrl, amount);
+    await this._authorize(spend, options.confirm, {
+      method: 'lock',
+      args: [amount, {
+        pubkeys,
+        threshold,
+        refundKeys,
+        refundThreshold: options.refundThreshold,
+        locktime: options.locktime,
+        sigAll: options.sigAll,
+        counterparty,
+        recipients: options.recipients,
+        memo: options.memo,
+        mint: mintUrl
+      }]
+    });
+    
+    const wallet = await this.wallet(mintUrl);
+    const locked = await store.withWalletLock(() => {
+      checkSpend(spend, { agent: this.agent });
+      return sendAndRecord(wallet, mintUrl, amount, {
+        p2pk,
+        type: 'lock',
+        counterparty,
+        pubkeys,
+        recipients: options.recipients,
+        memo: options.memo,
+        agent: this.agent
+      });
+    });
+    
+    return {
+      mint: mintUrl,
+      amount: locked.amount,
+      fee: locked.fee,
+      pubkeys,
+      threshold,
+      refundPubkeys: refundKeys,
+      locktime: refundKeys.length > 0 ? options.locktime : null,
+      sigFlag: options.sigAll ? 'SIG_ALL' : 'SIG_INPUTS',
+      token: locked.token,
+      balance: locked.balance
+    };
+  }
+  
+  /**
+   * Create a token any `threshold` members of an Archon group can spend
+   *
+   * @param {number} amount - Sats
+   * @param {string} group - Group alias or DID
+   * @param {object} [options]
+   * @param {number} [options.threshold=1] - Members that must sign
+   * @param {boolean} [options.sigAll] - Signatures cover the redeeming swap's outputs too (NUT-11 SIG_ALL)
+   * @param {string} [options.mint]
+   * @param {function(Spend): Promise<boolean>} [options.confirm]
+   * @returns {Promise<GroupLockResult>}
+   * @throws {KeyUnavailableError} No member pubkey could be resolved
+   */
+  async lockToGroup(amount, group, { threshold = 1, sigAll = false, mint, confirm } = {}) {
+    requireAmount(amount);
+    if (!group) throw new InvalidArgumentError('Group required');
+    
+    const resolved = this._resolveGroup(group);
+    if (resolved.pubkeys.length === 0) {
+      throw new KeyUnavailableError(`No member pubkeys could be resolved for group ${resolved.name}`);
+    }
+    if (threshold > resolved.pubkeys.length) {
+      throw new InvalidArgumentError(`Threshold ${threshold} exceeds group size ${resolved.pubkeys.length}`);
+    }
+    
+    const locked = await this.lock(amount, {
+      pubkeys: resolved.pubkeys,
+      threshold,
+      sigAll,
+      counterparty: resolved.name,
+      recipients: resolved.members.map(m => m.did),
+      mint,
+      confirm
+    });
+    
+    return {
+      ...locked,
+      group: resolved.name,
+      members: resolved.members.map(m => m.did),
+      failed: resolved.failed
+    };
+  }
+  
+  /**
+   * Create a token only one recipient can spend
+   *
+   * @param {number} amount - Sats
+   * @param {string} recipient - Archon DID, npub or hex pubkey
+   * @param {object} [options]
+   * @param {string} [options.mint]
+   * @param {string} [options.memo] - Kept in history
+   * @param {function(Spend): Promise<boolean>} [options.confirm]
+   * @returns {Promise<LockResult>} Plus `recipient`
+   * @throws {KeyUnavailableError} The DID or npub can't be resolved
+   */
+  async lockToRecipient(amount, recipient, { mint, memo, confirm } = {}) {
+    requireAmount(amount);
+    if (!recipient) throw new InvalidArgumentError('Recipient required');
+    
+    let pubkey;
+    if (groups.isDID(recipient)) {
+      try {
+        pubkey = groups.resolveDIDPubkey(recipient);
+      } catch (e) {
+        throw new KeyUnavailableError(e.message);
+      }
+    } else if (npub.isNpub(recipient)) {
+      pubkey = npub.decode(recipient);
+    } else if (/^(0[23])?[0-9a-f]{64}$/i.test(recipient)) {
+      pubkey = recipient;
+    } else {
+      throw new InvalidArgumentError(`Invalid recipient: ${recipient} (use a DID, npub or hex pubkey)`);
+    }
+    
+    const locked = await this.lock(amount, {
+      pubkeys: pubkey,
+      counterparty: recipient,
+      recipients: [recipient],
+      memo,
+      mint,
+      confirm
+    });
+    return { ...locked, recipient };
+  }
+  
+  /**
+   * Create a token locked to a SHA-256 hash (NUT-14 HTLC)
+   *
+   * Redeeming it takes the hash's preimage, and signatures from `pubkeys`
+   * if given. Refund keys can take it back once the locktime has passed
+   * (anyone can, past a locktime without refund keys). Lock to a Lightning
+   * invoice's payment hash to pay for its preimage; lib/htlc.js walks
+   * through an atomic swap between mints.
+   *
+   * @param {number} amount - Sats
+   * @param {object} options
+   * @param {string} [options.hash] - SHA-256 hash (hex)
+   * @param {string} [options.preimage] - Or the preimage, to lock to its hash
+   * @param {string|string[]} [options.pubkeys] - Keys that must also sign
+   * @param {boolean} [options.self] - Add own pubkey to them
+   * @param {number} [options.threshold] - Signatures required from the pubkeys (default: all)
+   * @param {string[]} [options.refundKeys] - Keys that can take it back once locktime has passed
+   * @param {boolean} [options.refundSelf] - Add own pubkey to the refund keys
+   * @param {number} [options.refundThreshold] - Refund signatures required
+   * @param {number} [options.locktime] - Unix time the refund path opens
+   * @param {string} [options.counterparty] - Shown in history (default: the pubkeys, or the hash)
+   * @param {string} [options.memo] - Kept in history
+   * @param {string} [options.mint]
+   * @param {function(Spend): Promise<boolean>} [options.confirm]
+   * @returns {Promise<HashlockResult>}
+   * @throws {InvalidArgumentError} No valid hash or preimage, or the mint doesn't support NUT-14
+   * @throws {InsufficientBalanceError}
+   * @throws {KeyUnavailableError} self or refundSelf, but own key can't be loaded
+   * @throws {PolicyViolationError}
+   * @throws {ApprovalRequiredError}
+   * @throws {SpendNotConfirmedError}
+   */
+  async lockToHash(amount, options = {}) {
+    requireAmount(amount);
+    if (!options.hash && !options.preimage) {
+      throw new InvalidArgumentError('Hash or preimage required');
+    }
+    const hash = options.preimage ? htlc.hashOf(options.preimage) : htlc.checkHash(options.hash);
+    if (options.preimage && options.hash && htlc.checkHash(options.hash) !== hash) {
+      throw new InvalidArgumentError('Preimage doesn\'t match the hash');
+    }
+    
+    const pubkeys = [].concat(options.pubkeys || []).map(normalizePubkey);
+    if (options.self) pubkeys.push(ownPubkey());
+    const threshold = options.threshold || pubkeys.length;
+    if (pubkeys.length > 0 && (!Number.isInteger(threshold) || threshold < 1 || threshold > pubkeys.length)) {
+      throw new InvalidArgumentError(`Threshold must be between 1 and ${pubkeys.length}`);
+    }
+    
+    const refundKeys = (options.refundKeys || []).map(normalizePubkey);
+    if (options.refundSelf) refundKeys.push(ownPubkey());
+    if (refundKeys.length > 0 && !options.locktime) {
+      throw new InvalidArgumentError('Refund keys require a locktime');
+    }
+    
+    const mintUrl = options.mint || this.defaultMint;
+    const wallet = await this.wallet(mintUrl);
+    if (!wallet.getMintInfo().isSupported(14).supported) {
+      throw new InvalidArgumentError(`${mintUrl} doesn't support hash locks (NUT-14)`);
+    }
+    
+    const counterparty = options.counterparty || (pubkeys.length > 0 ? pubkeys.join(',') : `hash:${hash}`);
+    const spend = {
+      action: 'lock',
+      mint: mintUrl,
+      amount,
+      pubkeys,
+      recipients: [],
+      counterparty,
+      refundKeys,
+      locktime: options.locktime || null
+    };
+    requireBalance(mintUrl, amount);
+    // The preimage stays out of approval requests: they replay with the hash
+    await this._authorize(spend, options.confirm, {
+      method: 'lockToHash',
+      args: [amount, {
+        hash,
+        pubkeys,
+        threshold: options.threshold,
+        refundKeys,
+        refundThreshold: options.refundThreshold,
+        locktime: options.locktime,
+        counterparty,
+        memo: options.memo,
+        mint: mintUrl
+      }]
+    });
+    
+    const lock = {
+      hash,
+      pubkeys,
+      threshold,
+      refundKeys,
+      refundThreshold: options.refundThreshold,
+      locktime: options.locktime
+    };
+    const locked = await store.withWalletLock(() => {
+      checkSpend(spend, { agent: this.agent });
+      return sendAndRecord(wallet, mintUrl, amount, {
+        htlc: lock,
+        type: 'lock',
+        counterparty,
+        memo: options.memo,
+        agent: this.agent
+      });
+    });
+    
+    return {
+      mint: mintUrl,
+      amount: locked.amount,
+      fee: locked.fee,
+      hash,
+      preimage: options.preimage ? options.preimage.toLowerCase() : null,
+      pubkeys,
+      threshold: pubkeys.length > 0 ? threshold : 0,
+      refundPubkeys: refundKeys,
+      locktime: options.locktime || null,
+      sigFlag: 'SIG_INPUTS',
+      token: locked.token,
+      balance: locked.balance
+    };
+  }
+  
+  /**
+   * The preimage a hash-locked token revealed when it was redeemed
+   *
+   * The mint keeps the witness of a spent proof (NUT-07): once the other
+   * side of an atomic swap has redeemed, its preimage is here to redeem
+   * our side with.
+   *
+   * @param {string} token - Encoded hash-locked token
+   * @returns {Promise<RevealedPreimage>}
+   * @throws {InvalidTokenError}
+   * @throws {InvalidArgumentError} Not hash-locked
+   */
+  async revealedPreimage(token) {
+    if (!token) throw new InvalidArgumentError('Token required');
+    
+    let decoded;
+    try {
+      decoded = await decodeToken(token, (mint) => this.wallet(mint));
+    } catch (e) {
+      throw new InvalidTokenError(`Invalid token format: ${e.message}`);
+    }
+    const proofs = decoded.proofs.filter(htlc.isHTLC);
+    if (proofs.length === 0) throw new InvalidArgumentError('Token is not hash-locked');
+    
+    const wallet = await this.wallet(decoded.mint);
+    const states = await wallet.checkProofsStates(proofs);
+    const preimage = proofs.map((p, i) => htlc.revealedPreimage(p, states[i].witness)).find(Boolean) || null;
+    const state = ['SPENT', 'PENDING'].find(s => states.some(x => x.state === s)) || 'UNSPENT';
+    
+    return { mint: decoded.mint, hash: htlc.hashlockOf(proofs[0]), state, preimage };
+  }
+  
+  /**
+   * Group members' pubkeys (kept for cacheTtl, since each member is a
+   * keymaster lookup)
+   */
+  _resolveGroup(group) {
+    const cached = this._groups.get(group);
+    if (cached && Date.now() - cached.at <= this.cacheTtl) {
+      return cached.resolved;
+    }
+    const resolved = groups.resolveGroupPubkeys(group);
+    if (this.cacheTtl) {
+      this._groups.set(group, { resolved, at: Date.now() });
+    }
+    return resolved;
+  }
+  
+  /**
+   * Approval requests, oldest first (a wallet acting for an agent only
+   * sees that agent's)
+   *
+   * @param {object} [options]
+   * @param {string} [options.state] - pending, approved, completed, failed, rejected or expired
+   * @returns {ApprovalRequest[]} See lib/approvals.js
+   */
+  approvals({ state } = {}) {
+    return approvals.listRequests({ state, agent: this.agent || undefined });
+  }
+  
+  /**
+   * One approval request, with its result once completed
+   *
+   * @param {string} id
+   * @returns {ApprovalRequest}
+   * @throws {NotFoundError}
+   */
+  approval(id) {
+    if (!id) throw new InvalidArgumentError('Approval request ID required');
+    const request = approvals.getRequest(id);
+    if (this.agent && request.agent !== this.agent) {
+      throw new NotFoundError(`No approval request ${id}`);
+    }
+    return request;
+  }
+  
+  /**
+   * Approve a parked spend and carry it out
+   *
+   * The spend is replayed for the agent that asked and checked against
+   * the spending policy again (budgets may have been used up meanwhile).
+   * A replay that fails leaves the request failed, with the error; it
+   * isn't retried.
+   *
+   * Replays hold the wallet lock, so a request found approved here was
+   * interrupted (the process ended mid-replay). Approving it again
+   * resumes it: the call is replayed if the wallet recorded nothing since
+   * the approval, and the request fails otherwise, as the spend may have
+   * gone through (see pending.js and history.js).
+   *
+   * @param {string} id
+   * @param {{pubkey: string, sig: string}} [signed] - Approval signed by one of
+   *   the policy's approvers. Without it, the caller approves (approve.js)
+   * @returns {Promise<ApprovalRequest>} completed (with result) or failed (with error)
+   * @throws {NotFoundError}
+   * @throws {InvalidArgumentError} The request isn't pending (or interrupted)
+   * @throws {PolicyViolationError} The signature isn't from an approver or doesn't match
+   */
+  async approve(id, signed) {
+    return store.withWalletLock(async () => {
+      const request = this.approval(id);
+      if (!['pending', 'approved'].includes(request.state)) {
+        throw new InvalidArgumentError(`Approval request ${id} is ${request.state}`);
+      }
+      const approvedBy = signed
+        ? approvals.verifyApproval(request, signed, (loadPolicy() || {}).approvers || [])
+        : 'local';
+      
+      if (request.state === 'approved') {
+        const since = request.approvedAt;
+        const traces = store.getHistory({ since: new Date(since) }).length +
+          store.getPending().filter(r => r.createdAt >= since).length;
+        if (traces > 0) {
+          const error = {
+            code: 'ERROR',
+            message: 'Interrupted while being carried out, and the wallet changed since: check pending.js and history.js ' +
+              'before asking again'
+          };
+          return approvals.updateRequest(id, { state: 'failed', error, finishedAt: new Date().toISOString() });
+        }
+      } else {
+        approvals.updateRequest(id, { state: 'approved', approvedBy, approvedAt: new Date().toISOString() });
+      }
+      
+      const replay = Object.assign(Object.create(this), { agent: request.agent, _approved: id });
+      try {
+        const result = await replay[request.method](...request.args);
+        return approvals.updateRequest(id, { state: 'completed', result, finishedAt: new Date().toISOString() });
+      } catch (err) {
+        const error = { code: errorCode(err), message: err.message };
+        if (err.pending) error.pending = err.pending;
+        return approvals.updateRequest(id, { state: 'failed', error, finishedAt: new Date().toISOString() });
+      }
+    });
+  }
+  
+  /**
+   * Turn down a parked spend
+   *
+   * @param {string} id
+   * @returns {Promise<ApprovalRequest>}
+   * @throws {NotFoundError}
+   * @throws {InvalidArgumentError} The request isn't pending
+   */
+  async reject(id) {
+    return store.withWalletLock(() => {
+      const request = this.approval(id);
+      if (request.state !== 'pending') {
+        throw new InvalidArgumentError(`Approval request ${id} is ${request.state}`);
+      }
+      return approvals.updateRequest(id, { state: 'rejected', finishedAt: new Date().toISOString() });
+    });
+  }
+  
+  /**
+   * Decode a token without claiming it
+   *
+   * Every proof's spending conditions, grouped, with the keys named where
+   * the wallet knows them, and its DLEQ proof checked against the keyset
+   * as cached: all offline. With check, the mint is asked whether the
+   * proofs are spent (NUT-07) and for its keysets' current fees and
+   * status.
+   *
+   * @param {string} token - Encoded token
+   * @param {object} [options]
+   * @param {boolean} [options.check] - Ask the mint
+   * @returns {Promise<InspectResult>}
+   * @throws {InvalidTokenError}
+   */
+  async inspect(token, { check = false } = {}) {
+    if (!token) throw new InvalidArgumentError('Token required');
+    
+    let decoded;
+    try {
+      decoded = await decodeToken(token, (mint) => this.wallet(mint));
+    } catch (e) {
+      throw new InvalidTokenError(`Invalid token format: ${e.message}`);
+    }
+    
+    const locked = decoded.proofs.find(isP2PK);
+    let lockedTo = null;
+    if (locked) {
+      const data = getSecretData(locked.secret);
+      lockedTo = (data && data.data) || null;
+    }
+    
+    const hashed = decoded.proofs.find(htlc.isHTLC);
+    let hashlock = null;
+    if (hashed) {
+      const pubkeys = getP2PKWitnessPubkeys(hashed.secret);
+      const locktime = getP2PKLocktime(hashed.secret);
+      hashlock = {
+        hash: htlc.hashlockOf(hashed),
+        pubkeys,
+        threshold: pubkeys.length > 0 ? getTagInt(hashed.secret, 'n_sigs') || 1 : 0,
+        refundPubkeys: getP2PKWitnessRefundkeys(hashed.secret),
+        locktime: Number.isFinite(locktime) ? locktime : null
+      };
+    }
+    
+    const denominations = {};
+    for (const p of decoded.proofs) {
+      denominations[p.amount] = (denominations[p.amount] || 0) + 1;
+    }
+    
+    let cached = (store.getMintCache(decoded.mint) || {}).keychain;
+    let states = null;
+    if (check) {
+      const wallet = await this.wallet(decoded.mint);
+      cached = wallet.keyChain.cache;
+      states = (await wallet.checkProofsStates(decoded.proofs)).map(s => s.state);
+    }
+    const keysets = {};
+    for (const keyset of (cached && cached.keysets) || []) keysets[keyset.id] = keyset;
+    
+    const known = knownKeys();
+    const identify = (pk) => inspection.identify(pk, known);
+    const groups = inspection.groupByCondition(decoded.proofs);
+    const conditions = groups.map(({ condition, proofs }) => ({
+      ...condition,
+      pubkeys: condition.pubkeys.map(identify),
+      refundPubkeys: condition.refundPubkeys.map(identify),
+      amount: sumProofs(proofs),
+      proofs: proofs.length
+    }));
+    
+    const dleq = { valid: 0, invalid: 0, missing: 0, unverified: 0 };
+    const details = decoded.proofs.map((p, i) => {
+      const result = inspection.dleqOf(p, keysets[p.id]);
+      dleq[result]++;
+      return {
+        amount: p.amount,
+        keyset: p.id,
+        condition: groups.findIndex(g => g.proofs.includes(p)),
+        dleq: result,
+        state: states ? states[i] : null
+      };
+    });
+    
+    const used = [...new Set(decoded.proofs.map(p => p.id))].map(id => {
+      const keyset = keysets[id];
+      return {
+        id,
+        proofs: decoded.proofs.filter(p => p.id === id).length,
+        known: !!keyset,
+        active: keyset ? keyset.active !== false : null,
+        inputFeePpk: keyset ? keyset.input_fee_ppk || 0 : null
+      };
+    });
+    
+    return {
+      mint: decoded.mint,
+      unit: decoded.unit || 'sat',
+      amount: sumProofs(decoded.proofs),
+      proofs: decoded.proofs.length,
+      memo: decoded.memo || null,
+      p2pk: !!locked,
+      lockedTo,
+      hashlock,
+      denominations,
+      conditions,
+      keysets: used,
+      fee: inspection.inputFee(decoded.proofs, keysets),
+      dleq,
+      details,
+      checked: check,
+      states: states && {
+        UNSPENT: states.filter(s => s === CheckStateEnum.UNSPENT).length,
+        PENDING: states.filter(s => s === CheckStateEnum.PENDING).length,
+        SPENT: states.filter(s => s === CheckStateEnum.SPENT).length
+      }
+    };
+  }
+  
+  /**
+   * Decode a Lightning invoice without paying it
+   *
+   * Reports what melt() would pay (amount, payee node, description,
+   * expiry, network) and why it would turn the invoice down, if it would.
+   *
+   * @param {string} invoice - bolt11 invoice
+   * @param {object} [options]
+   * @param {number} [options.amount] - Sats that would be paid, for an invoice without an amount
+   * @returns {InvoiceInfo}
+   * @throws {InvalidArgumentError} Not a bolt11 invoice
+   */
+  inspectInvoice(invoice, { amount } = {}) {
+    if (!invoice) throw new InvalidArgumentError('Invoice required');
+    const decoded = decodeInvoice(invoice);
+    return {
+      ...decoded,
+      expired: decoded.expiresAt <= Math.floor(Date.now() / 1000),
+      problems: invoiceProblems(decoded, { network: store.loadConfig().network, amount })
+    };
+  }
+  
+  /**
+   * Transaction ledger, optionally filtered
+   *
+   * @param {object} [filters]
+   * @param {string|string[]} [filters.type] - Transaction type(s) (see store.TX_TYPES)
+   * @param {string} [filters.mint]
+   * @param {string} [filters.counterparty] - Case-insensitive substring
+   * @param {Date|string} [filters.since] - Date, ISO date or age ("24h", "7d")
+   * @param {Date|string} [filters.until] - Date, ISO date or age
+   * @param {number} [filters.limit] - Only the most recent N entries
+   * @returns {Promise<HistoryResult>}
+   */
+  async history({ type, mint, counterparty, since, until, limit } = {}) {
+    const types = type ? [].concat(type) : null;
+    for (const t of types || []) {
+      if (!store.TX_TYPES.includes(t)) {
+        throw new InvalidArgumentError(`Unknown type: ${t} (types: ${store.TX_TYPES.join(', ')})`);
+      }
+    }
+    if (limit !== undefined && limit !== null && (!Number.isInteger(limit) || limit <= 0)) {
+      throw new InvalidArgumentError(`Invalid limit: ${limit}`);
+    }
+    
+    let transactions = store.getHistory({
+      type: types,
+      mint,
+      counterparty,
+      since: since ? toDate(since) : undefined,
+      until: until ? toDate(until) : undefined
+    });
+    if (limit) {
+      transactions = transactions.slice(-limit);
+    }
+    
+    const totals = { incoming: 0, outgoing: 0, fees: 0 };
+    for (const tx of transactions) {
+      if (store.INCOMING_TYPES.includes(tx.type)) totals.incoming += tx.amount;
+      if (store.OUTGOING_TYPES.includes(tx.type)) totals.outgoing += tx.amount;
+      totals.fees += tx.fee || 0;
+    }
+    return { transactions, ...totals };
+  }
+}
+
+module.exports = {
+  HexNutsWallet
+};
@@ -0,0 +1,205 @@
+/**
+ * Hash Time-Locked Contracts (NUT-14)
+ *
+ * An HTLC token is locked to a SHA-256 hash: redeeming it takes the
+ * preimage (32 bytes, hex), plus signatures when the lock also names
+ * pubkeys (the NUT-11 pubkeys and n_sigs tags). Like a P2PK lock it can
+ * carry a locktime, after which its refund keys can take it back without
+ * the preimage (or anyone can, when it names none).
+ *
+ * A Lightning payment hash is such a hash, so a token locked to an
+ * invoice's payment hash is redeemable once that invoice is paid. And
+ * the mint publishes the preimage with the spent proof (NUT-07), which
+ * makes atomic swaps possible across mints:
+ *
+ *   1. Alice picks a preimage and locks ecash on her mint to its hash
+ *      and Bob's key, refundable to her after 48 hours.
+ *   2. Bob locks ecash on his mint to the same hash and Alice's key,
+ *      refundable to him after 24 hours.
+ *   3. Alice redeems Bob's token, revealing the preimage at his mint.
+ *   4. Bob reads the preimage from his mint (HexNutsWallet.revealedPreimage)
+ *      and redeems Alice's token with it.
+ *
+ * If Alice never redeems, both take their ecash back through the refund
+ * path (reclaim.js). Bob's locktime is the shorter one so he always has
+ * time to redeem after Alice has revealed the preimage.
+ */
+
+const {
+  OutputData,
+  blindMessage,
+  createHTLCHash,
+  createHTLCsecret,
+  getSecretKind,
+  getSecretData,
+  getHTLCWitnessPreimage,
+  getP2PKWitnessPubkeys,
+  verifyHTLCHash,
+  verifyHTLCSpendingConditions
+} = require('@cashu/cashu-ts');
+const { InvalidArgumentError } = require('./errors');
+
+const HEX32 = /^[0-9a-f]{64}$/i;
+
+/**
+ * @typedef {object} HashlockOptions
+ * @property {string} hash - SHA-256 of the preimage (hex)
+ * @property {string[]} [pubkeys] - Keys that must also sign on redemption
+ * @property {number} [threshold] - Signatures needed from pubkeys (default: all)
+ * @property {string[]} [refundKeys] - Keys that can spend once locktime has passed
+ * @property {number} [refundThreshold] - Refund signatures needed
+ * @property {number} [locktime] - Unix time the refund path opens
+ */
+
+function isHTLC(proof) {
+  try {
+    return getSecretKind(proof.secret) === 'HTLC';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * A random preimage and its hash
+ *
+ * @returns {{preimage: string, hash: string}} Hex
+ */
+function newPreimage() {
+  return createHTLCHash();
+}
+
+/**
+ * Hash of a preimage
+ *
+ * @param {string} preimage - 32 bytes, hex
+ * @returns {string}
+ * @throws {InvalidArgumentError} Not 32 bytes of hex
+ */
+function hashOf(preimage) {
+  if (!HEX32.test(preimage || '')) {
+    throw new InvalidArgumentError('Preimage must be 32 bytes of hex (64 characters)');
+  }
+  return createHTLCHash(preimage.toLowerCase()).hash;
+}
+
+/**
+ * @throws {InvalidArgumentError} Not a SHA-256 hash in hex
+ */
+function checkHash(hash) {
+  if (!HEX32.test(hash || '')) {
+    throw new InvalidArgumentError('Hash must be a SHA-256 hash in hex (64 characters)');
+  }
+  return hash.toLowerCase();
+}
+
+/**
+ * The hash an HTLC proof is locked to (null: not an HTLC)
+ *
+ * @param {object} proof
+ * @returns {string|null}
+ */
+function hashlockOf(proof) {
+  return isHTLC(proof) ? getSecretData(proof.secret).data : null;
+}
+
+/**
+ * NUT-10 tags for a hashlock's other conditions
+ *
+ * @param {HashlockOptions} options
+ * @returns {string[][]}
+ */
+function hashlockTags({ pubkeys = [], threshold, refundKeys = [], refundThreshold, locktime }) {
+  const tags = [];
+  if (locktime) tags.push(['locktime', String(locktime)]);
+  if (pubkeys.length > 0) {
+    tags.push(['pubkeys', ...pubkeys]);
+    if (threshold > 1) tags.push(['n_sigs', String(threshold)]);
+  }
+  if (refundKeys.length > 0) {
+    tags.push(['refund', ...refundKeys]);
+    if (refundThreshold > 1) tags.push(['n_sigs_refund', String(refundThreshold)]);
+  }
+  return tags;
+}
+
+/**
+ * cashu-ts output type creating HTLC outputs (its P2PK outputs need a
+ * pubkey, a hashlock doesn't)
+ *
+ * @param {HashlockOptions} options
+ * @returns {{type: 'factory', factory: function}}
+ */
+function hashlockOutputs(options) {
+  const tags = hashlockTags(options);
+  const factory = (amount, keyset) => {
+    const secret = new TextEncoder().encode(createHTLCsecret(options.hash, tags));
+    const { B_, r } = blindMessage(secret);
+    return new OutputData({ amount, B_: B_.toHex(true), id: keyset.id }, r, secret);
+  };
+  return { type: 'factory', factory };
+}
+
+/**
+ * Put the preimage in the witness of the HTLC proofs it opens (before
+ * any signing: signatures keep it)
+ *
+ * @param {object[]} proofs
+ * @param {string} preimage
+ * @returns {object[]}
+ * @throws {InvalidArgumentError} It opens none of them
+ */
+function addPreimage(proofs, preimage) {
+  const hash = hashOf(preimage);
+  if (!proofs.some(p => hashlockOf(p) === hash)) {
+    throw new InvalidArgumentError('Preimage doesn\'t match the token\'s hashlock');
+  }
+  return proofs.map(p => {
+    if (hashlockOf(p) !== hash) return p;
+    const witness = typeof p.witness === 'string' ? JSON.parse(p.witness) : p.witness;
+    return { ...p, witness: { ...witness, preimage: preimage.toLowerCase(), signatures: (witness && witness.signatures) || [] } };
+  });
+}
+
+/**
+ * Whether an HTLC proof's witness meets its lock now, and how
+ *
+ * @param {object} proof - With its witness
+ * @param {string} [message] - What the signatures sign, with SIG_ALL
+ * @returns {{success: boolean, path: 'MAIN'|'REFUND'|'UNLOCKED'|'FAILED'}}
+ */
+function verifyHashlock(proof, message) {
+  const check = verifyHTLCSpendingConditions(proof, undefined, message);
+  if (check.success) return check;
+  // A lock without pubkeys takes the preimage alone (cashu-ts asks for a signature)
+  const preimage = getHTLCWitnessPreimage(proof.witness);
+  if (getP2PKWitnessPubkeys(proof.secret).length === 0 && preimage && verifyHTLCHash(preimage, hashlockOf(proof))) {
+    return { ...check, success: true, path: 'MAIN' };
+  }
+  return check;
+}
+
+/**
+ * The preimage in a spent proof's witness, as the mint reports it
+ * (NUT-07), if it opens the proof's hashlock
+ *
+ * @param {object} proof
+ * @param {string|null} witness - From the proof state
+ * @returns {string|null}
+ */
+function revealedPreimage(proof, witness) {
+  const preimage = witness ? getHTLCWitnessPreimage(witness) : undefined;
+  return preimage && verifyHTLCHash(preimage, hashlockOf(proof)) ? preimage : null;
+}
+
+module.exports = {
+  isHTLC,
+  newPreimage,
+  hashOf,
+  checkHash,
+  hashlockOf,
+  hashlockTags,
+  hashlockOutputs,
+  addPreimage,
+  verifyHashlock,
+  revealedPreimage
+};
@@ -0,0 +1,191 @@
+/**
+ * Token Inspection
+ *
+ * Reads what a token's proofs say about how they can be spent, without
+ * spending them. Each proof's secret is decoded (NUT-10): a plain secret
+ * is spendable by anyone holding it, a P2PK one (NUT-11) by signatures of
+ * its keys, an HTLC one (NUT-14) with a preimage. The conditions are the
+ * secret's data and tags (pubkeys, n_sigs, locktime, refund,
+ * n_sigs_refund, sigflag): proofs sharing them are grouped, so a token
+ * that mixes locks shows each one with what it holds.
+ *
+ * The mint's DLEQ proofs (NUT-12) are checked against the keyset's keys
+ * as the wallet has them cached, without asking the mint: a valid one
+ * shows the proof was signed by that keyset, so the token isn't forged
+ * by whoever sent it (it may still be spent: see NUT-07 state).
+ *
+ * Pubkeys are shown with their npub, and with the DID the wallet locked
+ * to them before (from the ledger) or as the wallet's own key.
+ */
+
+const {
+  getSecretKind,
+  getSecretData,
+  getP2PKWitnessPubkeys,
+  getP2PKWitnessRefundkeys,
+  getP2PKNSigs,
+  getP2PKLocktime,
+  getP2PKSigFlag,
+  hasValidDleq
+} = require('@cashu/cashu-ts');
+const { bech32 } = require('@scure/base');
+
+// Tags described by the fields of a Condition
+const KNOWN_TAGS = ['pubkeys', 'n_sigs', 'locktime', 'refund', 'n_sigs_refund', 'sigflag'];
+
+/**
+ * @typedef {object} Condition - How a group of proofs can be spent
+ * @property {'P2PK'|'HTLC'|string|null} kind - NUT-10 kind (null: a plain secret, spendable by anyone)
+ * @property {string|null} hash - Hash an HTLC is locked to
+ * @property {string[]} pubkeys - Keys that sign on the main path (P2PK: its data key first)
+ * @property {number} threshold - Signatures they must give (0: none)
+ * @property {number|null} locktime - Unix time the refund path opens
+ * @property {string[]} refundPubkeys
+ * @property {number} refundThreshold - Refund signatures needed (0: past the locktime anyone can spend)
+ * @property {'SIG_INPUTS'|'SIG_ALL'|null} sigFlag - What signatures cover
+ * @property {string[][]} otherTags - Tags HexNuts doesn't know
+ */
+
+function plain() {
+  return {
+    kind: null,
+    hash: null,
+    pubkeys: [],
+    threshold: 0,
+    locktime: null,
+    refundPubkeys: [],
+    refundThreshold: 0,
+    sigFlag: null,
+    otherTags: []
+  };
+}
+
+/**
+ * The spending conditions in a proof's secret
+ *
+ * @param {object} proof
+ * @returns {Condition}
+ */
+function conditionOf(proof) {
+  let kind;
+  try {
+    kind = getSecretKind(proof.secret);
+  } catch (e) {
+    return plain();
+  }
+  const { data, tags = [] } = getSecretData(proof.secret);
+  const otherTags = tags.filter(([key]) => !KNOWN_TAGS.includes(key));
+  if (kind !== 'P2PK' && kind !== 'HTLC') {
+    return { ...plain(), kind, otherTags: tags };
+  }
+  
+  const pubkeys = getP2PKWitnessPubkeys(proof.secret);
+  const refundPubkeys = getP2PKWitnessRefundkeys(proof.secret);
+  const locktime = getP2PKLocktime(proof.secret);
+  // getP2PKNSigsRefund gives 0 until the locktime passes: read the tag
+  const refundTag = tags.find(([key]) => key === 'n_sigs_refund');
+  return {
+    kind,
+    hash: kind === 'HTLC' ? data : null,
+    pubkeys,
+    threshold: pubkeys.length > 0 ? getP2PKNSigs(proof.secret) : 0,
+    locktime: Number.isFinite(locktime) ? locktime : null,
+    refundPubkeys,
+    refundThreshold: refundPubkeys.length > 0 ? (refundTag ? parseInt(refundTag[1]) : 1) : 0,
+    sigFlag: getP2PKSigFlag(proof.secret),
+    otherTags
+  };
+}
+
+/**
+ * @typedef {object} KeyIdentity
+ * @property {string} pubkey - As in the secret
+ * @property {string} npub - The same key as a Nostr npub
+ * @property {string|null} did - Archon DID the wallet knows it by
+ * @property {boolean} own - The wallet's own key
+ */
+
+function npubOf(pubkey) {
+  return bech32.encode('npub', bech32.toWords(Buffer.from(pubkey.slice(-64), 'hex')));
+}
+
+/**
+ * Who a pubkey belongs to, as far as the wallet knows
+ *
+ * @param {string} pubkey - Hex, with or without 02/03
+ * @param {object} known
+ * @param {string|null} known.own - Own pubkey (null: none)
+ * @param {Map<string, string>} known.dids - DID by x-only pubkey
+ * @returns {KeyIdentity}
+ */
+function identify(pubkey, { own, dids }) {
+  const xonly = pubkey.slice(-64).toLowerCase();
+  return {
+    pubkey,
+    npub: npubOf(pubkey),
+    did: dids.get(xonly) || null,
+    own: !!own && own.slice(-64).toLowerCase() === xonly
+  };
+}
+
+/**
+ * Whether a proof's DLEQ shows it was signed by its keyset
+ *
+ * @param {object} proof
+ * @param {{id: string, keys: Object<string, string>}|null} keyset - As cached (null: unknown)
+ * @returns {'valid'|'invalid'|'missing'|'unverified'} unverified: the keyset's keys aren't known
+ */
+function dleqOf(proof, keyset) {
+  if (!proof.dleq) return 'missing';
+  if (!keyset || !keyset.keys) return 'unverified';
+  try {
+    return hasValidDleq(proof, keyset) ? 'valid' : 'invalid';
+  } catch (e) {
+    // No key for the amount in that keyset
+    return 'invalid';
+  }
+}
+
+/**
+ * Proofs grouped by their conditions, in the order each first appears
+ *
+ * @param {object[]} proofs
+ * @returns {Array<{condition: Condition, proofs: object[]}>}
+ */
+function groupByCondition(proofs) {
+  const groups = new Map();
+  for (const proof of proofs) {
+    const condition = conditionOf(proof);
+    const key = JSON.stringify(condition);
+    if (!groups.has(key)) groups.set(key, { condition, proofs: [] });
+    groups.get(key).proofs.push(proof);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Input fee for spending proofs (NUT-02): the keysets' fees per proof,
+ * rounded up to whole sats
+ *
+ * @param {object[]} proofs
+ * @param {Object<string, {input_fee_ppk?: number}>} keysets - By id
+ * @returns {number|null} null: a keyset isn't known
+ */
+function inputFee(proofs, keysets) {
+  let ppk = 0;
+  for (const p of proofs) {
+    const keyset = keysets[p.id];
+    if (!keyset) return null;
+    ppk += keyset.input_fee_ppk || 0;
+  }
+  return Math.ceil(ppk / 1000);
+}
+
+module.exports = {
+  conditionOf,
+  npubOf,
+  identify,
+  dleqOf,
+  groupByCondition,
+  inputFee
+};
@@ -0,0 +1,215 @@
+/**
+ * Lightning Addresses and LNURL-pay
+ *
+ * Resolves a Lightning address (LUD-16, name@domain) or an LNURL (LUD-01
+ * lnurl1..., LUD-17 lnurlp://) to the service's pay request (LUD-06) and
+ * asks it for an invoice. The invoice is checked before anything pays
+ * it: its amount must be the one asked for and its description hash
+ * must commit to the pay request's metadata, so neither the service nor
+ * anyone in between can swap in a different payment.
+ *
+ * Services are reached over https; plain http only for .onion hosts
+ * (LUD-16) and localhost.
+ */
+
+const crypto = require('crypto');
+const { bech32 } = require('@scure/base');
+const { decodeInvoice } = require('./bolt11');
+const { InvalidArgumentError, LnurlError } = require('./errors');
+
+const ADDRESS = /^([a-z0-9\-_.+]+)@([a-z0-9\-.]+(?::\d+)?)$/;
+
+const TIMEOUT = 15 * 1000;
+
+/**
+ * @typedef {object} PayRequest - A service's LUD-06 pay request
+ * @property {string} callback - Where invoices are asked for
+ * @property {number} minSendable - Millisatoshis
+ * @property {number} maxSendable - Millisatoshis
+ * @property {string} metadata - JSON text; its SHA-256 is the invoice's description hash
+ * @property {number} commentAllowed - Longest comment accepted (LUD-12; 0: none)
+ * @property {string|null} address - Lightning address, if resolved from one
+ * @property {string} url - Where the pay request came from
+ * @property {string|null} description - text/plain of the metadata
+ */
+
+function isLocalHost(host) {
+  return /^(localhost|127\.\d+\.\d+\.\d+|\[::1\])(:\d+)?$/.test(host) || /\.onion(:\d+)?$/.test(host);
+}
+
+/**
+ * Whether text is a Lightning address or an LNURL (not a bolt11 invoice)
+ */
+function isPayTarget(text) {
+  const target = String(text || '').trim().toLowerCase().replace(/^lightning:/, '');
+  return ADDRESS.test(target) || target.startsWith('lnurl1') || target.startsWith('lnurlp://');
+}
+
+/**
+ * URL of a Lightning address or LNURL
+ *
+ * @param {string} target - name@domain, lnurl1..., lnurlp://... (a lightning: prefix is accepted)
+ * @returns {{url: string, address: string|null}}
+ * @throws {InvalidArgumentError}
+ */
+function parseTarget(target) {
+  const text = String(target || '').trim().replace(/^lightning:/i, '');
+  const lower = text.toLowerCase();
+  
+  const match = ADDRESS.exec(lower);
+  if (match) {
+    const [, name, host] = match;
+    const scheme = isLocalHost(host) ? 'http' : 'https';
+    return { url: `${scheme}://${host}/.well-known/lnurlp/${name}`, address: lower };
+  }
+  
+  let url;
+  if (lower.startsWith('lnurl1')) {
+    try {
+      const { words } = bech32.decode(lower, Number.MAX_SAFE_INTEGER);
+      url = Buffer.from(bech32.fromWords(words)).toString('utf8');
+    } catch (e) {
+      throw new InvalidArgumentError(`Invalid LNURL: ${e.message}`);
+    }
+  } else if (lower.startsWith('lnurlp://')) {
+    url = text.replace(/^lnurlp:\/\//i, 'https://');
+  } else {
+    throw new InvalidArgumentError(`Not a Lightning address or LNURL: ${text}`);
+  }
+  
+  return { url: checkUrl(url), address: null };
+}
+
+// Services are https, except on localhost and .onion
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new InvalidArgumentError(`Invalid LNURL: ${url} is not a URL`);
+  }
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && isLocalHost(parsed.host))) {
+    throw new InvalidArgumentError(`LNURL services must use https: ${url}`);
+  }
+  return parsed.toString();
+}
+
+async function fetchJson(url) {
+  let response;
+  try {
+    response = await fetch(url, { headers: { accept: 'application/json' }, signal: AbortSignal.timeout(TIMEOUT) });
+  } catch (e) {
+    throw new LnurlError(`${new URL(url).host} unreachable: ${e.message}`, { url });
+  }
+  
+  let body;
+  try {
+    body = await response.json();
+  } catch (e) {
+    throw new LnurlError(`${new URL(url).host} answered ${response.status} without JSON`, { url });
+  }
+  if (body && body.status === 'ERROR') {
+    throw new LnurlError(`${new URL(url).host}: ${body.reason || 'error'}`, { url });
+  }
+  if (!response.ok) {
+    throw new LnurlError(`${new URL(url).host} answered ${response.status}`, { url });
+  }
+  return body;
+}
+
+/**
+ * Fetch the pay request of a Lightning address or LNURL
+ *
+ * @param {string} target - See parseTarget()
+ * @returns {Promise<PayRequest>}
+ * @throws {InvalidArgumentError} Not an address or LNURL
+ * @throws {LnurlError} Service unreachable, or not a pay request
+ */
+async function resolvePayRequest(target) {
+  const { url, address } = parseTarget(target);
+  const body = await fetchJson(url);
+  
+  if (!body || body.tag !== 'payRequest') {
+    throw new LnurlError(`${address || url} is not an LNURL-pay service (tag: ${body && body.tag})`, { url });
+  }
+  const { callback, minSendable, maxSendable, metadata } = body;
+  if (!callback || typeof metadata !== 'string' || !(minSendable > 0) || !(maxSendable >= minSendable)) {
+    throw new LnurlError(`Invalid pay request from ${address || url}`, { url });
+  }
+  
+  let description = null;
+  try {
+    const text = JSON.parse(metadata).find(entry => entry[0] === 'text/plain');
+    description = text ? text[1] : null;
+  } catch (e) {
+    throw new LnurlError(`Invalid pay request metadata from ${address || url}`, { url });
+  }
+  
+  return {
+    callback: checkUrl(callback),
+    minSendable,
+    maxSendable,
+    metadata,
+    commentAllowed: body.commentAllowed || 0,
+    address,
+    url,
+    description
+  };
+}
+
+/**
+ * Ask a pay request for an invoice, and check it
+ *
+ * @param {PayRequest} payRequest
+ * @param {number} amount - Sats
+ * @param {object} [options]
+ * @param {string} [options.comment] - Shown to the payee (LUD-12)
+ * @returns {Promise<{invoice: string, successAction: object|null}>}
+ * @throws {InvalidArgumentError} Amount out of the service's range, or comment too long
+ * @throws {LnurlError} Service failed, or the invoice doesn't match
+ */
+async function fetchInvoice(payRequest, amount, { comment } = {}) {
+  const msat = amount * 1000;
+  const who = payRequest.address || new URL(payRequest.url).host;
+  if (msat < payRequest.minSendable || msat > payRequest.maxSendable) {
+    throw new InvalidArgumentError(`${who} accepts ${Math.ceil(payRequest.minSendable / 1000)} to ` +
+      `${Math.floor(payRequest.maxSendable / 1000)} sats, not ${amount}`);
+  }
+  if (comment && comment.length > payRequest.commentAllowed) {
+    throw new InvalidArgumentError(payRequest.commentAllowed > 0
+      ? `${who} accepts comments of up to ${payRequest.commentAllowed} characters`
+      : `${who} doesn't accept comments`);
+  }
+  
+  const url = new URL(payRequest.callback);
+  url.searchParams.set('amount', String(msat));
+  if (comment) url.searchParams.set('comment', comment);
+  const body = await fetchJson(url.toString());
+  
+  if (!body || typeof body.pr !== 'string') {
+    throw new LnurlError(`${who} returned no invoice`, { url: payRequest.callback });
+  }
+  let invoice;
+  try {
+    invoice = decodeInvoice(body.pr);
+  } catch (e) {
+    throw new LnurlError(`${who} returned an invalid invoice: ${e.message}`, { url: payRequest.callback });
+  }
+  if (invoice.amountMsat !== msat) {
+    throw new LnurlError(`${who} returned an invoice for ${invoice.amountMsat === null ? 'any amount' : `${invoice.amountMsat} msat`}, ` +
+      `not ${msat} msat`, { url: payRequest.callback });
+  }
+  const hash = crypto.createHash('sha256').update(payRequest.metadata, 'utf8').digest('hex');
+  if (invoice.descriptionHash !== hash) {
+    throw new LnurlError(`${who} returned an invoice whose description hash doesn't match its metadata`, { url: payRequest.callback });
+  }
+  
+  return { invoice: body.pr, successAction: body.successAction || null };
+}
+
+module.exports = {
+  isPayTarget,
+  parseTarget,
+  resolvePayRequest,
+  fetchInvoice
+};
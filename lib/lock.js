@@ -0,0 +1,230 @@
+/**
+ * Cross-process Lock Files
+ *
+ * A lock is a file created exclusively (O_EXCL) that holds the owner's
+ * pid, hostname and pid namespace. Waiting never spins: the async API
+ * sleeps on timers, the sync API blocks the thread with Atomics.wait.
+ *
+ * Stale locks are detected per owner:
+ *   - same host and pid namespace: stale once the owning pid is gone
+ *   - another host or container: stale once its heartbeat (the lock
+ *     file's mtime, refreshed while an async lock is held) is older than
+ *     STALE_AFTER
+ *
+ * Async locks are reentrant within one async call chain (via
+ * AsyncLocalStorage), so an operation holding the wallet lock can call
+ * helpers that take it again.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+
+const RETRY_MIN = 25;
+const RETRY_MAX = 500;
+const HEARTBEAT_INTERVAL = 5000;
+const STALE_AFTER = 30000;
+
+const heldLocks = new AsyncLocalStorage();
+
+// Lock files this process owns, removed on exit
+const owned = new Set();
+
+process.on('exit', () => {
+  for (const file of owned) {
+    try {
+      fs.unlinkSync(file);
+    } catch (e) {
+      // Already gone
+    }
+  }
+});
+
+function pidNamespace() {
+  try {
+    return fs.readlinkSync('/proc/self/ns/pid');
+  } catch (e) {
+    return null;
+  }
+}
+
+const OWNER = {
+  pid: process.pid,
+  hostname: os.hostname(),
+  ns: pidNamespace()
+};
+
+function readLock(file) {
+  try {
+    const raw = fs.readFileSync(file, 'utf8');
+    const stat = fs.statSync(file);
+    let info = null;
+    try {
+      info = JSON.parse(raw);
+    } catch (e) {
+      // Not JSON
+    }
+    if (!info || typeof info !== 'object') {
+      // Lock files used to hold just the pid
+      info = { pid: parseInt(raw) };
+    }
+    return { raw, info, heartbeat: stat.mtimeMs };
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function isStale({ info, heartbeat }) {
+  // Pid-only locks predate host tracking and were always local
+  const sameHost = !info.hostname ||
+    (info.hostname === OWNER.hostname && (info.ns || null) === OWNER.ns);
+  if (sameHost && Number.isInteger(info.pid)) {
+    return !isProcessAlive(info.pid);
+  }
+  return Date.now() - heartbeat > STALE_AFTER;
+}
+
+function describe(lock) {
+  if (!lock) return 'another process';
+  const { info } = lock;
+  const where = info.hostname && info.hostname !== OWNER.hostname ? ` on ${info.hostname}` : '';
+  const since = info.acquiredAt ? ` since ${info.acquiredAt}` : '';
+  return `pid ${info.pid}${where}${since}`;
+}
+
+/**
+ * Try to create the lock file once
+ *
+ * Removes the lock first if its owner is gone. Returns {acquired: true}
+ * with our lock info, or {acquired: false} with the current lock (for
+ * error messages).
+ */
+function tryAcquire(file) {
+  const info = { ...OWNER, acquiredAt: new Date().toISOString(), token: crypto.randomBytes(8).toString('hex') };
+  try {
+    fs.writeFileSync(file, JSON.stringify(info), { flag: 'wx', mode: 0o600 });
+    owned.add(file);
+    return { acquired: true, info };
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+  }
+  
+  const lock = readLock(file);
+  if (lock && isStale(lock)) {
+    // Only remove it if nobody replaced it since we looked
+    const again = readLock(file);
+    if (again && again.raw === lock.raw) {
+      try {
+        fs.unlinkSync(file);
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    }
+    return tryAcquire(file);
+  }
+  return { acquired: false, lock };
+}
+
+function release(file, token) {
+  owned.delete(file);
+  const lock = readLock(file);
+  if (lock && lock.info.token === token) {
+    try {
+      fs.unlinkSync(file);
+    } catch (e) {
+      // Ignore errors releasing lock
+    }
+  }
+}
+
+function lockTimeoutError(file, lock) {
+  const err = new Error(`Wallet is busy: ${file} is held by ${describe(lock)}`);
+  err.code = 'LOCK_TIMEOUT';
+  return err;
+}
+
+const sleepArray = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Run fn holding the lock, blocking the thread while waiting
+ * For short, synchronous critical sections.
+ *
+ * @param {string} file - Lock file
+ * @param {function} fn - Synchronous function
+ * @param {object} [options]
+ * @param {number} [options.timeout=5000] - Give up after this many ms
+ */
+function withLockSync(file, fn, { timeout = 5000 } = {}) {
+  const deadline = Date.now() + timeout;
+  let wait = RETRY_MIN;
+  let attempt;
+  
+  while (!(attempt = tryAcquire(file)).acquired) {
+    if (Date.now() > deadline) throw lockTimeoutError(file, attempt.lock);
+    Atomics.wait(sleepArray, 0, 0, wait);
+    wait = Math.min(wait * 2, RETRY_MAX);
+  }
+  
+  try {
+    return fn();
+  } finally {
+    release(file, attempt.info.token);
+  }
+}
+
+/**
+ * Run async fn holding the lock for its whole duration
+ *
+ * The lock's heartbeat is refreshed while fn runs, so other hosts don't
+ * mistake a long operation for a stale lock. Nested calls for the same
+ * file from within fn run immediately.
+ *
+ * @param {string} file - Lock file
+ * @param {function} fn - Async function
+ * @param {object} [options]
+ * @param {number} [options.timeout=60000] - Give up after this many ms
+ */
+async function withLock(file, fn, { timeout = 60000 } = {}) {
+  const held = heldLocks.getStore();
+  if (held && held.has(file)) return fn();
+  
+  const deadline = Date.now() + timeout;
+  let wait = RETRY_MIN;
+  let attempt;
+  
+  while (!(attempt = tryAcquire(file)).acquired) {
+    if (Date.now() > deadline) throw lockTimeoutError(file, attempt.lock);
+    await new Promise(resolve => setTimeout(resolve, wait));
+    wait = Math.min(wait * 2, RETRY_MAX);
+  }
+  
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    fs.utimes(file, now, now, () => {});
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+  
+  try {
+    return await heldLocks.run(new Set([...(held || []), file]), fn);
+  } finally {
+    clearInterval(heartbeat);
+    release(file, attempt.info.token);
+  }
+}
+
+module.exports = {
+  STALE_AFTER,
+  withLock,
+  withLockSync
+};
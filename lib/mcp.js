@@ -0,0 +1,722 @@
+/**
+ * HexNuts MCP Server
+ *
+ * Offers one HexNutsWallet to AI agents as Model Context Protocol tools,
+ * for mcp.js. An McpSession answers the JSON-RPC 2.0 messages of one
+ * client; the transports only carry them:
+ *
+ *   stdio: one JSON message per line on stdin / stdout
+ *   HTTP:  POST /mcp (Streamable HTTP), with a client token from
+ *          lib/clients.js; each client only sees the tools its
+ *          permissions allow
+ *
+ * Tools that spend (pay_invoice, pay_lightning_address, transfer_between_mints,
+ * rebalance_mints, send_token, lock_to_recipient, lock_to_group, lock_to_hash) ask the
+ * user before spending (or moving) more than confirmAbove sats, by
+ * sending the client an elicitation request. Clients that can't
+ * ask the user get a NOT_CONFIRMED error for those spends instead.
+ * Spends over the policy's approval threshold fail with APPROVAL_REQUIRED;
+ * the agent follows the request with approval_status.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const readline = require('readline');
+const store = require('../scripts/wallet-store');
+const clients = require('./clients');
+const { readBody, describeError } = require('./server');
+const approvals = require('./approvals');
+const { describeSpend } = require('./policy');
+const { DID_PATTERN, ALIAS_PATTERN } = require('./groups');
+const { HexNutsError, SpendNotConfirmedError } = require('./errors');
+
+// Newest first; a client asking for another version gets the newest
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// How long the user gets to answer a confirmation
+const CONFIRM_TIMEOUT = 5 * 60 * 1000;
+
+// HTTP sessions unused this long are dropped
+const SESSION_TTL = 60 * 60 * 1000;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+const MINT = { type: 'string', description: 'Mint URL (default: the wallet\'s default mint)' };
+const AMOUNT = { type: 'integer', minimum: 1, description: 'Amount in sats' };
+
+// What the wallet accepts as a group or recipient (lib/groups.js): the
+// wallet checks again, these tell the agent up front
+const bare = (pattern) => pattern.source.replace(/^\^|\$$/g, '');
+const GROUP_PATTERN = `^(?:${bare(DID_PATTERN)}|${bare(ALIAS_PATTERN)})$`;
+const RECIPIENT_PATTERN = `^(?:${bare(DID_PATTERN)}|npub1[02-9ac-hj-np-z]{58}|(?:0[23])?[0-9a-fA-F]{64})$`;
+
+/**
+ * Tools: JSON schema of the arguments, the permission an HTTP client
+ * needs (null: any client), and handler(wallet, args, confirm)
+ */
+const TOOLS = [
+  {
+    name: 'balance',
+    title: 'Check balance',
+    description: 'Spendable and pending sats, at every mint in the wallet or at one mint.',
+    permission: 'balance',
+    annotations: { readOnlyHint: true },
+    inputSchema: { type: 'object', properties: { mint: MINT } },
+    handler: (wallet, args) => wallet.balance({ mint: args.mint })
+  },
+  {
+    name: 'history',
+    title: 'Transaction history',
+    description: 'Wallet transactions, oldest first, with incoming, outgoing and fee totals.',
+    permission: 'history',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        type: { type: 'array', items: { type: 'string', enum: store.TX_TYPES }, description: 'Only these transaction types' },
+        mint: MINT,
+        counterparty: { type: 'string', description: 'Recipient or group, case-insensitive substring' },
+        since: { type: 'string', description: 'ISO date or age such as "24h" or "7d"' },
+        limit: { type: 'integer', minimum: 1, description: 'Only the most recent N transactions' }
+      }
+    },
+    handler: (wallet, args) => wallet.history(args)
+  },
+  {
+    name: 'create_mint_quote',
+    title: 'Create mint quote',
+    description: 'Request a Lightning invoice that mints ecash into the wallet once paid. Claim it with claim_mint_quote after payment.',
+    permission: 'mint',
+    inputSchema: { type: 'object', properties: { amount: AMOUNT, mint: MINT }, required: ['amount'] },
+    handler: (wallet, args) => wallet.mint(args.amount, { mint: args.mint })
+  },
+  {
+    name: 'claim_mint_quote',
+    title: 'Claim mint quote',
+    description: 'Mint the ecash of a paid quote from create_mint_quote. Fails with QUOTE_NOT_PAID while the invoice is unpaid.',
+    permission: 'mint',
+    inputSchema: {
+      type: 'object',
+      properties: { quote: { type: 'string', description: 'Quote ID' }, mint: MINT },
+      required: ['quote']
+    },
+    handler: (wallet, args) => wallet.claimQuote(args.quote, { mint: args.mint })
+  },
+  {
+    name: 'list_mint_quotes',
+    title: 'List mint quotes',
+    description: 'Mint quotes kept in the wallet with their invoice, amount, expiry and last seen state (UNPAID, PAID, ISSUED or EXPIRED). Only open ones unless all is set.',
+    permission: 'mint',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: { all: { type: 'boolean', description: 'Include claimed and expired quotes' }, mint: MINT }
+    },
+    handler: (wallet, args) => wallet.quotes({ all: !!args.all, mint: args.mint })
+  },
+  {
+    name: 'claim_paid_quotes',
+    title: 'Claim paid quotes',
+    description: 'Check every open mint quote with its mint and mint the ecash of the paid ones.',
+    permission: 'mint',
+    inputSchema: { type: 'object', properties: { mint: MINT } },
+    handler: (wallet, args) => wallet.claimPaidQuotes({ mint: args.mint })
+  },
+  {
+    name: 'pay_invoice',
+    title: 'Pay Lightning invoice',
+    description: 'Pay a bolt11 Lightning invoice with ecash (melt). The mint may charge up to the quoted fee reserve. ' +
+      'Expired invoices and invoices for another network are refused; see decode_invoice to check one first.',
+    permission: 'melt',
+    annotations: { destructiveHint: true, openWorldHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        invoice: { type: 'string', description: 'bolt11 invoice (lnbc...)' },
+        amount: { type: 'integer', minimum: 1, description: 'Sats to pay, only for an invoice without an amount' },
+        mint: MINT,
+        multiMint: {
+          type: 'boolean',
+          description: 'Pay from several mints when no single one holds enough (NUT-15 parts, moving ecash between mints if needed)'
+        }
+      },
+      required: ['invoice']
+    },
+    handler: (wallet, args, confirm) => args.multiMint
+      ? wallet.meltMultiPath(args.invoice, { confirm })
+      : wallet.melt(args.invoice, { mint: args.mint, amount: args.amount, confirm })
+  },
+  {
+    name: 'plan_multi_mint_payment',
+    title: 'Plan multi-mint payment',
+    description: 'Show how pay_invoice with multiMint would pay an invoice: the part each mint pays, ecash moved between mints ' +
+      'first, and the total fee reserve. Asks the mints for quotes; pays nothing.',
+    permission: 'melt',
+    annotations: { readOnlyHint: true, openWorldHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: { invoice: { type: 'string', description: 'bolt11 invoice (lnbc...)' } },
+      required: ['invoice']
+    },
+    handler: (wallet, args) => wallet.planMultiPath(args.invoice)
+  },
+  {
+    name: 'pay_lightning_address',
+    title: 'Pay Lightning address',
+    description: 'Pay an amount to a Lightning address (name@domain) or LNURL-pay link with ecash. ' +
+      'The invoice is fetched from the service and checked (amount, description hash) before paying; fees come on top.',
+    permission: 'melt',
+    annotations: { destructiveHint: true, openWorldHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        address: { type: 'string', description: 'Lightning address (name@domain) or LNURL (lnurl1...)' },
+        amount: AMOUNT,
+        comment: { type: 'string', description: 'Note for the payee, if the service accepts comments' },
+        mint: MINT
+      },
+      required: ['address', 'amount']
+    },
+    handler: (wallet, args, confirm) => wallet.payAddress(args.address, args.amount, { comment: args.comment, mint: args.mint, confirm })
+  },
+  {
+    name: 'transfer_between_mints',
+    title: 'Move ecash between mints',
+    description: 'Move sats from one of the wallet\'s mints to another over Lightning: the source mint pays an invoice ' +
+      'of the target mint. The amount is what arrives; the Lightning fee comes on top, at the source.',
+    permission: 'melt',
+    annotations: { destructiveHint: false, openWorldHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        amount: AMOUNT,
+        from: MINT,
+        to: { type: 'string', description: 'Mint URL to move the sats to' }
+      },
+      required: ['amount', 'to']
+    },
+    handler: (wallet, args, confirm) => wallet.transfer(args.amount, { from: args.from, to: args.to, confirm })
+  },
+  {
+    name: 'rebalance_mints',
+    title: 'Rebalance mints',
+    description: 'Move ecash between the mints with rebalance targets in the wallet config until each holds its share. ' +
+      'With plan, only shows the shares and the moves with their fee reserves.',
+    permission: 'melt',
+    annotations: { destructiveHint: false, openWorldHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: { plan: { type: 'boolean', description: 'Only show what would move' } }
+    },
+    handler: (wallet, args, confirm) => args.plan ? wallet.planRebalance() : wallet.rebalance({ confirm })
+  },
+  {
+    name: 'send_token',
+    title: 'Send ecash token',
+    description: 'Create a Cashu token worth the amount. Anyone holding the token can claim it, so hand it only to the recipient.',
+    permission: 'send',
+    annotations: { destructiveHint: true },
+    inputSchema: { type: 'object', properties: { amount: AMOUNT, mint: MINT }, required: ['amount'] },
+    handler: (wallet, args, confirm) => wallet.send(args.amount, { mint: args.mint, confirm })
+  },
+  {
+    name: 'receive_token',
+    title: 'Receive ecash token',
+    description: 'Claim a Cashu token into the wallet. Tokens locked to the wallet\'s own key need self: true, ' +
+      'hash-locked tokens (HTLC) the preimage.',
+    permission: 'receive',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        token: { type: 'string', description: 'Encoded token (cashuA... or cashuB...)' },
+        self: { type: 'boolean', description: 'Unlock with the wallet\'s own Archon/Nostr key' },
+        preimage: { type: 'string', description: 'Preimage of a hash-locked token (64 hex characters)' }
+      },
+      required: ['token']
+    },
+    handler: (wallet, args) => wallet.receive(args.token, { self: !!args.self, preimage: args.preimage })
+  },
+  {
+    name: 'lock_to_recipient',
+    title: 'Lock ecash to a recipient',
+    description: 'Create a token only the recipient can claim (NUT-11 P2PK), locked to the key of an Archon DID, Nostr npub or hex pubkey.',
+    permission: 'lock',
+    annotations: { destructiveHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        amount: AMOUNT,
+        recipient: { type: 'string', pattern: RECIPIENT_PATTERN, description: 'Archon DID, npub or hex pubkey' },
+        mint: MINT
+      },
+      required: ['amount', 'recipient']
+    },
+    handler: (wallet, args, confirm) => wallet.lockToRecipient(args.amount, args.recipient, { mint: args.mint, confirm })
+  },
+  {
+    name: 'lock_to_group',
+    title: 'Lock ecash to a group',
+    description: 'Create a token that members of an Archon group can claim; threshold members must sign.',
+    permission: 'lock',
+    annotations: { destructiveHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        amount: AMOUNT,
+        group: { type: 'string', pattern: GROUP_PATTERN, description: 'Group alias or DID' },
+        threshold: { type: 'integer', minimum: 1, description: 'Members that must sign (default 1)' },
+        sig_all: {
+          type: 'boolean',
+          description: 'Signatures also cover the outputs the token is redeemed into (NUT-11 SIG_ALL), so members ' +
+            'approve where the ecash goes, not just that it is spent'
+        },
+        mint: MINT
+      },
+      required: ['amount', 'group']
+    },
+    handler: (wallet, args, confirm) => wallet.lockToGroup(args.amount, args.group, {
+      threshold: args.threshold,
+      sigAll: !!args.sig_all,
+      mint: args.mint,
+      confirm
+    })
+  },
+  {
+    name: 'lock_to_hash',
+    title: 'Lock ecash to a hash',
+    description: 'Create a token redeemable with the preimage of a SHA-256 hash (NUT-14 HTLC), such as a Lightning ' +
+      'payment hash or the hash of an atomic swap. With pubkeys, they must sign as well; with refund_self and a ' +
+      'locktime, the wallet can take it back once the locktime has passed.',
+    permission: 'lock',
+    annotations: { destructiveHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        amount: AMOUNT,
+        hash: { type: 'string', description: 'SHA-256 hash, hex (64 characters)' },
+        pubkeys: { type: 'array', items: { type: 'string' }, description: 'Hex pubkeys that must also sign' },
+        refund_self: { type: 'boolean', description: 'Refundable to the wallet\'s own key after the locktime' },
+        locktime: { type: 'integer', description: 'Unix time the refund path opens' },
+        mint: MINT
+      },
+      required: ['amount', 'hash']
+    },
+    handler: (wallet, args, confirm) => wallet.lockToHash(args.amount, {
+      hash: args.hash,
+      pubkeys: args.pubkeys,
+      refundSelf: !!args.refund_self,
+      locktime: args.locktime,
+      mint: args.mint,
+      confirm
+    })
+  },
+  {
+    name: 'find_preimage',
+    title: 'Find revealed preimage',
+    description: 'Ask the mint whether a hash-locked token was redeemed, and with which preimage: in an atomic swap, ' +
+      'the preimage that redeems the other side.',
+    permission: 'receive',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: { token: { type: 'string', description: 'Encoded hash-locked token' } },
+      required: ['token']
+    },
+    handler: (wallet, args) => wallet.revealedPreimage(args.token)
+  },
+  {
+    name: 'inspect_token',
+    title: 'Inspect token',
+    description: 'Decode a Cashu token without claiming it: mint, amount, memo, each proof\'s spending conditions (keys, signatures, locktime, refund keys, SIG_ALL, hash) with known keys named, and DLEQ checks. With check, also whether the mint has the proofs spent.',
+    // Contacts the mint the token names, as receive_token does
+    permission: 'receive',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        token: { type: 'string', description: 'Encoded token' },
+        check: { type: 'boolean', description: 'Ask the mint for the proofs\' state (NUT-07) and its keysets (default: false)' }
+      },
+      required: ['token']
+    },
+    handler: (wallet, args) => wallet.inspect(args.token, { check: args.check })
+  },
+  {
+    name: 'decode_invoice',
+    title: 'Decode invoice',
+    description: 'Decode a bolt11 Lightning invoice without paying it: amount, payee node, description, expiry, network, ' +
+      'and the problems (expired, wrong network, no amount) that would make pay_invoice refuse it.',
+    permission: null,
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        invoice: { type: 'string', description: 'bolt11 invoice (lnbc...)' },
+        amount: { type: 'integer', minimum: 1, description: 'Sats that would be paid, for an invoice without an amount' }
+      },
+      required: ['invoice']
+    },
+    handler: (wallet, args) => wallet.inspectInvoice(args.invoice, { amount: args.amount })
+  },
+  {
+    name: 'approval_status',
+    title: 'Approval request status',
+    description: 'Spends over the approval threshold fail with APPROVAL_REQUIRED and wait for a human. ' +
+      'Shows one request (with the result, e.g. the token, once approved) or lists this agent\'s requests.',
+    permission: null,
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Approval request ID (from the APPROVAL_REQUIRED error)' },
+        state: { type: 'string', enum: approvals.STATES, description: 'List only requests in this state' }
+      }
+    },
+    handler: (wallet, args) => args.id
+      ? { request: wallet.approval(args.id) }
+      : { requests: wallet.approvals({ state: args.state }) }
+  }
+];
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+class McpSession {
+  /**
+   * @param {HexNutsWallet} wallet
+   * @param {object} [options]
+   * @param {number} [options.confirmAbove=Infinity] - Ask the user about spends above this many sats
+   * @param {string[]} [options.permissions] - Tools limited to these permissions (default: all tools)
+   * @param {object} [options.info] - name and version for serverInfo
+   */
+  constructor(wallet, { confirmAbove = Infinity, permissions = null, info = {} } = {}) {
+    this.wallet = wallet;
+    this.confirmAbove = confirmAbove;
+    this.permissions = permissions;
+    this.info = info;
+    this.clientCapabilities = {};
+    this.clientInfo = null;
+    this.lastSeen = Date.now();
+    this._requests = new Map();
+    this._nextId = 1;
+  }
+  
+  /**
+   * Tools this session may list and call
+   */
+  tools() {
+    return TOOLS.filter(t => !this.permissions || t.permission === null || this.permissions.includes(t.permission));
+  }
+  
+  /**
+   * Answer one incoming message
+   *
+   * @param {object} message - Request, notification or response
+   * @param {function|null} send - Sends a message to the client mid-request (elicitation), if the transport can
+   * @returns {Promise<object|null>} Response to send back (null for notifications and responses)
+   */
+  async handle(message, send) {
+    this.lastSeen = Date.now();
+    if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0') {
+      return rpcError(null, INVALID_REQUEST, 'Invalid JSON-RPC 2.0 message');
+    }
+    
+    if (message.method === undefined) {
+      this._settle(message);
+      return null;
+    }
+    if (message.id === undefined || message.id === null) {
+      // Notifications (initialized, cancelled) need no answer
+      return null;
+    }
+    
+    try {
+      const result = await this._dispatch(message.method, message.params || {}, send);
+      return { jsonrpc: '2.0', id: message.id, result };
+    } catch (err) {
+      return rpcError(message.id, err instanceof RpcError ? err.code : INTERNAL_ERROR, err.message);
+    }
+  }
+  
+  async _dispatch(method, params, send) {
+    switch (method) {
+      case 'initialize': {
+        this.clientCapabilities = params.capabilities || {};
+        this.clientInfo = params.clientInfo || null;
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: { name: 'hexnuts', version: this.info.version || '0.0.0' },
+          instructions: 'Cashu ecash wallet. Amounts are in sats. Tokens from send_token are bearer money: ' +
+            `anyone holding one can claim it. Spends above ${this.confirmAbove} sats need the user's approval. ` +
+            'A spend that fails with APPROVAL_REQUIRED waits for a human; follow it with approval_status.'
+        };
+      }
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return {
+          tools: this.tools().map(({ name, title, description, inputSchema, annotations }) => (
+            { name, title, description, inputSchema, ...(annotations && { annotations: { title, ...annotations } }) }
+          ))
+        };
+      case 'tools/call':
+        return this.callTool(params.name, params.arguments || {}, send);
+      default:
+        throw new RpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+  
+  /**
+   * Run a tool; wallet errors become tool results with isError, so the
+   * agent sees the error code and can act on it
+   */
+  async callTool(name, args, send) {
+    const tool = TOOLS.find(t => t.name === name);
+    if (!tool) {
+      throw new RpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+    if (typeof args !== 'object' || Array.isArray(args)) {
+      throw new RpcError(INVALID_PARAMS, 'Tool arguments must be an object');
+    }
+    
+    try {
+      if (!this.tools().includes(tool)) {
+        throw new HexNutsError(`This client may not use ${name} (needs "${tool.permission}")`, 'FORBIDDEN');
+      }
+      const result = await tool.handler(this.wallet, args, (spend) => this.confirm(spend, send));
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: result
+      };
+    } catch (err) {
+      const error = describeError(err);
+      return {
+        content: [{ type: 'text', text: `${error.code}: ${error.message}` }],
+        structuredContent: { error },
+        isError: true
+      };
+    }
+  }
+  
+  /**
+   * Confirm hook for the wallet: spends up to confirmAbove pass, larger
+   * ones need the user's yes through the client
+   */
+  async confirm(spend, send) {
+    if (spend.amount + (spend.feeReserve || 0) <= this.confirmAbove) {
+      return true;
+    }
+    const what = describeSpend(spend);
+    if (!send || !this.clientCapabilities.elicitation) {
+      throw new SpendNotConfirmedError(spend,
+        `${what}: above the ${this.confirmAbove} sat confirmation limit, and this MCP client can't ask the user`);
+    }
+    
+    try {
+      const answer = await this.request('elicitation/create', {
+        message: `${what}?`,
+        requestedSchema: {
+          type: 'object',
+          properties: { approve: { type: 'boolean', title: 'Approve', description: what } },
+          required: ['approve']
+        }
+      }, send);
+      return answer.action === 'accept' && !!(answer.content && answer.content.approve);
+    } catch (e) {
+      throw new SpendNotConfirmedError(spend, `${what}: no confirmation (${e.message})`);
+    }
+  }
+  
+  /**
+   * Send a request to the client and wait for its response
+   */
+  request(method, params, send) {
+    const id = `hexnuts-${this._nextId++}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._requests.delete(id);
+        reject(new Error(`no answer within ${CONFIRM_TIMEOUT / 1000}s`));
+      }, CONFIRM_TIMEOUT);
+      timer.unref();
+      this._requests.set(id, { resolve, reject, timer });
+      send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+  
+  _settle(response) {
+    const request = this._requests.get(response.id);
+    if (!request) return;
+    this._requests.delete(response.id);
+    clearTimeout(request.timer);
+    if (response.error) {
+      request.reject(new Error(response.error.message || 'request failed'));
+    } else {
+      request.resolve(response.result || {});
+    }
+  }
+}
+
+/**
+ * Serve one session over stdin / stdout until stdin closes
+ * Messages are handled concurrently, so a tool call waiting on the user
+ * doesn't hold up the answer to the confirmation itself.
+ */
+function serveStdio(session, { input = process.stdin, output = process.stdout } = {}) {
+  const write = (message) => output.write(JSON.stringify(message) + '\n');
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  
+  lines.on('line', async (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      write(rpcError(null, PARSE_ERROR, 'Parse error'));
+      return;
+    }
+    const response = await session.handle(message, write);
+    if (response) write(response);
+  });
+  
+  return new Promise(resolve => lines.once('close', resolve));
+}
+
+function sendJson(res, status, data, headers = {}) {
+  const body = JSON.stringify(data);
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    ...headers
+  });
+  res.end(body);
+}
+
+/**
+ * Create the MCP HTTP server (not yet listening)
+ *
+ * Sessions start with an initialize request and are bound to the client
+ * token that made it. Tool calls are answered as an event stream when the
+ * client accepts one, so confirmations can be asked mid-call; the
+ * client POSTs its answer back like any other message.
+ *
+ * @param {HexNutsWallet} wallet
+ * @param {object} [options]
+ * @param {number} [options.confirmAbove]
+ * @param {object} [options.info] - name and version for serverInfo
+ * @param {function} [options.log] - Called with one line per request
+ * @returns {http.Server}
+ */
+function createHttpServer(wallet, { confirmAbove, info = {}, log = () => {} } = {}) {
+  const sessions = new Map();
+  
+  return http.createServer(async (req, res) => {
+    const started = Date.now();
+    const path = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '');
+    let client = null;
+    let what = `${req.method} ${path}`;
+    let status = 200;
+    
+    try {
+      if (path !== '/mcp') {
+        status = 404;
+        return sendJson(res, status, rpcError(null, INVALID_REQUEST, `No such endpoint: ${path} (use /mcp)`));
+      }
+      
+      const auth = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+      client = clients.authenticate(auth && auth[1]);
+      if (!client) {
+        status = 401;
+        return sendJson(res, status, rpcError(null, INVALID_REQUEST, 'Missing or unknown API token'));
+      }
+      
+      const sessionId = req.headers['mcp-session-id'];
+      const session = sessions.get(sessionId);
+      const ownSession = session && session.clientName === client.name ? session : null;
+      
+      if (req.method === 'DELETE') {
+        status = ownSession ? 200 : 404;
+        if (ownSession) sessions.delete(sessionId);
+        return res.writeHead(status).end();
+      }
+      if (req.method !== 'POST') {
+        // No server-initiated stream: requests to the client ride on the
+        // answer to a tool call
+        status = 405;
+        return res.writeHead(status, { Allow: 'POST, DELETE' }).end();
+      }
+      
+      let message;
+      try {
+        message = await readBody(req);
+      } catch (e) {
+        status = 400;
+        return sendJson(res, status, rpcError(null, PARSE_ERROR, e.message));
+      }
+      what = message.method === 'tools/call' ? `tools/call ${message.params && message.params.name}` : message.method || 'response';
+      
+      if (message.method === 'initialize') {
+        for (const [id, s] of sessions) {
+          if (Date.now() - s.lastSeen > SESSION_TTL) sessions.delete(id);
+        }
+        const fresh = new McpSession(wallet.forAgent(client.name), { confirmAbove, permissions: client.permissions, info });
+        fresh.clientName = client.name;
+        const id = crypto.randomUUID();
+        const response = await fresh.handle(message, null);
+        if (!response.error) sessions.set(id, fresh);
+        return sendJson(res, status, response, { 'Mcp-Session-Id': id });
+      }
+      
+      if (!ownSession) {
+        status = sessionId ? 404 : 400;
+        return sendJson(res, status, rpcError(message.id ?? null, INVALID_REQUEST,
+          sessionId ? 'Unknown or expired session: initialize again' : 'Mcp-Session-Id header required'));
+      }
+      
+      const isRequest = message.method !== undefined && message.id !== undefined && message.id !== null;
+      if (!isRequest) {
+        await ownSession.handle(message, null);
+        status = 202;
+        return res.writeHead(status).end();
+      }
+      
+      const stream = message.method === 'tools/call' &&
+        ownSession.clientCapabilities.elicitation &&
+        (req.headers.accept || '').includes('text/event-stream');
+      if (!stream) {
+        return sendJson(res, status, await ownSession.handle(message, null));
+      }
+      
+      res.writeHead(status, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      const send = (m) => res.write(`event: message\ndata: ${JSON.stringify(m)}\n\n`);
+      send(await ownSession.handle(message, send));
+      res.end();
+    } catch (err) {
+      status = 500;
+      if (!res.headersSent) sendJson(res, status, rpcError(null, INTERNAL_ERROR, err.message));
+      else res.end();
+    } finally {
+      log(`${new Date().toISOString()} ${client ? client.name : '-'} ${what} ${status} ${Date.now() - started}ms`);
+    }
+  });
+}
+
+module.exports = {
+  TOOLS,
+  McpSession,
+  serveStdio,
+  createHttpServer
+};
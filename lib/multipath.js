@@ -0,0 +1,215 @@
+/**
+ * Multi-path Payments (NUT-15)
+ *
+ * Plans paying one invoice from several of the wallet's mints. Mints that
+ * announce NUT-15 for bolt11 each pay a part of the invoice; the payee's
+ * node settles only once every part has arrived, so the parts go through
+ * or fail together. What those mints can't cover is first moved in over
+ * Lightning from the other mints (a transfer: one mint pays a mint quote
+ * of another) to the mint paying the largest part.
+ *
+ * Planning only asks for quotes. Nothing is paid until the plan is carried
+ * out (HexNutsWallet.meltMultiPath), so the total fee reserve is known
+ * beforehand.
+ */
+
+const { InsufficientBalanceError } = require('./errors');
+
+/**
+ * @typedef {object} Candidate - A mint that could pay part of the invoice
+ * @property {string} mint
+ * @property {object} wallet - cashu-ts wallet
+ * @property {number} available - Sats it can melt (balance less the most its input fees could be)
+ * @property {boolean} mpp - Announces NUT-15 for bolt11
+ */
+
+/**
+ * @typedef {object} Plan
+ * @property {number} amount - Invoice amount
+ * @property {Array<{mint: string, wallet: object, quote: object}>} parts - Melt quotes to pay at once
+ * @property {Transfer[]} transfers - To carry out first
+ */
+
+/**
+ * @typedef {object} Transfer - `source` (cashu-ts wallet of `from`) pays `mintQuote` of `to`
+ * @property {string} from
+ * @property {string} to
+ * @property {number} amount - Sats minted at `to`
+ * @property {number} fee_reserve - Of the melt at `from`
+ * @property {object} source
+ * @property {object} mintQuote
+ * @property {object} meltQuote
+ */
+
+/**
+ * Whether a mint pays bolt11 invoices in parts (NUT-15)
+ *
+ * @param {object} wallet - cashu-ts wallet
+ */
+function supportsMpp(wallet) {
+  try {
+    const nut15 = wallet.getMintInfo().isSupported(15);
+    return nut15.supported && (nut15.params || []).some(p => p.method === 'bolt11' && p.unit === 'sat');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Quote the largest amount up to `amount` that fits in `available` with
+ * its fee reserve (null: nothing fits)
+ *
+ * @param {function(number): Promise<{amount: number, fee_reserve: number}>} quoteFor
+ */
+async function quoteFitting(available, amount, quoteFor) {
+  let wanted = Math.min(amount, available);
+  // Fee reserves grow with the amount, so a couple of tries settle it
+  for (let i = 0; i < 3 && wanted > 0; i++) {
+    const quote = await quoteFor(wanted);
+    const over = quote.amount + quote.fee_reserve - available;
+    if (over <= 0) return quote;
+    wanted -= over;
+  }
+  return null;
+}
+
+// A whole-invoice quote when one mint pays all of it, a partial one otherwise
+function quotePart(candidate, invoice, total, amount) {
+  return amount === total
+    ? candidate.wallet.createMeltQuote(invoice)
+    : candidate.wallet.createMultiPathMeltQuote(invoice, amount * 1000);
+}
+
+/**
+ * Quote moving `amount` sats from one mint to another: a mint quote of
+ * the target and the source's melt quote to pay it
+ *
+ * @param {{mint: string, wallet: object}} source
+ * @param {{mint: string, wallet: object}} target
+ * @returns {Promise<Transfer>}
+ */
+async function quoteTransfer(source, target, amount) {
+  const mintQuote = await target.wallet.createMintQuote(amount);
+  const meltQuote = await source.wallet.createMeltQuote(mintQuote.request);
+  return {
+    from: source.mint,
+    to: target.mint,
+    amount: meltQuote.amount,
+    fee_reserve: meltQuote.fee_reserve,
+    source: source.wallet,
+    mintQuote,
+    meltQuote
+  };
+}
+
+function toPart(candidate, quote) {
+  return { mint: candidate.mint, wallet: candidate.wallet, quote };
+}
+
+/**
+ * Plan paying an invoice from the candidate mints
+ *
+ * One mint that can pay it all does; otherwise the NUT-15 mints split it,
+ * largest balance first, and the rest is moved in from the other mints.
+ *
+ * @param {Candidate[]} candidates
+ * @param {string} invoice
+ * @param {number} amount - Invoice amount (sats)
+ * @returns {Promise<Plan>}
+ * @throws {InsufficientBalanceError} The mints together can't pay it with the fees
+ */
+async function planPayment(candidates, invoice, amount) {
+  const byBalance = [...candidates].sort((a, b) => b.available - a.available);
+  const total = byBalance.reduce((s, c) => s + Math.max(0, c.available), 0);
+  const largest = byBalance[0];
+  if (!largest || total < amount) {
+    throw new InsufficientBalanceError(`${candidates.length} mints`, amount, total);
+  }
+  
+  // One mint is enough: a plain melt
+  const whole = await largest.wallet.createMeltQuote(invoice);
+  if (whole.amount + whole.fee_reserve <= largest.available) {
+    return { amount, parts: [toPart(largest, whole)], transfers: [] };
+  }
+  
+  // Split across the NUT-15 mints
+  const parts = [];
+  let remaining = amount;
+  for (const candidate of byBalance.filter(c => c.mpp)) {
+    if (remaining === 0) break;
+    const quote = await quoteFitting(candidate.available, remaining, n => quotePart(candidate, invoice, amount, n));
+    if (!quote) continue;
+    parts.push({ candidate, quote });
+    remaining -= quote.amount;
+  }
+  if (remaining === 0) {
+    return { amount, parts: parts.map(p => toPart(p.candidate, p.quote)), transfers: [] };
+  }
+  
+  // Rebalance: the mint paying the largest part (without NUT-15 mints, the
+  // largest mint) also pays the rest, moved in from the mints left over
+  const target = parts.length > 0 ? parts[0].candidate : largest;
+  const targetAmount = (parts.length > 0 ? parts[0].quote.amount : 0) + remaining;
+  const targetQuote = target === largest && targetAmount === amount
+    ? whole
+    : await quotePart(target, invoice, amount, targetAmount);
+  const deficit = targetQuote.amount + targetQuote.fee_reserve - target.available;
+  
+  const transfers = [];
+  let moved = 0;
+  for (const source of byBalance) {
+    if (moved >= deficit) break;
+    if (source === target || parts.some(p => p.candidate === source)) continue;
+    const transfer = await quoteFitting(source.available, deficit - moved, n => quoteTransfer(source, target, n));
+    if (!transfer) continue;
+    transfers.push(transfer);
+    moved += transfer.amount;
+  }
+  if (moved < deficit) {
+    const fees = [...parts.slice(1).map(p => p.quote), targetQuote, ...transfers].reduce((s, q) => s + q.fee_reserve, 0);
+    throw new InsufficientBalanceError(`${candidates.length} mints`, amount + fees, total);
+  }
+  
+  return {
+    amount,
+    parts: [toPart(target, targetQuote), ...parts.slice(1).map(p => toPart(p.candidate, p.quote))],
+    transfers
+  };
+}
+
+/**
+ * Transfer without the quotes and wallet
+ *
+ * @param {Transfer} transfer
+ * @returns {{from: string, to: string, amount: number, feeReserve: number}}
+ */
+function describeTransfer(transfer) {
+  return { from: transfer.from, to: transfer.to, amount: transfer.amount, feeReserve: transfer.fee_reserve };
+}
+
+/**
+ * Plan without the quotes and wallets, for confirmations and results
+ *
+ * @param {Plan} plan
+ * @returns {{amount: number, feeReserve: number, parts: Array<{mint: string, amount: number, feeReserve: number, quote: string}>,
+ *   transfers: Array<{from: string, to: string, amount: number, feeReserve: number}>}}
+ */
+function describePlan(plan) {
+  const parts = plan.parts.map(p => ({ mint: p.mint, amount: p.quote.amount, feeReserve: p.quote.fee_reserve, quote: p.quote.quote }));
+  const transfers = plan.transfers.map(describeTransfer);
+  return {
+    amount: plan.amount,
+    feeReserve: [...parts, ...transfers].reduce((s, x) => s + x.feeReserve, 0),
+    parts,
+    transfers
+  };
+}
+
+module.exports = {
+  supportsMpp,
+  quoteFitting,
+  quoteTransfer,
+  planPayment,
+  describeTransfer,
+  describePlan
+};
@@ -0,0 +1,35 @@
+/**
+ * Nostr Public Keys (NIP-19)
+ *
+ * npub1... is bech32 of the 32-byte x-only pubkey. Decoded here rather
+ * than by nak: npubs come from API and MCP clients, and a checksum
+ * failure is just an invalid key.
+ */
+
+const { bech32 } = require('@scure/base');
+
+/**
+ * The x-only hex pubkey of an npub
+ *
+ * @param {string} npub
+ * @returns {string|null} null: not a valid npub
+ */
+function decode(npub) {
+  try {
+    const { prefix, words } = bech32.decode(npub);
+    const bytes = bech32.fromWords(words);
+    if (prefix !== 'npub' || bytes.length !== 32) return null;
+    return Buffer.from(bytes).toString('hex');
+  } catch (e) {
+    return null;
+  }
+}
+
+function isNpub(str) {
+  return typeof str === 'string' && str.startsWith('npub1') && decode(str) !== null;
+}
+
+module.exports = {
+  decode,
+  isNpub
+};
@@ -0,0 +1,139 @@
+/**
+ * Script Output
+ *
+ * Scripts print human-readable text by default. With --json (or
+ * HEXNUTS_OUTPUT=json) stdout carries exactly one JSON object instead, and
+ * the human-readable text moves to stderr:
+ *
+ *   {"ok": true, "command": "send", "amount": 100, "token": "cashuB..."}
+ *   {"ok": false, "command": "send", "error": {"code": "INSUFFICIENT_BALANCE", "message": "..."}}
+ *
+ * Exit status is 0 on success and 1 on any error, in both modes.
+ *
+ * Programs using the library API (index.js) are never switched to JSON
+ * mode; they get results and errors from HexNutsWallet directly.
+ */
+
+const path = require('path');
+const util = require('util');
+const { IS_CLI, takeFlag } = require('./args');
+
+// Error codes in JSON output
+const ERROR_CODES = {
+  USAGE: 'Invalid arguments',
+  NOT_FOUND: 'No such wallet, record, file or backup',
+  INSUFFICIENT_BALANCE: 'Not enough ecash at the mint',
+  INVALID_TOKEN: 'Token or key could not be decoded',
+  TOKEN_LOCKED: 'P2PK token needs a key to unlock',
+  KEY_UNAVAILABLE: 'Own key or recipient key could not be loaded',
+  QUOTE_NOT_PAID: 'Mint quote not paid yet',
+  PAYMENT_FAILED: 'Lightning payment failed',
+  LNURL_ERROR: 'Lightning address or LNURL service failed or returned a bad invoice',
+  NOT_CONFIRMED: 'Spend was not confirmed (mcp.js)',
+  POLICY_DENIED: 'Spend refused by the spending policy',
+  APPROVAL_REQUIRED: 'Spend parked until approved (approve.js)',
+  MINT_ERROR: 'Mint unreachable or request rejected',
+  WALLET_BUSY: 'Another process holds the wallet lock',
+  WALLET_LOCKED: 'Wallet passphrase missing or wrong',
+  UNKNOWN_WALLET: 'No wallet profile with that name',
+  UNAUTHORIZED: 'Missing or unknown API token (serve.js)',
+  FORBIDDEN: 'API client lacks the permission (serve.js)',
+  ERROR: 'Anything else'
+};
+
+const JSON_MODE = IS_CLI && (takeFlag(process.argv, '--json') || process.env.HEXNUTS_OUTPUT === 'json');
+
+// Name of the running script (read late: bin/hexnuts.js swaps it in)
+const command = () => path.basename(process.argv[1] || '', '.js');
+
+// Text printed with console.error, used as the message of a JSON error
+const errorLines = [];
+let emitted = false;
+
+if (JSON_MODE) {
+  const toStderr = console.error.bind(console);
+  console.log = (...args) => toStderr(...args);
+  console.error = (...args) => {
+    errorLines.push(util.format(...args));
+    toStderr(...args);
+  };
+  
+  // Scripts that end without calling result() still print valid JSON
+  process.on('exit', (status) => {
+    if (emitted) return;
+    if (status === 0) {
+      emit({ ok: true, command: command() });
+    } else {
+      emit({ ok: false, command: command(), error: { code: 'ERROR', message: errorLines.join('\n').trim() || 'Failed' } });
+    }
+  });
+}
+
+function emit(data) {
+  emitted = true;
+  process.stdout.write(JSON.stringify(data) + '\n');
+}
+
+/**
+ * Report the result of a successful command
+ * Printed as JSON in --json mode; human-readable output is up to the script.
+ *
+ * @param {object} data - Result fields
+ */
+function result(data) {
+  if (JSON_MODE && !emitted) {
+    emit({ ok: true, command: command(), ...data });
+  }
+}
+
+/**
+ * End the script with an error
+ *
+ * The message defaults to whatever the script printed with console.error,
+ * so usage text and explanations only need writing once.
+ *
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} [message] - Overrides the printed text in JSON output
+ */
+function exit(code, message) {
+  if (JSON_MODE && !emitted) {
+    emit({
+      ok: false,
+      command: command(),
+      error: { code: ERROR_CODES[code] ? code : 'ERROR', message: message || errorLines.join('\n').trim() || code }
+    });
+  }
+  process.exit(1);
+}
+
+/**
+ * Error code for an exception
+ */
+function errorCode(err) {
+  if (ERROR_CODES[err.code]) return err.code;
+  if (err.code === 'LOCK_TIMEOUT') return 'WALLET_BUSY';
+  if (err.code === 'BAD_PASSPHRASE') return 'WALLET_LOCKED';
+  
+  const { HttpResponseError, MintOperationError, NetworkError } = require('@cashu/cashu-ts');
+  if (err instanceof HttpResponseError || err instanceof MintOperationError || err instanceof NetworkError) {
+    return 'MINT_ERROR';
+  }
+  return 'ERROR';
+}
+
+/**
+ * Handler for main().catch
+ */
+function fatal(err) {
+  console.error('Error:', err.message);
+  exit(errorCode(err), err.message);
+}
+
+module.exports = {
+  ERROR_CODES,
+  JSON_MODE,
+  result,
+  exit,
+  errorCode,
+  fatal
+};
@@ -0,0 +1,73 @@
+/**
+ * HexNuts File Locations
+ *
+ * Everything lives under ~/.config/hex (shared with the other Hex skills).
+ * Wallet files belong to the selected profile (see lib/profile.js): the
+ * default profile uses ~/.config/hex itself, named profiles a directory
+ * under ~/.config/hex/wallets/.
+ */
+
+const fs = require('fs');
+const { BASE_DIR, PROFILE, profilePaths } = require('./profile');
+
+const CONFIG_DIR = BASE_DIR;
+
+const profile = profilePaths(PROFILE);
+
+// Directory of the selected profile
+const WALLET_DIR = profile.dir;
+
+// JSON storage backend
+const WALLET_FILE = profile.walletFile;
+
+// SQLite storage backend
+const DB_FILE = profile.dbFile;
+
+// Held for the whole of each wallet operation (see lib/lock.js)
+const LOCK_FILE = profile.lockFile;
+
+// Settings (storage backend, default mint, reclaim age, ...)
+const CONFIG_FILE = profile.configFile;
+
+// NUT-13 counters from before they moved into wallet storage
+const LEGACY_COUNTER_FILE = profile.counterFile;
+
+// P2PK keys (NOSTR_SECRET_KEY_HEX, NOSTR_PUBLIC_KEY_HEX)
+const NOSTR_ENV = profile.nostrEnv;
+
+// API clients of serve.js (token hashes and permissions)
+const CLIENTS_FILE = profile.clientsFile;
+
+// Spending limits (see lib/policy.js)
+const POLICY_FILE = profile.policyFile;
+
+// Where approval requests were kept before they moved into the wallet
+// (imported from there by lib/approvals.js)
+const APPROVALS_FILE = profile.approvalsFile;
+
+// Where redemption records were kept before they moved into the wallet
+// (imported from there by wallet-store.js)
+const REDEMPTIONS_FILE = profile.redemptionsFile;
+
+function ensureConfigDir() {
+  if (!fs.existsSync(WALLET_DIR)) {
+    fs.mkdirSync(WALLET_DIR, { recursive: true, mode: 0o700 });
+  }
+}
+
+module.exports = {
+  CONFIG_DIR,
+  PROFILE,
+  WALLET_DIR,
+  WALLET_FILE,
+  DB_FILE,
+  LOCK_FILE,
+  CONFIG_FILE,
+  LEGACY_COUNTER_FILE,
+  NOSTR_ENV,
+  CLIENTS_FILE,
+  POLICY_FILE,
+  APPROVALS_FILE,
+  REDEMPTIONS_FILE,
+  ensureConfigDir
+};
@@ -0,0 +1,409 @@
+/**
+ * Spending Policy
+ *
+ * Limits on what may leave the wallet, declared in spending-policy.json in
+ * the profile directory and checked by HexNutsWallet before every melt,
+ * send, lock and transfer (and so by every script, serve.js and mcp.js). No file
+ * means no limits. The file is read on every check, so edits apply at
+ * once; a file that can't be read or is invalid refuses every spend.
+ *
+ *   {
+ *     "maxPerTransaction": 5000,          // sats, Lightning fee reserve included
+ *     "daily": 20000,                     // rolling 24 hours
+ *     "weekly": 100000,                   // rolling 7 days
+ *     "actions": ["melt", "send", "lock", "transfer"],
+ *     "recipients": { "allow": [...], "deny": [...] },   // pubkeys, npubs, DIDs, groups
+ *     "payees": { "allow": [...], "deny": [...] },       // Lightning node pubkeys or addresses
+ *     "mints": { "https://mint.example.com": { "maxPerTransaction": 1000, "daily": 5000 } },
+ *     "requireApprovalAbove": 2000,       // park larger spends for approval
+ *     "approvers": ["npub1...", "did:cid:..."],   // keys whose signed approvals count
+ *     "approvalExpiry": "24h",            // unapproved requests expire
+ *     "agents": { "trader": { ...same rules... }, "*": { ...any other agent... } }
+ *   }
+ *
+ * Top-level rules cover every spend of the wallet. An agent's rules
+ * (API/MCP client name, or HEXNUTS_AGENT) apply on top, and its budgets
+ * count only its own spends. Budgets count what went out (amount plus
+ * fees) including melts still in flight; reclaimed tokens still count.
+ * Transfers between the wallet's own mints (transfer.js, rebalance.js and
+ * the moves of multi-path payments) count with their fees only, against
+ * limits and budgets alike, in flight with their fee reserve; the
+ * approval threshold looks at the sats moved.
+ *
+ * Spends over requireApprovalAbove pass the other rules first, then wait
+ * as approval requests (lib/approvals.js); approvers and approvalExpiry
+ * are top-level only.
+ */
+
+const fs = require('fs');
+const { parseDuration } = require('./duration');
+const { bech32 } = require('@scure/base');
+const store = require('../scripts/wallet-store');
+const archon = require('./archon');
+const { POLICY_FILE } = require('./paths');
+const { PolicyViolationError } = require('./errors');
+
+const ACTIONS = ['melt', 'send', 'lock', 'transfer'];
+
+const LIMITS = ['maxPerTransaction', 'daily', 'weekly'];
+
+// Budget windows
+const WINDOWS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+
+const RULE_KEYS = [...LIMITS, 'requireApprovalAbove', 'actions', 'recipients', 'payees', 'mints'];
+
+// Only at the top level
+const APPROVAL_KEYS = ['approvers', 'approvalExpiry'];
+
+function isLimit(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function validateList(value, where) {
+  if (value === undefined) return;
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error(`${where} must be an object with allow and/or deny lists`);
+  }
+  for (const [key, list] of Object.entries(value)) {
+    if (!['allow', 'deny'].includes(key)) throw new Error(`${where}: unknown key ${key}`);
+    if (!Array.isArray(list) || !list.every(v => typeof v === 'string')) {
+      throw new Error(`${where}.${key} must be a list of strings`);
+    }
+  }
+}
+
+function validateRules(rules, where, allowed = RULE_KEYS) {
+  if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+    throw new Error(`${where} must be an object`);
+  }
+  for (const key of Object.keys(rules)) {
+    if (!allowed.includes(key)) throw new Error(`${where}: unknown key ${key}`);
+  }
+  for (const key of [...LIMITS, 'requireApprovalAbove']) {
+    if (rules[key] !== undefined && !isLimit(rules[key])) {
+      throw new Error(`${where}.${key} must be whole sats (0 or more)`);
+    }
+  }
+  if (rules.actions !== undefined &&
+      (!Array.isArray(rules.actions) || !rules.actions.every(a => ACTIONS.includes(a)))) {
+    throw new Error(`${where}.actions must list some of: ${ACTIONS.join(', ')}`);
+  }
+  validateList(rules.recipients, `${where}.recipients`);
+  validateList(rules.payees, `${where}.payees`);
+  if (rules.mints !== undefined) {
+    if (typeof rules.mints !== 'object' || rules.mints === null || Array.isArray(rules.mints)) {
+      throw new Error(`${where}.mints must map mint URLs to limits`);
+    }
+    for (const [mint, limits] of Object.entries(rules.mints)) {
+      validateRules(limits, `${where}.mints[${mint}]`, LIMITS);
+    }
+  }
+}
+
+/**
+ * Check a policy's shape
+ *
+ * @throws {Error} Describing the first problem
+ */
+function validatePolicy(policy) {
+  validateRules(policy, 'policy', [...RULE_KEYS, ...APPROVAL_KEYS, 'agents']);
+  if (policy.approvers !== undefined &&
+      (!Array.isArray(policy.approvers) || !policy.approvers.every(a => typeof a === 'string'))) {
+    throw new Error('policy.approvers must be a list of pubkeys, npubs or DIDs');
+  }
+  if (policy.approvalExpiry !== undefined && !parseDuration(policy.approvalExpiry)) {
+    throw new Error('policy.approvalExpiry must be a duration like 30m, 24h or 7d');
+  }
+  for (const [agent, rules] of Object.entries(policy.agents || {})) {
+    validateRules(rules, `agents.${agent}`);
+  }
+}
+
+/**
+ * The wallet's spending policy, or null if it has none
+ *
+ * @throws {PolicyViolationError} The file can't be read or is invalid
+ */
+function loadPolicy(file = POLICY_FILE) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    validatePolicy(policy);
+    return policy;
+  } catch (e) {
+    throw new PolicyViolationError(`Spending policy ${file} is invalid, refusing to spend: ${e.message}`, { rule: 'invalid' });
+  }
+}
+
+/**
+ * Rules that apply to an agent's spends (null for none)
+ */
+function agentRules(policy, agent) {
+  if (!agent || !policy.agents) return null;
+  return policy.agents[agent] || policy.agents['*'] || null;
+}
+
+/**
+ * Comparable form of a recipient: x-only hex for pubkeys and npubs,
+ * lowercase for DIDs and names
+ */
+function recipientKey(value) {
+  const text = String(value).trim();
+  if (/^(0[23])?[0-9a-f]{64}$/i.test(text)) return text.slice(-64).toLowerCase();
+  if (text.startsWith('npub1')) {
+    try {
+      return Buffer.from(bech32.fromWords(bech32.decode(text).words)).toString('hex');
+    } catch (e) {
+      // Not a valid npub: compared as text
+    }
+  }
+  return text.toLowerCase();
+}
+
+/**
+ * Sats that went out in a window, by everyone or by one agent
+ *
+ * @param {object} [options]
+ * @param {string} [options.agent] - Only this agent's spends
+ * @param {string} [options.mint] - Only spends at this mint
+ * @param {Date} options.since
+ */
+function spentSince({ agent, mint, since }) {
+  const sent = store.getHistory({ type: [...store.OUTGOING_TYPES, 'transfer'], mint, since })
+    .filter(tx => !agent || tx.agent === agent)
+    .reduce((s, tx) => s + (tx.type === 'transfer' ? 0 : tx.amount) + (tx.fee || 0), 0);
+  
+  // Payments in flight aren't in the ledger until they settle: melts
+  // count their inputs, transfers their fee reserve
+  const inFlight = store.getPending({ mint, state: 'pending-melt' })
+    .filter(r => (!agent || r.agent === agent) && new Date(r.createdAt) >= since)
+    .reduce((s, r) => s + (r.type === 'transfer' ? r.feeReserve || 0 : r.amount), 0);
+  
+  return sent + inFlight;
+}
+
+function checkLimits(limits, total, { scope, agent, mint }) {
+  const where = mint ? `${scope} at ${mint}` : scope;
+  
+  if (limits.maxPerTransaction !== undefined && total > limits.maxPerTransaction) {
+    throw new PolicyViolationError(
+      `Spending policy: ${total} sats is over the ${where} limit of ${limits.maxPerTransaction} sats per transaction`,
+      { rule: 'maxPerTransaction', scope: where, limit: limits.maxPerTransaction });
+  }
+  
+  for (const period of ['daily', 'weekly']) {
+    if (limits[period] === undefined) continue;
+    const spent = spentSince({ agent, mint, since: new Date(Date.now() - WINDOWS[period]) });
+    if (spent + total > limits[period]) {
+      throw new PolicyViolationError(
+        `Spending policy: ${total} sats would exceed the ${where} ${period} budget of ${limits[period]} sats ` +
+        `(${spent} sats spent in the last ${period === 'daily' ? '24 hours' : '7 days'})`,
+        { rule: period, scope: where, limit: limits[period], spent });
+    }
+  }
+}
+
+// Refund keys can take a lock's ecash once its locktime passes, so they
+// are recipients too (the wallet's own key brings it back)
+function checkRecipients(lists, spend, scope) {
+  if (spend.action === 'melt' || spend.action === 'transfer') return;
+  
+  const ids = [spend.counterparty, ...(spend.recipients || []), ...(spend.pubkeys || [])]
+    .filter(Boolean).map(recipientKey);
+  const refundKeys = spend.refundKeys || [];
+  const who = spend.counterparty || 'the recipient';
+  
+  if (lists.deny) {
+    const denied = new Set(lists.deny.map(recipientKey));
+    if (ids.some(id => denied.has(id))) {
+      throw new PolicyViolationError(`Spending policy: ${who} is denied for ${scope}`, { rule: 'recipients', scope });
+    }
+    const refund = refundKeys.find(k => denied.has(recipientKey(k)));
+    if (refund) {
+      throw new PolicyViolationError(`Spending policy: refund key ${refund} is denied for ${scope}`,
+        { rule: 'recipients', scope });
+    }
+  }
+  
+  if (lists.allow) {
+    const allowed = new Set(lists.allow.map(recipientKey));
+    const has = (v) => allowed.has(recipientKey(v));
+    const recipients = spend.recipients || [];
+    const pubkeys = spend.pubkeys || [];
+    const ok = spend.action === 'lock' && (
+      (spend.counterparty && has(spend.counterparty)) ||
+      (pubkeys.length > 0 && pubkeys.every(has)) ||
+      (recipients.length > 0 && recipients.every(has)));
+    if (!ok) {
+      throw new PolicyViolationError(spend.action === 'send'
+        ? `Spending policy: ${scope} may only lock to allowed recipients (a plain token has no recipient)`
+        : `Spending policy: ${who} is not an allowed recipient for ${scope}`,
+      { rule: 'recipients', scope });
+    }
+    
+    if (spend.locktime && refundKeys.length === 0) {
+      throw new PolicyViolationError(`Spending policy: ${scope} may only lock to allowed recipients ` +
+        '(past its locktime, a lock without refund keys can be claimed by anyone)', { rule: 'recipients', scope });
+    }
+    const own = refundKeys.length > 0 ? archon.getCashuPubkey() : null;
+    const stranger = refundKeys.find(k => !has(k) && !(own && recipientKey(own) === recipientKey(k)));
+    if (stranger) {
+      throw new PolicyViolationError(`Spending policy: refund key ${stranger} is not an allowed recipient for ${scope}`,
+        { rule: 'recipients', scope });
+    }
+  }
+}
+
+// Lightning addresses match the address the invoice was fetched from,
+// pubkeys the invoice's payee
+function isPayee(entry, spend) {
+  if (entry.includes('@')) return !!spend.address && entry.toLowerCase() === spend.address.toLowerCase();
+  return !!spend.payee && recipientKey(entry) === recipientKey(spend.payee);
+}
+
+function checkPayees(lists, spend, scope) {
+  if (spend.action !== 'melt') return;
+  
+  if (!spend.payee && !spend.address) {
+    throw new PolicyViolationError(`Spending policy: ${scope} restricts payees, and the invoice's payee can't be read`,
+      { rule: 'payees', scope });
+  }
+  const who = spend.address || spend.payee;
+  if (lists.deny && lists.deny.some(p => isPayee(p, spend))) {
+    throw new PolicyViolationError(`Spending policy: payee ${who} is denied for ${scope}`, { rule: 'payees', scope });
+  }
+  if (lists.allow && !lists.allow.some(p => isPayee(p, spend))) {
+    throw new PolicyViolationError(`Spending policy: payee ${who} is not allowed for ${scope}`, { rule: 'payees', scope });
+  }
+}
+
+function checkRules(rules, spend, scope, agent = null) {
+  // What a transfer moves stays in the wallet
+  const total = (spend.action === 'transfer' ? 0 : spend.amount) + (spend.feeReserve || 0);
+  
+  if (rules.actions && !rules.actions.includes(spend.action)) {
+    throw new PolicyViolationError(`Spending policy: ${scope} may not ${spend.action} (allowed: ${rules.actions.join(', ') || 'nothing'})`,
+      { rule: 'actions', scope });
+  }
+  if (rules.recipients) checkRecipients(rules.recipients, spend, scope);
+  if (rules.payees) checkPayees(rules.payees, spend, scope);
+  
+  checkLimits(rules, total, { scope, agent });
+  // A multi-path melt counts at each mint with its part, transfers at the
+  // mints they leave
+  const parts = spend.parts ||
+    (spend.action === 'transfer' && spend.transfers.map(t => ({ mint: t.from, amount: 0, feeReserve: t.feeReserve }))) ||
+    [{ mint: spend.mint, amount: spend.amount, feeReserve: spend.feeReserve }];
+  for (const part of parts) {
+    if (rules.mints && rules.mints[part.mint]) {
+      checkLimits(rules.mints[part.mint], part.amount + (part.feeReserve || 0), { scope, agent, mint: part.mint });
+    }
+  }
+}
+
+/**
+ * Refuse a spend the policy doesn't allow
+ *
+ * @param {Spend} spend - See lib/hexnuts-wallet.js (payee: the invoice's node pubkey, for melts)
+ * @param {object} [options]
+ * @param {string} [options.agent] - Who is spending
+ * @param {object} [options.policy] - Default: loadPolicy()
+ * @throws {PolicyViolationError}
+ */
+function checkSpend(spend, { agent = null, policy = loadPolicy() } = {}) {
+  if (!policy) return;
+  checkRules(policy, spend, 'wallet');
+  const rules = agentRules(policy, agent);
+  if (rules) checkRules(rules, spend, `agent ${agent}`, agent);
+}
+
+/**
+ * Approval threshold a spend is over, if any
+ *
+ * @param {Spend} spend
+ * @param {object} [options]
+ * @param {string} [options.agent]
+ * @param {object} [options.policy] - Default: loadPolicy()
+ * @returns {number|null} The lowest threshold that applies and is exceeded
+ */
+function approvalThreshold(spend, { agent = null, policy = loadPolicy() } = {}) {
+  if (!policy) return null;
+  const total = spend.amount + (spend.feeReserve || 0);
+  const thresholds = [policy, agentRules(policy, agent) || {}]
+    .map(rules => rules.requireApprovalAbove)
+    .filter(t => t !== undefined && total > t);
+  return thresholds.length > 0 ? Math.min(...thresholds) : null;
+}
+
+/**
+ * One line describing a spend, for confirmations and approvals
+ */
+function describeSpend(spend) {
+  switch (spend.action) {
+    case 'melt':
+      if (spend.parts && (spend.parts.length > 1 || spend.transfers.length > 0)) {
+        const parts = spend.parts.map(p => `${p.amount} from ${p.mint}`).join(', ');
+        const moves = spend.transfers.map(t => `; first moving ${t.amount} sats from ${t.from} to ${t.to}`).join('');
+        return `Pay a ${spend.amount} sat Lightning invoice${spend.description ? ` ("${spend.description}")` : ''} ` +
+          `in parts (${parts}${moves}; fees up to ${spend.feeReserve} sats)`;
+      }
+      if (spend.address) {
+        return `Pay ${spend.amount} sats to ${spend.address} (fees up to ${spend.feeReserve} sats) from ${spend.mint}`;
+      }
+      return `Pay a ${spend.amount} sat Lightning invoice${spend.description ? ` ("${spend.description}")` : ''} ` +
+        `(fees up to ${spend.feeReserve} sats) from ${spend.mint}`;
+    case 'lock': {
+      let refund = '';
+      if (spend.locktime) {
+        const after = new Date(spend.locktime * 1000).toISOString();
+        refund = spend.refundKeys && spend.refundKeys.length > 0
+          ? `, refundable to ${spend.refundKeys.join(',')} after ${after}`
+          : `, claimable by anyone after ${after}`;
+      }
+      return `Lock ${spend.amount} sats to ${spend.counterparty}${refund} from ${spend.mint}`;
+    }
+    case 'transfer':
+      if (spend.transfers.length > 1) {
+        const moves = spend.transfers.map(t => `${t.amount} from ${t.from} to ${t.to}`).join(', ');
+        return `Move ${spend.amount} sats between mints (${moves}; fees up to ${spend.feeReserve} sats)`;
+      }
+      return `Move ${spend.amount} sats from ${spend.mint} to ${spend.to} (fees up to ${spend.feeReserve} sats)`;
+    default:
+      return `Send a ${spend.amount} sat token from ${spend.mint}`;
+  }
+}
+
+/**
+ * What has been spent against each budget of the policy
+ *
+ * @returns {Array<{scope: string, mint: string|null, period: string, limit: number, spent: number}>}
+ */
+function budgetUsage(policy, { agent = null } = {}) {
+  const usage = [];
+  const scopes = [['wallet', policy, null]];
+  const rules = agentRules(policy, agent);
+  if (rules) scopes.push([`agent ${agent}`, rules, agent]);
+  
+  for (const [scope, scopeRules, scopeAgent] of scopes) {
+    const entries = [[null, scopeRules], ...Object.entries(scopeRules.mints || {})];
+    for (const [mint, limits] of entries) {
+      for (const period of ['daily', 'weekly']) {
+        if (limits[period] === undefined) continue;
+        const since = new Date(Date.now() - WINDOWS[period]);
+        usage.push({ scope, mint, period, limit: limits[period], spent: spentSince({ agent: scopeAgent, mint, since }) });
+      }
+    }
+  }
+  return usage;
+}
+
+module.exports = {
+  ACTIONS,
+  validatePolicy,
+  loadPolicy,
+  recipientKey,
+  checkSpend,
+  approvalThreshold,
+  describeSpend,
+  budgetUsage
+};
@@ -0,0 +1,105 @@
+/**
+ * Wallet Profiles
+ *
+ * One host can run several independent wallets ("profiles"), e.g. one per
+ * agent. Any script takes --wallet <name> (or HEXNUTS_WALLET=<name>) to
+ * pick one. The default profile keeps the original layout directly in
+ * ~/.config/hex; named profiles live in ~/.config/hex/wallets/<name>/ with
+ * their own proofs, counters, keys (nostr.env) and settings (default mint,
+ * storage backend, ...).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { IS_CLI, takeOption } = require('./args');
+const { HexNutsError } = require('./errors');
+const output = require('./output');
+
+const BASE_DIR = path.join(process.env.HOME, '.config', 'hex');
+const PROFILES_DIR = path.join(BASE_DIR, 'wallets');
+const DEFAULT_PROFILE = 'default';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+function isValidName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+/**
+ * Directory holding a profile's files
+ */
+function profileDir(name) {
+  return name === DEFAULT_PROFILE ? BASE_DIR : path.join(PROFILES_DIR, name);
+}
+
+/**
+ * All files belonging to a profile
+ */
+function profilePaths(name) {
+  const dir = profileDir(name);
+  return {
+    dir,
+    walletFile: path.join(dir, 'cashu-wallet.json'),
+    dbFile: path.join(dir, 'cashu-wallet.db'),
+    lockFile: path.join(dir, 'cashu-wallet.lock'),
+    configFile: path.join(dir, 'cashu-config.json'),
+    counterFile: path.join(dir, 'cashu-counters.json'),
+    nostrEnv: path.join(dir, 'nostr.env'),
+    clientsFile: path.join(dir, 'api-clients.json'),
+    policyFile: path.join(dir, 'spending-policy.json'),
+    approvalsFile: path.join(dir, 'approval-requests.json'),
+    redemptionsFile: path.join(dir, 'redemptions.json')
+  };
+}
+
+function profileExists(name) {
+  return name === DEFAULT_PROFILE || fs.existsSync(profileDir(name));
+}
+
+/**
+ * Names of all profiles, default first
+ */
+function listProfiles() {
+  const named = fs.existsSync(PROFILES_DIR)
+    ? fs.readdirSync(PROFILES_DIR).filter(n => isValidName(n) && fs.statSync(profileDir(n)).isDirectory()).sort()
+    : [];
+  return [DEFAULT_PROFILE, ...named.filter(n => n !== DEFAULT_PROFILE)];
+}
+
+/**
+ * Report a bad profile selection: exit in scripts, throw when imported
+ */
+function reject(code, lines) {
+  if (!IS_CLI) throw new HexNutsError(lines[0], code);
+  lines.forEach(line => console.error(line));
+  output.exit(code);
+}
+
+function selectProfile() {
+  // Taken out of argv before scripts parse their own arguments
+  const option = IS_CLI ? takeOption(process.argv, '--wallet') : null;
+  const name = option ?? (process.env.HEXNUTS_WALLET || DEFAULT_PROFILE);
+  if (!isValidName(name)) {
+    reject('USAGE', [`Invalid wallet name: "${name}" (use a-z, 0-9, - and _, up to 32 characters)`]);
+  }
+  // A typo shouldn't quietly start a new, empty wallet
+  if (!profileExists(name)) {
+    reject('UNKNOWN_WALLET', [`Unknown wallet: ${name}`, `Create it with: node wallets.js create ${name}`]);
+  }
+  return name;
+}
+
+// The profile this process works on
+const PROFILE = selectProfile();
+
+module.exports = {
+  BASE_DIR,
+  PROFILES_DIR,
+  DEFAULT_PROFILE,
+  PROFILE,
+  isValidName,
+  profileDir,
+  profilePaths,
+  profileExists,
+  listProfiles
+};
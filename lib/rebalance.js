@@ -0,0 +1,110 @@
+/**
+ * Rebalancing Between Mints
+ *
+ * Keeps the wallet's ecash spread over its mints in set shares, so no one
+ * mint holds more of it than intended. Set as `rebalance` in
+ * cashu-config.json (transfer.js rebalance --set-targets):
+ *
+ *   "rebalance": {
+ *     "targets": { "https://mint-a.example": 60, "https://mint-b.example": 40 },
+ *     "tolerance": 10,      // percentage points a mint may drift before anything moves
+ *     "minTransfer": 100    // sats; smaller moves aren't worth their Lightning fees
+ *   }
+ *
+ * Only the mints listed take part: their balances are added up and split
+ * by the targets, which add up to 100. Once one of them is off its target
+ * by more than the tolerance, ecash moves from the mints over their share
+ * to the mints under it (HexNutsWallet.rebalance). Run transfer.js
+ * rebalance from cron to rebalance automatically.
+ */
+
+const { InvalidArgumentError } = require('./errors');
+
+const DEFAULTS = { tolerance: 10, minTransfer: 100 };
+
+/**
+ * Rebalance settings of a config, with defaults (null: not set)
+ *
+ * @param {object} config - See lib/config.js
+ * @returns {{targets: Object<string, number>, tolerance: number, minTransfer: number}|null}
+ * @throws {InvalidArgumentError} Invalid settings
+ */
+function rebalanceSettings(config) {
+  if (!config.rebalance) return null;
+  const settings = { ...DEFAULTS, ...config.rebalance };
+  validateSettings(settings);
+  return settings;
+}
+
+/**
+ * @throws {InvalidArgumentError} Describing the first problem
+ */
+function validateSettings({ targets, tolerance, minTransfer }) {
+  if (typeof targets !== 'object' || targets === null || Array.isArray(targets) || Object.keys(targets).length < 2) {
+    throw new InvalidArgumentError('Rebalance targets must map two or more mint URLs to percentages');
+  }
+  for (const [mint, percent] of Object.entries(targets)) {
+    if (!/^https?:\/\//.test(mint)) throw new InvalidArgumentError(`Rebalance target ${mint} is not a mint URL`);
+    if (typeof percent !== 'number' || !(percent >= 0 && percent <= 100)) {
+      throw new InvalidArgumentError(`Rebalance target of ${mint} must be a percentage (0 to 100)`);
+    }
+  }
+  const sum = Object.values(targets).reduce((s, p) => s + p, 0);
+  if (Math.abs(sum - 100) > 0.001) {
+    throw new InvalidArgumentError(`Rebalance targets add up to ${sum}%, not 100%`);
+  }
+  if (typeof tolerance !== 'number' || !(tolerance >= 0 && tolerance < 100)) {
+    throw new InvalidArgumentError('Rebalance tolerance must be percentage points (0 to 100)');
+  }
+  if (!Number.isInteger(minTransfer) || minTransfer < 1) {
+    throw new InvalidArgumentError('Rebalance minTransfer must be whole sats (1 or more)');
+  }
+}
+
+/**
+ * Moves that bring the mints back to their targets
+ *
+ * Nothing moves while every mint is within the tolerance. Otherwise the
+ * mints furthest over their share pay the mints furthest under it, in
+ * moves of at least minTransfer sats. Fees aren't counted here; the
+ * wallet fits them into each move when quoting it.
+ *
+ * @param {Object<string, number>} balances - Sats per target mint
+ * @param {{targets: Object<string, number>, tolerance: number, minTransfer: number}} settings
+ * @returns {{total: number, mints: Array<{mint: string, balance: number, share: number, target: number}>,
+ *   moves: Array<{from: string, to: string, amount: number}>}} share: percent of the total
+ */
+function planMoves(balances, { targets, tolerance, minTransfer }) {
+  const total = Object.keys(targets).reduce((s, mint) => s + (balances[mint] || 0), 0);
+  const mints = Object.entries(targets).map(([mint, target]) => {
+    const balance = balances[mint] || 0;
+    const share = total > 0 ? Math.round(balance / total * 1000) / 10 : 0;
+    return { mint, balance, share, target };
+  });
+  
+  const moves = [];
+  if (total === 0 || mints.every(m => Math.abs(m.share - m.target) <= tolerance)) {
+    return { total, mints, moves };
+  }
+  
+  const gap = (m) => m.balance - Math.round(total * m.target / 100);
+  const over = mints.map(m => ({ mint: m.mint, left: gap(m) })).filter(m => m.left > 0).sort((a, b) => b.left - a.left);
+  const under = mints.map(m => ({ mint: m.mint, left: -gap(m) })).filter(m => m.left > 0).sort((a, b) => b.left - a.left);
+  
+  for (const to of under) {
+    for (const from of over) {
+      const amount = Math.min(from.left, to.left);
+      if (amount < minTransfer) continue;
+      moves.push({ from: from.mint, to: to.mint, amount });
+      from.left -= amount;
+      to.left -= amount;
+    }
+  }
+  return { total, mints, moves };
+}
+
+module.exports = {
+  rebalanceSettings,
+  validateSettings,
+  planMoves
+};
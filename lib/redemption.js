@@ -0,0 +1,346 @@
+/**
+ * Partially Signed Redemptions
+ *
+ * A token locked to several keys (NUT-11 n_sigs, from lock-multisig.js or
+ * send-to-group.js) can only be redeemed once enough of its keyholders
+ * have signed, and they rarely share a machine. A redemption file carries
+ * the redeeming swap between them, in the spirit of a PSBT:
+ *
+ *   {
+ *     "type": "hexnuts-redemption",
+ *     "version": 1,
+ *     "id": "5f0c...",   // hash of the mint, unit, inputs and outputs
+ *     "mint": "https://mint.example",
+ *     "unit": "sat",
+ *     "memo": null,
+ *     "amount": 99,      // sats the outputs are worth
+ *     "fee": 1,          // input fees
+ *     "inputs": [...],   // the token's proofs, signatures collecting in their witnesses
+ *     "outputs": [...]   // blinded messages, fixed when the file is created
+ *   }
+ *
+ * The member who creates it (HexNutsWallet.createRedemption) keeps the
+ * outputs' secrets and blinding factors in their wallet, as a
+ * RedemptionRecord (store.saveRedemption): only that wallet can unblind
+ * what the swap returns. The others sign copies of the file, in any order
+ * and wherever their keys are; copies signed in parallel are combined.
+ * Once every input has the signatures its lock asks for, anyone with the
+ * file can send the swap to the mint, and the creator claims the new
+ * proofs (from the swap's response, or later through NUT-09 restore).
+ *
+ * With the default SIG_INPUTS flag, signatures cover the inputs only: a
+ * fully signed file can be redeemed into other outputs by whoever holds
+ * it, so it should only travel between the signers. Tokens locked with
+ * SIG_ALL (lock-multisig.js --sig-all) are signed over the whole swap,
+ * inputs and outputs (NUT-11): each keyholder approves the exact outputs
+ * in the file, and a signed copy is worthless with any others. Their
+ * signatures all go on the first input, which speaks for the rest, once
+ * per message format mints have checked (see sigAllMessages).
+ */
+
+const crypto = require('crypto');
+const {
+  getSecretKind,
+  getSecretData,
+  getP2PKSigFlag,
+  getP2PKWitnessSignatures,
+  getP2PKExpectedWitnessPubkeys,
+  signP2PKProofs,
+  verifyP2PKSpendingConditions,
+  buildLegacyP2PKSigAllMessage,
+  buildInterimP2PKSigAllMessage,
+  buildP2PKSigAllMessage
+} = require('@cashu/cashu-ts');
+const { InvalidArgumentError } = require('./errors');
+
+const TYPE = 'hexnuts-redemption';
+const VERSION = 1;
+
+/**
+ * @typedef {object} Redemption - A redemption file (see above)
+ * @property {string} type
+ * @property {number} version
+ * @property {string} id
+ * @property {string} mint
+ * @property {string} unit
+ * @property {string|null} memo
+ * @property {number} amount
+ * @property {number} fee
+ * @property {object[]} inputs - Proofs
+ * @property {Array<{amount: number, id: string, B_: string}>} outputs - Blinded messages
+ */
+
+/**
+ * @typedef {object} RedemptionRecord - What the creator keeps to claim the outputs
+ * @property {string} id
+ * @property {string} mint
+ * @property {number} amount
+ * @property {number} fee
+ * @property {string|null} memo
+ * @property {object[]} inputs - The token's proofs (without witnesses), to see whether they were spent elsewhere
+ * @property {object[]} outputs - Serialized OutputData (see lib/pending.js)
+ * @property {string} createdAt
+ */
+
+function isP2PK(proof) {
+  try {
+    return getSecretKind(proof.secret) === 'P2PK';
+  } catch (e) {
+    return false;
+  }
+}
+
+function isSigAll(proof) {
+  return isP2PK(proof) && getP2PKSigFlag(proof.secret) === 'SIG_ALL';
+}
+
+function sumAmounts(items) {
+  return items.reduce((s, x) => s + x.amount, 0);
+}
+
+// Signatures don't change the id: every copy of a file shares it
+function redemptionId({ mint, unit, inputs, outputs }) {
+  const data = JSON.stringify({
+    mint,
+    unit,
+    inputs: inputs.map(p => [p.id, p.amount, p.secret, p.C]),
+    outputs: outputs.map(o => [o.id, o.amount, o.B_])
+  });
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+}
+
+/**
+ * Start a redemption of `inputs` into `outputs`
+ *
+ * @param {object} swap
+ * @param {string} swap.mint
+ * @param {string} swap.unit
+ * @param {string|null} [swap.memo]
+ * @param {object[]} swap.inputs - The token's proofs
+ * @param {Array<{amount: number, id: string, B_: string}>} swap.outputs - Blinded messages, in the order the mint signs them
+ * @param {number} swap.fee - Input fees
+ * @returns {Redemption}
+ * @throws {InvalidArgumentError} No locked proofs, or SIG_ALL inputs that can't be signed together
+ */
+function createRedemption({ mint, unit, memo = null, inputs, outputs, fee }) {
+  checkInputs(inputs);
+  const outs = outputs.map(({ amount, id, B_ }) => ({ amount, id, B_ }));
+  return {
+    type: TYPE,
+    version: VERSION,
+    id: redemptionId({ mint, unit, inputs, outputs: outs }),
+    mint,
+    unit,
+    memo,
+    amount: sumAmounts(outs),
+    fee,
+    inputs,
+    outputs: outs
+  };
+}
+
+function checkInputs(inputs) {
+  const locked = inputs.filter(isP2PK);
+  if (locked.length === 0) {
+    throw new InvalidArgumentError('Token is not P2PK-locked: receive it directly');
+  }
+  if (!inputs.some(isSigAll)) return;
+  // One set of signatures for all inputs: they must share one lock
+  const locks = inputs.map(p => isSigAll(p) ? getSecretData(p.secret) : null);
+  const [first] = locks;
+  for (const data of locks) {
+    if (!data || data.data !== first.data || JSON.stringify(data.tags || []) !== JSON.stringify(first.tags || [])) {
+      throw new InvalidArgumentError('SIG_ALL token mixes locks: its proofs must all share the same keys and conditions');
+    }
+  }
+}
+
+/**
+ * The message SIG_ALL signatures sign (NUT-11): every input's secret and
+ * C, then every output's amount and B_
+ *
+ * @param {object[]} inputs
+ * @param {Array<{amount: number, id: string, B_: string}>} outputs - Blinded messages
+ * @returns {string}
+ */
+function sigAllMessage(inputs, outputs) {
+  return buildP2PKSigAllMessage(inputs, outputs.map(blindedMessage => ({ blindedMessage })));
+}
+
+/**
+ * Every SIG_ALL message a mint may check, oldest format first: secrets
+ * and B_ only (Nutshell < 0.18, CDK < 0.14.1), then amount, keyset id
+ * and B_ per output (Nutshell < 0.18.2), then the current one. Signers
+ * sign them all, as cashu-ts does, so any of these mints takes the file.
+ *
+ * @param {object[]} inputs
+ * @param {Array<{amount: number, id: string, B_: string}>} outputs - Blinded messages
+ * @returns {string[]}
+ */
+function sigAllMessages(inputs, outputs) {
+  const outputData = outputs.map(blindedMessage => ({ blindedMessage }));
+  return [buildLegacyP2PKSigAllMessage, buildInterimP2PKSigAllMessage, buildP2PKSigAllMessage]
+    .map(build => build(inputs, outputData));
+}
+
+/**
+ * What a redemption's signatures sign: the whole swap with SIG_ALL, each
+ * input's own secret otherwise (one undefined message)
+ *
+ * @param {Redemption} redemption
+ * @returns {Array<string|undefined>}
+ */
+function signedMessages(redemption) {
+  return redemption.inputs.some(isSigAll) ? sigAllMessages(redemption.inputs, redemption.outputs) : [undefined];
+}
+
+/**
+ * Read a redemption file (its JSON, or the parsed object)
+ *
+ * @param {string|object} data
+ * @returns {Redemption}
+ * @throws {InvalidArgumentError} Not a redemption, or changed since it was created
+ */
+function parseRedemption(data) {
+  let redemption = data;
+  if (typeof data === 'string') {
+    try {
+      redemption = JSON.parse(data);
+    } catch (e) {
+      throw new InvalidArgumentError('Not a redemption file (invalid JSON)');
+    }
+  }
+  if (!redemption || redemption.type !== TYPE) {
+    throw new InvalidArgumentError('Not a redemption file');
+  }
+  if (redemption.version !== VERSION) {
+    throw new InvalidArgumentError(`Unsupported redemption file version: ${redemption.version}`);
+  }
+  if (!Array.isArray(redemption.inputs) || !Array.isArray(redemption.outputs) || !redemption.mint) {
+    throw new InvalidArgumentError('Redemption file is incomplete');
+  }
+  if (redemptionId(redemption) !== redemption.id) {
+    throw new InvalidArgumentError('Redemption file was changed: its inputs or outputs don\'t match its id');
+  }
+  checkInputs(redemption.inputs);
+  return redemption;
+}
+
+function signatureCount(inputs) {
+  return inputs.reduce((s, p) => s + getP2PKWitnessSignatures(p.witness).length, 0);
+}
+
+/**
+ * Add signatures with one or more private keys
+ *
+ * Keys sign the inputs their lock names them in (main keys, or refund
+ * keys once the locktime has passed) and haven't signed yet. With
+ * SIG_ALL they sign the first input only, over the whole swap, in every
+ * message format.
+ *
+ * @param {Redemption} redemption
+ * @param {string[]} privkeys - Hex
+ * @returns {{redemption: Redemption, added: number}} added: signatures added (one per key and input)
+ */
+function signRedemption(redemption, privkeys) {
+  const messages = signedMessages(redemption);
+  const sigAll = messages[0] !== undefined;
+  const locked = redemption.inputs.map((p, i) => {
+    if (!isP2PK(p) || (sigAll && i > 0)) return p;
+    return messages.reduce((proof, message) => signP2PKProofs([proof], privkeys, undefined, message)[0], p);
+  });
+  return {
+    redemption: { ...redemption, inputs: locked },
+    added: (signatureCount(locked) - signatureCount(redemption.inputs)) / messages.length
+  };
+}
+
+/**
+ * Merge copies of one redemption signed separately
+ *
+ * @param {Redemption[]} redemptions
+ * @returns {Redemption}
+ * @throws {InvalidArgumentError} Copies of different redemptions
+ */
+function combineRedemptions(redemptions) {
+  const [first, ...others] = redemptions;
+  for (const other of others) {
+    if (other.id !== first.id) {
+      throw new InvalidArgumentError(`Redemptions ${first.id} and ${other.id} are different swaps`);
+    }
+  }
+  
+  const inputs = first.inputs.map((proof, i) => {
+    const signatures = [...new Set(redemptions.flatMap(r => getP2PKWitnessSignatures(r.inputs[i].witness)))];
+    return signatures.length > 0 ? { ...proof, witness: { signatures } } : proof;
+  });
+  return { ...first, inputs };
+}
+
+/**
+ * Who has signed each input, and whether the swap can go to the mint
+ *
+ * @param {Redemption} redemption
+ * @returns {{id: string, mint: string, amount: number, fee: number, memo: string|null, sigAll: boolean, complete: boolean,
+ *   inputs: Array<{amount: number, path: string, required: number, signed: string[], unsigned: string[], complete: boolean}>}}
+ *   path: main, refund or unlocked (met), failed (not yet); unsigned: keys that could still sign;
+ *   sigAll: signatures cover the outputs too (every input then shows the first one's signatures)
+ */
+function redemptionStatus(redemption) {
+  const messages = signedMessages(redemption);
+  const sigAll = messages[0] !== undefined;
+  const [first] = redemption.inputs;
+  const inputs = redemption.inputs.map(proof => {
+    if (!isP2PK(proof)) {
+      return { amount: proof.amount, path: 'unlocked', required: 0, signed: [], unsigned: [], complete: true };
+    }
+    // The format with the most signers: any one the mint checks will do
+    const check = messages
+      .map(message => verifyP2PKSpendingConditions(sigAll ? { ...proof, witness: first.witness } : proof, undefined, message))
+      .reduce((best, c) => (c.success !== best.success ? c.success : c.receivedSigners.length > best.receivedSigners.length) ? c : best);
+    const pubkeys = getP2PKExpectedWitnessPubkeys(proof.secret);
+    return {
+      amount: proof.amount,
+      path: check.path.toLowerCase(),
+      required: check.requiredSigners,
+      signed: check.receivedSigners,
+      unsigned: pubkeys.filter(k => !check.receivedSigners.includes(k)),
+      complete: check.success
+    };
+  });
+  
+  return {
+    id: redemption.id,
+    mint: redemption.mint,
+    amount: redemption.amount,
+    fee: redemption.fee,
+    memo: redemption.memo || null,
+    sigAll,
+    complete: inputs.every(i => i.complete),
+    inputs
+  };
+}
+
+/**
+ * The swap request for the mint (NUT-03), witnesses as JSON strings
+ *
+ * @param {Redemption} redemption
+ * @returns {{inputs: object[], outputs: object[]}}
+ */
+function swapRequest(redemption) {
+  const inputs = redemption.inputs.map(({ dleq, p2pk_e, witness, ...proof }) => (
+    witness ? { ...proof, witness: typeof witness === 'string' ? witness : JSON.stringify(witness) } : proof
+  ));
+  return { inputs, outputs: redemption.outputs };
+}
+
+module.exports = {
+  createRedemption,
+  parseRedemption,
+  signRedemption,
+  combineRedemptions,
+  redemptionStatus,
+  sigAllMessage,
+  sigAllMessages,
+  swapRequest
+};
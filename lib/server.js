@@ -0,0 +1,265 @@
+/**
+ * HexNuts HTTP API
+ *
+ * Serves one HexNutsWallet over HTTP for serve.js. Requests carry a
+ * client token (Authorization: Bearer hxn_...) and each route needs one
+ * permission (see lib/clients.js), except the approval routes: any client
+ * may follow its own approval requests and hand in a signed approval
+ * (the signature is what counts). Bodies and responses are JSON, in the
+ * same shape as the scripts' --json output:
+ *
+ *   {"ok": true, "amount": 100, "token": "cashuB...", ...}
+ *   {"ok": false, "error": {"code": "INSUFFICIENT_BALANCE", "message": "...", ...}}
+ */
+
+const http = require('http');
+const clients = require('./clients');
+const { errorCode } = require('./output');
+const { HexNutsError, InvalidArgumentError, NotFoundError } = require('./errors');
+
+const MAX_BODY = 64 * 1024;
+
+// HTTP status per error code; anything else (insufficient balance,
+// unpaid quote, ...) is 422
+const STATUS = {
+  USAGE: 400,
+  INVALID_TOKEN: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  POLICY_DENIED: 403,
+  APPROVAL_REQUIRED: 202,
+  NOT_FOUND: 404,
+  MINT_ERROR: 502,
+  LNURL_ERROR: 502,
+  WALLET_BUSY: 503,
+  WALLET_LOCKED: 503,
+  ERROR: 500
+};
+
+// Query string numbers arrive as text
+function toInt(value) {
+  return value === undefined ? undefined : Number(value);
+}
+
+/**
+ * "METHOD /path": permission (null: any client) and handler(wallet, input)
+ * GET input is the query string, POST input the JSON body.
+ */
+const ROUTES = {
+  'GET /balance': {
+    permission: 'balance',
+    handler: (wallet, q) => wallet.balance({ mint: q.mint })
+  },
+  'GET /history': {
+    permission: 'history',
+    handler: (wallet, q) => wallet.history({
+      type: q.type ? q.type.split(',') : undefined,
+      mint: q.mint,
+      counterparty: q.counterparty,
+      since: q.since,
+      until: q.until,
+      limit: toInt(q.limit)
+    })
+  },
+  'POST /mint': {
+    permission: 'mint',
+    handler: (wallet, b) => wallet.mint(b.amount, { mint: b.mint })
+  },
+  'POST /mint/claim': {
+    permission: 'mint',
+    handler: (wallet, b) => wallet.claimQuote(b.quote, { mint: b.mint })
+  },
+  'GET /mint/quotes': {
+    permission: 'mint',
+    handler: (wallet, q) => wallet.quotes({ all: q.all === '1' || q.all === 'true', mint: q.mint })
+  },
+  'POST /mint/claim-paid': {
+    permission: 'mint',
+    handler: (wallet, b) => wallet.claimPaidQuotes({ mint: b.mint })
+  },
+  'POST /melt': {
+    permission: 'melt',
+    handler: (wallet, b) => b.address
+      ? wallet.payAddress(b.address, b.amount, { comment: b.comment, mint: b.mint })
+      : b.multiMint
+        ? wallet.meltMultiPath(b.invoice, { mints: b.mints })
+        : wallet.melt(b.invoice, { mint: b.mint, amount: b.amount })
+  },
+  'POST /melt/plan': {
+    permission: 'melt',
+    handler: (wallet, b) => wallet.planMultiPath(b.invoice, { mints: b.mints })
+  },
+  'POST /transfer': {
+    permission: 'melt',
+    handler: (wallet, b) => wallet.transfer(b.amount, { from: b.from, to: b.to })
+  },
+  'POST /transfer/resume': {
+    permission: 'melt',
+    handler: (wallet) => wallet.resumeTransfers()
+  },
+  'POST /rebalance': {
+    permission: 'melt',
+    handler: (wallet, b) => b.plan ? wallet.planRebalance() : wallet.rebalance()
+  },
+  'POST /send': {
+    permission: 'send',
+    handler: (wallet, b) => wallet.send(b.amount, { mint: b.mint, verify: !!b.verify })
+  },
+  'POST /receive': {
+    permission: 'receive',
+    handler: (wallet, b) => wallet.receive(b.token, { privkey: b.privkey, self: !!b.self, preimage: b.preimage })
+  },
+  'POST /lock': {
+    permission: 'lock',
+    handler: (wallet, b) => b.group
+      ? wallet.lockToGroup(b.amount, b.group, { threshold: b.threshold, sigAll: !!b.sigAll, mint: b.mint })
+      : wallet.lock(b.amount, {
+        pubkeys: b.pubkeys,
+        self: !!b.self,
+        threshold: b.threshold,
+        refundKeys: b.refundKeys,
+        refundThreshold: b.refundThreshold,
+        locktime: b.locktime,
+        sigAll: !!b.sigAll,
+        mint: b.mint
+      })
+  },
+  'POST /lock/hash': {
+    permission: 'lock',
+    handler: (wallet, b) => wallet.lockToHash(b.amount, {
+      hash: b.hash,
+      pubkeys: b.pubkeys,
+      self: !!b.self,
+      threshold: b.threshold,
+      refundKeys: b.refundKeys,
+      refundSelf: !!b.refundSelf,
+      refundThreshold: b.refundThreshold,
+      locktime: b.locktime,
+      mint: b.mint
+    })
+  },
+  'POST /lock/preimage': {
+    permission: 'receive',
+    handler: (wallet, b) => wallet.revealedPreimage(b.token)
+  },
+  'GET /approvals': {
+    permission: null,
+    handler: (wallet, q) => q.id
+      ? { request: wallet.approval(q.id) }
+      : { requests: wallet.approvals({ state: q.state }) }
+  },
+  'POST /approvals/approve': {
+    permission: null,
+    handler: async (wallet, b) => ({ request: await wallet.approve(b.id, { pubkey: b.pubkey, sig: b.sig }) })
+  }
+};
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new InvalidArgumentError('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+          throw new Error('not an object');
+        }
+        resolve(body);
+      } catch (e) {
+        reject(new InvalidArgumentError(`Invalid JSON body: ${e.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Error object of a failed response
+ * Includes the extra fields of HexNutsErrors (needed, available, quote, ...).
+ */
+function describeError(err) {
+  const error = { code: errorCode(err), message: err.message };
+  if (err instanceof HexNutsError) {
+    const { name, code, ...details } = err;
+    Object.assign(error, details);
+  }
+  if (err.pending) error.pending = err.pending;
+  return error;
+}
+
+function send(res, status, data) {
+  const body = JSON.stringify(data);
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body)
+  });
+  res.end(body);
+}
+
+/**
+ * Create the HTTP server (not yet listening)
+ *
+ * @param {HexNutsWallet} wallet
+ * @param {object} [options]
+ * @param {object} [options.info] - Extra fields for GET /health
+ * @param {function} [options.log] - Called with one line per request
+ * @returns {http.Server}
+ */
+function createServer(wallet, { info = {}, log = () => {} } = {}) {
+  return http.createServer(async (req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+    const route = `${req.method} ${url.pathname.replace(/\/+$/, '') || '/'}`;
+    let client = null;
+    let status = 200;
+    
+    try {
+      if (route === 'GET /health') {
+        return send(res, 200, { ok: true, ...info });
+      }
+      
+      const auth = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+      client = clients.authenticate(auth && auth[1]);
+      if (!client) {
+        throw new HexNutsError('Missing or unknown API token', 'UNAUTHORIZED');
+      }
+      
+      const { permission, handler } = ROUTES[route] || {};
+      if (!handler) {
+        throw new NotFoundError(`No such endpoint: ${route}`);
+      }
+      if (permission && !client.permissions.includes(permission)) {
+        throw new HexNutsError(`Client ${client.name} may not use ${route} (needs "${permission}")`, 'FORBIDDEN');
+      }
+      
+      const input = req.method === 'GET' ? Object.fromEntries(url.searchParams) : await readBody(req);
+      // Spends are the client's own, for per-agent budgets
+      const result = await handler(wallet.forAgent(client.name), input);
+      send(res, 200, { ok: true, ...result });
+    } catch (err) {
+      const error = describeError(err);
+      status = STATUS[error.code] || 422;
+      send(res, status, { ok: false, error });
+    } finally {
+      log(`${new Date().toISOString()} ${client ? client.name : '-'} ${route} ${status} ${Date.now() - started}ms`);
+    }
+  });
+}
+
+module.exports = {
+  ROUTES,
+  readBody,
+  describeError,
+  createServer
+};
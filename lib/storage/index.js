@@ -0,0 +1,81 @@
+/**
+ * Wallet Storage Backends
+ *
+ * The wallet (proofs, pending records, mint/keyset cache, NUT-13 counters,
+ * quotes, redemption records, approval requests and the transaction
+ * ledger) can be kept in one of two backends:
+ *
+ *   json    cashu-wallet.json, rewritten atomically under a lock file (default)
+ *   sqlite  cashu-wallet.db via node:sqlite, with real transactions
+ *
+ * The backend is chosen by HEXNUTS_STORAGE or the `storage` setting in
+ * cashu-config.json; migrate-storage.js moves a wallet between them.
+ *
+ * Every backend implements the same synchronous interface:
+ *
+ *   transaction(fn)                  run fn atomically; nested calls join it
+ *   getProofs(mint) / getProofMints() / getBalance([mint])
+ *   addProofs(mint, proofs) / setProofs(mint, proofs)
+ *   removeProofs(mint, secrets)      returns the number of proofs removed
+ *   getPending(id) / listPending() / putPending(record) / deletePending(id)
+ *   getMint(url) / listMints() / putMint(url, entry)
+ *   getCounters() / setCounter(keysetId, next)   counters only move forward
+ *   getQuote(id) / listQuotes() / putQuote(quote) / deleteQuote(id)
+ *   getRedemption(id) / listRedemptions() / putRedemption(record) / deleteRedemption(id)
+ *   getApproval(id) / listApprovals() / putApproval(request) / deleteApproval(id)
+ *   appendHistory(entry) / listHistory()
+ *   exportData() / importData(data)  whole wallet as a plain object
+ *   isEncrypted() / reseal(passphrase)
+ *   exists() / close()
+ */
+
+const { createJsonStorage } = require('./json');
+const { createSqliteStorage } = require('./sqlite');
+const { loadConfig } = require('../config');
+
+const BACKENDS = {
+  json: createJsonStorage,
+  sqlite: createSqliteStorage
+};
+
+const STORAGE_TYPES = Object.keys(BACKENDS);
+
+let storage = null;
+
+/**
+ * Create a backend of the given type
+ *
+ * @param {string} type - 'json' or 'sqlite'
+ * @param {object} [options] - Backend options (e.g. file)
+ */
+function createStorage(type, options = {}) {
+  const create = BACKENDS[type];
+  if (!create) {
+    throw new Error(`Unknown storage backend: ${type} (expected ${STORAGE_TYPES.join(' or ')})`);
+  }
+  return create(options);
+}
+
+/**
+ * The configured storage type (HEXNUTS_STORAGE, else cashu-config.json)
+ */
+function getStorageType() {
+  return process.env.HEXNUTS_STORAGE || loadConfig().storage;
+}
+
+/**
+ * Open the configured backend (once per process)
+ */
+function openStorage() {
+  if (!storage) {
+    storage = createStorage(getStorageType());
+  }
+  return storage;
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  createStorage,
+  getStorageType,
+  openStorage
+};
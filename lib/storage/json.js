@@ -0,0 +1,330 @@
+/**
+ * JSON File Storage Backend
+ *
+ * The whole wallet lives in one JSON file (cashu-wallet.json). Each
+ * transaction takes an exclusive lock file (see lib/lock.js), reads the
+ * file, applies its changes in memory and writes the result back
+ * atomically (temp file + fsync + rename). The previous versions are kept as rolling snapshots,
+ * which load() falls back to if the wallet file is ever unreadable.
+ *
+ * The file may be encrypted at rest (see lib/wallet-crypto.js); both
+ * formats are handled transparently.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, listSnapshots } = require('../atomic');
+const { withLockSync } = require('../lock');
+const walletCrypto = require('../wallet-crypto');
+const { WALLET_FILE, ensureConfigDir } = require('../paths');
+
+// Lock timeout in ms
+const LOCK_TIMEOUT = 5000;
+
+// Previous wallet versions kept as cashu-wallet.json.1 (newest) ... .N
+const SNAPSHOT_COUNT = 5;
+
+function emptyWallet() {
+  return { proofs: {}, mints: {}, pending: {}, history: [], counters: {}, quotes: {}, redemptions: {}, approvals: {} };
+}
+
+function isValidWallet(data) {
+  return Boolean(data) && typeof data === 'object' &&
+    Boolean(data.proofs) && typeof data.proofs === 'object' && !Array.isArray(data.proofs);
+}
+
+/**
+ * Read and validate a wallet file (plaintext or encrypted)
+ *
+ * @returns {{wallet: object, envelope: object|null}} envelope is set for
+ *   encrypted files
+ */
+function readWalletFile(file, passphrase = walletCrypto.getWalletPassphrase()) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const envelope = walletCrypto.isSealed(raw) ? raw : null;
+  const wallet = envelope ? JSON.parse(walletCrypto.open(envelope, passphrase)) : raw;
+  
+  if (!isValidWallet(wallet)) {
+    throw new Error('not a wallet file');
+  }
+  return { wallet: { ...emptyWallet(), ...wallet }, envelope };
+}
+
+/**
+ * Serialize a wallet, encrypting it when a passphrase is given
+ */
+function encodeWallet(wallet, passphrase = null, previous = null) {
+  const json = JSON.stringify(wallet, null, 2);
+  if (!passphrase) return json;
+  return JSON.stringify(walletCrypto.seal(json, passphrase, previous), null, 2);
+}
+
+/**
+ * Create a JSON file backend
+ *
+ * @param {object} [options]
+ * @param {string} [options.file] - Wallet file (default ~/.config/hex/cashu-wallet.json)
+ */
+function createJsonStorage(options = {}) {
+  const file = options.file || WALLET_FILE;
+  const lockFile = file + '.lock';
+  
+  // Wallet being modified by the current transaction
+  let current = null;
+  
+  function withFileLock(fn) {
+    ensureConfigDir();
+    return withLockSync(lockFile, fn, { timeout: LOCK_TIMEOUT });
+  }
+  
+  /**
+   * Restore the newest readable snapshot over a missing or corrupt wallet file
+   *
+   * The damaged file is kept next to the wallet as <file>.corrupt-<ts>.
+   * Throws if no snapshot is usable, so the caller never starts from (and
+   * later saves) an empty wallet.
+   */
+  function recover(reason) {
+    for (const snapshot of listSnapshots(file, SNAPSHOT_COUNT)) {
+      let data;
+      try {
+        data = readWalletFile(snapshot);
+      } catch (e) {
+        continue;
+      }
+      const { wallet, envelope } = data;
+      
+      const savedAt = fs.statSync(snapshot).mtime.toISOString();
+      console.error(`⚠️  Wallet file ${reason}, recovered from ${path.basename(snapshot)} (saved ${savedAt})`);
+      console.error('   Run pending.js to re-check any in-flight proofs.');
+      
+      try {
+        fs.renameSync(file, `${file}.corrupt-${Date.now()}`);
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      const passphrase = envelope ? walletCrypto.getWalletPassphrase() : null;
+      writeFileAtomic(file, encodeWallet(wallet, passphrase, envelope));
+      return wallet;
+    }
+    
+    throw new Error(
+      `Wallet file ${reason} and no snapshot could be recovered. ` +
+      `Refusing to continue with an empty wallet; restore ${file} from a backup.`
+    );
+  }
+  
+  /**
+   * Load the wallet, falling back to the newest good snapshot if the
+   * wallet file is corrupt
+   */
+  function load() {
+    ensureConfigDir();
+    if (!fs.existsSync(file)) {
+      // Snapshots without a wallet file means it was lost, not a new wallet
+      if (listSnapshots(file, SNAPSHOT_COUNT).length > 0) {
+        return recover('is missing');
+      }
+      return emptyWallet();
+    }
+    
+    try {
+      return readWalletFile(file).wallet;
+    } catch (e) {
+      if (walletCrypto.isLockedError(e)) throw e;
+      return recover(`is corrupt (${e.message})`);
+    }
+  }
+  
+  /**
+   * Atomically write the wallet, rotating the previous version into the
+   * snapshots. Refuses to replace a wallet file that can't be read.
+   * An encrypted wallet stays encrypted.
+   */
+  function save(wallet) {
+    ensureConfigDir();
+    if (!isValidWallet(wallet)) {
+      throw new Error('Refusing to save invalid wallet data');
+    }
+    
+    let envelope = null;
+    if (fs.existsSync(file)) {
+      try {
+        envelope = readWalletFile(file).envelope;
+      } catch (e) {
+        if (walletCrypto.isLockedError(e)) throw e;
+        throw new Error(`Refusing to overwrite corrupt wallet file ${file} (${e.message})`);
+      }
+    }
+    
+    const passphrase = envelope ? walletCrypto.getWalletPassphrase() : null;
+    writeFileAtomic(file, encodeWallet(wallet, passphrase, envelope), { snapshots: SNAPSHOT_COUNT });
+  }
+  
+  /**
+   * Run fn with the lock held; the wallet is saved once fn returns and
+   * discarded if it throws. Nested calls join the outer transaction.
+   * fn must be synchronous.
+   */
+  function transaction(fn) {
+    if (current) return fn();
+    
+    return withFileLock(() => {
+      current = load();
+      try {
+        const result = fn();
+        save(current);
+        return result;
+      } finally {
+        current = null;
+      }
+    });
+  }
+  
+  const read = () => current || load();
+  const write = (fn) => transaction(() => fn(current));
+  
+  return {
+    type: 'json',
+    file,
+    transaction,
+    
+    getProofs: (mint) => read().proofs[mint] || [],
+    getProofMints: () => Object.keys(read().proofs),
+    getBalance(mint) {
+      const proofs = read().proofs;
+      const mints = mint ? [mint] : Object.keys(proofs);
+      return mints.reduce((sum, m) => sum + (proofs[m] || []).reduce((s, p) => s + p.amount, 0), 0);
+    },
+    // A proof already held is replaced, not added twice (as in SQLite,
+    // where the secret's hash is the key)
+    addProofs: (mint, proofs) => write(w => {
+      const added = new Map(proofs.map(p => [p.secret, p]));
+      w.proofs[mint] = [...(w.proofs[mint] || []).filter(p => !added.has(p.secret)), ...added.values()];
+    }),
+    setProofs: (mint, proofs) => write(w => {
+      w.proofs[mint] = proofs;
+    }),
+    removeProofs: (mint, secrets) => write(w => {
+      const remove = new Set(secrets);
+      const existing = w.proofs[mint] || [];
+      w.proofs[mint] = existing.filter(p => !remove.has(p.secret));
+      return existing.length - w.proofs[mint].length;
+    }),
+    
+    getPending: (id) => read().pending[id] || null,
+    listPending: () => Object.values(read().pending),
+    putPending: (record) => write(w => {
+      w.pending[record.id] = record;
+    }),
+    deletePending: (id) => write(w => {
+      delete w.pending[id];
+    }),
+    
+    getMint: (url) => read().mints[url] || null,
+    listMints: () => ({ ...read().mints }),
+    putMint: (url, entry) => write(w => {
+      w.mints[url] = entry;
+    }),
+    
+    getCounters: () => ({ ...read().counters }),
+    setCounter: (keysetId, next) => write(w => {
+      w.counters[keysetId] = Math.max(w.counters[keysetId] || 0, next);
+    }),
+    
+    getQuote: (id) => read().quotes[id] || null,
+    listQuotes: () => Object.values(read().quotes),
+    putQuote: (quote) => write(w => {
+      w.quotes[quote.id] = quote;
+    }),
+    deleteQuote: (id) => write(w => {
+      delete w.quotes[id];
+    }),
+    
+    getRedemption: (id) => read().redemptions[id] || null,
+    listRedemptions: () => Object.values(read().redemptions),
+    putRedemption: (record) => write(w => {
+      w.redemptions[record.id] = record;
+    }),
+    deleteRedemption: (id) => write(w => {
+      delete w.redemptions[id];
+    }),
+    
+    getApproval: (id) => read().approvals[id] || null,
+    listApprovals: () => Object.values(read().approvals),
+    putApproval: (request) => write(w => {
+      w.approvals[request.id] = request;
+    }),
+    deleteApproval: (id) => write(w => {
+      delete w.approvals[id];
+    }),
+    
+    appendHistory: (entry) => write(w => {
+      w.history.push(entry);
+    }),
+    listHistory: () => read().history,
+    
+    exportData: () => JSON.parse(JSON.stringify(read())),
+    importData: (data) => write(w => {
+      Object.assign(w, emptyWallet(), data);
+    }),
+    
+    isEncrypted() {
+      if (!fs.existsSync(file)) return false;
+      try {
+        return walletCrypto.isSealed(JSON.parse(fs.readFileSync(file, 'utf8')));
+      } catch (e) {
+        return false;
+      }
+    },
+    
+    /**
+     * Re-write the wallet file and its snapshots under a new passphrase
+     *
+     * Used to encrypt a plaintext wallet, rotate the passphrase, or decrypt
+     * (passphrase null). Everything is read with the current passphrase
+     * first; snapshots that can't be read are removed rather than left
+     * behind in the old format. The wallet file itself is written last.
+     * A missing wallet file is created empty, so data imported afterwards
+     * is never written in plaintext.
+     *
+     * @param {string|null} passphrase - New passphrase, or null for plaintext
+     * @returns {{snapshots: number, removed: number}}
+     */
+    reseal(passphrase) {
+      return withFileLock(() => {
+        ensureConfigDir();
+        const wallet = fs.existsSync(file) ? readWalletFile(file).wallet : emptyWallet();
+        
+        // One key derivation (salt) shared by all files
+        const template = passphrase ? walletCrypto.seal('{}', passphrase) : null;
+        
+        let snapshots = 0;
+        let removed = 0;
+        for (const snapshot of listSnapshots(file, SNAPSHOT_COUNT)) {
+          let data;
+          try {
+            data = readWalletFile(snapshot).wallet;
+          } catch (e) {
+            fs.rmSync(snapshot);
+            removed++;
+            continue;
+          }
+          writeFileAtomic(snapshot, encodeWallet(data, passphrase, template));
+          snapshots++;
+        }
+        
+        writeFileAtomic(file, encodeWallet(wallet, passphrase, template));
+        return { snapshots, removed };
+      });
+    },
+    
+    exists: () => fs.existsSync(file),
+    close() {}
+  };
+}
+
+module.exports = {
+  createJsonStorage,
+  SNAPSHOT_COUNT
+};
@@ -0,0 +1,410 @@
+/**
+ * SQLite Storage Backend
+ *
+ * Stores the wallet in cashu-wallet.db using Node's built-in node:sqlite
+ * (Node 22.5+). Each table has the columns needed for lookups (mint,
+ * amount, ids) next to a `data` column holding the full record as JSON.
+ * Writes run in real transactions (BEGIN IMMEDIATE), so concurrent
+ * processes are serialised by SQLite itself and a crash rolls back.
+ *
+ * When the wallet is encrypted, every `data` column is sealed with
+ * AES-256-GCM under the wallet key (see lib/wallet-crypto.js). Proof
+ * amounts and mint URLs stay readable so balances can be summed in SQL.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const walletCrypto = require('../wallet-crypto');
+const { DB_FILE, ensureConfigDir } = require('../paths');
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS proofs (
+    id TEXT PRIMARY KEY,
+    mint TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS proofs_mint ON proofs (mint);
+  CREATE TABLE IF NOT EXISTS pending (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS mints (
+    url TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS counters (
+    keyset_id TEXT PRIMARY KEY,
+    next INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS quotes (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS redemptions (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS approvals (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS history (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT UNIQUE NOT NULL,
+    data TEXT NOT NULL
+  );
+`;
+
+// Tables whose `data` column is encrypted, with their key column
+const DATA_TABLES = { proofs: 'id', pending: 'id', mints: 'url', quotes: 'id', redemptions: 'id', approvals: 'id', history: 'id' };
+
+function loadSqlite() {
+  // node:sqlite warns that it is experimental every time it's loaded
+  const emitWarning = process.emitWarning;
+  process.emitWarning = (warning, ...args) => {
+    if (String(warning).includes('SQLite')) return;
+    emitWarning.call(process, warning, ...args);
+  };
+  try {
+    return require('node:sqlite');
+  } catch (e) {
+    throw new Error(`SQLite storage needs Node.js 22.5 or newer (node:sqlite): ${e.message}`);
+  } finally {
+    process.emitWarning = emitWarning;
+  }
+}
+
+// Proofs are keyed by a hash of their secret so secrets never appear in
+// a plaintext column
+function proofId(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Create a SQLite backend
+ *
+ * @param {object} [options]
+ * @param {string} [options.file] - Database file (default ~/.config/hex/cashu-wallet.db)
+ */
+function createSqliteStorage(options = {}) {
+  const file = options.file || DB_FILE;
+  const { DatabaseSync } = loadSqlite();
+  
+  ensureConfigDir();
+  const existed = fs.existsSync(file);
+  const db = new DatabaseSync(file);
+  if (!existed) fs.chmodSync(file, 0o600);
+  
+  db.exec('PRAGMA busy_timeout = 5000');
+  db.exec(SCHEMA);
+  
+  const statements = {};
+  const sql = (text) => (statements[text] = statements[text] || db.prepare(text));
+  
+  function getMeta(key) {
+    const row = sql('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+  
+  function setMeta(key, value) {
+    if (value === null) {
+      sql('DELETE FROM meta WHERE key = ?').run(key);
+    } else {
+      sql('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value').run(key, value);
+    }
+  }
+  
+  if (!getMeta('schema_version')) {
+    setMeta('schema_version', String(SCHEMA_VERSION));
+  }
+  
+  // Wallet key, derived on first use of an encrypted database
+  let key;
+  
+  function getKey() {
+    if (key === undefined) {
+      const header = getMeta('encryption');
+      key = header ? walletCrypto.unlockKey(JSON.parse(header), walletCrypto.getWalletPassphrase()) : null;
+    }
+    return key;
+  }
+  
+  function encode(value) {
+    const json = JSON.stringify(value);
+    const k = getKey();
+    return k ? walletCrypto.encryptField(k, json) : json;
+  }
+  
+  function decode(data) {
+    const k = getKey();
+    return JSON.parse(k ? walletCrypto.decryptField(k, data) : data);
+  }
+  
+  let depth = 0;
+  
+  /**
+   * Run fn inside a database transaction; it commits when fn returns and
+   * rolls back if it throws. Nested calls join the outer transaction.
+   * fn must be synchronous.
+   */
+  function transaction(fn) {
+    if (depth > 0) return fn();
+    
+    db.exec('BEGIN IMMEDIATE');
+    depth++;
+    try {
+      const result = fn();
+      db.exec('COMMIT');
+      return result;
+    } catch (e) {
+      db.exec('ROLLBACK');
+      throw e;
+    } finally {
+      depth--;
+    }
+  }
+  
+  function insertProofs(mint, proofs) {
+    const insert = sql('INSERT OR REPLACE INTO proofs (id, mint, amount, data) VALUES (?, ?, ?, ?)');
+    for (const proof of proofs) {
+      insert.run(proofId(proof.secret), mint, proof.amount, encode(proof));
+    }
+  }
+  
+  function clearAll() {
+    for (const table of ['proofs', 'pending', 'mints', 'counters', 'quotes', 'redemptions', 'approvals', 'history']) {
+      db.exec(`DELETE FROM ${table}`);
+    }
+  }
+  
+  function importAll(data) {
+    for (const [mint, proofs] of Object.entries(data.proofs || {})) {
+      insertProofs(mint, proofs);
+    }
+    for (const record of Object.values(data.pending || {})) {
+      sql('INSERT INTO pending (id, data) VALUES (?, ?)').run(record.id, encode(record));
+    }
+    for (const [url, entry] of Object.entries(data.mints || {})) {
+      sql('INSERT INTO mints (url, data) VALUES (?, ?)').run(url, encode(entry));
+    }
+    for (const [keysetId, next] of Object.entries(data.counters || {})) {
+      sql('INSERT INTO counters (keyset_id, next) VALUES (?, ?)').run(keysetId, next);
+    }
+    for (const quote of Object.values(data.quotes || {})) {
+      sql('INSERT INTO quotes (id, data) VALUES (?, ?)').run(quote.id, encode(quote));
+    }
+    for (const record of Object.values(data.redemptions || {})) {
+      sql('INSERT INTO redemptions (id, data) VALUES (?, ?)').run(record.id, encode(record));
+    }
+    for (const request of Object.values(data.approvals || {})) {
+      sql('INSERT INTO approvals (id, data) VALUES (?, ?)').run(request.id, encode(request));
+    }
+    for (const entry of data.history || []) {
+      sql('INSERT INTO history (id, data) VALUES (?, ?)').run(entry.id, encode(entry));
+    }
+  }
+  
+  function getCounters() {
+    const counters = {};
+    for (const row of sql('SELECT keyset_id, next FROM counters').all()) {
+      counters[row.keyset_id] = row.next;
+    }
+    return counters;
+  }
+  
+  function listMints() {
+    const mints = {};
+    for (const row of sql('SELECT url, data FROM mints').all()) {
+      mints[row.url] = decode(row.data);
+    }
+    return mints;
+  }
+  
+  function exportData() {
+    // Unlock up front so a wrong passphrase fails even on an empty wallet
+    getKey();
+    const proofs = {};
+    for (const row of sql('SELECT mint, data FROM proofs ORDER BY rowid').all()) {
+      (proofs[row.mint] = proofs[row.mint] || []).push(decode(row.data));
+    }
+    const pending = {};
+    for (const row of sql('SELECT data FROM pending ORDER BY rowid').all()) {
+      const record = decode(row.data);
+      pending[record.id] = record;
+    }
+    const quotes = {};
+    for (const row of sql('SELECT data FROM quotes ORDER BY rowid').all()) {
+      const quote = decode(row.data);
+      quotes[quote.id] = quote;
+    }
+    const redemptions = {};
+    for (const row of sql('SELECT data FROM redemptions ORDER BY rowid').all()) {
+      const record = decode(row.data);
+      redemptions[record.id] = record;
+    }
+    const approvals = {};
+    for (const row of sql('SELECT data FROM approvals ORDER BY rowid').all()) {
+      const request = decode(row.data);
+      approvals[request.id] = request;
+    }
+    return {
+      proofs,
+      mints: listMints(),
+      pending,
+      history: sql('SELECT data FROM history ORDER BY seq').all().map(r => decode(r.data)),
+      counters: getCounters(),
+      quotes,
+      redemptions,
+      approvals
+    };
+  }
+  
+  return {
+    type: 'sqlite',
+    file,
+    transaction,
+    
+    getProofs: (mint) => sql('SELECT data FROM proofs WHERE mint = ? ORDER BY rowid').all(mint).map(r => decode(r.data)),
+    getProofMints: () => sql('SELECT DISTINCT mint FROM proofs ORDER BY mint').all().map(r => r.mint),
+    getBalance(mint) {
+      const row = mint
+        ? sql('SELECT COALESCE(SUM(amount), 0) AS total FROM proofs WHERE mint = ?').get(mint)
+        : sql('SELECT COALESCE(SUM(amount), 0) AS total FROM proofs').get();
+      return row.total;
+    },
+    addProofs: (mint, proofs) => transaction(() => insertProofs(mint, proofs)),
+    setProofs: (mint, proofs) => transaction(() => {
+      sql('DELETE FROM proofs WHERE mint = ?').run(mint);
+      insertProofs(mint, proofs);
+    }),
+    removeProofs: (mint, secrets) => transaction(() => {
+      const remove = sql('DELETE FROM proofs WHERE id = ? AND mint = ?');
+      return secrets.reduce((count, secret) => count + Number(remove.run(proofId(secret), mint).changes), 0);
+    }),
+    
+    getPending(id) {
+      const row = sql('SELECT data FROM pending WHERE id = ?').get(id);
+      return row ? decode(row.data) : null;
+    },
+    listPending: () => sql('SELECT data FROM pending ORDER BY rowid').all().map(r => decode(r.data)),
+    putPending: (record) => transaction(() => {
+      sql('INSERT INTO pending (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data')
+        .run(record.id, encode(record));
+    }),
+    deletePending: (id) => transaction(() => {
+      sql('DELETE FROM pending WHERE id = ?').run(id);
+    }),
+    
+    getMint(url) {
+      const row = sql('SELECT data FROM mints WHERE url = ?').get(url);
+      return row ? decode(row.data) : null;
+    },
+    listMints,
+    putMint: (url, entry) => transaction(() => {
+      sql('INSERT INTO mints (url, data) VALUES (?, ?) ON CONFLICT (url) DO UPDATE SET data = excluded.data')
+        .run(url, encode(entry));
+    }),
+    
+    getCounters,
+    setCounter: (keysetId, next) => transaction(() => {
+      sql('INSERT INTO counters (keyset_id, next) VALUES (?, ?) ON CONFLICT (keyset_id) DO UPDATE SET next = MAX(next, excluded.next)')
+        .run(keysetId, next);
+    }),
+    
+    getQuote(id) {
+      const row = sql('SELECT data FROM quotes WHERE id = ?').get(id);
+      return row ? decode(row.data) : null;
+    },
+    listQuotes: () => sql('SELECT data FROM quotes ORDER BY rowid').all().map(r => decode(r.data)),
+    putQuote: (quote) => transaction(() => {
+      sql('INSERT INTO quotes (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data')
+        .run(quote.id, encode(quote));
+    }),
+    deleteQuote: (id) => transaction(() => {
+      sql('DELETE FROM quotes WHERE id = ?').run(id);
+    }),
+    
+    getRedemption(id) {
+      const row = sql('SELECT data FROM redemptions WHERE id = ?').get(id);
+      return row ? decode(row.data) : null;
+    },
+    listRedemptions: () => sql('SELECT data FROM redemptions ORDER BY rowid').all().map(r => decode(r.data)),
+    putRedemption: (record) => transaction(() => {
+      sql('INSERT INTO redemptions (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data')
+        .run(record.id, encode(record));
+    }),
+    deleteRedemption: (id) => transaction(() => {
+      sql('DELETE FROM redemptions WHERE id = ?').run(id);
+    }),
+    
+    getApproval(id) {
+      const row = sql('SELECT data FROM approvals WHERE id = ?').get(id);
+      return row ? decode(row.data) : null;
+    },
+    listApprovals: () => sql('SELECT data FROM approvals ORDER BY rowid').all().map(r => decode(r.data)),
+    putApproval: (request) => transaction(() => {
+      sql('INSERT INTO approvals (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data')
+        .run(request.id, encode(request));
+    }),
+    deleteApproval: (id) => transaction(() => {
+      sql('DELETE FROM approvals WHERE id = ?').run(id);
+    }),
+    
+    appendHistory: (entry) => transaction(() => {
+      sql('INSERT INTO history (id, data) VALUES (?, ?)').run(entry.id, encode(entry));
+    }),
+    listHistory: () => sql('SELECT data FROM history ORDER BY seq').all().map(r => decode(r.data)),
+    
+    exportData,
+    importData: (data) => transaction(() => {
+      clearAll();
+      importAll(data);
+    }),
+    
+    isEncrypted: () => getMeta('encryption') !== null,
+    
+    /**
+     * Re-encrypt every data column under a new passphrase (null to decrypt)
+     *
+     * The database is vacuumed afterwards so no pages with the old
+     * encoding are left in the file.
+     */
+    reseal(passphrase) {
+      transaction(() => {
+        const rows = {};
+        for (const [table, keyColumn] of Object.entries(DATA_TABLES)) {
+          rows[table] = sql(`SELECT ${keyColumn} AS k, data FROM ${table}`).all()
+            .map(r => ({ k: r.k, value: decode(r.data) }));
+        }
+        
+        const header = passphrase ? walletCrypto.createKeyHeader(passphrase) : null;
+        setMeta('encryption', header ? JSON.stringify(header) : null);
+        key = header ? walletCrypto.unlockKey(header, passphrase) : null;
+        
+        for (const [table, keyColumn] of Object.entries(DATA_TABLES)) {
+          const update = db.prepare(`UPDATE ${table} SET data = ? WHERE ${keyColumn} = ?`);
+          for (const row of rows[table]) {
+            update.run(encode(row.value), row.k);
+          }
+        }
+      });
+      db.exec('VACUUM');
+      return { snapshots: 0, removed: 0 };
+    },
+    
+    exists: () => fs.existsSync(file),
+    close: () => db.close()
+  };
+}
+
+module.exports = {
+  createSqliteStorage,
+  SCHEMA_VERSION
+};
@@ -0,0 +1,184 @@
+/**
+ * Wallet Encryption at Rest
+ *
+ * Seals the wallet JSON (JSON storage) or each record (SQLite storage)
+ * with AES-256-GCM under a key derived from a passphrase with scrypt
+ * (memory-hard). The passphrase comes from
+ * HEXNUTS_WALLET_PASSPHRASE, falling back to ARCHON_PASSPHRASE.
+ *
+ * Sealed files carry a key check value, so a wrong passphrase is reported
+ * as such and never mistaken for a corrupt file.
+ */
+
+const crypto = require('crypto');
+
+const ENVELOPE_TYPE = 'hexnuts-encrypted-wallet';
+
+// scrypt cost: 128 MiB of memory per derivation
+const KDF_PARAMS = { N: 2 ** 17, r: 8, p: 1 };
+
+// Derived keys, cached per process so each load/save doesn't re-run scrypt
+const keyCache = new Map();
+
+/**
+ * Passphrase for the wallet file, or null if none is configured
+ */
+function getWalletPassphrase() {
+  return process.env.HEXNUTS_WALLET_PASSPHRASE || process.env.ARCHON_PASSPHRASE || null;
+}
+
+function isSealed(data) {
+  return Boolean(data) && data.type === ENVELOPE_TYPE;
+}
+
+function walletError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function deriveKey(passphrase, kdf) {
+  const salt = Buffer.from(kdf.salt, 'base64');
+  const cacheKey = crypto.createHash('sha256')
+    .update(passphrase).update(salt).update(`${kdf.N}:${kdf.r}:${kdf.p}`)
+    .digest('hex');
+  
+  if (!keyCache.has(cacheKey)) {
+    keyCache.set(cacheKey, crypto.scryptSync(passphrase, salt, 32, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 256 * kdf.N * kdf.r
+    }));
+  }
+  return keyCache.get(cacheKey);
+}
+
+function keyCheck(key) {
+  return crypto.createHmac('sha256', key).update(ENVELOPE_TYPE).digest('hex');
+}
+
+const LOCKED_MESSAGE = 'Wallet is encrypted: set HEXNUTS_WALLET_PASSPHRASE or ARCHON_PASSPHRASE';
+
+/**
+ * Create a key header (KDF parameters + key check) for a passphrase
+ *
+ * @param {string} passphrase
+ * @param {object} [previous] - Header being replaced; its salt and KDF
+ *   parameters are reused when the passphrase is unchanged
+ * @returns {{kdf: object, check: string}}
+ */
+function createKeyHeader(passphrase, previous = null) {
+  if (!passphrase) throw walletError(LOCKED_MESSAGE, 'WALLET_LOCKED');
+  
+  if (previous && previous.kdf && keyCheck(deriveKey(passphrase, previous.kdf)) === previous.check) {
+    return { kdf: previous.kdf, check: previous.check };
+  }
+  const kdf = { name: 'scrypt', ...KDF_PARAMS, salt: crypto.randomBytes(16).toString('base64') };
+  return { kdf, check: keyCheck(deriveKey(passphrase, kdf)) };
+}
+
+/**
+ * Derive the key for a header, checking the passphrase
+ *
+ * Throws with code WALLET_LOCKED (no passphrase) or BAD_PASSPHRASE.
+ */
+function unlockKey(header, passphrase) {
+  if (!passphrase) throw walletError(LOCKED_MESSAGE, 'WALLET_LOCKED');
+  if (header.kdf.name !== 'scrypt') {
+    throw new Error(`Unsupported key derivation: ${header.kdf.name}`);
+  }
+  
+  const key = deriveKey(passphrase, header.kdf);
+  if (keyCheck(key) !== header.check) {
+    throw walletError('Wrong wallet passphrase', 'BAD_PASSPHRASE');
+  }
+  return key;
+}
+
+function encryptWithKey(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+function decryptWithKey(key, { iv, tag, data }) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (e) {
+    throw new Error('encrypted data failed authentication');
+  }
+}
+
+/**
+ * Encrypt a single value as a compact "iv.tag.data" string (used for
+ * database columns)
+ */
+function encryptField(key, plaintext) {
+  const { iv, tag, data } = encryptWithKey(key, plaintext);
+  return `${iv}.${tag}.${data}`;
+}
+
+function decryptField(key, field) {
+  const [iv, tag, data] = field.split('.');
+  return decryptWithKey(key, { iv, tag, data });
+}
+
+/**
+ * Encrypt wallet JSON into an envelope
+ *
+ * @param {string} plaintext - Wallet JSON
+ * @param {string} passphrase
+ * @param {object} [previous] - Envelope being replaced; its salt and KDF
+ *   parameters are reused when the passphrase is unchanged
+ * @returns {object} Envelope
+ */
+function seal(plaintext, passphrase, previous = null) {
+  const header = createKeyHeader(passphrase, previous);
+  const key = unlockKey(header, passphrase);
+  
+  return {
+    type: ENVELOPE_TYPE,
+    version: 1,
+    kdf: header.kdf,
+    cipher: 'aes-256-gcm',
+    check: header.check,
+    ...encryptWithKey(key, plaintext)
+  };
+}
+
+/**
+ * Decrypt an envelope back to wallet JSON
+ *
+ * Throws with code WALLET_LOCKED (no passphrase) or BAD_PASSPHRASE. A
+ * plain Error means the envelope itself is damaged.
+ */
+function open(envelope, passphrase) {
+  if (envelope.version !== 1 || envelope.cipher !== 'aes-256-gcm') {
+    throw new Error(`Unsupported wallet encryption (version ${envelope.version})`);
+  }
+  const key = unlockKey(envelope, passphrase);
+  return decryptWithKey(key, envelope);
+}
+
+/**
+ * True for errors that mean "can't decrypt" rather than damaged data
+ */
+function isLockedError(e) {
+  return e.code === 'WALLET_LOCKED' || e.code === 'BAD_PASSPHRASE';
+}
+
+module.exports = {
+  getWalletPassphrase,
+  isSealed,
+  isLockedError,
+  createKeyHeader,
+  unlockKey,
+  encryptField,
+  decryptField,
+  seal,
+  open
+};
@@ -5,8 +5,9 @@
  * All scripts should use this instead of new Wallet() directly.
  */
 
-const { Wallet } = require('@cashu/cashu-ts');
+const { Wallet, getDecodedToken, getTokenMetadata } = require('@cashu/cashu-ts');
 const deterministic = require('./deterministic');
+const store = require('../scripts/wallet-store');
 
 let _deterministicLogged = false;
 
@@ -21,14 +22,12 @@ let _deterministicLogged = false;
 async function createWallet(mintUrl, options = {}) {
   const { silent, ...walletOpts } = options;
   let walletConfig = { unit: 'sat', ...walletOpts };
-  let isDeterministic = false;
   
   // Check for deterministic mode
   if (deterministic.isDeterministicAvailable()) {
     const detConfig = deterministic.getDeterministicConfig();
     if (detConfig) {
       walletConfig = { ...walletConfig, ...detConfig };
-      isDeterministic = true;
       
       // Only log once per process
       if (!silent && !_deterministicLogged) {
@@ -38,19 +37,50 @@ async function createWallet(mintUrl, options = {}) {
     }
   }
   
+  // Deterministic counters are reserved straight from wallet storage
+  // (see deterministic.createCounterSource)
   const wallet = new Wallet(mintUrl, walletConfig);
   await wallet.loadMint();
-  
-  // Set up counter persistence if deterministic
-  if (isDeterministic) {
-    wallet.on.countersReserved(({ keysetId, next }) => {
-      deterministic.updateCounter(keysetId, next);
-    });
-  }
+  cacheMint(mintUrl, wallet);
   
   return wallet;
 }
 
+/**
+ * Keep the mint's info and keysets in wallet storage, so they're on
+ * record even if the mint later rotates or drops a keyset.
+ * Only written when something changed.
+ */
+function cacheMint(mintUrl, wallet) {
+  const info = wallet.getMintInfo().cache;
+  const keychain = wallet.keyChain.cache;
+  const cached = store.getMintCache(mintUrl);
+  
+  if (cached && JSON.stringify({ info: cached.info, keychain: cached.keychain }) === JSON.stringify({ info, keychain })) {
+    return;
+  }
+  store.saveMintCache(mintUrl, { info, keychain });
+}
+
+/**
+ * Decode a token string
+ * 
+ * V4 tokens shorten v2 keyset IDs, which can only be expanded with the
+ * mint's keysets, so the mint is loaded when the plain decode fails.
+ * 
+ * @param {string} token - Encoded token
+ * @param {function} [loadWallet] - Returns the loaded wallet for a mint URL
+ */
+async function decodeToken(token, loadWallet = (mint) => createWallet(mint, { silent: true })) {
+  try {
+    return getDecodedToken(token);
+  } catch (e) {
+    const { mint } = getTokenMetadata(token);
+    const wallet = await loadWallet(mint);
+    return wallet.decodeToken(token);
+  }
+}
+
 /**
  * Check if deterministic mode is available
  */
@@ -67,6 +97,8 @@ function resetLogState() {
 
 module.exports = {
   createWallet,
+  cacheMint,
+  decodeToken,
   isDeterministic,
   resetLogState
 };
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * Approve or reject spends waiting for approval
+ * Usage:
+ *   node approve.js [--all]                               # List pending (or all) requests
+ *   node approve.js show <id>                             # One request (--json: what approvers sign)
+ *   node approve.js <id>                                  # Approve and carry out the spend
+ *   node approve.js <id> --pubkey <key> --sig <sig>       # Submit an approver's signed approval
+ *   node approve.js reject <id>                           # Turn a request down
+ *   node approve.js sign <request.json|-> [--key-file <file>]   # Sign an approval as an approver
+ *
+ * Spends over requireApprovalAbove in the spending policy (README,
+ * Approvals) wait here instead of being carried out. Approving runs the
+ * spend at once, as the agent that asked, and keeps the result (the token,
+ * or the payment) on the request for that agent. Unapproved requests
+ * expire after approvalExpiry (default 24h).
+ *
+ * `sign` runs on the approver's machine: it takes the request as printed
+ * by `show <id> --json`, checks it against its digest and signs with the
+ * key in --key-file (hex or nsec) or the own Archon/Nostr key. The
+ * signature counts if the key is one of the policy's approvers.
+ */
+
+const fs = require('fs');
+const { bech32 } = require('@scure/base');
+const output = require('../lib/output');
+const archon = require('../lib/archon');
+const approvals = require('../lib/approvals');
+const { describeSpend } = require('../lib/policy');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+const { InvalidArgumentError, KeyUnavailableError } = require('../lib/errors');
+
+function usage() {
+  console.error('Usage: node approve.js [--all]');
+  console.error('       node approve.js show <id>');
+  console.error('       node approve.js <id> [--pubkey <key> --sig <sig>]');
+  console.error('       node approve.js reject <id>');
+  console.error('       node approve.js sign <request.json|-> [--key-file <file>]');
+  output.exit('USAGE');
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = { positional: [], all: false, pubkey: null, sig: null, keyFile: null };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--all':
+        result.all = true;
+        break;
+      case '--pubkey':
+        result.pubkey = args[++i];
+        break;
+      case '--sig':
+        result.sig = args[++i];
+        break;
+      case '--key-file':
+        result.keyFile = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        usage();
+        break;
+      default:
+        result.positional.push(args[i]);
+    }
+  }
+  return result;
+}
+
+function formatTime(iso) {
+  const minutes = Math.round((new Date(iso).getTime() - Date.now()) / 60000);
+  if (minutes === 0) return 'just now';
+  const span = Math.abs(minutes) < 60 ? `${Math.abs(minutes)}m`
+    : Math.abs(minutes) < 1440 ? `${Math.round(Math.abs(minutes) / 60)}h`
+      : `${Math.round(Math.abs(minutes) / 1440)}d`;
+  return minutes >= 0 ? `in ${span}` : `${span} ago`;
+}
+
+function printRequest(request) {
+  console.log(`${request.id}  ${request.state.padEnd(9)} ${describeSpend(request.spend)}`);
+  console.log(`  Agent: ${request.agent || '(none)'}`);
+  if (request.state === 'pending') {
+    console.log(`  Expires: ${formatTime(request.expiresAt)}`);
+  } else {
+    console.log(`  Requested: ${formatTime(request.createdAt)}`);
+  }
+  if (request.approvedBy) console.log(`  Approved by: ${request.approvedBy}`);
+  if (request.state === 'approved') console.log('  Being carried out (if interrupted, approve it again to resume)');
+  if (request.error) console.log(`  Error: ${request.error.message}`);
+}
+
+function list(wallet, all) {
+  const requests = wallet.approvals().filter(r => all || ['pending', 'approved'].includes(r.state));
+  output.result({ requests });
+  
+  if (requests.length === 0) {
+    console.log(all ? 'No approval requests' : 'No requests waiting for approval');
+    return;
+  }
+  console.log(`=== ${all ? 'Approval Requests' : 'Waiting for Approval'} ===\n`);
+  for (const request of requests) {
+    printRequest(request);
+    console.log('');
+  }
+  if (!all) console.log('Approve with: node approve.js <id>   Reject with: node approve.js reject <id>');
+}
+
+function show(wallet, id) {
+  if (!id) usage();
+  const request = wallet.approval(id);
+  output.result({ request });
+  
+  printRequest(request);
+  console.log(`  Call: ${request.method}(${request.args.map(a => JSON.stringify(a)).join(', ')})`);
+  console.log(`  Digest: ${request.digest}`);
+  if (request.result && request.result.token) {
+    console.log(`\nToken:\n${request.result.token}`);
+  } else if (request.result) {
+    console.log(`  Result: ${JSON.stringify(request.result)}`);
+  }
+}
+
+async function approve(wallet, id, pubkey, sig) {
+  if ((pubkey || sig) && !(pubkey && sig)) usage();
+  
+  const request = await wallet.approve(id, pubkey ? { pubkey, sig } : undefined);
+  if (request.state === 'failed') {
+    console.error(`Approved, but the spend failed: ${request.error.message}`);
+    output.exit(request.error.code, request.error.message);
+  }
+  output.result({ request });
+  
+  console.log(`✓ Approved and carried out: ${describeSpend(request.spend)}`);
+  if (request.result.token) {
+    console.log(`  The token is kept on the request for ${request.agent || 'the requester'}`);
+  }
+  if (request.result.state === 'pending') {
+    console.log(`  Payment still in flight (pending record ${request.result.pending}); run pending.js later`);
+  }
+}
+
+async function reject(wallet, id) {
+  if (!id) usage();
+  const request = await wallet.reject(id);
+  output.result({ request });
+  console.log(`✓ Rejected ${id}: ${describeSpend(request.spend)}`);
+}
+
+/**
+ * Hex secret key from a file holding hex or an nsec
+ */
+function readKey(file) {
+  const text = fs.readFileSync(file, 'utf8').trim();
+  if (/^[0-9a-f]{64}$/i.test(text)) return text;
+  if (text.startsWith('nsec1')) {
+    try {
+      return Buffer.from(bech32.fromWords(bech32.decode(text).words)).toString('hex');
+    } catch (e) {
+      // Reported below
+    }
+  }
+  throw new InvalidArgumentError(`${file} doesn't hold a hex key or nsec`);
+}
+
+function sign(source, keyFile) {
+  if (!source) usage();
+  
+  const text = fs.readFileSync(source === '-' ? 0 : source, 'utf8');
+  let request;
+  try {
+    const data = JSON.parse(text);
+    request = data.request || data;
+  } catch (e) {
+    throw new InvalidArgumentError(`Invalid request JSON: ${e.message}`);
+  }
+  
+  const privkey = keyFile ? readKey(keyFile) : archon.getCashuPrivkey();
+  if (!privkey) {
+    throw new KeyUnavailableError('Could not load own privkey (use --key-file, or set up archon-keymaster/nostr)');
+  }
+  
+  const approval = approvals.signApproval(request, privkey);
+  output.result(approval);
+  
+  console.log(`Approving: ${describeSpend(request.spend)}`);
+  console.log(`  Agent: ${request.agent || '(none)'}`);
+  console.log(`  Request: ${request.id} (expires ${formatTime(request.expiresAt)})\n`);
+  console.log('✓ Signed. On the wallet\'s machine, run:');
+  console.log(`  node approve.js ${approval.id} --pubkey ${approval.pubkey} --sig ${approval.sig}`);
+}
+
+async function main() {
+  const opts = parseArgs();
+  const [command, arg] = opts.positional;
+  // The operator sees every agent's requests
+  const wallet = new HexNutsWallet({ agent: null });
+  
+  switch (command) {
+    case undefined:
+      list(wallet, opts.all);
+      break;
+    case 'show':
+      show(wallet, arg);
+      break;
+    case 'reject':
+      await reject(wallet, arg);
+      break;
+    case 'sign':
+      sign(arg, opts.keyFile);
+      break;
+    default:
+      if (!/^[0-9a-f]{16}$/.test(command)) usage();
+      await approve(wallet, command, opts.pubkey, opts.sig);
+  }
+}
+
+main().catch(output.fatal);
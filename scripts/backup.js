@@ -13,9 +13,12 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { execSync } = require('child_process');
+const store = require('./wallet-store');
+const output = require('../lib/output');
+const { PROFILE, WALLET_DIR } = require('../lib/paths');
+const { DEFAULT_PROFILE } = require('../lib/profile');
 
-const WALLET_FILE = path.join(process.env.HOME, '.config/hex/cashu-wallet.json');
-const BACKUP_DIR = path.join(process.env.HOME, '.config/hex');
+const BACKUP_DIR = WALLET_DIR;
 const DEFAULT_VAULT = 'hex-vault';
 const ARCHON_CONFIG = process.env.ARCHON_CONFIG_DIR || path.join(process.env.HOME, 'clawd/archon-personal');
 
@@ -69,15 +72,15 @@ function createBackupObject(wallet) {
 async function backupToVault(vaultName) {
   console.log(`=== Backing up to Archon vault: ${vaultName} ===\n`);
   
-  // Read and prepare wallet
-  const walletData = fs.readFileSync(WALLET_FILE, 'utf8');
-  const wallet = JSON.parse(walletData);
+  // Read and prepare wallet (decrypted if encrypted at rest)
+  const wallet = store.loadWallet();
   const backup = createBackupObject(wallet);
   const stats = backup.metadata;
   
   // Write temp file with short name for vault compatibility
-  const tempFile = `/tmp/hnwallet.json`;
-  fs.writeFileSync(tempFile, JSON.stringify(backup, null, 2));
+  // (named profiles get their own item, so they don't overwrite each other)
+  const tempFile = PROFILE === DEFAULT_PROFILE ? '/tmp/hnwallet.json' : `/tmp/hnwallet-${PROFILE}.json`;
+  fs.writeFileSync(tempFile, JSON.stringify(backup, null, 2), { mode: 0o600 });
   
   try {
     // Add to vault using keymaster
@@ -85,6 +88,7 @@ async function backupToVault(vaultName) {
     const result = execSync(cmd, { encoding: 'utf8' });
     
     if (result.includes('OK') || result.trim() === '') {
+      output.result({ vault: vaultName, item: path.basename(tempFile), balance: stats.totalBalance, proofs: stats.proofCount, timestamp: backup.timestamp });
       console.log(`✓ Wallet backed up to vault: ${vaultName}`);
       console.log(`  Balance: ${stats.totalBalance} sats`);
       console.log(`  Proofs: ${stats.proofCount}`);
@@ -109,9 +113,9 @@ async function backupToVault(vaultName) {
 async function localBackup(encrypt) {
   console.log(`=== Creating local ${encrypt ? 'encrypted ' : ''}backup ===\n`);
   
-  // Read and prepare wallet
-  const walletData = fs.readFileSync(WALLET_FILE, 'utf8');
-  const wallet = JSON.parse(walletData);
+  // Read and prepare wallet (decrypted if encrypted at rest)
+  const wallet = store.loadWallet();
+  const walletData = JSON.stringify(wallet, null, 2);
   const backup = createBackupObject(wallet);
   const stats = backup.metadata;
   
@@ -142,6 +146,7 @@ async function localBackup(encrypt) {
     fs.chmodSync(encryptedFile, 0o600);
     fs.chmodSync(keyFile, 0o600);
     
+    output.result({ file: encryptedFile, keyFile, encrypted: true, balance: stats.totalBalance, proofs: stats.proofCount });
     console.log(`✓ Encrypted backup created`);
     console.log(`  Backup: ${encryptedFile}`);
     console.log(`  Key: ${keyFile}`);
@@ -156,6 +161,7 @@ async function localBackup(encrypt) {
     fs.writeFileSync(backupFile, JSON.stringify(backup, null, 2), { mode: 0o600 });
     fs.chmodSync(backupFile, 0o600);
     
+    output.result({ file: backupFile, encrypted: false, sha256: hash, balance: stats.totalBalance, proofs: stats.proofCount });
     console.log(`✓ Local backup created: ${backupFile}`);
     console.log(`  SHA256: ${hash}`);
     console.log(`  Balance: ${stats.totalBalance} sats`);
@@ -165,10 +171,10 @@ async function localBackup(encrypt) {
 }
 
 async function main() {
-  if (!fs.existsSync(WALLET_FILE)) {
-    console.error('No wallet file found at', WALLET_FILE);
+  if (!store.walletExists()) {
+    console.error('No wallet file found at', store.getStorageFile());
     console.error('Create a wallet first: node mint.js <amount>');
-    process.exit(1);
+    output.exit('NOT_FOUND');
   }
   
   const opts = parseArgs();
@@ -180,7 +186,4 @@ async function main() {
   }
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+main().catch(output.fatal);
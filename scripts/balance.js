@@ -5,31 +5,40 @@
  */
 
 const store = require('./wallet-store');
+const output = require('../lib/output');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
 
 async function main() {
-  const mintUrl = process.argv[2];
+  const mintUrl = process.argv[2] || store.SELECTED_MINT;
+  const result = await new HexNutsWallet().balance({ mint: mintUrl });
+  output.result(result);
   
   if (mintUrl) {
-    const balance = store.getBalanceForMint(mintUrl);
-    console.log(`Balance at ${mintUrl}: ${balance} sats`);
+    console.log(`Balance at ${mintUrl}: ${result.balance} sats`);
+    if (result.pending > 0) {
+      console.log(`Pending: ${result.pending} sats (see: node pending.js)`);
+    }
   } else {
-    const mints = store.getAllMints();
-    const total = store.getTotalBalance();
-    
-    if (mints.length === 0) {
+    if (result.mints.length === 0) {
       console.log('No tokens in wallet');
       return;
     }
     
     console.log('=== Cashu Wallet Balance ===\n');
-    for (const mint of mints) {
-      const balance = store.getBalanceForMint(mint);
-      const proofCount = store.getProofsForMint(mint).length;
+    for (const { mint, balance, proofs, pending } of result.mints) {
       console.log(`${mint}`);
-      console.log(`  ${balance} sats (${proofCount} proofs)\n`);
+      console.log(`  ${balance} sats (${proofs} proofs)`);
+      if (pending > 0) {
+        console.log(`  ${pending} sats pending`);
+      }
+      console.log('');
+    }
+    console.log(`Total: ${result.balance} sats`);
+    
+    if (result.pending > 0) {
+      console.log(`Pending: ${result.pending} sats (see: node pending.js)`);
     }
-    console.log(`Total: ${total} sats`);
   }
 }
 
-main().catch(console.error);
+main().catch(output.fatal);
@@ -14,12 +14,12 @@
  *   node dmail-send.js 25 02abc123...
  */
 
-const { getEncodedTokenV4 } = require('@cashu/cashu-ts');
-const { execSync } = require('child_process');
-const store = require('./wallet-store');
+const { execFileSync } = require('child_process');
+const output = require('../lib/output');
 const archon = require('../lib/archon');
 const groups = require('../lib/groups');
-const { createWallet } = require('../lib/wallet');
+const npub = require('../lib/npub');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
 const path = require('path');
 
 const SKILLS_DIR = path.join(process.env.HOME, 'clawd/skills');
@@ -38,17 +38,8 @@ function resolveRecipient(recipient) {
   
   // Nostr npub
   if (recipient.startsWith('npub1')) {
-    try {
-      const nak = process.env.NAK_PATH || '/home/sat/.local/bin/nak';
-      const result = execSync(`${nak} decode ${recipient} 2>/dev/null`, { encoding: 'utf8' });
-      const match = result.match(/"pubkey":\s*"([a-f0-9]{64})"/);
-      if (match) {
-        return { pubkey: '02' + match[1], type: 'npub', resolved: recipient };
-      }
-    } catch (e) {
-      // Fall through to return null
-    }
-    return null;
+    const hex = npub.decode(recipient);
+    return hex ? { pubkey: '02' + hex, type: 'npub', resolved: recipient } : null;
   }
   
   // Archon DID
@@ -64,9 +55,10 @@ function resolveRecipient(recipient) {
   }
   
   // Try as Archon alias
+  if (!groups.ALIAS_PATTERN.test(recipient)) return null;
   try {
     const aliasScript = path.join(SKILLS_DIR, 'archon-keymaster/scripts/aliases/resolve-did.sh');
-    const result = execSync(`bash ${aliasScript} ${recipient} 2>/dev/null`, { encoding: 'utf8' });
+    const result = execFileSync('bash', [aliasScript, recipient], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
     const did = result.trim();
     if (did.startsWith('did:')) {
       const pubkey = groups.resolveDIDPubkey(did);
@@ -97,18 +89,15 @@ async function main() {
     console.error('  node dmail-send.js 100 npub1qkjnsgk6zrs... "Happy birthday!"');
     console.error('  node dmail-send.js 50 did:cid:bagaaiera...');
     console.error('  node dmail-send.js 25 sat   # Using Archon alias');
-    process.exit(1);
+    output.exit('USAGE');
   }
   
-  const mintUrl = store.DEFAULT_MINT;
-  
-  // Check balance
-  const proofs = store.getProofsForMint(mintUrl);
-  const balance = proofs.reduce((s, p) => s + p.amount, 0);
+  const wallet = new HexNutsWallet({ silent: false });
+  const balance = (await wallet.balance({ mint: wallet.defaultMint })).balance;
   
   if (balance < amount) {
     console.error(`Insufficient balance: have ${balance}, need ${amount}`);
-    process.exit(1);
+    output.exit('INSUFFICIENT_BALANCE');
   }
   
   // Resolve recipient
@@ -120,24 +109,20 @@ async function main() {
     console.error('');
     console.error('For DIDs, ensure the DID document contains a secp256k1 key.');
     console.error('For npubs, ensure nak is installed at ~/.local/bin/nak');
-    process.exit(1);
+    output.exit('KEY_UNAVAILABLE');
   }
   
   console.log(`✓ Resolved (${resolved.type}): ${resolved.pubkey.slice(0, 20)}...`);
   
-  const wallet = await createWallet(mintUrl);
-  
   // Create P2PK-locked token
   console.log(`Creating P2PK token for ${amount} sats...`);
   
-  const { keep, send } = await wallet.ops
-    .send(amount, proofs)
-    .asP2PK({ pubkey: resolved.pubkey })
-    .run();
-  
-  store.saveProofsForMint(mintUrl, keep);
-  const token = getEncodedTokenV4({ mint: mintUrl, proofs: send });
-  const lockedAmount = send.reduce((s, p) => s + p.amount, 0);
+  const locked = await wallet.lock(amount, {
+    pubkeys: resolved.pubkey,
+    counterparty: resolved.resolved,
+    memo
+  });
+  const { mint: mintUrl, amount: lockedAmount, token } = locked;
   
   // Build the dmail content
   console.log('\n' + '='.repeat(60));
@@ -182,11 +167,19 @@ Recipient claims with:
   node receive.js "${token.slice(0, 20)}..." --self
 `);
   
-  const newBalance = store.getBalanceForMint(mintUrl);
+  const newBalance = locked.balance;
+  output.result({
+    mint: mintUrl,
+    amount: lockedAmount,
+    fee: locked.fee,
+    recipient: resolved.resolved,
+    recipientType: resolved.type,
+    pubkey: resolved.pubkey,
+    memo,
+    token,
+    balance: newBalance
+  });
   console.log(`Your new balance: ${newBalance} sats`);
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+main().catch(output.fatal);
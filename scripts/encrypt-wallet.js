@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Encrypt the wallet at rest, rotate or remove its passphrase
+ * Usage:
+ *   node encrypt-wallet.js                 # Encrypt a plaintext wallet
+ *   node encrypt-wallet.js --rotate        # Re-encrypt under a new passphrase
+ *   node encrypt-wallet.js --decrypt       # Back to a plaintext wallet
+ *   node encrypt-wallet.js --status        # Show whether the wallet is encrypted
+ *
+ * The wallet passphrase is read from HEXNUTS_WALLET_PASSPHRASE, falling
+ * back to ARCHON_PASSPHRASE. Every script then opens the wallet with it
+ * transparently. With JSON storage the snapshots are re-encrypted along
+ * with the wallet file; with SQLite storage every record is re-encrypted
+ * and the database vacuumed.
+ *
+ * For --rotate, the new passphrase comes from HEXNUTS_NEW_WALLET_PASSPHRASE
+ * or --passphrase-file <file>.
+ */
+
+const fs = require('fs');
+const store = require('./wallet-store');
+const output = require('../lib/output');
+const walletCrypto = require('../lib/wallet-crypto');
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = { mode: 'encrypt', passphraseFile: null };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--rotate':
+        result.mode = 'rotate';
+        break;
+      case '--decrypt':
+        result.mode = 'decrypt';
+        break;
+      case '--status':
+        result.mode = 'status';
+        break;
+      case '--passphrase-file':
+        result.passphraseFile = args[++i];
+        if (!result.passphraseFile || !fs.existsSync(result.passphraseFile)) {
+          console.error(`Passphrase file not found: ${result.passphraseFile}`);
+          output.exit('NOT_FOUND');
+        }
+        break;
+      default:
+        console.error('Usage: node encrypt-wallet.js [--rotate [--passphrase-file <f>] | --decrypt | --status]');
+        console.error('');
+        console.error('Environment:');
+        console.error('  HEXNUTS_WALLET_PASSPHRASE      Wallet passphrase (default: ARCHON_PASSPHRASE)');
+        console.error('  HEXNUTS_NEW_WALLET_PASSPHRASE  New passphrase for --rotate');
+        output.exit('USAGE');
+    }
+  }
+  
+  return result;
+}
+
+function printResult(result, encrypted) {
+  output.result({
+    wallet: store.getStorageFile(),
+    encrypted,
+    snapshots: result.snapshots || 0,
+    removed: result.removed || 0
+  });
+  console.log(`  Wallet: ${store.getStorageFile()}`);
+  if (result.snapshots > 0) {
+    console.log(`  Snapshots re-written: ${result.snapshots}`);
+  }
+  if (result.removed > 0) {
+    console.log(`  Unreadable snapshots removed: ${result.removed}`);
+  }
+}
+
+async function main() {
+  const opts = parseArgs();
+  
+  if (!store.walletExists()) {
+    console.error('No wallet file found at', store.getStorageFile());
+    output.exit('NOT_FOUND');
+  }
+  
+  const encrypted = store.isWalletEncrypted();
+  const passphrase = walletCrypto.getWalletPassphrase();
+  
+  if (opts.mode === 'status') {
+    console.log(`Wallet: ${store.getStorageFile()}`);
+    console.log(`Encrypted: ${encrypted ? 'yes' : 'no'}`);
+    if (encrypted) {
+      store.loadWallet();
+      console.log('Passphrase: ✓ opens the wallet');
+    }
+    output.result({ wallet: store.getStorageFile(), encrypted });
+    return;
+  }
+  
+  if (opts.mode === 'encrypt') {
+    if (encrypted) {
+      console.error('Wallet is already encrypted. Use --rotate to change the passphrase.');
+      output.exit('USAGE');
+    }
+    if (!passphrase) {
+      console.error('Set HEXNUTS_WALLET_PASSPHRASE (or ARCHON_PASSPHRASE) to the passphrase to encrypt with.');
+      output.exit('WALLET_LOCKED');
+    }
+    
+    console.log('Encrypting wallet (scrypt + AES-256-GCM)...');
+    const result = store.resealWallet(passphrase);
+    console.log('\n✓ Wallet encrypted');
+    printResult(result, true);
+    console.log('\n⚠️  Without the passphrase the wallet cannot be opened. Keep a backup (backup.js).');
+    return;
+  }
+  
+  if (!encrypted) {
+    console.error('Wallet is not encrypted. Run without options to encrypt it.');
+    output.exit('USAGE');
+  }
+  
+  if (opts.mode === 'decrypt') {
+    const result = store.resealWallet(null);
+    console.log('✓ Wallet decrypted');
+    printResult(result, false);
+    console.log('\n⚠️  Proofs are now stored in plaintext.');
+    return;
+  }
+  
+  // Rotate
+  const newPassphrase = opts.passphraseFile
+    ? fs.readFileSync(opts.passphraseFile, 'utf8').trim()
+    : process.env.HEXNUTS_NEW_WALLET_PASSPHRASE;
+  
+  if (!newPassphrase) {
+    console.error('Provide the new passphrase via HEXNUTS_NEW_WALLET_PASSPHRASE or --passphrase-file.');
+    output.exit('USAGE');
+  }
+  if (newPassphrase === passphrase) {
+    console.error('New passphrase is the same as the current one.');
+    output.exit('USAGE');
+  }
+  
+  console.log('Re-encrypting wallet under the new passphrase...');
+  const result = store.resealWallet(newPassphrase);
+  console.log('\n✓ Passphrase rotated');
+  printResult(result, true);
+  console.log('\n⚠️  Update HEXNUTS_WALLET_PASSPHRASE to the new passphrase before running other scripts.');
+}
+
+main().catch(output.fatal);
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Show the wallet transaction ledger
+ * Usage: node history.js [options]
+ *
+ * Options:
+ *   --type <t1,t2>         Filter by type (mint, melt, send, receive, lock, reclaim, ...)
+ *   --mint <url>           Filter by mint URL
+ *   --counterparty <text>  Filter by counterparty (pubkey, DID, npub, group)
+ *   --since <date|age>     Only entries since ISO date or age (e.g. 24h, 7d)
+ *   --until <date|age>     Only entries before ISO date or age
+ *   --limit N              Show only the N most recent entries
+ */
+
+const store = require('./wallet-store');
+const output = require('../lib/output');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = store.SELECTED_MINT ? { mint: store.SELECTED_MINT } : {};
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--type':
+        result.type = args[++i].split(',').map(t => t.trim());
+        break;
+      case '--counterparty':
+        result.counterparty = args[++i];
+        break;
+      case '--since':
+        result.since = args[++i];
+        break;
+      case '--until':
+        result.until = args[++i];
+        break;
+      case '--limit':
+        result.limit = parseInt(args[++i]);
+        break;
+      default:
+        console.error('Usage: node history.js [--type t1,t2] [--mint url] [--counterparty text]');
+        console.error('                       [--since date|age] [--until date|age] [--limit N]');
+        console.error('');
+        console.error(`Types: ${store.TX_TYPES.join(', ')}`);
+        console.error('');
+        console.error('Examples:');
+        console.error('  node history.js --since 7d --type melt,send');
+        console.error('  node history.js --counterparty did:cid:bagaaiera');
+        output.exit('USAGE');
+    }
+  }
+  
+  for (const type of result.type || []) {
+    if (!store.TX_TYPES.includes(type)) {
+      console.error(`Unknown type: ${type}`);
+      console.error(`Types: ${store.TX_TYPES.join(', ')}`);
+      output.exit('USAGE');
+    }
+  }
+  
+  return result;
+}
+
+function signedAmount(tx) {
+  if (store.INCOMING_TYPES.includes(tx.type)) return `+${tx.amount}`;
+  if (store.OUTGOING_TYPES.includes(tx.type)) return `-${tx.amount}`;
+  return `${tx.amount}`;
+}
+
+async function main() {
+  const filters = parseArgs();
+  
+  const result = await new HexNutsWallet().history(filters);
+  output.result(result);
+  
+  const { transactions: entries, ...totals } = result;
+  
+  if (entries.length === 0) {
+    console.log('No transactions found');
+    return;
+  }
+  
+  console.log('=== Transaction History ===\n');
+  
+  for (const tx of entries) {
+    const time = tx.timestamp.replace('T', ' ').slice(0, 19);
+    console.log(`${time}  ${tx.type.padEnd(7)} ${signedAmount(tx).padStart(8)} sats  fee ${tx.fee || 0}  ${tx.mint}`);
+    
+    if (tx.counterparty) console.log(`  Counterparty: ${tx.counterparty}`);
+    if (tx.agent) console.log(`  Agent: ${tx.agent}`);
+    if (tx.quote) console.log(`  Quote: ${tx.quote}`);
+    if (tx.tokenHash) console.log(`  Token: ${tx.tokenHash.slice(0, 16)}...`);
+    if (tx.memo) console.log(`  Memo: ${tx.memo}`);
+  }
+  
+  console.log(`\n${entries.length} transaction(s)`);
+  console.log(`  In: ${totals.incoming} sats`);
+  console.log(`  Out: ${totals.outgoing} sats`);
+  console.log(`  Fees: ${totals.fees} sats`);
+}
+
+main().catch(output.fatal);
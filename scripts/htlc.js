@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * Hash-locked tokens (NUT-14 HTLC) for atomic swaps and conditional payments
+ * Usage:
+ *   node htlc.js new                                  # A fresh preimage and its hash
+ *   node htlc.js lock <amount> [--hash <h> | --preimage <p> | --invoice <bolt11>] [options]
+ *   node htlc.js preimage <cashu_token>               # The preimage a redeemed token revealed
+ *
+ * A hash-locked token is redeemed with the preimage of its hash
+ * (receive.js --preimage), plus signatures when it is also locked to
+ * pubkeys. Without --hash, --preimage or --invoice, lock picks a fresh
+ * preimage and prints it: whoever learns it can redeem the token (if it
+ * names no pubkeys), so hand it over only when the token should be.
+ *
+ * --invoice locks to a Lightning invoice's payment hash: the token opens
+ * once the invoice is paid, with the preimage the payer gets back.
+ *
+ * Atomic swap, Alice (mint A) with Bob (mint B):
+ *   alice$ node htlc.js lock 1000 --pubkeys <bob> --refund-self --locktime 48h
+ *          (prints the preimage, kept, and the hash, sent to Bob with the token)
+ *   bob$   node htlc.js lock 1000 --hash <hash> --pubkeys <alice> --refund-self --locktime 24h --mint <B>
+ *   alice$ node receive.js <bob's token> --preimage <preimage> --self
+ *   bob$   node htlc.js preimage <bob's token>     # revealed at mint B by Alice's redemption
+ *   bob$   node receive.js <alice's token> --preimage <preimage> --self
+ * If the swap stalls, each takes their token back after its locktime
+ * (reclaim.js). Bob's locktime is shorter, so he has time to redeem once
+ * Alice has revealed the preimage.
+ */
+
+const output = require('../lib/output');
+const htlc = require('../lib/htlc');
+const { decodeInvoice } = require('../lib/bolt11');
+const { parseDuration } = require('../lib/duration');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+function usage() {
+  console.error('Usage: node htlc.js new');
+  console.error('       node htlc.js lock <amount> [--hash <h> | --preimage <p> | --invoice <bolt11>] [options]');
+  console.error('       node htlc.js preimage <cashu_token>');
+  console.error('');
+  console.error('Lock options:');
+  console.error('  --pubkeys <pk1,pk2,...>   Keys that must also sign to redeem');
+  console.error('  --self                    Include your own pubkey');
+  console.error('  --threshold N             Require N of the pubkeys (default: all)');
+  console.error('  --refund <pk1,pk2,...>    Refund pubkeys (requires --locktime)');
+  console.error('  --refund-self             Refund to your own pubkey');
+  console.error('  --refund-threshold N      Require N refund signatures');
+  console.error('  --locktime <ts|duration>  When the refund path opens: unix time, or from now (24h, 2d)');
+  console.error('  --mint <url>              Mint to lock at (default: the default mint)');
+  console.error('  --memo <text>             Kept in history');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node htlc.js lock 100 --pubkeys 02abc... --refund-self --locktime 48h');
+  console.error('  node htlc.js lock 100 --invoice lnbc1u1p... --pubkeys 02abc...');
+  output.exit('USAGE');
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    positional: [],
+    hash: null,
+    preimage: null,
+    invoice: null,
+    pubkeys: [],
+    self: false,
+    threshold: null,
+    refundKeys: [],
+    refundSelf: false,
+    refundThreshold: null,
+    locktime: null,
+    mint: null,
+    memo: null
+  };
+  const list = (value) => (value || '').split(',').map(k => k.trim()).filter(Boolean);
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--hash':
+        result.hash = args[++i];
+        break;
+      case '--preimage':
+        result.preimage = args[++i];
+        break;
+      case '--invoice':
+        result.invoice = args[++i];
+        break;
+      case '--pubkeys':
+        result.pubkeys = list(args[++i]);
+        break;
+      case '--self':
+        result.self = true;
+        break;
+      case '--threshold':
+        result.threshold = parseInt(args[++i]);
+        break;
+      case '--refund':
+        result.refundKeys = list(args[++i]);
+        break;
+      case '--refund-self':
+        result.refundSelf = true;
+        break;
+      case '--refund-threshold':
+        result.refundThreshold = parseInt(args[++i]);
+        break;
+      case '--locktime':
+        result.locktime = args[++i];
+        break;
+      case '--mint':
+        result.mint = args[++i];
+        break;
+      case '--memo':
+        result.memo = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        usage();
+        break;
+      default:
+        result.positional.push(args[i]);
+    }
+  }
+  return result;
+}
+
+// Unix time, or a duration from now
+function parseLocktime(value) {
+  if (/^\d+$/.test(value)) return parseInt(value);
+  const ms = parseDuration(value);
+  if (!ms) {
+    console.error(`Invalid locktime: ${value} (use a unix time or a duration like 24h)`);
+    output.exit('USAGE');
+  }
+  return Math.floor((Date.now() + ms) / 1000);
+}
+
+function invoiceHash(invoice) {
+  let decoded;
+  try {
+    decoded = decodeInvoice(invoice);
+  } catch (err) {
+    console.error(`Invalid invoice: ${err.message}`);
+    output.exit('USAGE');
+  }
+  if (!decoded.paymentHash) {
+    console.error('Invoice has no payment hash');
+    output.exit('USAGE');
+  }
+  return decoded.paymentHash;
+}
+
+function generate() {
+  const pair = htlc.newPreimage();
+  output.result(pair);
+  console.log(`Preimage: ${pair.preimage}`);
+  console.log(`Hash:     ${pair.hash}`);
+  console.log('\n⚠️  The preimage redeems what is locked to the hash: keep it secret until it should');
+}
+
+async function lock(wallet, amountArg, opts) {
+  const amount = parseInt(amountArg);
+  if (!amount || amount <= 0) usage();
+  if ([opts.hash, opts.preimage, opts.invoice].filter(Boolean).length > 1) {
+    console.error('Use one of --hash, --preimage and --invoice');
+    output.exit('USAGE');
+  }
+  
+  let { hash, preimage } = opts;
+  if (opts.invoice) hash = invoiceHash(opts.invoice);
+  if (!hash && !preimage) preimage = htlc.newPreimage().preimage;
+  
+  let result;
+  try {
+    result = await wallet.lockToHash(amount, {
+      hash,
+      preimage,
+      pubkeys: opts.pubkeys,
+      self: opts.self,
+      threshold: opts.threshold,
+      refundKeys: opts.refundKeys,
+      refundSelf: opts.refundSelf,
+      refundThreshold: opts.refundThreshold,
+      locktime: opts.locktime ? parseLocktime(opts.locktime) : undefined,
+      mint: opts.mint,
+      memo: opts.memo
+    });
+  } catch (err) {
+    // Parked for approval: the request only holds the hash
+    if (err.code === 'APPROVAL_REQUIRED' && preimage && !opts.preimage) {
+      console.error(`Preimage (keep it, the approved token will need it): ${preimage}`);
+    }
+    throw err;
+  }
+  output.result(result);
+  
+  console.log('=== Hash-Locked Token (NUT-14) ===\n');
+  console.log(`Amount: ${result.amount} sats`);
+  console.log(`Hash: ${result.hash}`);
+  if (result.preimage) console.log(`Preimage: ${result.preimage}`);
+  if (result.pubkeys.length > 0) {
+    console.log(`Signers (${result.threshold}-of-${result.pubkeys.length}):`);
+    result.pubkeys.forEach((pk, i) => console.log(`  ${i + 1}. ${pk.slice(0, 20)}...`));
+  }
+  if (result.locktime) {
+    const refund = result.refundPubkeys.length > 0
+      ? `refundable to ${result.refundPubkeys.map(pk => `${pk.slice(0, 12)}...`).join(', ')}`
+      : 'anyone can redeem it';
+    console.log(`Locktime: ${new Date(result.locktime * 1000).toISOString()} (then ${refund})`);
+  }
+  
+  console.log(`\n=== Token (${result.amount} sats) ===\n`);
+  console.log(result.token);
+  console.log(`\nNew balance: ${result.balance} sats`);
+  if (result.preimage) {
+    console.log('\n⚠️  The preimage redeems this token: keep it secret until it should');
+  }
+}
+
+async function preimage(wallet, token) {
+  if (!token) usage();
+  const result = await wallet.revealedPreimage(token);
+  output.result(result);
+  
+  console.log(`Hash: ${result.hash}`);
+  if (result.preimage) {
+    console.log(`✓ Preimage: ${result.preimage}`);
+  } else if (result.state === 'SPENT') {
+    console.log('Redeemed without revealing a preimage (refunded, or past its locktime)');
+  } else {
+    console.log(`Not redeemed yet (${result.state.toLowerCase()}): no preimage revealed`);
+  }
+}
+
+async function main() {
+  const opts = parseArgs();
+  const [command, arg] = opts.positional;
+  if (!command) usage();
+  
+  switch (command) {
+    case 'new':
+      generate();
+      break;
+    case 'lock':
+      await lock(new HexNutsWallet({ silent: false }), arg, opts);
+      break;
+    case 'preimage':
+      await preimage(new HexNutsWallet({ silent: false }), arg);
+      break;
+    default:
+      usage();
+  }
+}
+
+main().catch(output.fatal);
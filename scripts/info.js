@@ -1,71 +1,154 @@
 #!/usr/bin/env node
 /**
  * Show info about a Cashu token without claiming it
- * Usage: node info.js <cashu_token>
+ * Usage: node info.js <cashu_token> [--check]
+ *
+ * Decodes every proof: its spending conditions (NUT-10/11/14: keys,
+ * signatures needed, locktime, refund keys, SIG_ALL, hash), grouped so a
+ * token mixing locks shows each, with keys named by DID or as your own
+ * where the wallet knows them. DLEQ proofs (NUT-12) are checked against
+ * the mint's keys as cached, offline.
+ *
+ * --check asks the mint whether the proofs are unspent, pending or
+ * spent (NUT-07), and for its keysets' current fees and status.
  */
 
-const { getDecodedToken, getSecretKind, getSecretData } = require('@cashu/cashu-ts');
+const output = require('../lib/output');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
 
-async function main() {
-  const token = process.argv[2];
-  
-  if (!token) {
-    console.error('Usage: node info.js <cashu_token>');
-    process.exit(1);
+function usage() {
+  console.error('Usage: node info.js <cashu_token> [--check]');
+  console.error('');
+  console.error('  --check    Ask the mint whether the proofs are spent (NUT-07), and for its keysets');
+  output.exit('USAGE');
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = { token: null, check: false };
+  for (const arg of args) {
+    if (arg === '--check') result.check = true;
+    else if (arg === '--help' || arg === '-h') usage();
+    else result.token = arg;
+  }
+  return result;
+}
+
+const at = (time) => new Date(time * 1000).toISOString();
+
+function keyLine(key) {
+  const names = [key.own && 'your key', key.did].filter(Boolean);
+  return `${key.pubkey.slice(0, 20)}... ${key.npub}${names.length > 0 ? ` (${names.join(', ')})` : ''}`;
+}
+
+function printKeys(title, keys) {
+  console.log(`  ${title}:`);
+  keys.forEach((key, i) => console.log(`    ${i + 1}. ${keyLine(key)}`));
+}
+
+function printCondition(c, number) {
+  const n = number ? `${number}. ` : '';
+  const held = `${c.amount} sats in ${c.proofs} proof${c.proofs === 1 ? '' : 's'}`;
+  if (!c.kind) {
+    console.log(`${n}🔓 No conditions: anyone holding it can claim it (${held})`);
+    return;
+  }
+  if (c.kind !== 'P2PK' && c.kind !== 'HTLC') {
+    console.log(`${n}❓ ${c.kind} (unknown kind of lock, ${held})`);
+    c.otherTags.forEach(([key, ...values]) => console.log(`  ${key}: ${values.join(', ')}`));
+    return;
   }
   
-  try {
-    const decoded = getDecodedToken(token);
-    const amount = decoded.proofs.reduce((s, p) => s + p.amount, 0);
-    
-    console.log('=== Token Info ===\n');
-    console.log(`Mint: ${decoded.mint}`);
-    console.log(`Amount: ${amount} sats`);
-    console.log(`Proofs: ${decoded.proofs.length}`);
-    console.log(`Memo: ${decoded.memo || '(none)'}`);
-    
-    // Check for P2PK locking
-    let p2pkLocked = false;
-    let lockedToPubkey = null;
-    for (const proof of decoded.proofs) {
-      try {
-        const kind = getSecretKind(proof.secret);
-        if (kind === 'P2PK') {
-          p2pkLocked = true;
-          const data = getSecretData(proof.secret);
-          if (data && data.data) {
-            lockedToPubkey = data.data;
-          }
-          break;
-        }
-      } catch (e) {
-        // Not a structured secret
-      }
-    }
-    
-    if (p2pkLocked) {
-      console.log(`\n🔐 P2PK-Locked: YES`);
-      if (lockedToPubkey) {
-        console.log(`Locked to: ${lockedToPubkey}`);
-      }
-      console.log(`\n⚠️  Only the private key holder can spend this token!`);
+  const signers = c.pubkeys.length > 0 ? `, ${c.threshold}-of-${c.pubkeys.length} signatures` : '';
+  const sigAll = c.sigFlag === 'SIG_ALL' ? ', SIG_ALL (signatures cover the outputs too)' : '';
+  console.log(`${n}🔐 ${c.kind === 'HTLC' ? 'Hash-locked (HTLC)' : 'P2PK-locked'}${signers}${sigAll} (${held})`);
+  if (c.hash) console.log(`  Hash: ${c.hash} (redeeming takes its preimage)`);
+  if (c.pubkeys.length > 0) printKeys('Signers', c.pubkeys);
+  if (c.locktime) {
+    const open = c.locktime <= Date.now() / 1000 ? 'passed' : 'not yet';
+    if (c.refundPubkeys.length > 0) {
+      console.log(`  Locktime: ${at(c.locktime)} (${open}), then refundable with ${c.refundThreshold}-of-${c.refundPubkeys.length}:`);
+      c.refundPubkeys.forEach((key, i) => console.log(`    ${i + 1}. ${keyLine(key)}`));
     } else {
-      console.log(`\n🔓 P2PK-Locked: NO (anyone can claim)`);
-    }
-    
-    // Show denomination breakdown
-    const denoms = {};
-    for (const p of decoded.proofs) {
-      denoms[p.amount] = (denoms[p.amount] || 0) + 1;
+      console.log(`  Locktime: ${at(c.locktime)} (${open}), then anyone can claim it`);
     }
-    console.log('\nDenominations:');
-    for (const [amt, count] of Object.entries(denoms).sort((a, b) => b[0] - a[0])) {
-      console.log(`  ${amt} sats × ${count}`);
+  }
+  c.otherTags.forEach(([key, ...values]) => console.log(`  Tag ${key}: ${values.join(', ')}`));
+}
+
+function printKeysets(info) {
+  const source = info.checked ? 'from the mint' : 'as cached';
+  for (const k of info.keysets) {
+    if (!k.known) {
+      console.log(`  ${k.id}: ${k.proofs} proof(s), unknown to this wallet${info.checked ? ' and the mint' : ' (use --check)'}`);
+      continue;
     }
+    const status = k.active ? 'active' : 'inactive (the mint no longer signs with it)';
+    console.log(`  ${k.id}: ${k.proofs} proof(s), fee ${k.inputFeePpk} ppk, ${status} (${source})`);
+  }
+}
+
+function printProofs(info) {
+  const dleqMarks = { valid: '✓', invalid: '✗ INVALID', missing: '- none', unverified: '? keyset unknown' };
+  info.details.forEach((p, i) => {
+    const group = info.conditions.length > 1 ? `  lock ${p.condition + 1}` : '';
+    const state = p.state ? `  ${p.state}` : '';
+    console.log(`  ${i + 1}. ${p.amount} sats  keyset ${p.keyset.slice(0, 16)}${group}  DLEQ ${dleqMarks[p.dleq]}${state}`);
+  });
+}
+
+async function main() {
+  const { token, check } = parseArgs();
+  if (!token) usage();
+  
+  let info;
+  try {
+    info = await new HexNutsWallet({ silent: false }).inspect(token, { check });
   } catch (err) {
+    if (err.code !== 'INVALID_TOKEN') throw err;
     console.error('Invalid token:', err.message);
-    process.exit(1);
+    output.exit('INVALID_TOKEN');
+  }
+  output.result(info);
+  
+  console.log('=== Token Info ===\n');
+  console.log(`Mint: ${info.mint}`);
+  const unit = info.unit === 'sat' ? 'sats' : info.unit;
+  console.log(`Amount: ${info.amount} ${unit} (${info.proofs} proofs)`);
+  console.log(`Memo: ${info.memo || '(none)'}`);
+  if (info.fee !== null) console.log(`Fee to receive: ${info.fee} ${unit}`);
+  
+  const mixed = info.conditions.length > 1 ? ` (mixed: ${info.conditions.length} different conditions)` : '';
+  console.log(`\n=== Spending Conditions${mixed} ===\n`);
+  info.conditions.forEach((c, i) => printCondition(c, mixed && i + 1));
+  
+  console.log('\n=== Keysets ===\n');
+  printKeysets(info);
+  
+  console.log('\n=== Proofs ===\n');
+  printProofs(info);
+  
+  const { dleq } = info;
+  console.log('');
+  if (dleq.invalid > 0) {
+    console.log(`✗ DLEQ: ${dleq.invalid} proof(s) NOT signed by their keyset: the token is forged or damaged`);
+  } else if (dleq.valid === info.proofs) {
+    console.log('✓ DLEQ: every proof was signed by its keyset (checked offline)');
+  } else {
+    const unchecked = [
+      dleq.missing > 0 && `${dleq.missing} without a DLEQ proof`,
+      dleq.unverified > 0 && `${dleq.unverified} from a keyset this wallet doesn't have (use --check)`
+    ].filter(Boolean).join(', ');
+    console.log(`DLEQ: ${dleq.valid} of ${info.proofs} verified; ${unchecked}`);
+  }
+  
+  if (info.states) {
+    const { UNSPENT, PENDING, SPENT } = info.states;
+    const mark = SPENT === info.proofs ? '✗' : SPENT + PENDING > 0 ? '⚠️ ' : '✓';
+    console.log(`${mark} State (NUT-07): ${UNSPENT} unspent, ${PENDING} pending, ${SPENT} spent`);
+  } else {
+    console.log('State: not checked with the mint (use --check)');
   }
 }
 
-main().catch(console.error);
+main().catch(output.fatal);
@@ -13,10 +13,7 @@
 const { Wallet } = require('@cashu/cashu-ts');
 const deterministic = require('../lib/deterministic');
 const store = require('./wallet-store');
-const fs = require('fs');
-const path = require('path');
-
-const CONFIG_FILE = path.join(process.env.HOME, '.config/hex/cashu-config.json');
+const output = require('../lib/output');
 
 async function main() {
   const checkOnly = process.argv.includes('--check');
@@ -31,7 +28,7 @@ async function main() {
     console.log('\nTo enable deterministic mode:');
     console.log('  export ARCHON_PASSPHRASE="your-archon-passphrase"');
     console.log('  node init-deterministic.js');
-    process.exit(1);
+    output.exit('KEY_UNAVAILABLE', 'ARCHON_PASSPHRASE not set');
   }
   console.log('✓ ARCHON_PASSPHRASE set');
   
@@ -40,7 +37,7 @@ async function main() {
   if (!mnemonic) {
     console.log('✗ Could not retrieve Archon mnemonic');
     console.log('  Ensure Archon wallet exists at ~/.config/hex/archon/');
-    process.exit(1);
+    output.exit('KEY_UNAVAILABLE', 'Could not retrieve Archon mnemonic');
   }
   console.log('✓ Archon mnemonic accessible');
   console.log(`  Words: ${mnemonic.split(' ').length}`);
@@ -49,12 +46,13 @@ async function main() {
   const seed = deterministic.deriveCashuSeed();
   if (!seed) {
     console.log('✗ Could not derive Cashu seed');
-    process.exit(1);
+    output.exit('KEY_UNAVAILABLE', 'Could not derive Cashu seed');
   }
   console.log('✓ Cashu seed derived');
   console.log(`  Fingerprint: ${seed.slice(0, 4).toString('hex')}...`);
   
   if (checkOnly) {
+    output.result({ available: true, fingerprint: seed.slice(0, 4).toString('hex') });
     console.log('\n✓ Deterministic mode is available!');
     console.log('  Run without --check to initialize.');
     return;
@@ -86,37 +84,32 @@ async function main() {
     console.log('✓ Wallet initialized in deterministic mode');
     console.log(`  Keyset: ${wallet.keysetId}`);
     
-    // Save config
+    // Save config (merged with the other wallet settings)
     const config = {
       mode: 'deterministic',
       initialized: new Date().toISOString(),
       defaultMint: mintUrl,
       keysetId: wallet.keysetId
     };
-    
-    const configDir = path.dirname(CONFIG_FILE);
-    if (!fs.existsSync(configDir)) {
-      fs.mkdirSync(configDir, { recursive: true });
+    for (const [key, value] of Object.entries(config)) {
+      store.setConfig(key, value);
     }
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+    output.result({ ...config, fingerprint: seed.slice(0, 4).toString('hex') });
     
     console.log('\n=== Deterministic Mode Enabled ===');
     console.log('\nBenefits:');
     console.log('  • Wallet derived from Archon mnemonic');
     console.log('  • No separate seed phrase needed');
     console.log('  • Recover wallet by recovering Archon identity');
-    console.log('  • Counter state saved to ~/.config/hex/cashu-counters.json');
+    console.log('  • Counter state saved in wallet storage');
     console.log('\nTo use deterministic mode, always set ARCHON_PASSPHRASE:');
     console.log('  export ARCHON_PASSPHRASE=...');
     console.log('  node scripts/mint.js 100');
     
   } catch (err) {
     console.error('✗ Wallet initialization failed:', err.message);
-    process.exit(1);
+    output.exit(output.errorCode(err), err.message);
   }
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+main().catch(output.fatal);
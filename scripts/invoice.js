@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Show what a Lightning invoice pays, without paying it
+ * Usage: node invoice.js <bolt11_invoice> [--amount <sats>]
+ *
+ * Decodes the invoice locally: amount, payee node, description, expiry
+ * and network, and says whether melt.js would pay it. Expired invoices,
+ * invoices for another network than the wallet's (config `network`) and
+ * invoices without an amount (unless --amount is given) are turned down.
+ */
+
+const output = require('../lib/output');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+function usage() {
+  console.error('Usage: node invoice.js <bolt11_invoice> [--amount <sats>]');
+  output.exit('USAGE');
+}
+
+function formatExpiry(expiresAt) {
+  const minutes = Math.round((expiresAt * 1000 - Date.now()) / 60000);
+  const at = new Date(expiresAt * 1000).toLocaleString();
+  if (minutes <= 0) return `${at} (expired)`;
+  return minutes < 60 ? `${at} (in ${minutes}m)` : `${at} (in ${Math.round(minutes / 60)}h)`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const amountIdx = args.indexOf('--amount');
+  const amount = amountIdx !== -1 ? parseInt(args.splice(amountIdx, 2)[1]) : undefined;
+  const invoice = args[0];
+  
+  if (!invoice || args.includes('--help') || args.includes('-h') || Number.isNaN(amount)) usage();
+  
+  let info;
+  try {
+    info = new HexNutsWallet().inspectInvoice(invoice, { amount });
+  } catch (err) {
+    console.error('Invalid invoice:', err.message);
+    output.exit('USAGE');
+  }
+  
+  output.result(info);
+  console.log('=== Invoice Info ===\n');
+  console.log(`Amount: ${info.amount === null ? 'any (the payer chooses)' : `${info.amount} sats`}`);
+  if (info.amountMsat !== null && info.amountMsat % 1000 !== 0) {
+    console.log(`  (${info.amountMsat} msat; mints pay whole sats)`);
+  }
+  console.log(`Description: ${info.description || (info.descriptionHash ? `(hash ${info.descriptionHash})` : '(none)')}`);
+  console.log(`Payee node: ${info.payee}`);
+  console.log(`Network: ${info.network}`);
+  console.log(`Created: ${new Date(info.timestamp * 1000).toLocaleString()}`);
+  console.log(`Expires: ${formatExpiry(info.expiresAt)}`);
+  console.log(`Payment hash: ${info.paymentHash || '(none)'}`);
+  
+  if (info.problems.length === 0) {
+    console.log('\n✓ Payable with: node melt.js <invoice>' + (info.amount === null ? ` --amount ${amount}` : ''));
+    return;
+  }
+  console.log('\n⚠️  melt.js would not pay this invoice:');
+  for (const problem of info.problems) {
+    console.log(`  - ${problem}`);
+  }
+}
+
+main().catch(output.fatal);
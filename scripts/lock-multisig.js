@@ -7,6 +7,13 @@
  * Usage:
  *   node lock-multisig.js <amount> --pubkeys <pk1,pk2,pk3> [--threshold N]
  *   node lock-multisig.js <amount> --pubkeys <pk1,pk2> --refund <refund_pk> --locktime <unix_ts>
+ *   node lock-multisig.js <amount> --pubkeys <pk1,pk2,pk3> --threshold 2 --sig-all
+ * 
+ * With --sig-all (NUT-11 SIG_ALL) signatures cover the outputs the token
+ * is redeemed into as well as the token: a keyholder signing a redemption
+ * file approves exactly where the ecash goes, and their signature is
+ * useless for redeeming it anywhere else. Use it for escrow between
+ * parties who don't trust each other.
  * 
  * Examples:
  *   # 2-of-3 multisig
@@ -16,10 +23,8 @@
  *   node lock-multisig.js 100 --pubkeys pk1,pk2 --refund pk3 --locktime 1710000000
  */
 
-const { P2PKBuilder, getEncodedTokenV4 } = require('@cashu/cashu-ts');
-const store = require('./wallet-store');
-const archon = require('../lib/archon');
-const { createWallet } = require('../lib/wallet');
+const output = require('../lib/output');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
 
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -29,7 +34,9 @@ function parseArgs() {
     threshold: null,
     refundKeys: [],
     refundThreshold: null,
-    locktime: null
+    locktime: null,
+    self: false,
+    sigAll: false
   };
   
   for (let i = 1; i < args.length; i++) {
@@ -50,8 +57,10 @@ function parseArgs() {
         result.locktime = parseInt(args[++i]);
         break;
       case '--self':
-        const myPubkey = archon.getCashuPubkey();
-        if (myPubkey) result.pubkeys.push(myPubkey);
+        result.self = true;
+        break;
+      case '--sig-all':
+        result.sigAll = true;
         break;
     }
   }
@@ -59,21 +68,10 @@ function parseArgs() {
   return result;
 }
 
-function normalizePubkey(pk) {
-  // Remove 02/03 prefix if present, cashu-ts normalizes internally
-  if (pk.length === 66 && (pk.startsWith('02') || pk.startsWith('03'))) {
-    return pk;
-  }
-  if (pk.length === 64) {
-    return '02' + pk;
-  }
-  return pk;
-}
-
 async function main() {
   const opts = parseArgs();
   
-  if (!opts.amount || isNaN(opts.amount) || opts.amount <= 0 || opts.pubkeys.length === 0) {
+  if (!opts.amount || isNaN(opts.amount) || opts.amount <= 0 || (opts.pubkeys.length === 0 && !opts.self)) {
     console.error('Usage: node lock-multisig.js <amount> --pubkeys <pk1,pk2,...> [options]');
     console.error('');
     console.error('Options:');
@@ -83,6 +81,7 @@ async function main() {
     console.error('  --refund-threshold N      Require N refund signatures');
     console.error('  --locktime <unix_ts>      Unix timestamp for refund activation');
     console.error('  --self                    Include your own pubkey');
+    console.error('  --sig-all                 Signatures also cover the redemption\'s outputs (SIG_ALL)');
     console.error('');
     console.error('Examples:');
     console.error('  # 2-of-3 multisig');
@@ -90,79 +89,42 @@ async function main() {
     console.error('');
     console.error('  # Any of 2 keys, with refund to pk3 after 24h');
     console.error('  node lock-multisig.js 100 --pubkeys pk1,pk2 --refund pk3 --locktime $(date -d "+24 hours" +%s)');
-    process.exit(1);
-  }
-  
-  const mintUrl = store.DEFAULT_MINT;
-  
-  // Check balance
-  const proofs = store.getProofsForMint(mintUrl);
-  const balance = proofs.reduce((s, p) => s + p.amount, 0);
-  
-  if (balance < opts.amount) {
-    console.error(`Insufficient balance: have ${balance}, need ${opts.amount}`);
-    process.exit(1);
-  }
-  
-  // Normalize pubkeys
-  const pubkeys = opts.pubkeys.map(normalizePubkey);
-  const refundKeys = opts.refundKeys.map(normalizePubkey);
-  
-  // Build P2PK options
-  const builder = new P2PKBuilder();
-  
-  // Add lock pubkeys
-  builder.addLockPubkey(pubkeys);
-  
-  // Set threshold (default: all keys required)
-  const threshold = opts.threshold || pubkeys.length;
-  if (threshold < pubkeys.length) {
-    builder.requireLockSignatures(threshold);
-  }
-  
-  // Add refund if specified
-  if (refundKeys.length > 0 && opts.locktime) {
-    builder.addRefundPubkey(refundKeys);
-    builder.lockUntil(opts.locktime);
-    if (opts.refundThreshold) {
-      builder.requireRefundSignatures(opts.refundThreshold);
-    }
+    console.error('');
+    console.error('  # 2-of-3 escrow: the signers approve where the ecash goes');
+    console.error('  node lock-multisig.js 100 --pubkeys buyer,seller,arbiter --threshold 2 --sig-all');
+    output.exit('USAGE');
   }
   
-  const p2pkOpts = builder.toOptions();
-  
+  const wallet = new HexNutsWallet({ silent: false });
+  const result = await wallet.lock(opts.amount, {
+    pubkeys: opts.pubkeys,
+    self: opts.self,
+    threshold: opts.threshold,
+    refundKeys: opts.refundKeys,
+    refundThreshold: opts.refundThreshold,
+    locktime: opts.locktime,
+    sigAll: opts.sigAll
+  });
+  output.result(result);
+  
+  const { pubkeys, threshold, refundPubkeys } = result;
   console.log('=== Multi-Signature P2PK Token ===\n');
-  console.log(`Amount: ${opts.amount} sats`);
+  console.log(`Amount: ${result.amount} sats`);
   console.log(`Lock pubkeys (${pubkeys.length}):`);
   pubkeys.forEach((pk, i) => console.log(`  ${i + 1}. ${pk.slice(0, 20)}...`));
   console.log(`Threshold: ${threshold}-of-${pubkeys.length}`);
+  if (result.sigFlag === 'SIG_ALL') console.log('Signatures: SIG_ALL (cover the redemption\'s outputs too)');
   
-  if (refundKeys.length > 0) {
-    console.log(`\nRefund pubkeys (${refundKeys.length}):`);
-    refundKeys.forEach((pk, i) => console.log(`  ${i + 1}. ${pk.slice(0, 20)}...`));
-    console.log(`Locktime: ${new Date(opts.locktime * 1000).toISOString()}`);
+  if (refundPubkeys.length > 0) {
+    console.log(`\nRefund pubkeys (${refundPubkeys.length}):`);
+    refundPubkeys.forEach((pk, i) => console.log(`  ${i + 1}. ${pk.slice(0, 20)}...`));
+    console.log(`Locktime: ${new Date(result.locktime * 1000).toISOString()}`);
   }
   
-  // Create token
-  const wallet = await createWallet(mintUrl);
-  
-  const { keep, send } = await wallet.ops
-    .send(opts.amount, proofs)
-    .asP2PK(p2pkOpts)
-    .run();
-  
-  store.saveProofsForMint(mintUrl, keep);
-  
-  const token = getEncodedTokenV4({ mint: mintUrl, proofs: send });
-  const lockedAmount = send.reduce((s, p) => s + p.amount, 0);
-  
-  console.log(`\n=== Token (${lockedAmount} sats) ===\n`);
-  console.log(token);
-  console.log(`\nNew balance: ${store.getBalanceForMint(mintUrl)} sats`);
+  console.log(`\n=== Token (${result.amount} sats) ===\n`);
+  console.log(result.token);
+  console.log(`\nNew balance: ${result.balance} sats`);
   console.log(`\n⚠️  Requires ${threshold} signature(s) from the specified pubkeys to spend!`);
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+main().catch(output.fatal);
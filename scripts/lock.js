@@ -10,10 +10,10 @@
  * Integrates with archon-keymaster/nostr for key management.
  */
 
-const { getEncodedTokenV4 } = require('@cashu/cashu-ts');
-const store = require('./wallet-store');
+const output = require('../lib/output');
 const archon = require('../lib/archon');
-const { createWallet } = require('../lib/wallet');
+const { NOSTR_ENV } = require('../lib/paths');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
 
 async function main() {
   const args = process.argv.slice(2);
@@ -23,68 +23,37 @@ async function main() {
     console.error('Usage: node lock.js <amount_sats> [pubkey|--self]');
     console.error('       node lock.js 100 --self          # Lock to your Archon pubkey');
     console.error('       node lock.js 100 02abc123...     # Lock to specific pubkey');
-    process.exit(1);
+    output.exit('USAGE');
   }
   
-  let pubkey;
-  const mintUrl = store.DEFAULT_MINT;
-  
-  if (args[1] === '--self') {
-    pubkey = archon.getCashuPubkey();
+  const self = args[1] === '--self';
+  if (self) {
+    const pubkey = archon.getCashuPubkey();
     if (!pubkey) {
       console.error('Could not load own pubkey.');
-      console.error('Ensure archon-keymaster/nostr has run or ~/.config/hex/nostr.env exists.');
+      console.error(`Ensure archon-keymaster/nostr has run or ${NOSTR_ENV} exists.`);
       const available = archon.getAvailableSkills();
       console.error('Available archon skills:', JSON.stringify(available));
-      process.exit(1);
+      output.exit('KEY_UNAVAILABLE');
     }
     console.log(`Locking to own pubkey: ${pubkey.slice(0, 16)}...`);
-  } else if (args[1]) {
-    pubkey = args[1];
-    // Ensure pubkey has proper format (02 or 03 prefix for compressed)
-    if (pubkey.length === 64) {
-      pubkey = '02' + pubkey;
-    }
-  } else {
+  } else if (!args[1]) {
     console.error('Must specify pubkey or --self');
-    process.exit(1);
-  }
-  
-  const proofs = store.getProofsForMint(mintUrl);
-  const balance = proofs.reduce((s, p) => s + p.amount, 0);
-  
-  if (balance < amount) {
-    console.error(`Insufficient balance: have ${balance}, need ${amount}`);
-    process.exit(1);
+    output.exit('USAGE');
   }
   
   console.log(`Creating P2PK-locked token for ${amount} sats...`);
   
-  const wallet = await createWallet(mintUrl);
-  
-  // Create P2PK-locked token using WalletOps
-  const { keep, send } = await wallet.ops
-    .send(amount, proofs)
-    .asP2PK({ pubkey })
-    .run();
-  
-  // Update wallet with remaining proofs
-  store.saveProofsForMint(mintUrl, keep);
-  
-  // Encode token
-  const token = getEncodedTokenV4({ mint: mintUrl, proofs: send });
-  
-  const lockedAmount = send.reduce((s, p) => s + p.amount, 0);
-  const newBalance = store.getBalanceForMint(mintUrl);
+  const wallet = new HexNutsWallet({ silent: false });
+  const result = await wallet.lock(amount, self ? { self } : { pubkeys: args[1] });
+  const pubkey = result.pubkeys[0];
+  output.result({ mint: result.mint, amount: result.amount, fee: result.fee, pubkey, token: result.token, balance: result.balance });
   
-  console.log(`\n=== P2PK-Locked Token (${lockedAmount} sats) ===`);
+  console.log(`\n=== P2PK-Locked Token (${result.amount} sats) ===`);
   console.log(`\nLocked to: ${pubkey}`);
-  console.log(`\n${token}`);
-  console.log(`\nNew balance: ${newBalance} sats`);
+  console.log(`\n${result.token}`);
+  console.log(`\nNew balance: ${result.balance} sats`);
   console.log(`\n⚠️  Only the holder of the private key can spend this token!`);
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+main().catch(output.fatal);
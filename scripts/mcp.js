@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Run the wallet as an MCP (Model Context Protocol) server for AI agents
+ * Usage:
+ *   node mcp.js [--confirm-above <sats>] [--agent <name>]                 # MCP over stdio
+ *   node mcp.js --http [--port 3340] [--host 127.0.0.1] [--confirm-above <sats>]
+ *
+ * Tools: balance, history, create_mint_quote, claim_mint_quote,
+ * list_mint_quotes, claim_paid_quotes, pay_invoice, plan_multi_mint_payment,
+ * pay_lightning_address, transfer_between_mints, rebalance_mints,
+ * send_token, receive_token, lock_to_recipient, lock_to_group,
+ * inspect_token, decode_invoice, approval_status
+ *
+ * Spends above --confirm-above sats (default: mcpConfirmAbove in
+ * cashu-config.json, 1000) are put to the user through the MCP client
+ * first; clients that can't ask are refused. Over HTTP, clients need a
+ * token from `node serve.js add-client` and see only the tools their
+ * permissions allow. In stdio mode stdout carries the protocol, so all
+ * logging goes to stderr.
+ *
+ * Spends are checked against the spending policy (see policy.js) as the
+ * agent named by --agent (stdio) or the client's name (HTTP).
+ */
+
+// stdout belongs to the protocol from here on
+console.log = console.error.bind(console);
+
+const output = require('../lib/output');
+const clients = require('../lib/clients');
+const { PROFILE } = require('../lib/paths');
+const { loadConfig } = require('../lib/config');
+const { McpSession, serveStdio, createHttpServer } = require('../lib/mcp');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+const DEFAULT_PORT = 3340;
+const DEFAULT_HOST = '127.0.0.1';
+
+// How long loaded mint keysets and group keys are reused
+const CACHE_TTL = 10 * 60 * 1000;
+
+function usage() {
+  console.error('Usage: node mcp.js [--confirm-above <sats>] [--agent <name>]');
+  console.error('       node mcp.js --http [--port <port>] [--host <address>] [--confirm-above <sats>]');
+  output.exit('USAGE');
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    http: false,
+    port: DEFAULT_PORT,
+    host: DEFAULT_HOST,
+    confirmAbove: loadConfig().mcpConfirmAbove,
+    agent: process.env.HEXNUTS_AGENT || null
+  };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--http':
+        result.http = true;
+        break;
+      case '--port':
+        result.port = parseInt(args[++i]);
+        break;
+      case '--host':
+        result.host = args[++i];
+        break;
+      case '--confirm-above':
+        result.confirmAbove = Number(args[++i]);
+        break;
+      case '--agent':
+        result.agent = args[++i];
+        break;
+      default:
+        usage();
+    }
+  }
+  
+  if (!Number.isInteger(result.confirmAbove) || result.confirmAbove < 0) {
+    console.error(`Invalid --confirm-above: ${result.confirmAbove} (whole sats, 0 to confirm every spend)`);
+    output.exit('USAGE');
+  }
+  if (!Number.isInteger(result.port) || result.port <= 0 || result.port > 65535) {
+    console.error(`Invalid port: ${result.port}`);
+    output.exit('USAGE');
+  }
+  return result;
+}
+
+async function serveHttp(wallet, { port, host, confirmAbove }, info) {
+  const server = createHttpServer(wallet, { confirmAbove, info, log: (line) => console.error(line) });
+  
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  
+  console.error(`🥜 HexNuts MCP on http://${host}:${port}/mcp (wallet: ${PROFILE}, confirm above ${confirmAbove} sats)`);
+  if (!['127.0.0.1', '::1', 'localhost'].includes(host)) {
+    console.error('⚠️  Listening beyond localhost: tokens and ecash travel unencrypted');
+  }
+  if (clients.loadClients().length === 0) {
+    console.error('⚠️  No API clients yet. Add one with: node serve.js add-client <name> --allow <perms>');
+  }
+  
+  const stop = () => {
+    server.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 5000).unref();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+async function main() {
+  const opts = parseArgs();
+  const wallet = new HexNutsWallet({ cacheTtl: CACHE_TTL, agent: opts.agent });
+  const info = { version: require('../package.json').version };
+  
+  // Load the default mint in the background; the first tool call waits for it
+  wallet.wallet().catch((e) => console.error(`⚠️  Could not load ${wallet.defaultMint}: ${e.message}`));
+  
+  if (opts.http) {
+    await serveHttp(wallet, opts, info);
+    return;
+  }
+  
+  console.error(`🥜 HexNuts MCP on stdio (wallet: ${PROFILE}, confirm above ${opts.confirmAbove} sats)`);
+  await serveStdio(new McpSession(wallet, { confirmAbove: opts.confirmAbove, info }));
+}
+
+main().catch(output.fatal);
@@ -1,67 +1,238 @@
 #!/usr/bin/env node
 /**
- * Melt Cashu tokens to pay a Lightning invoice
- * Usage: node melt.js <bolt11_invoice> [mint_url]
+ * Melt Cashu tokens to pay a Lightning invoice, address or LNURL
+ * Usage: node melt.js <bolt11_invoice> [mint_url] [--amount <sats>] [--no-wait]
+ *        node melt.js <bolt11_invoice> --multi [mint_url...] [--plan] [--no-wait]
+ *        node melt.js <name@domain|lnurl> <amount_sats> [mint_url] [--comment <text>] [--no-wait]
+ *
+ * The invoice is decoded and shown (amount, payee node, description,
+ * expiry) before anything is paid; expired invoices and invoices for
+ * another network are turned down (see invoice.js). An invoice without an
+ * amount needs --amount.
+ *
+ * With --multi, an invoice larger than any one mint's balance is paid from
+ * several (all with ecash, or the ones listed): mints with NUT-15 pay a
+ * part each, and what they can't cover is first moved over from the other
+ * mints. The parts, the moves and the total fee reserve are shown before
+ * anything is paid; --plan shows them and stops there.
+ *
+ * Lightning addresses (LUD-16) and LNURL-pay (LUD-06) are asked for an
+ * invoice of the amount, which is paid only if its amount and description
+ * hash match what the service announced.
+ *
+ * A payment the mint reports as in flight is checked with its melt quote
+ * until it settles: paid (fee-reserve change back in the wallet) or failed
+ * (inputs back). With --no-wait, or on Ctrl-C, the inputs stay a pending
+ * record that pending.js settles later.
  */
 
-const store = require('./wallet-store');
-const { createWallet } = require('../lib/wallet');
+const output = require('../lib/output');
+const { isPayTarget } = require('../lib/lnurl');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
 
-async function main() {
-  const invoice = process.argv[2];
-  const mintUrl = process.argv[3] || store.DEFAULT_MINT;
+function usage() {
+  console.error('Usage: node melt.js <bolt11_invoice> [mint_url] [--amount <sats>] [--no-wait]');
+  console.error('       node melt.js <bolt11_invoice> --multi [mint_url...] [--plan] [--no-wait]');
+  console.error('       node melt.js <name@domain|lnurl> <amount_sats> [mint_url] [--comment <text>] [--no-wait]');
+  output.exit('USAGE');
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = { positional: [], wait: true, comment: null, amount: undefined, multi: false, plan: false };
   
-  if (!invoice) {
-    console.error('Usage: node melt.js <bolt11_invoice> [mint_url]');
-    process.exit(1);
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--no-wait':
+        result.wait = false;
+        break;
+      case '--multi':
+        result.multi = true;
+        break;
+      case '--plan':
+        result.plan = true;
+        break;
+      case '--comment':
+        result.comment = args[++i];
+        break;
+      case '--amount':
+        result.amount = parseInt(args[++i]);
+        if (!(result.amount > 0)) usage();
+        break;
+      case '--help':
+      case '-h':
+        usage();
+        break;
+      default:
+        result.positional.push(args[i]);
+    }
+  }
+  return result;
+}
+
+// What is about to be paid
+function printInvoice(info) {
+  console.log(`Invoice: ${info.amount === null ? 'any amount' : `${info.amount} sats`} to node ${info.payee}`);
+  if (info.description) console.log(`Description: ${info.description}`);
+  console.log(`Expires: ${new Date(info.expiresAt * 1000).toLocaleString()}${info.expired ? ' (expired)' : ''}`);
+  console.log(`Network: ${info.network}`);
+}
+
+// Parts, moves between mints and the fee reserve of a multi-path payment
+function printPlan(plan) {
+  console.log(`\n=== Paying ${plan.amount} sats from ${plan.parts.length} mint(s) ===`);
+  for (const t of plan.transfers) {
+    console.log(`  Move ${t.amount} sats from ${t.from} to ${t.to} (fee reserve ${t.feeReserve} sats)`);
+  }
+  for (const p of plan.parts) {
+    console.log(`  Pay ${p.amount} sats from ${p.mint} (fee reserve ${p.feeReserve} sats)`);
+  }
+  console.log(`Total fee reserve: ${plan.feeReserve} sats (unused reserve comes back as change)`);
+}
+
+async function meltMultiPath(wallet, invoice, mints, opts) {
+  printInvoice(wallet.inspectInvoice(invoice));
+  if (opts.plan) {
+    const plan = await wallet.planMultiPath(invoice, { mints });
+    output.result(plan);
+    printPlan(plan);
+    for (const s of plan.skipped) console.log(`⚠️  Skipped ${s.mint}: ${s.error}`);
+    console.log('\nNothing paid (--plan)');
+    return;
   }
   
-  const proofs = store.getProofsForMint(mintUrl);
-  const balance = proofs.reduce((s, p) => s + p.amount, 0);
-  
-  if (balance === 0) {
-    console.error(`No tokens at ${mintUrl}`);
-    process.exit(1);
+  // Shown once the quotes are in, before anything moves
+  const confirm = async (spend) => {
+    printPlan(spend);
+    return true;
+  };
+  let result;
+  try {
+    result = await wallet.meltMultiPath(invoice, { mints, confirm });
+  } catch (err) {
+    if (err.pending) {
+      console.error(`\nPayment state unknown, inputs kept as pending (${err.pending})`);
+      console.error('Check later with: node pending.js (and node quotes.js claim, for moves between mints)');
+    }
+    throw err;
   }
   
-  console.log(`Melting tokens from ${mintUrl}...`);
-  console.log(`Available balance: ${balance} sats`);
+  if (result.state === 'pending' && opts.wait) {
+    console.log('\n⏳ Payment in flight, waiting for it to settle (Ctrl-C to stop)...');
+    const stop = new AbortController();
+    process.once('SIGINT', () => stop.abort());
+    const parts = [];
+    for (const part of result.parts) {
+      parts.push(part.state === 'pending' ? await wallet.waitForMelt(part.quote, { signal: stop.signal }) : part);
+    }
+    const paid = parts.every(p => p.state === 'paid');
+    result = {
+      ...result,
+      state: paid ? 'paid' : 'pending',
+      parts,
+      ...(paid && {
+        fee: [...parts, ...result.transfers].reduce((s, x) => s + x.fee, 0),
+        preimage: (parts.find(p => p.preimage) || {}).preimage || null
+      }),
+      balance: (await wallet.balance()).balance
+    };
+  }
+  output.result(result);
   
-  const wallet = await createWallet(mintUrl);
+  if (result.state === 'pending') {
+    console.log('\n⏳ Payment pending');
+    for (const part of result.parts.filter(p => p.state === 'pending')) {
+      console.log(`  ${part.mint}: quote ${part.quote}, inputs kept as pending-melt (${part.pending})`);
+    }
+    console.log('Check later with: node pending.js');
+    return;
+  }
+  console.log(`\n✓ Paid ${result.amount} sats from ${result.parts.length} mint(s) (fees: ${result.fee} sats)`);
+  console.log(`Payment preimage: ${result.preimage || 'N/A'}`);
+  console.log(`New balance: ${result.balance} sats`);
+}
+
+// What's said once an address's payment went through (LUD-09)
+function printSuccessAction(action) {
+  if (!action) return;
+  if (action.tag === 'message') console.log(`Message from payee: ${action.message}`);
+  if (action.tag === 'url') console.log(`Payee says: ${action.description} ${action.url}`);
+  if (action.tag === 'aes') console.log(`Payee sent an encrypted message: ${action.description}`);
+}
+
+async function main() {
+  const opts = parseArgs();
+  const [target, ...rest] = opts.positional;
+  if (!target) usage();
   
-  // Get melt quote
-  const quote = await wallet.createMeltQuote(invoice);
-  const amountNeeded = quote.amount + quote.fee_reserve;
+  const address = isPayTarget(target);
+  const amount = address ? parseInt(rest.shift()) : null;
+  if (address && (!amount || amount <= 0)) usage();
+  if (!address && opts.comment) {
+    console.error('--comment is for Lightning addresses and LNURLs (an invoice carries its own description)');
+    output.exit('USAGE');
+  }
+  if (address && opts.amount !== undefined) {
+    console.error('--amount is for invoices without an amount (give an address\'s amount after it)');
+    output.exit('USAGE');
+  }
+  if ((opts.plan && !opts.multi) || (opts.multi && (address || opts.amount !== undefined))) {
+    console.error('--multi (and --plan) are for invoices with an amount');
+    output.exit('USAGE');
+  }
   
-  console.log(`\nInvoice amount: ${quote.amount} sats`);
-  console.log(`Fee reserve: ${quote.fee_reserve} sats`);
-  console.log(`Total needed: ${amountNeeded} sats`);
+  const wallet = new HexNutsWallet({ silent: false });
+  if (opts.multi) {
+    await meltMultiPath(wallet, target, rest.length > 0 ? rest : undefined, opts);
+    return;
+  }
+  const mint = rest[0] || wallet.defaultMint;
   
-  if (balance < amountNeeded) {
-    console.error(`\nInsufficient balance! Need ${amountNeeded}, have ${balance}`);
-    process.exit(1);
+  let result;
+  try {
+    if (address) {
+      console.log(`Paying ${amount} sats to ${target} from ${mint}...`);
+      result = await wallet.payAddress(target, amount, { mint, comment: opts.comment || undefined });
+    } else {
+      printInvoice(wallet.inspectInvoice(target, { amount: opts.amount }));
+      console.log(`\nMelting tokens from ${mint}...`);
+      result = await wallet.melt(target, { mint, amount: opts.amount });
+    }
+  } catch (err) {
+    if (err.pending) {
+      console.error(`\nPayment state unknown, inputs kept as pending (${err.pending})`);
+      console.error('Check later with: node pending.js');
+    }
+    if (err.code === 'INSUFFICIENT_BALANCE' && !address && (await wallet.balance()).balance > err.needed) {
+      console.error('\nThe wallet\'s mints together hold enough: pay from several with --multi');
+    }
+    throw err;
   }
   
-  // Select proofs to send
-  const { keep, send } = await wallet.send(amountNeeded, proofs, { includeFees: true });
+  console.log(`\nInvoice amount: ${result.amount} sats`);
+  console.log(`Fee reserve: ${result.feeReserve} sats`);
+  if (result.description) console.log(`Description: ${result.description}`);
   
-  // Melt (pay the invoice)
-  const result = await wallet.meltProofs(quote, send);
+  if (result.state === 'pending' && opts.wait) {
+    console.log(`\n⏳ Payment in flight (quote ${result.quote}), waiting for it to settle (Ctrl-C to stop)...`);
+    const stop = new AbortController();
+    process.once('SIGINT', () => stop.abort());
+    const { address: to, description, successAction } = result;
+    result = { ...await wallet.waitForMelt(result.quote, { signal: stop.signal }), address: to, description, successAction };
+  }
+  output.result(result);
   
-  // Update wallet: keep the remaining proofs + any change
-  const newProofs = [...keep];
-  if (result.change && result.change.length > 0) {
-    newProofs.push(...result.change);
+  if (result.state === 'pending') {
+    console.log(`\n⏳ Payment pending (quote ${result.quote})`);
+    console.log(`Inputs kept as pending-melt (${result.pending})`);
+    console.log('Check later with: node pending.js');
+    return;
   }
-  store.saveProofsForMint(mintUrl, newProofs);
   
-  const newBalance = store.getBalanceForMint(mintUrl);
-  console.log(`\n✓ Paid ${quote.amount} sats`);
+  console.log(`\n✓ Paid ${result.amount} sats (fee: ${result.fee} sats)`);
   console.log(`Payment preimage: ${result.preimage || 'N/A'}`);
-  console.log(`New balance: ${newBalance} sats`);
+  console.log(`New balance: ${result.balance} sats`);
+  printSuccessAction(result.successAction);
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+main().catch(output.fatal);
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Move the wallet to another storage backend
+ * Usage:
+ *   node migrate-storage.js --to sqlite     # JSON file -> SQLite database
+ *   node migrate-storage.js --to json       # SQLite database -> JSON file
+ *   node migrate-storage.js --status        # Show the active backend
+ *
+ * Everything is copied: proofs, pending records, mint/keyset cache,
+ * NUT-13 counters, quotes, redemption records, approval requests and
+ * the transaction ledger. An encrypted wallet stays encrypted under the
+ * same passphrase. The copy is verified before the `storage` setting is
+ * switched, and the old file is left in place.
+ *
+ * Use --force to overwrite a target that already holds a wallet.
+ */
+
+const store = require('./wallet-store');
+const output = require('../lib/output');
+const { STORAGE_TYPES, createStorage, getStorageType, openStorage } = require('../lib/storage');
+const walletCrypto = require('../lib/wallet-crypto');
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = { to: null, status: false, force: false };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--to':
+        result.to = args[++i];
+        break;
+      case '--status':
+        result.status = true;
+        break;
+      case '--force':
+        result.force = true;
+        break;
+      default:
+        result.to = null;
+        i = args.length;
+    }
+  }
+  
+  if (!result.status && !STORAGE_TYPES.includes(result.to)) {
+    console.error(`Usage: node migrate-storage.js --to <${STORAGE_TYPES.join('|')}> [--force]`);
+    console.error('       node migrate-storage.js --status');
+    output.exit('USAGE');
+  }
+  return result;
+}
+
+const sorted = (obj) => Object.fromEntries(Object.entries(obj).sort(([a], [b]) => a.localeCompare(b)));
+
+/**
+ * Counts and balances used to check the copy
+ */
+function summarize(data) {
+  const balances = {};
+  for (const [mint, proofs] of Object.entries(data.proofs)) {
+    if (proofs.length > 0) {
+      balances[mint] = proofs.reduce((s, p) => s + p.amount, 0);
+    }
+  }
+  return {
+    balances: sorted(balances),
+    proofs: Object.values(data.proofs).reduce((n, proofs) => n + proofs.length, 0),
+    pending: Object.keys(data.pending).length,
+    mints: Object.keys(data.mints).length,
+    counters: sorted(data.counters),
+    quotes: Object.keys(data.quotes).length,
+    redemptions: Object.keys(data.redemptions).length,
+    approvals: Object.keys(data.approvals).length,
+    history: data.history.length
+  };
+}
+
+function hasData(data) {
+  return Object.values(data.proofs).some(p => p.length > 0) ||
+    Object.keys(data.pending).length > 0 || Object.keys(data.redemptions).length > 0 || data.history.length > 0;
+}
+
+async function main() {
+  const opts = parseArgs();
+  const current = getStorageType();
+  
+  if (opts.status) {
+    output.result({ storage: current, wallet: store.getStorageFile() });
+    console.log(`Storage: ${current}`);
+    console.log(`Wallet: ${store.getStorageFile()}`);
+    if (process.env.HEXNUTS_STORAGE) {
+      console.log('  (set by HEXNUTS_STORAGE)');
+    }
+    return;
+  }
+  
+  if (opts.to === current) {
+    console.error(`Wallet already uses ${current} storage (${store.getStorageFile()}).`);
+    output.exit('USAGE');
+  }
+  
+  const source = openStorage();
+  if (!source.exists()) {
+    console.error('No wallet file found at', source.file);
+    output.exit('NOT_FOUND');
+  }
+  
+  console.log(`Migrating wallet: ${current} -> ${opts.to}`);
+  console.log(`  From: ${source.file}`);
+  
+  const target = createStorage(opts.to);
+  console.log(`  To:   ${target.file}`);
+  
+  if (target.exists() && hasData(target.exportData()) && !opts.force) {
+    console.error(`\n${target.file} already holds a wallet. Use --force to overwrite it.`);
+    output.exit('USAGE');
+  }
+  
+  // Hold the source for the whole copy so nothing changes underneath it
+  const { data, encrypted } = source.transaction(() => {
+    const encrypted = source.isEncrypted();
+    
+    // Set up encryption first so no record is ever written in plaintext
+    target.reseal(encrypted ? walletCrypto.getWalletPassphrase() : null);
+    
+    const data = source.exportData();
+    target.importData(data);
+    return { data, encrypted };
+  });
+  
+  const expected = JSON.stringify(summarize(data));
+  const copied = JSON.stringify(summarize(target.exportData()));
+  if (copied !== expected) {
+    throw new Error(`Copy doesn't match the source; storage setting left at ${current}. ` +
+      `Remove ${target.file} and try again.`);
+  }
+  
+  store.setConfig('storage', opts.to);
+  
+  const summary = summarize(data);
+  const balance = Object.values(summary.balances).reduce((a, b) => a + b, 0);
+  output.result({ storage: opts.to, wallet: target.file, previous: source.file, encrypted, balance, ...summary });
+  console.log(`\n✓ Wallet migrated to ${opts.to}${encrypted ? ' (encrypted)' : ''}`);
+  console.log(`  Balance: ${balance} sats in ${summary.proofs} proofs`);
+  console.log(`  Pending: ${summary.pending}, quotes: ${summary.quotes}, redemptions: ${summary.redemptions}, ` +
+    `history: ${summary.history} entries`);
+  console.log(`\nThe old wallet is still at ${source.file}.`);
+  console.log('Remove it once you have checked the balance (balance.js) — it is not kept in sync.');
+  
+  if (process.env.HEXNUTS_STORAGE && process.env.HEXNUTS_STORAGE !== opts.to) {
+    console.log(`\n⚠️  HEXNUTS_STORAGE=${process.env.HEXNUTS_STORAGE} overrides the setting; unset it to use ${opts.to}.`);
+  }
+}
+
+main().catch(output.fatal);
@@ -1,77 +1,109 @@
 #!/usr/bin/env node
 /**
  * Mint Cashu tokens by paying a Lightning invoice
- * Usage: node mint.js <amount_sats> [mint_url]
- * 
+ * Usage: node mint.js <amount_sats> [mint_url] [--watch]
+ *
  * With --quote <quote_id>: claim tokens for an already-paid quote
+ * With --watch: wait for the invoice to be paid and claim the tokens right
+ * away (over the mint's NUT-17 WebSocket where it has one, polling
+ * otherwise). Works with --quote too.
+ *
+ * Every quote is kept in the wallet until claimed, so a paid invoice is
+ * never lost: see quotes.js.
  */
 
-const { MintQuoteState } = require('@cashu/cashu-ts');
-const store = require('./wallet-store');
-const { createWallet } = require('../lib/wallet');
+const output = require('../lib/output');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
 
 async function main() {
-  const args = process.argv.slice(2);
+  const watch = process.argv.includes('--watch');
+  const args = process.argv.slice(2).filter(a => a !== '--watch');
+  const wallet = new HexNutsWallet({ silent: false });
   
   // Check for --quote flag (claim existing quote)
   const quoteIdx = args.indexOf('--quote');
   if (quoteIdx !== -1) {
     const quoteId = args[quoteIdx + 1];
-    const mintUrl = args[quoteIdx + 2] || store.DEFAULT_MINT;
-    await claimQuote(quoteId, mintUrl);
+    const mint = args[quoteIdx + 2];
+    if (watch) {
+      await watchQuote(wallet, quoteId, mint);
+    } else {
+      await claimQuote(wallet, quoteId, mint);
+    }
     return;
   }
   
   const amount = parseInt(args[0]);
-  const mintUrl = args[1] || store.DEFAULT_MINT;
+  const mint = args[1] || wallet.defaultMint;
   
   if (!amount || isNaN(amount) || amount <= 0) {
-    console.error('Usage: node mint.js <amount_sats> [mint_url]');
-    console.error('       node mint.js --quote <quote_id> [mint_url]');
-    process.exit(1);
+    console.error('Usage: node mint.js <amount_sats> [mint_url] [--watch]');
+    console.error('       node mint.js --quote <quote_id> [mint_url] [--watch]');
+    output.exit('USAGE');
   }
   
-  console.log(`Minting ${amount} sats from ${mintUrl}...`);
+  console.log(`Minting ${amount} sats from ${mint}...`);
   
-  const wallet = await createWallet(mintUrl);
-  
-  // Create mint quote (generates Lightning invoice)
-  const quote = await wallet.createMintQuote(amount);
+  const quote = await wallet.mint(amount, { mint });
+  if (!watch) output.result(quote);
   
   console.log('\n=== Pay this invoice to mint tokens ===');
   console.log(`\nInvoice: ${quote.request}`);
   console.log(`\nQuote ID: ${quote.quote}`);
   console.log(`Amount: ${amount} sats`);
   console.log(`Expires: ${new Date(quote.expiry * 1000).toLocaleString()}`);
+  
+  if (watch) {
+    console.log('');
+    await watchQuote(wallet, quote.quote, mint);
+    return;
+  }
   console.log('\nAfter paying, claim with:');
-  console.log(`  node mint.js --quote ${quote.quote} ${mintUrl}`);
+  console.log(`  node mint.js --quote ${quote.quote} ${mint}`);
+  console.log('  (or node quotes.js claim, for every paid quote)');
 }
 
-async function claimQuote(quoteId, mintUrl) {
-  console.log(`Claiming quote ${quoteId} from ${mintUrl}...`);
-  
-  const wallet = await createWallet(mintUrl);
-  
-  // Check quote status
-  const quote = await wallet.checkMintQuote(quoteId);
+async function claimQuote(wallet, quoteId, mint) {
+  if (!quoteId) {
+    console.error('Usage: node mint.js --quote <quote_id> [mint_url]');
+    output.exit('USAGE');
+  }
+  console.log(`Claiming quote ${quoteId}...`);
   
-  if (quote.state !== MintQuoteState.PAID) {
-    console.error(`Quote not paid yet. State: ${quote.state}`);
-    process.exit(1);
+  const result = await wallet.claimQuote(quoteId, { mint });
+  output.result(result);
+  console.log(`\n✓ Minted ${result.amount} sats (${result.proofs} proofs)`);
+  console.log(`New balance at ${result.mint}: ${result.balance} sats`);
+}
+
+async function watchQuote(wallet, quoteId, mint) {
+  if (!quoteId) {
+    console.error('Usage: node mint.js --quote <quote_id> [mint_url] --watch');
+    output.exit('USAGE');
   }
   
-  // Mint the proofs (returns array directly in v3)
-  const proofs = await wallet.mintProofs(quote.amount, quoteId);
+  // Ctrl-C stops waiting; the quote stays in the wallet
+  const stop = new AbortController();
+  process.once('SIGINT', () => stop.abort());
   
-  // Save to wallet
-  store.addProofsForMint(mintUrl, proofs);
+  console.log(`Waiting for payment of quote ${quoteId} (Ctrl-C to stop)...`);
+  let result;
+  try {
+    result = await wallet.watchQuote(quoteId, { mint, signal: stop.signal });
+  } catch (err) {
+    if (err.code !== 'QUOTE_NOT_PAID') throw err;
+    if (err.state === 'EXPIRED') {
+      console.error(`Quote ${quoteId} expired unpaid`);
+    } else {
+      console.error(`Stopped waiting: quote ${quoteId} is ${err.state}`);
+      console.error('Claim it once paid with: node quotes.js claim');
+    }
+    output.exit('QUOTE_NOT_PAID');
+  }
   
-  const total = proofs.reduce((s, p) => s + p.amount, 0);
-  console.log(`\n✓ Minted ${total} sats (${proofs.length} proofs)`);
-  console.log(`New balance at ${mintUrl}: ${store.getBalanceForMint(mintUrl)} sats`);
+  output.result(result);
+  console.log(`\n✓ Paid. Minted ${result.amount} sats (${result.proofs} proofs)`);
+  console.log(`New balance at ${result.mint}: ${result.balance} sats`);
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+main().catch(output.fatal);
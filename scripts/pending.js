@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Check in-flight proofs against the mint and settle them
+ * Usage: node pending.js [mint_url] [--list]
+ *
+ * Proofs are recorded as pending before every swap or melt. This command
+ * asks the mint for their NUT-07 state and either finalises them (spent)
+ * or returns them to the wallet (unspent). Swaps that went through without
+ * their result being saved are recovered with NUT-09 restore.
+ *
+ * Options:
+ *   --list  Only list pending records, don't contact the mint
+ */
+
+const store = require('./wallet-store');
+const output = require('../lib/output');
+const pending = require('../lib/pending');
+const { createWallet } = require('../lib/wallet');
+
+function formatAge(iso) {
+  const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 1440) return `${Math.floor(minutes / 60)}h ago`;
+  return `${Math.floor(minutes / 1440)}d ago`;
+}
+
+function printRecord(record) {
+  console.log(`${record.id}  ${record.state.padEnd(12)} ${String(record.amount).padStart(8)} sats  ${record.type || 'unknown'}, ${formatAge(record.createdAt)}`);
+  if (record.quote) console.log(`  Quote: ${record.quote}`);
+  if (record.counterparty) console.log(`  Counterparty: ${record.counterparty}`);
+}
+
+/**
+ * Record fields for JSON output (without the proofs)
+ */
+function describeRecord(record) {
+  const { id, mint, state, type, amount, createdAt, quote, counterparty } = record;
+  return { id, mint, state, type: type || null, amount, createdAt, quote: quote || null, counterparty: counterparty || null };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const listOnly = args.includes('--list');
+  const mintUrl = args.find(a => !a.startsWith('--')) || store.SELECTED_MINT;
+  
+  const records = store.getPending(mintUrl ? { mint: mintUrl } : {});
+  
+  if (listOnly || records.length === 0) {
+    output.result({ pending: records.map(describeRecord) });
+  }
+  
+  if (records.length === 0) {
+    console.log('No pending proofs');
+    return;
+  }
+  
+  console.log('=== Pending Proofs ===\n');
+  
+  if (listOnly) {
+    for (const record of records) {
+      console.log(`${record.mint}`);
+      printRecord(record);
+      console.log('');
+    }
+    return;
+  }
+  
+  // Group by mint so each mint's keys are loaded once
+  const byMint = {};
+  for (const record of records) {
+    (byMint[record.mint] = byMint[record.mint] || []).push(record);
+  }
+  
+  let returned = 0;
+  let failures = 0;
+  const results = [];
+  
+  for (const [mint, mintRecords] of Object.entries(byMint)) {
+    console.log(`${mint}`);
+    
+    let wallet;
+    try {
+      wallet = await createWallet(mint);
+    } catch (e) {
+      console.log(`  ✗ Mint unreachable: ${e.message}\n`);
+      failures += mintRecords.length;
+      results.push(...mintRecords.map(r => ({ id: r.id, mint, action: 'failed', amount: 0, detail: e.message })));
+      continue;
+    }
+    
+    for (const record of mintRecords) {
+      printRecord(record);
+      try {
+        const result = await pending.resolvePending(wallet, record);
+        const detail = result.detail ? ` (${result.detail})` : '';
+        results.push({ id: record.id, mint, action: result.action, amount: result.amount || 0, detail: result.detail || null });
+        
+        switch (result.action) {
+          case 'returned':
+            console.log(`  ✓ Returned ${result.amount} sats to wallet${detail}`);
+            returned += result.amount;
+            break;
+          case 'recovered':
+            console.log(`  ✓ Recovered ${result.amount} sats from lost swap${detail}`);
+            returned += result.amount;
+            break;
+          case 'finalised':
+            console.log(`  ✓ Finalised as spent${detail}`);
+            break;
+          default:
+            console.log(`  ○ Still pending${detail}`);
+        }
+      } catch (e) {
+        console.log(`  ✗ Check failed: ${e.message}`);
+        failures++;
+        results.push({ id: record.id, mint, action: 'failed', amount: 0, detail: e.message });
+      }
+    }
+    console.log('');
+  }
+  
+  console.log(`Returned to wallet: ${returned} sats`);
+  console.log(`Total balance: ${store.getTotalBalance()} sats`);
+  
+  const remaining = store.getPending(mintUrl ? { mint: mintUrl } : {});
+  if (remaining.length > 0) {
+    const amount = remaining.reduce((s, r) => s + r.amount, 0);
+    console.log(`Still pending: ${amount} sats (${remaining.length} record(s))`);
+  }
+  
+  if (failures > 0) {
+    output.exit('MINT_ERROR', `${failures} pending record(s) could not be checked`);
+  }
+  output.result({
+    results,
+    returned,
+    balance: store.getTotalBalance(),
+    pending: remaining.map(describeRecord)
+  });
+}
+
+main().catch(output.fatal);
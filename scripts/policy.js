@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Show the spending policy and how much of each budget is used
+ * Usage:
+ *   node policy.js [--agent <name>]                                  # Limits and usage
+ *   node policy.js check <melt|send|lock|transfer> <amount> [--to <recipient>] [--agent <name>]
+ *
+ * The policy lives in spending-policy.json in the wallet's directory (see
+ * README, Spending Policy); every melt, send, lock and transfer is checked
+ * against it. `check` tells whether a spend would be allowed right now,
+ * without spending: --to is the recipient of a lock (pubkey, npub, DID),
+ * the payee of a melt (node pubkey or Lightning address) or the mint a
+ * transfer goes to, and a melt's amount should include the Lightning fee
+ * reserve. A spend over an
+ * approval threshold is allowed but waits for approval (approve.js).
+ */
+
+const store = require('./wallet-store');
+const output = require('../lib/output');
+const policies = require('../lib/policy');
+const { POLICY_FILE } = require('../lib/paths');
+
+function usage() {
+  console.error('Usage: node policy.js [--agent <name>]');
+  console.error('       node policy.js check <melt|send|lock|transfer> <amount> [--to <recipient>] [--agent <name>]');
+  output.exit('USAGE');
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = { positional: [], agent: process.env.HEXNUTS_AGENT || null, to: null };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--agent':
+        result.agent = args[++i];
+        break;
+      case '--to':
+        result.to = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        usage();
+        break;
+      default:
+        result.positional.push(args[i]);
+    }
+  }
+  return result;
+}
+
+function describeRules(rules, indent = '  ') {
+  if (rules.maxPerTransaction !== undefined) console.log(`${indent}Per transaction: ${rules.maxPerTransaction} sats`);
+  if (rules.requireApprovalAbove !== undefined) console.log(`${indent}Approval needed above: ${rules.requireApprovalAbove} sats`);
+  if (rules.actions) console.log(`${indent}Actions: ${rules.actions.join(', ') || '(none)'}`);
+  for (const kind of ['recipients', 'payees']) {
+    const lists = rules[kind] || {};
+    if (lists.allow) console.log(`${indent}Allowed ${kind}: ${lists.allow.join(', ') || '(none)'}`);
+    if (lists.deny) console.log(`${indent}Denied ${kind}: ${lists.deny.join(', ')}`);
+  }
+  for (const [mint, limits] of Object.entries(rules.mints || {})) {
+    if (limits.maxPerTransaction !== undefined) {
+      console.log(`${indent}Per transaction at ${mint}: ${limits.maxPerTransaction} sats`);
+    }
+  }
+}
+
+function show(agent) {
+  const policy = policies.loadPolicy();
+  if (!policy) {
+    output.result({ file: POLICY_FILE, policy: null, usage: [] });
+    console.log(`No spending policy (${POLICY_FILE}): spending is not limited.`);
+    return;
+  }
+  
+  const usage = policies.budgetUsage(policy, { agent });
+  output.result({ file: POLICY_FILE, policy, usage });
+  
+  console.log(`=== Spending Policy ===\n`);
+  console.log(`File: ${POLICY_FILE}\n`);
+  console.log('Wallet:');
+  describeRules(policy);
+  if (policy.approvers) console.log(`  Approvers: ${policy.approvers.join(', ') || '(none: approve.js only)'}`);
+  if (policy.requireApprovalAbove !== undefined || policy.approvalExpiry) {
+    console.log(`  Approval requests expire after: ${policy.approvalExpiry || '24h'}`);
+  }
+  const agents = Object.keys(policy.agents || {});
+  if (agents.length > 0) {
+    console.log(`\nAgents: ${agents.join(', ')}`);
+  }
+  if (agent && policy.agents && (policy.agents[agent] || policy.agents['*'])) {
+    console.log(`\nAgent ${agent}${policy.agents[agent] ? '' : ' (rules of "*")'}:`);
+    describeRules(policy.agents[agent] || policy.agents['*']);
+  }
+  
+  if (usage.length > 0) {
+    console.log('\nBudgets:');
+    for (const u of usage) {
+      const where = u.mint ? `${u.scope} at ${u.mint}` : u.scope;
+      console.log(`  ${where}, ${u.period}: ${u.spent} / ${u.limit} sats (${Math.max(0, u.limit - u.spent)} left)`);
+    }
+  }
+}
+
+function check(action, amountArg, to, agent) {
+  const amount = parseInt(amountArg);
+  if (!policies.ACTIONS.includes(action) || !amount || amount <= 0) usage();
+  
+  const spend = { action, mint: store.DEFAULT_MINT, amount };
+  if (action === 'melt' && to && to.includes('@')) {
+    spend.address = to;
+  } else if (action === 'melt') {
+    spend.payee = to;
+  } else if (action === 'lock' && to) {
+    spend.counterparty = to;
+    spend.recipients = [to];
+  } else if (action === 'transfer') {
+    spend.to = to;
+    spend.transfers = [{ from: spend.mint, to, amount, feeReserve: 0 }];
+  }
+  
+  try {
+    policies.checkSpend(spend, { agent });
+  } catch (err) {
+    if (err.code !== 'POLICY_DENIED') throw err;
+    console.error(err.message);
+    output.exit('POLICY_DENIED');
+  }
+  const approvalAbove = policies.approvalThreshold(spend, { agent });
+  output.result({ allowed: true, ...spend, agent, approvalAbove });
+  console.log(`✓ Allowed: ${action} of ${amount} sats${agent ? ` by ${agent}` : ''} at ${spend.mint}`);
+  if (approvalAbove !== null) {
+    console.log(`  Needs approval first (over ${approvalAbove} sats): it would wait as an approval request`);
+  }
+}
+
+async function main() {
+  const opts = parseArgs();
+  const [command, ...rest] = opts.positional;
+  
+  if (!command) {
+    show(opts.agent);
+  } else if (command === 'check') {
+    check(rest[0], rest[1], opts.to, opts.agent);
+  } else {
+    usage();
+  }
+}
+
+main().catch(output.fatal);
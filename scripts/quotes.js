@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * List mint quotes and claim the paid ones
+ * Usage:
+ *   node quotes.js [--all] [mint_url]          # Open quotes as last seen (--all: claimed and expired too)
+ *   node quotes.js check [mint_url]            # Ask the mints for the state of every open quote
+ *   node quotes.js claim [quote_id]            # Claim every paid quote (or one)
+ *   node quotes.js watch [--follow] [mint_url] # Wait for open quotes to be paid and claim them
+ *
+ * Every quote from mint.js is kept in the wallet with its invoice, amount,
+ * expiry and state, so an invoice paid after mint.js exited can still be
+ * claimed. `watch` follows the quotes over the mint's NUT-17 WebSocket
+ * where it has one (polling otherwise) and exits once none is open;
+ * with --follow it keeps running and picks up new quotes as well.
+ */
+
+const output = require('../lib/output');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+// How often watch --follow looks for new quotes
+const RESCAN_INTERVAL = 30 * 1000;
+
+function usage() {
+  console.error('Usage: node quotes.js [--all] [mint_url]');
+  console.error('       node quotes.js check [mint_url]');
+  console.error('       node quotes.js claim [quote_id]');
+  console.error('       node quotes.js watch [--follow] [mint_url]');
+  output.exit('USAGE');
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = { positional: [], all: false, follow: false };
+  
+  for (const arg of args) {
+    switch (arg) {
+      case '--all':
+        result.all = true;
+        break;
+      case '--follow':
+        result.follow = true;
+        break;
+      case '--help':
+      case '-h':
+        usage();
+        break;
+      default:
+        result.positional.push(arg);
+    }
+  }
+  return result;
+}
+
+function formatExpiry(expiry) {
+  if (!expiry) return 'no expiry';
+  const minutes = Math.round((expiry * 1000 - Date.now()) / 60000);
+  if (minutes <= 0) return 'expired';
+  return minutes < 60 ? `expires in ${minutes}m` : `expires in ${Math.round(minutes / 60)}h`;
+}
+
+function printQuote(quote) {
+  const when = quote.claimedAt ? `claimed ${new Date(quote.claimedAt).toLocaleString()}`
+    : ['UNPAID', 'PAID'].includes(quote.state) ? formatExpiry(quote.expiry) : '';
+  console.log(`${quote.quote}  ${quote.state.padEnd(8)} ${String(quote.amount).padStart(8)} sats  ${when}`);
+  console.log(`  Mint: ${quote.mint}`);
+  if (quote.state === 'UNPAID') console.log(`  Invoice: ${quote.request}`);
+}
+
+function list(wallet, { all, mint }) {
+  const { quotes } = wallet.quotes({ all, mint });
+  output.result({ quotes });
+  
+  if (quotes.length === 0) {
+    console.log(all ? 'No mint quotes' : 'No open mint quotes');
+    return;
+  }
+  console.log(`=== ${all ? 'Mint Quotes' : 'Open Mint Quotes'} ===\n`);
+  for (const quote of quotes) {
+    printQuote(quote);
+    console.log('');
+  }
+  if (quotes.some(q => q.state === 'PAID')) console.log('Claim paid quotes with: node quotes.js claim');
+}
+
+async function check(wallet, mint) {
+  const quotes = [];
+  for (const { quote: id, mint: mintUrl } of wallet.quotes({ mint }).quotes) {
+    quotes.push(await wallet.checkQuote(id, { mint: mintUrl }));
+  }
+  output.result({ quotes });
+  
+  if (quotes.length === 0) {
+    console.log('No open mint quotes');
+    return;
+  }
+  for (const quote of quotes) {
+    printQuote(quote);
+    console.log('');
+  }
+  if (quotes.some(q => q.state === 'PAID')) console.log('Claim paid quotes with: node quotes.js claim');
+}
+
+async function claim(wallet, quoteId) {
+  if (quoteId) {
+    const result = await wallet.claimQuote(quoteId);
+    output.result(result);
+    console.log(`✓ Minted ${result.amount} sats from ${result.mint} (balance: ${result.balance} sats)`);
+    return;
+  }
+  
+  const result = await wallet.claimPaidQuotes();
+  output.result(result);
+  
+  for (const claimed of result.claimed) {
+    console.log(`✓ ${claimed.quote}: minted ${claimed.amount} sats from ${claimed.mint}`);
+  }
+  for (const quote of result.expired) {
+    console.log(`✗ ${quote.quote}: expired unpaid`);
+  }
+  for (const failed of result.failed) {
+    console.log(`⚠️  ${failed.quote}: ${failed.error}`);
+  }
+  if (result.unpaid.length > 0) {
+    console.log(`${result.unpaid.length} quote(s) not paid yet`);
+  }
+  if (result.claimed.length + result.expired.length + result.failed.length + result.unpaid.length === 0) {
+    console.log('No open mint quotes');
+  }
+  if (result.failed.length > 0) output.exit('ERROR', 'Some quotes could not be claimed');
+}
+
+async function watch(wallet, { follow, mint }) {
+  const stop = new AbortController();
+  process.once('SIGINT', () => stop.abort());
+  process.once('SIGTERM', () => stop.abort());
+  
+  const watching = new Map();
+  // Quotes given up on (errors are retried with --follow only)
+  const done = new Set();
+  const claimed = [];
+  
+  const watchOne = (quote) => wallet.watchQuote(quote.quote, { mint: quote.mint, signal: stop.signal })
+    .then((result) => {
+      claimed.push(result);
+      console.log(`✓ ${quote.quote}: paid, minted ${result.amount} sats (balance at ${result.mint}: ${result.balance} sats)`);
+    }, (err) => {
+      if (stop.signal.aborted) return;
+      if (err.code === 'QUOTE_NOT_PAID') {
+        console.log(`✗ ${quote.quote}: expired unpaid`);
+      } else {
+        console.error(`⚠️  ${quote.quote}: ${err.message}`);
+      }
+    })
+    .finally(() => {
+      watching.delete(quote.quote);
+      if (!follow) done.add(quote.quote);
+    });
+  
+  while (!stop.signal.aborted) {
+    for (const quote of wallet.quotes({ mint }).quotes) {
+      if (watching.has(quote.quote) || done.has(quote.quote)) continue;
+      console.log(`Watching ${quote.quote} (${quote.amount} sats, ${formatExpiry(quote.expiry)})`);
+      watching.set(quote.quote, watchOne(quote));
+    }
+    
+    if (!follow) {
+      if (watching.size === 0) break;
+      await Promise.all(watching.values());
+      continue;
+    }
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, RESCAN_INTERVAL);
+      stop.signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+  await Promise.all(watching.values());
+  
+  output.result({ claimed });
+  if (claimed.length > 0) console.log(`\nClaimed ${claimed.length} quote(s)`);
+  console.log(stop.signal.aborted ? 'Stopped watching' : 'No open mint quotes left');
+}
+
+async function main() {
+  const opts = parseArgs();
+  const [command, arg] = opts.positional;
+  const wallet = new HexNutsWallet({ silent: false });
+  
+  switch (command) {
+    case 'check':
+      await check(wallet, arg);
+      break;
+    case 'claim':
+      await claim(wallet, arg);
+      break;
+    case 'watch':
+      await watch(wallet, { follow: opts.follow, mint: arg });
+      break;
+    default:
+      if (command && !/^https?:\/\//.test(command)) usage();
+      list(wallet, { all: opts.all, mint: command });
+  }
+}
+
+main().catch(output.fatal);
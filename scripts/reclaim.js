@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * Reclaim outgoing tokens the recipient never redeemed
+ * Usage:
+ *   node reclaim.js                      # Reclaim sends older than the configured age
+ *   node reclaim.js <token_id>           # Reclaim one outgoing token now
+ *   node reclaim.js --all                # Reclaim every outstanding send now
+ *   node reclaim.js --list               # List outstanding sends
+ *   node reclaim.js --refundable         # Reclaim locked tokens whose refund path is open to us
+ *   node reclaim.js --watch              # Keep running: reclaim locked tokens as their refund paths open
+ *
+ * Every token created by send/lock/send-to-* stays recorded with its proofs
+ * until it is claimed. Unspent ones (NUT-07) are swapped back into the
+ * wallet. P2PK tokens are included when they are locked to our own key, or
+ * when their locktime has passed and we hold the refund key (NUT-11
+ * refund path) or the lock has no refund keys. --list shows when each
+ * locked token becomes refundable.
+ *
+ * Run without arguments from cron to reclaim automatically. --watch
+ * sleeps until the next locktime of a token refundable to us and reclaims
+ * it then, unless the recipient claimed it first.
+ *
+ * Options:
+ *   --older-than <age>     Override the configured age (e.g. 24h, 3d)
+ *   --set-age <age|off>    Save the automatic reclaim age to cashu-config.json
+ *   --privkey-file, -k <f> Extra private key (e.g. a refund key) to sign with
+ */
+
+const fs = require('fs');
+const { getPubKeyFromPrivKey } = require('@cashu/cashu-ts');
+const store = require('./wallet-store');
+const output = require('../lib/output');
+const pending = require('../lib/pending');
+const archon = require('../lib/archon');
+const { createWallet } = require('../lib/wallet');
+const { parseDuration } = require('../lib/duration');
+
+// How often --watch looks for new outgoing tokens (and retries failed reclaims)
+const RESCAN_INTERVAL = 60 * 1000;
+
+function usage() {
+  console.error('Usage: node reclaim.js [token_id] [options]');
+  console.error('');
+  console.error('Options:');
+  console.error('  --all                  Reclaim every outstanding send, regardless of age');
+  console.error('  --list                 List outstanding sends without contacting the mint');
+  console.error('  --refundable           Only locked tokens whose refund path is open to us, regardless of age');
+  console.error('  --watch                Keep running, reclaiming locked tokens as their refund paths open');
+  console.error('  --older-than <age>     Only sends older than age (default: config reclaimAfter)');
+  console.error('  --set-age <age|off>    Save the automatic reclaim age');
+  console.error('  --privkey-file, -k <f> Extra private key (e.g. refund key) to sign with');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node reclaim.js --set-age 3d');
+  console.error('  node reclaim.js 9f2c4e1a7b3d5f60');
+  output.exit('USAGE');
+}
+
+function parseAge(value) {
+  const age = parseDuration(value);
+  if (age === null) {
+    console.error(`Invalid age: ${value} (use e.g. 30m, 24h, 7d, 2w)`);
+    output.exit('USAGE');
+  }
+  return age;
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = { id: null, all: false, list: false, refundable: false, watch: false, olderThan: null, setAge: null, privkeys: [] };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--all':
+        result.all = true;
+        break;
+      case '--list':
+        result.list = true;
+        break;
+      case '--refundable':
+        result.refundable = true;
+        break;
+      case '--watch':
+        result.watch = true;
+        break;
+      case '--older-than':
+        result.olderThan = parseAge(args[++i]);
+        break;
+      case '--set-age':
+        result.setAge = args[++i];
+        if (result.setAge !== 'off') parseAge(result.setAge);
+        break;
+      case '--privkey-file':
+      case '-k': {
+        const keyFile = args[++i];
+        if (!keyFile || !fs.existsSync(keyFile)) {
+          console.error(`Key file not found: ${keyFile}`);
+          output.exit('NOT_FOUND');
+        }
+        result.privkeys.push(fs.readFileSync(keyFile, 'utf8').trim());
+        break;
+      }
+      default:
+        if (args[i].startsWith('-') || result.id) usage();
+        result.id = args[i];
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Collect the keys we can sign locked proofs with
+ */
+function loadSigningKeys(extra) {
+  const privkeys = [...extra];
+  const own = archon.getCashuPrivkey();
+  if (own) privkeys.push(own);
+  
+  const pubkeys = privkeys.map(k =>
+    Buffer.from(getPubKeyFromPrivKey(new Uint8Array(Buffer.from(k, 'hex')))).toString('hex')
+  );
+  return { privkeys, pubkeys };
+}
+
+function formatAge(iso) {
+  const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 1440) return `${Math.floor(minutes / 60)}h`;
+  return `${Math.floor(minutes / 1440)}d`;
+}
+
+function isLockedRecord(record) {
+  return record.proofs.some(pending.isLocked);
+}
+
+/**
+ * When a token's proofs are all spendable by our keys again (unix time,
+ * 0: now), or null if they never are
+ */
+function reclaimableAt(record, pubkeys) {
+  return pending.spendableAt(record.proofs, pubkeys);
+}
+
+/**
+ * When a locked token's refund path opens to our keys (unix time, 0: it
+ * is open), or null: no refund path to us, or locked to our own key
+ */
+function refundableAt(record, pubkeys) {
+  const locks = record.proofs.map(p => pending.lockPaths(p, pubkeys)).filter(Boolean);
+  if (locks.length === 0 || locks.some(lock => lock.paths[0].ours)) return null;
+  return pending.spendableAt(record.proofs, pubkeys);
+}
+
+function printRecord(record, pubkeys) {
+  console.log(`${record.id}  ${String(record.amount).padStart(8)} sats  ${(record.type || 'send').padEnd(5)} ${formatAge(record.createdAt).padStart(4)} old  ${record.mint}`);
+  if (record.counterparty) console.log(`  Counterparty: ${record.counterparty}`);
+  if (pubkeys && isLockedRecord(record)) {
+    const at = reclaimableAt(record, pubkeys);
+    if (at === null) console.log('  Locked to recipient (no refund path to your keys)');
+    else if (at === 0) console.log('  Reclaimable now (your key, or an open refund path)');
+    else console.log(`  Locked to recipient until ${new Date(at * 1000).toLocaleString()}, then refundable to you`);
+  }
+}
+
+/**
+ * Record fields for JSON output (without the proofs)
+ */
+function describeRecord(record, pubkeys) {
+  const { id, mint, type, amount, createdAt, counterparty } = record;
+  return {
+    id,
+    mint,
+    type: type || 'send',
+    amount,
+    createdAt,
+    counterparty: counterparty || null,
+    locked: isLockedRecord(record),
+    reclaimableAt: reclaimableAt(record, pubkeys)
+  };
+}
+
+/**
+ * Reclaim records one by one, printing each outcome
+ */
+async function reclaimRecords(records, { privkeys, pubkeys }, wallets = {}) {
+  let reclaimed = 0;
+  let failures = 0;
+  const results = [];
+  
+  for (const record of records) {
+    printRecord(record);
+    try {
+      wallets[record.mint] = wallets[record.mint] || await createWallet(record.mint);
+      const result = await pending.reclaimPending(wallets[record.mint], record, {
+        privkey: privkeys.length > 0 ? privkeys : undefined,
+        pubkeys
+      });
+      const detail = result.detail ? ` (${result.detail})` : '';
+      results.push({ id: record.id, mint: record.mint, action: result.action, amount: result.amount || 0, detail: result.detail || null });
+      
+      switch (result.action) {
+        case 'reclaimed':
+          console.log(`  ✓ Reclaimed ${result.amount} sats${detail}`);
+          reclaimed += result.amount;
+          break;
+        case 'finalised':
+          console.log(`  ✓ Already claimed by recipient`);
+          break;
+        default:
+          console.log(`  ○ Not reclaimable${detail}`);
+      }
+    } catch (e) {
+      console.log(`  ✗ Reclaim failed: ${e.message}`);
+      failures++;
+      results.push({ id: record.id, mint: record.mint, action: 'failed', amount: 0, detail: e.message });
+    }
+  }
+  return { reclaimed, failures, results };
+}
+
+/**
+ * Locked outgoing tokens that are or will be refundable to our keys
+ */
+function refundableRecords(pubkeys) {
+  return store.getPending({ state: 'pending-send' })
+    .map(record => ({ record, at: refundableAt(record, pubkeys) }))
+    .filter(r => r.at !== null);
+}
+
+/**
+ * Reclaim locked tokens as their refund paths open, until stopped
+ */
+async function watch(keys) {
+  const stop = new AbortController();
+  process.once('SIGINT', () => stop.abort());
+  process.once('SIGTERM', () => stop.abort());
+  
+  const wallets = {};
+  const results = [];
+  let reclaimed = 0;
+  const announced = new Set();
+  console.log('Watching for locked tokens to become refundable (Ctrl-C to stop)...\n');
+  
+  while (!stop.signal.aborted) {
+    const now = Math.floor(Date.now() / 1000);
+    const candidates = refundableRecords(keys.pubkeys);
+    const due = candidates.filter(r => r.at <= now).map(r => r.record);
+    if (due.length > 0) {
+      const round = await reclaimRecords(due, keys, wallets);
+      reclaimed += round.reclaimed;
+      results.push(...round.results.filter(r => r.action !== 'failed'));
+    }
+    
+    const upcoming = candidates.filter(r => r.at > now);
+    for (const { record, at } of upcoming) {
+      if (announced.has(record.id)) continue;
+      announced.add(record.id);
+      console.log(`⏳ ${record.id}: ${record.amount} sats refundable from ${new Date(at * 1000).toLocaleString()}`);
+    }
+    
+    const next = Math.min(...upcoming.map(r => r.at * 1000 - Date.now()), RESCAN_INTERVAL);
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, Math.max(next, 1000));
+      stop.signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+  
+  output.result({ reclaimed, results, balance: store.getTotalBalance() });
+  console.log(`\nStopped watching. Reclaimed: ${reclaimed} sats`);
+}
+
+async function main() {
+  const opts = parseArgs();
+  
+  if (opts.setAge) {
+    const config = store.setConfig('reclaimAfter', opts.setAge === 'off' ? null : opts.setAge);
+    output.result({ reclaimAfter: config.reclaimAfter });
+    console.log(config.reclaimAfter
+      ? `✓ Unclaimed sends will be reclaimed after ${config.reclaimAfter}`
+      : '✓ Automatic reclaim disabled');
+    return;
+  }
+  
+  const keys = loadSigningKeys(opts.privkeys);
+  if (opts.watch) {
+    await watch(keys);
+    return;
+  }
+  
+  let records = store.getPending({ state: 'pending-send' });
+  
+  if (opts.refundable) {
+    records = refundableRecords(keys.pubkeys).filter(r => r.at === 0).map(r => r.record);
+  } else if (opts.id) {
+    records = records.filter(r => r.id === opts.id);
+    if (records.length === 0) {
+      console.error(`No outstanding token with ID ${opts.id}`);
+      console.error('List them with: node reclaim.js --list');
+      output.exit('NOT_FOUND');
+    }
+  } else if (!opts.all && !opts.list) {
+    const configured = store.loadConfig().reclaimAfter;
+    if (opts.olderThan === null && !configured) {
+      output.result({ disabled: true, reclaimed: 0, results: [] });
+      console.log('Automatic reclaim is disabled (enable with --set-age <age>)');
+      return;
+    }
+    const maxAge = opts.olderThan !== null ? opts.olderThan : parseAge(configured);
+    records = records.filter(r => Date.now() - new Date(r.createdAt).getTime() >= maxAge);
+  }
+  
+  if (opts.list) {
+    output.result({ outstanding: records.map(r => describeRecord(r, keys.pubkeys)) });
+  } else if (records.length === 0) {
+    output.result({ reclaimed: 0, results: [], balance: store.getTotalBalance() });
+  }
+  
+  if (records.length === 0) {
+    console.log('No outstanding tokens to reclaim');
+    return;
+  }
+  
+  console.log('=== Outstanding Tokens ===\n');
+  
+  if (opts.list) {
+    records.forEach(r => printRecord(r, keys.pubkeys));
+    return;
+  }
+  
+  const { reclaimed, failures, results } = await reclaimRecords(records, keys);
+  
+  console.log(`\nReclaimed: ${reclaimed} sats`);
+  console.log(`Total balance: ${store.getTotalBalance()} sats`);
+  
+  if (failures > 0) {
+    output.exit('MINT_ERROR', `${failures} token(s) could not be reclaimed`);
+  }
+  output.result({ reclaimed, results, balance: store.getTotalBalance() });
+}
+
+main().catch(output.fatal);
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * Redeem tokens locked to several keys, signing in turn (NUT-11 multisig)
+ * Usage:
+ *   node redeem.js create <cashu_token> [--out <file>] [--self] [--privkey-file <f>]...
+ *   node redeem.js sign <file> [--self] [--privkey-file <f>]... [--out <file>]
+ *   node redeem.js combine <file> <file>... [--out <file>]
+ *   node redeem.js status <file>
+ *   node redeem.js finalize <file>
+ *   node redeem.js claim
+ *
+ * A 2-of-3 group token needs two keyholders' signatures, usually on two
+ * machines. One of them creates a redemption file: the swap into fresh
+ * ecash for their wallet, outputs fixed, signed with their key if given.
+ * The file goes to the others (dmail, Nostr, ...), who each add their
+ * signature with `sign`; copies signed in parallel are merged with
+ * `combine`. Once the threshold is met, anyone can `finalize` it. The
+ * creator's wallet then holds the ecash, or claims it with `claim` when
+ * someone else finalised.
+ *
+ * A fully signed file can be redeemed by whoever has it: send it only to
+ * the other signers. Unless the token was locked with SIG_ALL
+ * (lock-multisig.js --sig-all): then each signature covers the file's
+ * outputs, so signers approve exactly where the ecash goes and the
+ * signatures can't redeem it anywhere else.
+ */
+
+const fs = require('fs');
+const output = require('../lib/output');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+function usage() {
+  console.error('Usage: node redeem.js create <cashu_token> [--out <file>] [--self] [--privkey-file <f>]...');
+  console.error('       node redeem.js sign <file> [--self] [--privkey-file <f>]... [--out <file>]');
+  console.error('       node redeem.js combine <file> <file>... [--out <file>]');
+  console.error('       node redeem.js status <file>');
+  console.error('       node redeem.js finalize <file>');
+  console.error('       node redeem.js claim');
+  console.error('');
+  console.error('Example (2-of-3):');
+  console.error('  alice$ node redeem.js create cashuBo2F0... --self --out redeem.json');
+  console.error('  bob$   node redeem.js sign redeem.json --self');
+  console.error('  bob$   node redeem.js finalize redeem.json');
+  console.error('  alice$ node redeem.js claim');
+  output.exit('USAGE');
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = { positional: [], out: null, self: false, privkeys: [] };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--out':
+      case '-o':
+        result.out = args[++i];
+        if (!result.out) usage();
+        break;
+      case '--self':
+        result.self = true;
+        break;
+      case '--privkey-file':
+      case '-k': {
+        const keyFile = args[++i];
+        if (!keyFile || !fs.existsSync(keyFile)) {
+          console.error(`Key file not found: ${keyFile}`);
+          output.exit('NOT_FOUND');
+        }
+        result.privkeys.push(fs.readFileSync(keyFile, 'utf8').trim());
+        break;
+      }
+      case '--help':
+      case '-h':
+        usage();
+        break;
+      default:
+        result.positional.push(args[i]);
+    }
+  }
+  return result;
+}
+
+function readFile(file) {
+  if (!file) usage();
+  if (!fs.existsSync(file)) {
+    console.error(`File not found: ${file}`);
+    output.exit('NOT_FOUND');
+  }
+  return fs.readFileSync(file, 'utf8');
+}
+
+function writeFile(file, redemption) {
+  fs.writeFileSync(file, JSON.stringify(redemption, null, 2) + '\n', { mode: 0o600 });
+}
+
+function shortKey(pubkey) {
+  return `${pubkey.slice(0, 10)}…`;
+}
+
+function printStatus(status) {
+  console.log(`Redemption ${status.id}: ${status.amount} sats at ${status.mint} (fee ${status.fee} sats)`);
+  if (status.memo) console.log(`Memo: ${status.memo}`);
+  if (status.sigAll) console.log('SIG_ALL: signatures cover these outputs (this exact redemption)');
+  status.inputs.forEach((input, i) => {
+    const mark = input.complete ? '✓' : '⏳';
+    const signed = input.signed.length > 0 ? `signed by ${input.signed.map(shortKey).join(', ')}` : 'no signatures yet';
+    const path = input.path === 'refund' ? ' (refund keys)' : '';
+    console.log(`  ${mark} Proof ${i + 1} (${input.amount} sats): ${input.required} signature(s) needed${path}, ${signed}`);
+    if (!input.complete && input.unsigned.length > 0) {
+      console.log(`      Can still sign: ${input.unsigned.map(shortKey).join(', ')}`);
+    }
+  });
+  
+  if (status.complete) {
+    console.log('\n✓ Fully signed: anyone with the file can finish it with node redeem.js finalize');
+  } else {
+    console.log('\n⏳ Signatures missing: pass the file on to the other keyholders (node redeem.js sign)');
+  }
+  if (status.creator) console.log('This wallet created it and gets the ecash');
+}
+
+async function create(wallet, token, opts) {
+  if (!token) usage();
+  const result = await wallet.createRedemption(token, { privkey: opts.privkeys, self: opts.self });
+  const file = opts.out || `redemption-${result.redemption.id}.json`;
+  writeFile(file, result.redemption);
+  output.result({ ...result, file });
+  
+  console.log(`✓ Redemption file written to ${file}\n`);
+  printStatus(result.status);
+}
+
+function sign(wallet, file, opts) {
+  const result = wallet.signRedemption(readFile(file), { privkey: opts.privkeys, self: opts.self });
+  const out = opts.out || file;
+  writeFile(out, result.redemption);
+  output.result({ ...result, file: out });
+  
+  console.log(`✓ Added ${result.added} signature(s), written to ${out}\n`);
+  printStatus(result.status);
+}
+
+function combine(wallet, files, opts) {
+  if (files.length < 2) usage();
+  const result = wallet.combineRedemptions(files.map(readFile));
+  const out = opts.out || files[0];
+  writeFile(out, result.redemption);
+  output.result({ ...result, file: out });
+  
+  console.log(`✓ Combined ${files.length} copies into ${out}\n`);
+  printStatus(result.status);
+}
+
+async function finalize(wallet, file) {
+  const result = await wallet.finalizeRedemption(readFile(file));
+  output.result(result);
+  
+  if (result.state === 'claimed') {
+    console.log(`✓ Redeemed ${result.amount} sats (fee: ${result.fee} sats)`);
+    console.log(`New balance at ${result.mint}: ${result.balance} sats`);
+  } else {
+    console.log(`✓ Redeemed ${result.amount} sats at ${result.mint}`);
+    console.log('The ecash goes to the wallet that created the file: it claims it with node redeem.js claim');
+  }
+}
+
+async function claim(wallet) {
+  const result = await wallet.claimRedemptions();
+  output.result(result);
+  
+  if (result.redemptions.length === 0) {
+    console.log('No open redemptions');
+    return;
+  }
+  const marks = { claimed: '✓', waiting: '⏳', failed: '✗' };
+  const detail = {
+    claimed: 'claimed',
+    waiting: 'not finalised yet',
+    failed: 'the token was spent some other way (dropped)'
+  };
+  for (const r of result.redemptions) {
+    console.log(`${marks[r.state]} ${r.id}: ${r.amount} sats at ${r.mint}, ${detail[r.state]}`);
+  }
+}
+
+async function main() {
+  const opts = parseArgs();
+  const [command, ...rest] = opts.positional;
+  if (!command) usage();
+  const wallet = new HexNutsWallet({ silent: false });
+  
+  switch (command) {
+    case 'create':
+      await create(wallet, rest[0], opts);
+      break;
+    case 'sign':
+      sign(wallet, rest[0], opts);
+      break;
+    case 'combine':
+      combine(wallet, rest, opts);
+      break;
+    case 'status': {
+      const status = wallet.redemptionStatus(readFile(rest[0]));
+      output.result(status);
+      printStatus(status);
+      break;
+    }
+    case 'finalize':
+      await finalize(wallet, rest[0]);
+      break;
+    case 'claim':
+      await claim(wallet);
+      break;
+    default:
+      usage();
+  }
+}
+
+main().catch(output.fatal);
@@ -12,8 +12,11 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const store = require('./wallet-store');
+const output = require('../lib/output');
+const { PROFILE } = require('../lib/paths');
+const { DEFAULT_PROFILE } = require('../lib/profile');
 
-const WALLET_FILE = path.join(process.env.HOME, '.config/hex/cashu-wallet.json');
 const DEFAULT_VAULT = 'hex-vault';
 const ARCHON_CONFIG = process.env.ARCHON_CONFIG_DIR || path.join(process.env.HOME, 'clawd/archon-personal');
 
@@ -41,9 +44,13 @@ async function listVaultItems(vaultName) {
     const result = execSync(cmd, { encoding: 'utf8' });
     const items = JSON.parse(result);
     
-    // Filter for wallet backups
+    // Filter for wallet backups of this profile (named profiles back up as hnwallet-<name>.json)
+    const isOwnBackup = PROFILE === DEFAULT_PROFILE
+      ? (name) => !name.startsWith('hnwallet-')
+      : (name) => name === `hnwallet-${PROFILE}.json`;
     const backups = Object.entries(items)
       .filter(([name]) => name.includes('cashu') || name.includes('hexnuts') || name.includes('wallet'))
+      .filter(([name]) => isOwnBackup(name))
       .sort(([, a], [, b]) => new Date(b.added) - new Date(a.added));
     
     return backups;
@@ -98,6 +105,45 @@ function restoreFromFile(filePath) {
   return wallet;
 }
 
+/**
+ * Write a restored wallet and record the restore in the ledger
+ * 
+ * The transaction history of the current wallet is carried over so a
+ * restore never erases the audit trail, and NUT-13 counters are kept at
+ * the higher of the two so deterministic secrets are never reused.
+ * Returns the restored balance.
+ */
+function writeRestoredWallet(wallet, source) {
+  const current = store.walletExists() ? store.loadWallet() : {};
+  const seen = new Set((wallet.history || []).map(tx => tx.id));
+  const carried = (current.history || []).filter(tx => !seen.has(tx.id));
+  wallet.history = [...(wallet.history || []), ...carried]
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  
+  const counters = { ...(wallet.counters || {}) };
+  for (const [keysetId, next] of Object.entries(current.counters || {})) {
+    counters[keysetId] = Math.max(counters[keysetId] || 0, next);
+  }
+  wallet.counters = counters;
+  wallet.mints = { ...(current.mints || {}), ...(wallet.mints || {}) };
+  
+  store.saveWallet(wallet);
+  
+  let balance = 0;
+  for (const mintUrl of Object.keys(wallet.proofs || {})) {
+    const amount = wallet.proofs[mintUrl].reduce((s, p) => s + p.amount, 0);
+    balance += amount;
+    store.recordTransaction({
+      type: 'restore',
+      mint: mintUrl,
+      amount,
+      memo: `Restored from ${source}`
+    });
+  }
+  
+  return balance;
+}
+
 async function main() {
   const opts = parseArgs();
   
@@ -111,7 +157,7 @@ async function main() {
     console.error('  --list-vault, -l    List available backups in vault');
     console.error('');
     console.error(`Default vault: ${DEFAULT_VAULT}`);
-    process.exit(1);
+    output.exit('USAGE');
   }
   
   // List vault contents
@@ -120,6 +166,7 @@ async function main() {
     
     try {
       const backups = await listVaultItems(opts.vault);
+      output.result({ vault: opts.vault, backups: backups.map(([name, info]) => ({ name, ...info })) });
       
       if (backups.length === 0) {
         console.log('No wallet backups found in vault.');
@@ -136,8 +183,7 @@ async function main() {
         console.log(`To restore: node restore.js --vault ${opts.vault}`);
       }
     } catch (e) {
-      console.error('Error:', e.message);
-      process.exit(1);
+      output.fatal(e);
     }
     return;
   }
@@ -151,7 +197,7 @@ async function main() {
       
       if (backups.length === 0) {
         console.error('No wallet backups found in vault.');
-        process.exit(1);
+        output.exit('NOT_FOUND');
       }
       
       // Use most recent backup
@@ -166,29 +212,23 @@ async function main() {
       fs.unlinkSync(tempFile);
       
       // Backup existing wallet
-      if (fs.existsSync(WALLET_FILE)) {
-        const backupPath = WALLET_FILE + '.pre-restore.' + Date.now();
-        fs.copyFileSync(WALLET_FILE, backupPath);
+      let backupPath = null;
+      if (store.walletExists()) {
+        const walletFile = store.getStorageFile();
+        backupPath = walletFile + '.pre-restore.' + Date.now();
+        fs.copyFileSync(walletFile, backupPath);
         console.log(`\nExisting wallet backed up to: ${backupPath}`);
       }
       
-      // Write restored wallet
-      fs.writeFileSync(WALLET_FILE, JSON.stringify(wallet, null, 2), { mode: 0o600 });
-      fs.chmodSync(WALLET_FILE, 0o600);
-      
-      // Calculate restored balance
-      let balance = 0;
-      for (const mintUrl of Object.keys(wallet.proofs || {})) {
-        balance += wallet.proofs[mintUrl].reduce((s, p) => s + p.amount, 0);
-      }
+      const balance = writeRestoredWallet(wallet, `vault ${opts.vault}: ${itemName}`);
+      output.result({ source: `vault ${opts.vault}: ${itemName}`, balance, mints: Object.keys(wallet.proofs || {}), previousWallet: backupPath });
       
       console.log(`\n✓ Wallet restored!`);
       console.log(`  Balance: ${balance} sats`);
       console.log(`  Mints: ${Object.keys(wallet.proofs || {}).length}`);
       
     } catch (e) {
-      console.error('Error:', e.message);
-      process.exit(1);
+      output.fatal(e);
     }
     return;
   }
@@ -200,33 +240,24 @@ async function main() {
     const wallet = restoreFromFile(opts.file);
     
     // Backup existing wallet
-    if (fs.existsSync(WALLET_FILE)) {
-      const backupPath = WALLET_FILE + '.pre-restore.' + Date.now();
-      fs.copyFileSync(WALLET_FILE, backupPath);
+    let backupPath = null;
+    if (store.walletExists()) {
+      const walletFile = store.getStorageFile();
+      backupPath = walletFile + '.pre-restore.' + Date.now();
+      fs.copyFileSync(walletFile, backupPath);
       console.log(`Existing wallet backed up to: ${backupPath}`);
     }
     
-    // Write restored wallet
-    fs.writeFileSync(WALLET_FILE, JSON.stringify(wallet, null, 2), { mode: 0o600 });
-    fs.chmodSync(WALLET_FILE, 0o600);
-    
-    // Calculate restored balance
-    let balance = 0;
-    for (const mintUrl of Object.keys(wallet.proofs || {})) {
-      balance += wallet.proofs[mintUrl].reduce((s, p) => s + p.amount, 0);
-    }
+    const balance = writeRestoredWallet(wallet, `file: ${path.basename(opts.file)}`);
+    output.result({ source: `file: ${path.basename(opts.file)}`, balance, mints: Object.keys(wallet.proofs || {}), previousWallet: backupPath });
     
     console.log(`\n✓ Wallet restored!`);
     console.log(`  Balance: ${balance} sats`);
     console.log(`  Mints: ${Object.keys(wallet.proofs || {}).length}`);
     
   } catch (e) {
-    console.error('Error:', e.message);
-    process.exit(1);
+    output.fatal(e);
   }
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+main().catch(output.fatal);
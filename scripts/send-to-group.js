@@ -5,25 +5,28 @@
  * Tokens can be spent by any N members of the group (threshold signature).
  * 
  * Usage: 
- *   node send-to-group.js <amount_sats> <group> [--threshold N]
+ *   node send-to-group.js <amount_sats> <group> [--threshold N] [--sig-all]
  * 
  * Examples:
  *   node send-to-group.js 1000 daemon-collective              # Any 1 member can spend
  *   node send-to-group.js 1000 daemon-collective --threshold 2  # Requires 2 signatures
  *   node send-to-group.js 1000 did:cid:bagaaiera...           # Use group DID directly
  * 
+ * --sig-all (NUT-11 SIG_ALL) makes the members' signatures cover the
+ * outputs the token is redeemed into: each signer of a redemption file
+ * approves where the ecash goes, not just that it is spent.
+ * 
  * The group can be specified by:
  *   - Alias name (e.g., "daemon-collective")
  *   - Group DID (e.g., "did:cid:bagaaiera...")
  */
 
-const { getEncodedTokenV4 } = require('@cashu/cashu-ts');
-const store = require('./wallet-store');
+const output = require('../lib/output');
 const groups = require('../lib/groups');
-const { createWallet } = require('../lib/wallet');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
 
 function parseArgs(args) {
-  const result = { threshold: 1 };
+  const result = { threshold: 1, sigAll: false };
   const positional = [];
   
   for (let i = 0; i < args.length; i++) {
@@ -31,6 +34,8 @@ function parseArgs(args) {
       result.threshold = parseInt(args[++i]);
     } else if (args[i].startsWith('--threshold=')) {
       result.threshold = parseInt(args[i].split('=')[1]);
+    } else if (args[i] === '--sig-all') {
+      result.sigAll = true;
     } else {
       positional.push(args[i]);
     }
@@ -46,10 +51,11 @@ async function main() {
   const args = parseArgs(process.argv.slice(2));
   
   if (!args.amount || isNaN(args.amount) || args.amount <= 0 || !args.group) {
-    console.error('Usage: node send-to-group.js <amount_sats> <group> [--threshold N]');
+    console.error('Usage: node send-to-group.js <amount_sats> <group> [--threshold N] [--sig-all]');
     console.error('');
     console.error('Options:');
     console.error('  --threshold N, -t N    Required signatures (default: 1 = any member)');
+    console.error('  --sig-all              Signatures also cover the redemption\'s outputs (SIG_ALL)');
     console.error('');
     console.error('Examples:');
     console.error('  node send-to-group.js 1000 daemon-collective');
@@ -62,80 +68,34 @@ async function main() {
     } else {
       groupList.forEach(g => console.error(`  - ${g}`));
     }
-    process.exit(1);
-  }
-  
-  const { amount, group: groupId, threshold } = args;
-  const mintUrl = store.DEFAULT_MINT;
-  
-  // Resolve group to pubkeys
-  console.log('');
-  const resolved = groups.resolveGroupPubkeys(groupId);
-  
-  if (resolved.pubkeys.length === 0) {
-    console.error('\n✗ No valid pubkeys resolved from group');
-    process.exit(1);
-  }
-  
-  if (threshold > resolved.pubkeys.length) {
-    console.error(`\n✗ Threshold ${threshold} exceeds group size ${resolved.pubkeys.length}`);
-    process.exit(1);
+    output.exit('USAGE');
   }
   
-  // Check balance
-  const proofs = store.getProofsForMint(mintUrl);
-  const balance = proofs.reduce((s, p) => s + p.amount, 0);
-  
-  if (balance < amount) {
-    console.error(`\nInsufficient balance: have ${balance}, need ${amount}`);
-    process.exit(1);
-  }
-  
-  console.log(`\nCreating group-locked token:`);
-  console.log(`  Amount: ${amount} sats`);
-  console.log(`  Group: ${resolved.name}`);
-  console.log(`  Members: ${resolved.pubkeys.length}`);
-  console.log(`  Threshold: ${threshold} of ${resolved.pubkeys.length}`);
-  
-  const wallet = await createWallet(mintUrl);
-  
-  // Create P2PK-locked token with multiple pubkeys and threshold
-  // NUT-11 specifies: pubkeys array + n_sigs for threshold
-  const p2pkOptions = {
-    pubkeys: resolved.pubkeys,
-    n_sigs: threshold
-  };
-  
-  const { keep, send } = await wallet.ops
-    .send(amount, proofs)
-    .asP2PK(p2pkOptions)
-    .run();
-  
-  // Update wallet with remaining proofs
-  store.saveProofsForMint(mintUrl, keep);
+  const { amount, group, threshold, sigAll } = args;
   
-  // Encode token
-  const token = getEncodedTokenV4({ mint: mintUrl, proofs: send });
+  console.log(`\nResolving group "${group}"...`);
+  const wallet = new HexNutsWallet({ silent: false });
+  const result = await wallet.lockToGroup(amount, group, { threshold, sigAll });
+  output.result(result);
   
-  const lockedAmount = send.reduce((s, p) => s + p.amount, 0);
-  const newBalance = store.getBalanceForMint(mintUrl);
+  result.failed.forEach(m => console.error(`  ✗ ${m.did.slice(0, 30)}... → ${m.error}`));
   
   console.log(`\n${'='.repeat(60)}`);
-  console.log(`GROUP-LOCKED TOKEN (${lockedAmount} sats)`);
+  console.log(`GROUP-LOCKED TOKEN (${result.amount} sats)`);
   console.log(`${'='.repeat(60)}`);
-  console.log(`\nGroup: ${resolved.name}`);
-  console.log(`Threshold: ${threshold} of ${resolved.pubkeys.length} signatures required`);
+  console.log(`\nGroup: ${result.group}`);
+  console.log(`Threshold: ${threshold} of ${result.pubkeys.length} signatures required`);
+  if (result.sigFlag === 'SIG_ALL') console.log('Signatures: SIG_ALL (cover the redemption\'s outputs too)');
   console.log(`\nAuthorized members:`);
-  resolved.members.forEach((m, i) => {
-    console.log(`  ${i + 1}. ${m.did.slice(0, 40)}...`);
+  result.members.forEach((did, i) => {
+    console.log(`  ${i + 1}. ${did.slice(0, 40)}...`);
   });
-  console.log(`\n${token}`);
-  console.log(`\nYour new balance: ${newBalance} sats`);
+  console.log(`\n${result.token}`);
+  console.log(`\nYour new balance: ${result.balance} sats`);
   console.log(`\n⚠️  ${threshold === 1 ? 'Any single member' : `${threshold} members together`} can spend this token!`);
 }
 
 main().catch(err => {
-  console.error('Error:', err.message);
   if (process.env.DEBUG) console.error(err.stack);
-  process.exit(1);
+  output.fatal(err);
 });
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Run the wallet as a local HTTP API daemon
+ * Usage:
+ *   node serve.js [--port 3339] [--host 127.0.0.1]        # Start the daemon
+ *   node serve.js add-client <name> [--allow <perms>]     # Issue a client token
+ *   node serve.js clients                                 # List clients
+ *   node serve.js remove-client <name>                    # Revoke a client
+ *
+ * The daemon keeps mint keysets and group keys in memory, so calls skip
+ * the process start, mint roundtrips and keymaster lookups of the scripts.
+ * Every request needs a client token (Authorization: Bearer <token>);
+ * --allow picks the operations a client may use, comma-separated:
+ * balance, history, mint, melt, send, receive, lock (or all). The default
+ * is balance,history.
+ *
+ * Endpoints: GET /health, GET /balance, GET /history, POST /mint,
+ * POST /mint/claim, GET /mint/quotes, POST /mint/claim-paid, POST /melt,
+ * POST /melt/plan, POST /transfer, POST /transfer/resume, POST /rebalance,
+ * POST /send, POST /receive, POST /lock, GET /approvals,
+ * POST /approvals/approve
+ */
+
+const output = require('../lib/output');
+const clients = require('../lib/clients');
+const { PROFILE } = require('../lib/paths');
+const { createServer } = require('../lib/server');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+const DEFAULT_PORT = 3339;
+const DEFAULT_HOST = '127.0.0.1';
+
+// How long loaded mint keysets and group keys are reused
+const CACHE_TTL = 10 * 60 * 1000;
+
+function usage() {
+  console.error('Usage: node serve.js [--port <port>] [--host <address>]');
+  console.error('       node serve.js add-client <name> [--allow <perms>]');
+  console.error('       node serve.js clients');
+  console.error('       node serve.js remove-client <name>');
+  console.error('');
+  console.error(`Permissions: ${clients.PERMISSIONS.join(', ')} (or all; default: ${clients.DEFAULT_PERMISSIONS.join(',')})`);
+  output.exit('USAGE');
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = { command: 'start', positional: [], port: DEFAULT_PORT, host: DEFAULT_HOST, allow: null };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--port':
+        result.port = parseInt(args[++i]);
+        break;
+      case '--host':
+        result.host = args[++i];
+        break;
+      case '--allow':
+        result.allow = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        usage();
+        break;
+      default:
+        result.positional.push(args[i]);
+    }
+  }
+  
+  if (result.positional.length > 0) {
+    result.command = result.positional.shift();
+  }
+  return result;
+}
+
+function addClient(name, allow) {
+  if (!name) usage();
+  const { client, token } = clients.addClient(name, clients.parsePermissions(allow));
+  output.result({ name: client.name, permissions: client.permissions, token });
+  
+  console.log(`✓ Added API client: ${client.name}`);
+  console.log(`  Permissions: ${client.permissions.join(', ')}`);
+  console.log(`\nToken (shown only once):\n${token}`);
+  console.log('\nUse it as: Authorization: Bearer <token>');
+}
+
+function listClients() {
+  const list = clients.loadClients().map(({ name, permissions, created }) => ({ name, permissions, created }));
+  output.result({ clients: list });
+  
+  if (list.length === 0) {
+    console.log('No API clients. Add one with: node serve.js add-client <name> --allow balance,send');
+    return;
+  }
+  console.log('=== API Clients ===\n');
+  for (const client of list) {
+    console.log(`${client.name}: ${client.permissions.join(', ')}`);
+    console.log(`  Added: ${client.created}`);
+  }
+}
+
+function removeClient(name) {
+  if (!name) usage();
+  clients.removeClient(name);
+  output.result({ name });
+  console.log(`✓ Removed API client: ${name}`);
+}
+
+async function start(port, host) {
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+    console.error(`Invalid port: ${port}`);
+    output.exit('USAGE');
+  }
+  
+  const wallet = new HexNutsWallet({ cacheTtl: CACHE_TTL });
+  const { version } = require('../package.json');
+  const server = createServer(wallet, {
+    info: { version, wallet: PROFILE },
+    log: (line) => console.log(line)
+  });
+  
+  // Load the default mint up front; other mints load on first use
+  try {
+    await wallet.wallet();
+  } catch (e) {
+    console.error(`⚠️  Could not load ${wallet.defaultMint}: ${e.message}`);
+  }
+  
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  
+  console.log(`🥜 HexNuts API on http://${host}:${port} (wallet: ${PROFILE})`);
+  if (!['127.0.0.1', '::1', 'localhost'].includes(host)) {
+    console.log('⚠️  Listening beyond localhost: tokens and ecash travel unencrypted');
+  }
+  if (clients.loadClients().length === 0) {
+    console.log('⚠️  No API clients yet. Add one with: node serve.js add-client <name> --allow <perms>');
+  }
+  
+  const stop = () => {
+    console.log('Shutting down...');
+    server.close(() => process.exit(0));
+    // Requests in flight get a few seconds to finish
+    setTimeout(() => process.exit(0), 5000).unref();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+async function main() {
+  const opts = parseArgs();
+  
+  switch (opts.command) {
+    case 'start':
+      await start(opts.port, opts.host);
+      break;
+    case 'add-client':
+      addClient(opts.positional[0], opts.allow);
+      break;
+    case 'clients':
+      listClients();
+      break;
+    case 'remove-client':
+      removeClient(opts.positional[0]);
+      break;
+    default:
+      usage();
+  }
+}
+
+main().catch(output.fatal);
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/**
+ * Move ecash between the wallet's mints over Lightning
+ * Usage:
+ *   node transfer.js <amount> --to <mint_url> [--from <mint_url>]  # Move sats (default: from the default mint)
+ *   node transfer.js resume                                         # Finish interrupted transfers
+ *   node transfer.js rebalance [--plan]                             # Move ecash toward the target shares
+ *   node transfer.js rebalance --set-targets <mint>=<percent>,...|off [--tolerance <points>] [--min-transfer <sats>]
+ *
+ * The source mint pays a Lightning invoice of the target mint, which then
+ * mints the ecash into the wallet. The amount is what arrives; the
+ * Lightning fee comes on top, at the source. Each step is kept in the
+ * wallet as it happens, so a transfer cut short (Ctrl-C, a crash, a mint
+ * slow to see the payment) is finished by `resume`.
+ *
+ * `rebalance` keeps the ecash spread over the mints in the shares set with
+ * --set-targets: once a mint is off its share by more than the tolerance
+ * (default 10 percentage points), the mints over their share pay those
+ * under it, in moves of at least --min-transfer sats (default 100). Run
+ * it from cron to rebalance automatically; without targets it does
+ * nothing.
+ */
+
+const store = require('./wallet-store');
+const output = require('../lib/output');
+const { rebalanceSettings } = require('../lib/rebalance');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+function usage() {
+  console.error('Usage: node transfer.js <amount> --to <mint_url> [--from <mint_url>]');
+  console.error('       node transfer.js resume');
+  console.error('       node transfer.js rebalance [--plan]');
+  console.error('       node transfer.js rebalance --set-targets <mint>=<percent>,...|off [--tolerance <points>] [--min-transfer <sats>]');
+  console.error('');
+  console.error('Example:');
+  console.error('  node transfer.js rebalance --set-targets https://mint-a.example=60,https://mint-b.example=40');
+  output.exit('USAGE');
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = { positional: [], from: null, to: null, plan: false, targets: null, tolerance: null, minTransfer: null };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--from':
+        result.from = args[++i];
+        break;
+      case '--to':
+        result.to = args[++i];
+        break;
+      case '--plan':
+        result.plan = true;
+        break;
+      case '--set-targets':
+        result.targets = args[++i];
+        if (!result.targets) usage();
+        break;
+      case '--tolerance':
+        result.tolerance = Number(args[++i]);
+        break;
+      case '--min-transfer':
+        result.minTransfer = Number(args[++i]);
+        break;
+      case '--help':
+      case '-h':
+        usage();
+        break;
+      default:
+        result.positional.push(args[i]);
+    }
+  }
+  return result;
+}
+
+// mint=percent,mint=percent (URLs may hold '=', the percent never does)
+function parseTargets(text) {
+  const targets = {};
+  for (const item of text.split(',')) {
+    const at = item.lastIndexOf('=');
+    if (at === -1) usage();
+    targets[item.slice(0, at).trim()] = Number(item.slice(at + 1));
+  }
+  return targets;
+}
+
+function printShares(mints) {
+  for (const m of mints) {
+    console.log(`  ${m.mint}: ${m.balance} sats (${m.share}%, target ${m.target}%)`);
+  }
+}
+
+function printMoves(transfers) {
+  for (const t of transfers) {
+    console.log(`  Move ${t.amount} sats from ${t.from} to ${t.to} (fee reserve ${t.feeReserve} sats)`);
+  }
+}
+
+async function transfer(wallet, amountArg, opts) {
+  const amount = parseInt(amountArg);
+  if (!amount || amount <= 0 || !opts.to) usage();
+  const from = opts.from || wallet.defaultMint;
+  
+  const confirm = async (spend) => {
+    console.log(`Moving ${spend.amount} sats from ${spend.mint} to ${spend.to} (fee reserve ${spend.feeReserve} sats)...`);
+    return true;
+  };
+  let result;
+  try {
+    result = await wallet.transfer(amount, { from, to: opts.to, confirm });
+  } catch (err) {
+    if (err.code === 'QUOTE_NOT_PAID') {
+      console.error(err.pending
+        ? `\nPayment in flight, inputs kept as pending (${err.pending})`
+        : '\nPaid, but the target mint hasn\'t seen the payment yet');
+      console.error('Finish it later with: node transfer.js resume');
+    }
+    throw err;
+  }
+  
+  output.result(result);
+  console.log(`\n✓ Moved ${result.amount} sats (fee: ${result.fee} sats)`);
+  console.log(`Balance at ${result.from}: ${result.fromBalance} sats`);
+  console.log(`Balance at ${result.to}: ${result.toBalance} sats`);
+}
+
+async function resume(wallet) {
+  const result = await wallet.resumeTransfers();
+  output.result(result);
+  
+  if (result.transfers.length === 0) {
+    console.log('No interrupted transfers');
+    return;
+  }
+  const marks = { completed: '✓', waiting: '⏳', failed: '✗' };
+  for (const t of result.transfers) {
+    console.log(`${marks[t.state]} ${t.amount} sats from ${t.from} to ${t.to}: ${t.detail}`);
+    console.log(`  Quote: ${t.quote}`);
+  }
+  if (result.transfers.some(t => t.state === 'waiting')) {
+    console.log('\nRun again later for the ones still waiting');
+  }
+}
+
+function configure(opts) {
+  if (opts.targets === 'off') {
+    store.setConfig('rebalance', null);
+    output.result({ rebalance: null });
+    console.log('✓ Rebalancing disabled');
+    return;
+  }
+  
+  const settings = { ...store.loadConfig().rebalance };
+  if (opts.targets) settings.targets = parseTargets(opts.targets);
+  if (opts.tolerance !== null) settings.tolerance = opts.tolerance;
+  if (opts.minTransfer !== null) settings.minTransfer = opts.minTransfer;
+  let checked;
+  try {
+    checked = rebalanceSettings({ rebalance: settings });
+  } catch (err) {
+    console.error(err.message);
+    output.exit('USAGE');
+  }
+  
+  store.setConfig('rebalance', settings);
+  output.result({ rebalance: checked });
+  console.log('✓ Rebalance targets saved');
+  for (const [mint, percent] of Object.entries(checked.targets)) {
+    console.log(`  ${mint}: ${percent}%`);
+  }
+  console.log(`Tolerance: ${checked.tolerance} percentage points, smallest move: ${checked.minTransfer} sats`);
+}
+
+async function rebalance(wallet, opts) {
+  if (opts.targets || opts.tolerance !== null || opts.minTransfer !== null) {
+    configure(opts);
+    return;
+  }
+  if (!store.loadConfig().rebalance) {
+    output.result({ disabled: true, transfers: [] });
+    console.log('Rebalancing is disabled (set targets with --set-targets)');
+    return;
+  }
+  
+  if (opts.plan) {
+    const plan = await wallet.planRebalance();
+    output.result(plan);
+    console.log(`=== Mint Shares (${plan.total} sats) ===\n`);
+    printShares(plan.mints);
+    if (plan.transfers.length === 0) {
+      console.log('\nWithin the targets: nothing to move');
+      return;
+    }
+    console.log('');
+    printMoves(plan.transfers);
+    console.log(`Total fee reserve: ${plan.feeReserve} sats`);
+    console.log('\nNothing moved (--plan)');
+    return;
+  }
+  
+  const confirm = async (spend) => {
+    console.log('Rebalancing:');
+    printMoves(spend.transfers);
+    return true;
+  };
+  const result = await wallet.rebalance({ confirm });
+  output.result(result);
+  
+  if (result.transfers.length === 0) {
+    console.log('Within the targets: nothing to move');
+  } else {
+    console.log(`\n✓ Moved ${result.transfers.reduce((s, t) => s + t.amount, 0)} sats (fees: ${result.fee} sats)`);
+  }
+  console.log(`\n=== Mint Shares (${result.total} sats) ===\n`);
+  printShares(result.mints);
+}
+
+async function main() {
+  const opts = parseArgs();
+  const [command, arg] = opts.positional;
+  if (!command) usage();
+  const wallet = new HexNutsWallet({ silent: false });
+  
+  switch (command) {
+    case 'resume':
+      await resume(wallet);
+      break;
+    case 'rebalance':
+      await rebalance(wallet, opts);
+      break;
+    default:
+      if (arg) usage();
+      await transfer(wallet, command, opts);
+  }
+}
+
+main().catch(output.fatal);
@@ -4,10 +4,11 @@
  * Checks all dependencies and integration points
  */
 
-const fs = require('fs');
-const path = require('path');
 const archon = require('../lib/archon');
 const store = require('./wallet-store');
+const output = require('../lib/output');
+const { getStorageType } = require('../lib/storage');
+const { PROFILE, NOSTR_ENV } = require('../lib/paths');
 
 console.log('=== HexNuts Validation ===\n');
 
@@ -25,12 +26,26 @@ try {
 }
 
 // Check wallet storage
-const walletPath = path.join(process.env.HOME, '.config/hex/cashu-wallet.json');
-if (fs.existsSync(walletPath)) {
-  const balance = store.getTotalBalance();
+console.log(`✓ Wallet profile: ${PROFILE}`);
+const storageType = getStorageType();
+let walletPath = null;
+try {
+  walletPath = store.getStorageFile();
+  console.log(`✓ Storage backend: ${storageType}`);
+} catch (e) {
+  console.log(`✗ Storage backend ${storageType} unavailable: ${e.message}`);
+  errors++;
+}
+if (walletPath && store.walletExists()) {
   console.log(`✓ Wallet exists: ${walletPath}`);
-  console.log(`  Balance: ${balance} sats`);
-} else {
+  console.log(`  Encrypted: ${store.isWalletEncrypted() ? 'yes' : 'no (see encrypt-wallet.js)'}`);
+  try {
+    console.log(`  Balance: ${store.getTotalBalance()} sats`);
+  } catch (e) {
+    console.log(`✗ Wallet can't be opened: ${e.message}`);
+    errors++;
+  }
+} else if (walletPath) {
   console.log('○ Wallet not yet created (will be created on first mint)');
 }
 
@@ -68,7 +83,7 @@ if (keys) {
   console.log(`  Privkey: [loaded]`);
 } else {
   console.log('✗ No keys found');
-  console.log('  Run archon-keymaster/nostr or create ~/.config/hex/nostr.env');
+  console.log(`  Run archon-keymaster/nostr or create ${NOSTR_ENV}`);
   errors++;
 }
 
@@ -122,6 +137,7 @@ function finish() {
     console.log(`○ ${warnings} warning(s) - HexNuts will work with reduced functionality.`);
   } else {
     console.log(`✗ ${errors} error(s), ${warnings} warning(s) - fix errors before use.`);
-    process.exit(1);
+    output.exit('ERROR', `${errors} check(s) failed`);
   }
+  output.result({ profile: PROFILE, storage: storageType, mint: mintUrl, errors, warnings });
 }
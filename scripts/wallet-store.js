@@ -1,167 +1,466 @@
 /**
  * Cashu Wallet Storage
- * Manages proof storage and mint keyset caching
+ * Manages proof storage, mint keyset caching, counters, quotes, redemption
+ * records and the transaction ledger
  * 
- * Uses file locking to prevent race conditions in concurrent access.
+ * The data itself lives in a pluggable backend (lib/storage): the JSON
+ * wallet file (default) or a SQLite database. Every write runs in a
+ * backend transaction, so concurrent processes can't lose each other's
+ * changes. Both backends can be encrypted at rest (see encrypt-wallet.js).
+ * 
+ * Operations that select proofs, talk to the mint and then persist the
+ * result hold the wallet lock for the whole time (withWalletLock).
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
-const path = require('path');
+const { openStorage } = require('../lib/storage');
+const { SNAPSHOT_COUNT } = require('../lib/storage/json');
+const { loadConfig, setConfig } = require('../lib/config');
+const lock = require('../lib/lock');
+const { WALLET_FILE, CONFIG_FILE, LOCK_FILE, REDEMPTIONS_FILE, ensureConfigDir } = require('../lib/paths');
+const { IS_CLI, takeOption } = require('../lib/args');
 
-const CONFIG_DIR = path.join(process.env.HOME, '.config', 'hex');
-const WALLET_FILE = path.join(CONFIG_DIR, 'cashu-wallet.json');
-const LOCK_FILE = WALLET_FILE + '.lock';
-const DEFAULT_MINT = 'https://bolverker.com/cashu';
+// Mint given with --mint <url>, accepted by every script
+const SELECTED_MINT = IS_CLI ? takeOption(process.argv, '--mint') : null;
 
-// Lock timeout in ms
-const LOCK_TIMEOUT = 5000;
-const LOCK_RETRY_INTERVAL = 50;
+// Per profile (cashu-config.json defaultMint), unless --mint is given
+const DEFAULT_MINT = SELECTED_MINT || loadConfig().defaultMint;
 
-function ensureConfigDir() {
-  if (!fs.existsSync(CONFIG_DIR)) {
-    fs.mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
-  }
-}
+// Transaction types recorded in the ledger (transfer: Lightning payment
+// from one of the wallet's mints to another, one entry at each end)
+const TX_TYPES = ['mint', 'melt', 'send', 'receive', 'lock', 'reclaim', 'swap', 'restore', 'transfer'];
+
+// Types that add to / remove from the wallet balance (transfers only cost their fee)
+const INCOMING_TYPES = ['mint', 'receive', 'restore', 'reclaim'];
+const OUTGOING_TYPES = ['melt', 'send', 'lock'];
+
+// Proof lifecycle. Unspent proofs live in wallet.proofs; proofs in any
+// in-flight state live in wallet.pending, grouped by operation, until they
+// are either finalised (spent, record dropped) or returned (unspent).
+const PROOF_STATES = ['unspent', 'reserved', 'pending-send', 'pending-melt', 'spent'];
+const PENDING_STATES = ['reserved', 'pending-send', 'pending-melt'];
 
 /**
- * Acquire file lock (blocking with timeout)
+ * Execute function atomically (lock held / database transaction)
  */
-function acquireLock() {
-  const startTime = Date.now();
-  
-  while (true) {
-    try {
-      // Try to create lock file exclusively
-      fs.writeFileSync(LOCK_FILE, String(process.pid), { flag: 'wx', mode: 0o600 });
-      return true;
-    } catch (e) {
-      if (e.code !== 'EEXIST') throw e;
-      
-      // Check if lock is stale (process that created it is gone)
-      try {
-        const lockPid = parseInt(fs.readFileSync(LOCK_FILE, 'utf8'));
-        try {
-          process.kill(lockPid, 0); // Check if process exists
-        } catch (e) {
-          // Process doesn't exist, remove stale lock
-          fs.unlinkSync(LOCK_FILE);
-          continue;
-        }
-      } catch (e) {
-        // Can't read lock file, try again
-      }
-      
-      // Check timeout
-      if (Date.now() - startTime > LOCK_TIMEOUT) {
-        throw new Error('Failed to acquire wallet lock (timeout)');
-      }
-      
-      // Wait and retry
-      const waitUntil = Date.now() + LOCK_RETRY_INTERVAL;
-      while (Date.now() < waitUntil) { /* busy wait */ }
-    }
-  }
+function withLock(fn) {
+  return openStorage().transaction(fn);
 }
 
 /**
- * Release file lock
+ * Run an async wallet operation holding the wallet lock from start to end
+ * 
+ * Used around every select-swap-persist sequence so that no other process
+ * can pick the same proofs or write in between. Waits (without spinning)
+ * for up to a minute, and is reentrant within the same operation.
+ * 
+ * @param {function} fn - Async function
  */
-function releaseLock() {
-  try {
-    fs.unlinkSync(LOCK_FILE);
-  } catch (e) {
-    // Ignore errors releasing lock
-  }
+function withWalletLock(fn) {
+  ensureConfigDir();
+  return lock.withLock(LOCK_FILE, fn);
 }
 
 /**
- * Execute function with lock held
+ * The file the active backend stores the wallet in
  */
-function withLock(fn) {
-  acquireLock();
-  try {
-    return fn();
-  } finally {
-    releaseLock();
-  }
+function getStorageFile() {
+  return openStorage().file;
 }
 
+function walletExists() {
+  return openStorage().exists();
+}
+
+/**
+ * Load the whole wallet as a plain object
+ * ({proofs, mints, pending, history, counters, quotes, redemptions, approvals})
+ */
 function loadWallet() {
-  ensureConfigDir();
-  if (fs.existsSync(WALLET_FILE)) {
-    try {
-      return JSON.parse(fs.readFileSync(WALLET_FILE, 'utf8'));
-    } catch (e) {
-      console.error('Error loading wallet:', e.message);
-      return { proofs: {}, mints: {} };
-    }
-  }
-  return { proofs: {}, mints: {} };
+  return openStorage().exportData();
 }
 
+/**
+ * Replace the whole wallet
+ */
 function saveWallet(wallet) {
-  ensureConfigDir();
-  fs.writeFileSync(WALLET_FILE, JSON.stringify(wallet, null, 2), { mode: 0o600 });
-  // Ensure permissions even if file existed
-  fs.chmodSync(WALLET_FILE, 0o600);
+  if (!wallet || typeof wallet.proofs !== 'object') {
+    throw new Error('Refusing to save invalid wallet data');
+  }
+  openStorage().importData(wallet);
+}
+
+function isWalletEncrypted() {
+  return openStorage().isEncrypted();
+}
+
+/**
+ * Re-encrypt the wallet under a new passphrase (null for plaintext)
+ * 
+ * @param {string|null} passphrase - New passphrase, or null for plaintext
+ * @returns {{snapshots: number, removed: number}}
+ */
+function resealWallet(passphrase) {
+  return openStorage().reseal(passphrase);
 }
 
 function getProofsForMint(mintUrl) {
-  const wallet = loadWallet();
-  return wallet.proofs[mintUrl] || [];
+  return openStorage().getProofs(mintUrl);
 }
 
 function saveProofsForMint(mintUrl, proofs) {
-  withLock(() => {
-    const wallet = loadWallet();
-    wallet.proofs[mintUrl] = proofs;
-    saveWallet(wallet);
-  });
+  openStorage().setProofs(mintUrl, proofs);
 }
 
 function addProofsForMint(mintUrl, newProofs) {
-  withLock(() => {
-    const wallet = loadWallet();
-    const existing = wallet.proofs[mintUrl] || [];
-    wallet.proofs[mintUrl] = [...existing, ...newProofs];
-    saveWallet(wallet);
-  });
+  openStorage().addProofs(mintUrl, newProofs);
 }
 
 function removeProofsForMint(mintUrl, proofsToRemove) {
-  withLock(() => {
-    const wallet = loadWallet();
-    const existing = wallet.proofs[mintUrl] || [];
-    const secretsToRemove = new Set(proofsToRemove.map(p => p.secret));
-    wallet.proofs[mintUrl] = existing.filter(p => !secretsToRemove.has(p.secret));
-    saveWallet(wallet);
+  openStorage().removeProofs(mintUrl, proofsToRemove.map(p => p.secret));
+}
+
+function proofSum(proofs) {
+  return proofs.reduce((sum, p) => sum + p.amount, 0);
+}
+
+/**
+ * Move proofs out of the spendable set into a pending record
+ * 
+ * Must be called before any mint request that can consume the proofs.
+ * Fails if any proof is no longer unspent in the wallet (e.g. a concurrent
+ * operation already reserved it).
+ * 
+ * @param {string} mintUrl - Mint URL
+ * @param {Array} proofs - Proofs to reserve
+ * @param {object} meta - Extra fields for the record (type, quote, outputs...)
+ * @param {string} [meta.state] - Initial state (default: reserved)
+ * @returns {object} The pending record
+ */
+function reservePending(mintUrl, proofs, meta = {}) {
+  const state = meta.state || 'reserved';
+  if (!PENDING_STATES.includes(state)) {
+    throw new Error(`Invalid pending state: ${state}`);
+  }
+  
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomBytes(8).toString('hex'),
+    mint: mintUrl,
+    ...meta,
+    state,
+    amount: proofSum(proofs),
+    proofs,
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  const storage = openStorage();
+  storage.transaction(() => {
+    const secrets = new Set(proofs.map(p => p.secret));
+    if (storage.removeProofs(mintUrl, [...secrets]) !== secrets.size) {
+      throw new Error('Proofs are no longer available (reserved by another operation?)');
+    }
+    storage.putPending(record);
   });
+  
+  return record;
+}
+
+/**
+ * Update a pending record, optionally adding change proofs to the wallet
+ * in the same write.
+ * 
+ * @param {string} id - Pending record ID
+ * @param {object} changes - Fields to update (state, proofs, token...)
+ * @param {Array} [change] - Unspent proofs to add back to the wallet
+ */
+function updatePending(id, changes, change = []) {
+  if (changes.state && !PENDING_STATES.includes(changes.state)) {
+    throw new Error(`Invalid pending state: ${changes.state}`);
+  }
+  
+  const storage = openStorage();
+  return storage.transaction(() => {
+    const existing = storage.getPending(id);
+    if (!existing) throw new Error(`Unknown pending record: ${id}`);
+    
+    const record = { ...existing, ...changes, updatedAt: new Date().toISOString() };
+    if (changes.proofs) record.amount = proofSum(changes.proofs);
+    storage.putPending(record);
+    
+    if (change.length > 0) {
+      storage.addProofs(record.mint, change);
+    }
+    return record;
+  });
+}
+
+/**
+ * Close a pending record
+ * 
+ * @param {string} id - Pending record ID
+ * @param {object} result
+ * @param {Array} [result.unspent] - Proofs to return to the wallet (e.g. the
+ *   record's own proofs if they were never consumed, or change)
+ */
+function closePending(id, { unspent = [] } = {}) {
+  const storage = openStorage();
+  storage.transaction(() => {
+    const record = storage.getPending(id);
+    if (!record) throw new Error(`Unknown pending record: ${id}`);
+    
+    storage.deletePending(id);
+    if (unspent.length > 0) {
+      storage.addProofs(record.mint, unspent);
+    }
+  });
+}
+
+/**
+ * Return a pending record's proofs to the spendable set (state: unspent)
+ */
+function releasePending(id) {
+  const record = getPendingById(id);
+  if (!record) throw new Error(`Unknown pending record: ${id}`);
+  closePending(id, { unspent: record.proofs });
+}
+
+/**
+ * Mark a pending record's proofs as spent, adding any change
+ */
+function finalizePending(id, change = []) {
+  closePending(id, { unspent: change });
+}
+
+function getPendingById(id) {
+  return openStorage().getPending(id);
+}
+
+/**
+ * List pending records, oldest first
+ * 
+ * @param {object} filters
+ * @param {string} [filters.mint] - Mint URL
+ * @param {string|string[]} [filters.state] - Pending state(s)
+ */
+function getPending(filters = {}) {
+  const states = filters.state ? [].concat(filters.state) : null;
+  
+  return openStorage().listPending()
+    .filter(r => !filters.mint || r.mint === filters.mint)
+    .filter(r => !states || states.includes(r.state))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function getPendingBalance(mintUrl) {
+  return getPending({ mint: mintUrl }).reduce((sum, r) => sum + r.amount, 0);
 }
 
 function getAllMints() {
-  const wallet = loadWallet();
-  return Object.keys(wallet.proofs);
+  return openStorage().getProofMints();
 }
 
 function getBalanceForMint(mintUrl) {
-  const proofs = getProofsForMint(mintUrl);
-  return proofs.reduce((sum, p) => sum + p.amount, 0);
+  return openStorage().getBalance(mintUrl);
 }
 
 function getTotalBalance() {
-  const wallet = loadWallet();
-  let total = 0;
-  for (const mintUrl of Object.keys(wallet.proofs)) {
-    total += wallet.proofs[mintUrl].reduce((sum, p) => sum + p.amount, 0);
+  return openStorage().getBalance();
+}
+
+/**
+ * Cached mint info and keysets, as saved by lib/wallet.js
+ * 
+ * @returns {{info: object, keychain: object, updatedAt: string}|null}
+ */
+function getMintCache(mintUrl) {
+  return openStorage().getMint(mintUrl);
+}
+
+function saveMintCache(mintUrl, { info, keychain }) {
+  openStorage().putMint(mintUrl, { info, keychain, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * NUT-13 counters (next unused counter per keyset)
+ */
+function getCounters() {
+  return openStorage().getCounters();
+}
+
+/**
+ * Advance a keyset counter (never moves backwards)
+ */
+function setCounter(keysetId, next) {
+  openStorage().setCounter(keysetId, next);
+}
+
+/**
+ * Remember a mint or melt quote, or update one (kept once settled, with
+ * its last state)
+ * 
+ * @param {object} quote
+ * @param {string} quote.id - Quote ID from the mint
+ * @param {string} quote.kind - 'mint' or 'melt'
+ * @param {string} quote.mint - Mint URL
+ */
+function saveQuote(quote) {
+  const storage = openStorage();
+  storage.transaction(() => {
+    const now = new Date().toISOString();
+    storage.putQuote({ createdAt: now, ...storage.getQuote(quote.id), ...quote, updatedAt: now });
+  });
+}
+
+function getQuote(id) {
+  return openStorage().getQuote(id);
+}
+
+/**
+ * List stored quotes, oldest first
+ * 
+ * @param {object} filters
+ * @param {string} [filters.kind] - 'mint' or 'melt'
+ * @param {string} [filters.mint] - Mint URL
+ */
+function getQuotes(filters = {}) {
+  return openStorage().listQuotes()
+    .filter(q => !filters.kind || q.kind === filters.kind)
+    .filter(q => !filters.mint || q.mint === filters.mint)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function removeQuote(id) {
+  openStorage().deleteQuote(id);
+}
+
+// Redemption records used to live in redemptions.json, in plaintext:
+// moved into the wallet (and its encryption) the first time they're read
+function importRedemptionsFile() {
+  if (!fs.existsSync(REDEMPTIONS_FILE)) return;
+  const { redemptions = [] } = JSON.parse(fs.readFileSync(REDEMPTIONS_FILE, 'utf8'));
+  const storage = openStorage();
+  storage.transaction(() => {
+    for (const record of redemptions) {
+      if (!storage.getRedemption(record.id)) storage.putRedemption(record);
+    }
+  });
+  fs.rmSync(REDEMPTIONS_FILE, { force: true });
+}
+
+/**
+ * Keep the outputs of a redemption this wallet created (see lib/redemption.js)
+ * 
+ * @param {object} record - RedemptionRecord
+ */
+function saveRedemption(record) {
+  importRedemptionsFile();
+  openStorage().putRedemption(record);
+}
+
+function getRedemption(id) {
+  importRedemptionsFile();
+  return openStorage().getRedemption(id);
+}
+
+/**
+ * Redemption records not claimed yet, oldest first
+ */
+function getRedemptions() {
+  importRedemptionsFile();
+  return openStorage().listRedemptions().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function removeRedemption(id) {
+  openStorage().deleteRedemption(id);
+}
+
+/**
+ * SHA-256 of an encoded token, used to reference tokens in the ledger
+ * without storing spendable token strings.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Append an entry to the transaction ledger
+ * 
+ * The ledger is append-only: entries are never modified or removed.
+ * 
+ * @param {object} entry
+ * @param {string} entry.type - One of TX_TYPES
+ * @param {string} entry.mint - Mint URL
+ * @param {number} entry.amount - Amount in sats moved by the operation
+ * @param {number} [entry.fee] - Fees paid (input fees + lightning fees)
+ * @param {string} [entry.quote] - Mint or melt quote ID
+ * @param {string} [entry.tokenHash] - hashToken() of the token sent/received
+ * @param {string} [entry.memo] - Token memo or note
+ * @param {string} [entry.counterparty] - Pubkey, DID, npub, group or invoice payee
+ */
+function recordTransaction(entry) {
+  if (!TX_TYPES.includes(entry.type)) {
+    throw new Error(`Unknown transaction type: ${entry.type}`);
   }
-  return total;
+  
+  const record = {
+    id: crypto.randomBytes(8).toString('hex'),
+    timestamp: new Date().toISOString(),
+    fee: 0,
+    ...entry
+  };
+  
+  openStorage().appendHistory(record);
+  return record;
+}
+
+/**
+ * Read ledger entries, oldest first
+ * 
+ * @param {object} filters
+ * @param {string|string[]} [filters.type] - Transaction type(s)
+ * @param {string} [filters.mint] - Mint URL
+ * @param {string} [filters.counterparty] - Case-insensitive substring match
+ * @param {Date} [filters.since] - Only entries at or after this time
+ * @param {Date} [filters.until] - Only entries before this time
+ */
+function getHistory(filters = {}) {
+  const types = filters.type ? [].concat(filters.type) : null;
+  const counterparty = filters.counterparty ? filters.counterparty.toLowerCase() : null;
+  
+  return openStorage().listHistory().filter(tx => {
+    if (types && !types.includes(tx.type)) return false;
+    if (filters.mint && tx.mint !== filters.mint) return false;
+    if (counterparty && !(tx.counterparty || '').toLowerCase().includes(counterparty)) return false;
+    
+    const time = new Date(tx.timestamp);
+    if (filters.since && time < filters.since) return false;
+    if (filters.until && time >= filters.until) return false;
+    return true;
+  });
 }
 
 module.exports = {
   DEFAULT_MINT,
+  SELECTED_MINT,
   WALLET_FILE,
+  CONFIG_FILE,
+  SNAPSHOT_COUNT,
+  TX_TYPES,
+  INCOMING_TYPES,
+  OUTGOING_TYPES,
+  PROOF_STATES,
+  PENDING_STATES,
+  getStorageFile,
+  walletExists,
   loadWallet,
   saveWallet,
+  isWalletEncrypted,
+  resealWallet,
+  loadConfig,
+  setConfig,
   getProofsForMint,
   saveProofsForMint,
   addProofsForMint,
@@ -169,5 +468,28 @@ module.exports = {
   getAllMints,
   getBalanceForMint,
   getTotalBalance,
-  withLock
+  reservePending,
+  updatePending,
+  releasePending,
+  finalizePending,
+  getPendingById,
+  getPending,
+  getPendingBalance,
+  getMintCache,
+  saveMintCache,
+  getCounters,
+  setCounter,
+  saveQuote,
+  getQuote,
+  getQuotes,
+  removeQuote,
+  saveRedemption,
+  getRedemption,
+  getRedemptions,
+  removeRedemption,
+  hashToken,
+  recordTransaction,
+  getHistory,
+  withLock,
+  withWalletLock
 };
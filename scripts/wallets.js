@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * Manage named wallet profiles
+ * Usage:
+ *   node wallets.js [list]                                   # List profiles and balances
+ *   node wallets.js create <name> [--mint <url>]             # Create a profile
+ *   node wallets.js transfer <amount> --from <a> --to <b> [--mint <url>]
+ *
+ * Each profile has its own proofs, counters, P2PK keys and settings; pick
+ * one in any script with --wallet <name> or HEXNUTS_WALLET=<name>. The
+ * default profile is the wallet in ~/.config/hex.
+ *
+ * transfer moves ecash between two local profiles by sending from one and
+ * receiving into the other at the same mint.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { getPubKeyFromPrivKey } = require('@cashu/cashu-ts');
+const profiles = require('../lib/profile');
+const { loadConfig } = require('../lib/config');
+const { STORAGE_TYPES, createStorage } = require('../lib/storage');
+const walletCrypto = require('../lib/wallet-crypto');
+const output = require('../lib/output');
+
+function usage() {
+  console.error('Usage: node wallets.js [list]');
+  console.error('       node wallets.js create <name> [--mint <url>]');
+  console.error('       node wallets.js transfer <amount> --from <name> --to <name> [--mint <url>]');
+  console.error('');
+  console.error('Use a profile in any script with --wallet <name> or HEXNUTS_WALLET=<name>.');
+  output.exit('USAGE');
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = { command: 'list', positional: [], mint: null, from: null, to: null };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--mint':
+        result.mint = args[++i];
+        break;
+      case '--from':
+        result.from = args[++i];
+        break;
+      case '--to':
+        result.to = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        usage();
+        break;
+      default:
+        result.positional.push(args[i]);
+    }
+  }
+  
+  if (result.positional.length > 0) {
+    result.command = result.positional.shift();
+  }
+  return result;
+}
+
+/**
+ * Storage backend, file and balance of any profile
+ */
+function describeProfile(name) {
+  const files = profiles.profilePaths(name);
+  const config = loadConfig(files.configFile);
+  const type = process.env.HEXNUTS_STORAGE || config.storage;
+  const file = type === 'sqlite' ? files.dbFile : files.walletFile;
+  const info = { name, dir: files.dir, storage: type, defaultMint: config.defaultMint, balance: null, status: null };
+  
+  if (!STORAGE_TYPES.includes(type)) {
+    info.status = `unknown storage backend ${type}`;
+  } else if (!fs.existsSync(file)) {
+    info.balance = 0;
+    info.status = 'empty';
+  } else {
+    try {
+      info.balance = createStorage(type, { file }).getBalance();
+    } catch (e) {
+      info.status = walletCrypto.isLockedError(e) ? 'locked' : e.message;
+    }
+  }
+  return info;
+}
+
+function listWallets() {
+  const wallets = profiles.listProfiles().map(describeProfile);
+  output.result({ selected: profiles.PROFILE, wallets });
+  
+  console.log('=== Wallet Profiles ===\n');
+  for (const info of wallets) {
+    const marker = info.name === profiles.PROFILE ? '*' : ' ';
+    const balance = info.balance !== null ? `${info.balance} sats` : `? (${info.status})`;
+    console.log(`${marker} ${info.name}: ${balance}`);
+    console.log(`    Dir: ${info.dir}`);
+    console.log(`    Storage: ${info.storage}, default mint: ${info.defaultMint}`);
+  }
+  console.log('\n* selected profile (--wallet / HEXNUTS_WALLET)');
+}
+
+/**
+ * P2PK keypair in the nostr.env format used by archon-keymaster/nostr
+ *
+ * Only the x coordinate is stored and scripts assume the even-y ("02")
+ * form, so keys with an odd y are skipped.
+ */
+function generateKeys() {
+  for (;;) {
+    const privkey = crypto.randomBytes(32);
+    const pubkey = Buffer.from(getPubKeyFromPrivKey(new Uint8Array(privkey)));
+    if (pubkey[0] === 0x02) {
+      return { privkey: privkey.toString('hex'), pubkey: pubkey.subarray(1).toString('hex') };
+    }
+  }
+}
+
+function createProfile(name, mintUrl) {
+  if (!name) usage();
+  if (name === profiles.DEFAULT_PROFILE) {
+    console.error('The default profile always exists.');
+    output.exit('USAGE');
+  }
+  if (!profiles.isValidName(name)) {
+    console.error(`Invalid wallet name: "${name}" (use a-z, 0-9, - and _, up to 32 characters)`);
+    output.exit('USAGE');
+  }
+  if (profiles.profileExists(name)) {
+    console.error(`Wallet ${name} already exists: ${profiles.profileDir(name)}`);
+    output.exit('USAGE');
+  }
+  
+  const files = profiles.profilePaths(name);
+  fs.mkdirSync(files.dir, { recursive: true, mode: 0o700 });
+  
+  const config = {};
+  if (mintUrl) config.defaultMint = mintUrl;
+  fs.writeFileSync(files.configFile, JSON.stringify(config, null, 2), { mode: 0o600 });
+  
+  const keys = generateKeys();
+  fs.writeFileSync(files.nostrEnv,
+    `NOSTR_SECRET_KEY_HEX="${keys.privkey}"\nNOSTR_PUBLIC_KEY_HEX="${keys.pubkey}"\n`,
+    { mode: 0o600 });
+  
+  const defaultMint = loadConfig(files.configFile).defaultMint;
+  output.result({ name, dir: files.dir, defaultMint, pubkey: `02${keys.pubkey}` });
+  
+  console.log(`✓ Created wallet: ${name}`);
+  console.log(`  Dir: ${files.dir}`);
+  console.log(`  Default mint: ${defaultMint}`);
+  console.log(`  P2PK pubkey: 02${keys.pubkey}`);
+  console.log(`\nUse it with: node balance.js --wallet ${name}`);
+}
+
+/**
+ * Run another script against a profile
+ *
+ * @returns {object} The script's JSON result ({ok, error} on failure)
+ */
+function runScript(script, args, name) {
+  const child = spawnSync(process.execPath, [path.join(__dirname, script), ...args], {
+    encoding: 'utf8',
+    env: { ...process.env, HEXNUTS_WALLET: name, HEXNUTS_OUTPUT: 'json' }
+  });
+  try {
+    return JSON.parse(child.stdout);
+  } catch (e) {
+    return { ok: false, error: { code: 'ERROR', message: (child.stderr || '').trim() || `${script} failed` } };
+  }
+}
+
+function transfer(amount, from, to, mintUrl) {
+  if (!amount || isNaN(amount) || amount <= 0 || !from || !to) usage();
+  for (const name of [from, to]) {
+    if (!profiles.isValidName(name) || !profiles.profileExists(name)) {
+      console.error(`Unknown wallet: ${name}`);
+      output.exit('UNKNOWN_WALLET');
+    }
+  }
+  if (from === to) {
+    console.error('Source and destination are the same wallet.');
+    output.exit('USAGE');
+  }
+  
+  const mint = mintUrl || loadConfig(profiles.profilePaths(from).configFile).defaultMint;
+  console.log(`Transferring ${amount} sats: ${from} -> ${to} (${mint})...`);
+  
+  const sent = runScript('send.js', [String(amount), mint], from);
+  if (!sent.ok) {
+    console.error(sent.error.message);
+    console.error(`\nSend from ${from} failed; nothing was transferred.`);
+    output.exit(sent.error.code, sent.error.message);
+  }
+  const token = sent.token;
+  
+  const received = runScript('receive.js', [token], to);
+  if (!received.ok) {
+    console.error(received.error.message);
+    console.error(`\nReceive into ${to} failed. The token is still recorded as an outgoing send of ${from}:`);
+    console.error(token);
+    console.error(`\nRetry with: node receive.js --wallet ${to} <token>`);
+    console.error(`Or take it back with: node reclaim.js --list --wallet ${from}`);
+    output.exit(received.error.code);
+  }
+  
+  const balances = Object.fromEntries([from, to].map(name => [name, describeProfile(name).balance]));
+  output.result({ mint, from, to, amount: received.amount, fee: sent.amount - received.amount, balances });
+  
+  console.log(`\n✓ Transferred ${amount} sats from ${from} to ${to}`);
+  for (const name of [from, to]) {
+    const info = describeProfile(name);
+    console.log(`  ${name}: ${info.balance !== null ? `${info.balance} sats` : `? (${info.status})`}`);
+  }
+}
+
+async function main() {
+  const opts = parseArgs();
+  
+  switch (opts.command) {
+    case 'list':
+      listWallets();
+      break;
+    case 'create':
+      createProfile(opts.positional[0], opts.mint);
+      break;
+    case 'transfer':
+      transfer(parseInt(opts.positional[0]), opts.from, opts.to, opts.mint);
+      break;
+    default:
+      usage();
+  }
+}
+
+main().catch(output.fatal);
@@ -0,0 +1,195 @@
+/**
+ * Approval requests: signed approvals, expiry, and approving through the
+ * wallet, under a temporary HOME
+ *
+ * Requests replay a stand-in method set on the wallet, so approving one
+ * carries out nothing but what the test records.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-approvals-'));
+process.env.HOME = HOME;
+process.env.HEXNUTS_STORAGE = 'json';
+delete process.env.HEXNUTS_WALLET;
+delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+delete process.env.ARCHON_PASSPHRASE;
+delete process.env.HEXNUTS_AGENT;
+
+const { describe, it, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { schnorr } = require('@noble/curves/secp256k1.js');
+const { bech32 } = require('@scure/base');
+const store = require('../scripts/wallet-store');
+const approvals = require('../lib/approvals');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+const { APPROVALS_FILE, POLICY_FILE, ensureConfigDir } = require('../lib/paths');
+
+const MINT = 'https://mint.example';
+
+function approver() {
+  const priv = crypto.randomBytes(32).toString('hex');
+  const pub = Buffer.from(schnorr.getPublicKey(Buffer.from(priv, 'hex'))).toString('hex');
+  return { priv, pub, npub: bech32.encode('npub', bech32.toWords(Buffer.from(pub, 'hex'))) };
+}
+
+const park = (amount, { agent = null, method = 'payLater' } = {}) => approvals.createRequest({
+  agent,
+  spend: { action: 'send', amount, mint: MINT },
+  method,
+  args: [amount]
+});
+
+const usePolicy = (policy) => {
+  ensureConfigDir();
+  fs.writeFileSync(POLICY_FILE, JSON.stringify(policy));
+};
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('approval requests', () => {
+  it('parks a call with its digest and expiry', () => {
+    const request = approvals.createRequest(
+      { agent: 'bot', spend: { action: 'send', amount: 500, mint: MINT }, method: 'send', args: [500, {}] },
+      { expiry: '30m' }
+    );
+    assert.equal(request.state, 'pending');
+    assert.equal(request.digest, approvals.digestOf(request));
+    assert.equal(new Date(request.expiresAt) - new Date(request.createdAt), 30 * 60 * 1000);
+    
+    assert.deepEqual(approvals.getRequest(request.id), request);
+    assert.deepEqual(approvals.listRequests({ agent: 'bot' }).map(r => r.id), [request.id]);
+    assert.deepEqual(approvals.listRequests({ agent: 'nobody' }), []);
+    assert.throws(() => approvals.listRequests({ state: 'done' }), { code: 'USAGE', message: /Unknown state: done/ });
+    assert.throws(() => approvals.getRequest('missing'), { code: 'NOT_FOUND' });
+  });
+  
+  it('expires requests nobody approved in time', () => {
+    const { id } = park(10);
+    const expiresAt = new Date(Date.now() - 1000).toISOString();
+    approvals.updateRequest(id, { expiresAt });
+    const { state, finishedAt } = approvals.getRequest(id);
+    assert.deepEqual({ state, finishedAt }, { state: 'expired', finishedAt: expiresAt });
+    assert.equal(approvals.listRequests({ state: 'pending' }).some(r => r.id === id), false);
+  });
+  
+  it('moves requests from the old plaintext file into the wallet', () => {
+    const old = { ...park(10), id: 'from-file' };
+    ensureConfigDir();
+    fs.writeFileSync(APPROVALS_FILE, JSON.stringify({ requests: [old] }));
+    assert.equal(approvals.getRequest('from-file').method, 'payLater');
+    assert.equal(fs.existsSync(APPROVALS_FILE), false);
+  });
+});
+
+describe('signed approvals', () => {
+  const alice = approver();
+  const mallory = approver();
+  
+  it('verifies a signature from a listed approver, in any key form', () => {
+    const request = park(100);
+    const signed = approvals.signApproval(request, alice.priv);
+    assert.deepEqual(signed, { id: request.id, pubkey: alice.pub, sig: signed.sig });
+    
+    for (const listed of [alice.pub, '02' + alice.pub, alice.npub]) {
+      assert.equal(approvals.verifyApproval(request, signed, [listed]), alice.pub);
+    }
+    assert.equal(approvals.verifyApproval(request, { ...signed, pubkey: alice.npub }, [alice.pub]), alice.pub);
+  });
+  
+  it('refuses keys that aren\'t approvers, and signatures over another spend', () => {
+    const request = park(100);
+    const refused = { code: 'POLICY_DENIED', rule: 'approvers' };
+    
+    assert.throws(() => approvals.verifyApproval(request, approvals.signApproval(request, mallory.priv), [alice.pub]),
+      { ...refused, message: /is not an approver/ });
+    
+    const signed = approvals.signApproval(request, alice.priv);
+    const other = park(100);
+    assert.throws(() => approvals.verifyApproval(other, signed, [alice.pub]), { ...refused, message: /doesn't match request/ });
+    assert.throws(() => approvals.verifyApproval({ ...request, args: [1000] }, signed, [alice.pub]), refused);
+    assert.throws(() => approvals.verifyApproval(request, { ...signed, sig: 'zz' }, [alice.pub]), refused);
+    assert.throws(() => approvals.verifyApproval(request, { pubkey: alice.pub }, [alice.pub]), { code: 'USAGE' });
+  });
+  
+  it('won\'t sign a request that doesn\'t match its digest', () => {
+    const request = park(100);
+    assert.throws(() => approvals.signApproval({ ...request, spend: { ...request.spend, amount: 1 } }, alice.priv),
+      { code: 'USAGE', message: /doesn't match its digest/ });
+    assert.throws(() => approvals.signApproval({ ...request, digest: undefined }, alice.priv), { code: 'USAGE' });
+  });
+});
+
+describe('approving through the wallet', () => {
+  const alice = approver();
+  const calls = [];
+  const wallet = new HexNutsWallet();
+  wallet.payLater = async function(amount) {
+    calls.push({ agent: this.agent, amount });
+    if (amount === 13) throw Object.assign(new Error('Unlucky'), { code: 'POLICY_DENIED' });
+    return { amount };
+  };
+  
+  afterEach(() => {
+    calls.length = 0;
+    fs.rmSync(POLICY_FILE, { force: true });
+  });
+  
+  it('replays the call for the agent that asked, once', async () => {
+    const { id } = park(21, { agent: 'bot' });
+    assert.throws(() => wallet.forAgent('other').approval(id), { code: 'NOT_FOUND' });
+    
+    const done = await wallet.approve(id);
+    assert.equal(done.state, 'completed');
+    assert.equal(done.approvedBy, 'local');
+    assert.deepEqual(done.result, { amount: 21 });
+    assert.deepEqual(calls, [{ agent: 'bot', amount: 21 }]);
+    
+    await assert.rejects(wallet.approve(id), { code: 'USAGE', message: `Approval request ${id} is completed` });
+    assert.equal(calls.length, 1);
+  });
+  
+  it('keeps the replay\'s error on a failed request', async () => {
+    const { id } = park(13);
+    const failed = await wallet.approve(id);
+    assert.equal(failed.state, 'failed');
+    assert.deepEqual(failed.error, { code: 'POLICY_DENIED', message: 'Unlucky' });
+  });
+  
+  it('takes signed approvals only from the policy\'s approvers', async () => {
+    usePolicy({ approvers: [alice.npub] });
+    const request = park(50);
+    await assert.rejects(wallet.approve(request.id, approvals.signApproval(request, approver().priv)), { rule: 'approvers' });
+    assert.equal(approvals.getRequest(request.id).state, 'pending');
+    
+    const done = await wallet.approve(request.id, approvals.signApproval(request, alice.priv));
+    assert.equal(done.state, 'completed');
+    assert.equal(done.approvedBy, alice.pub);
+  });
+  
+  it('turns down pending requests only', async () => {
+    const { id } = park(5);
+    assert.equal((await wallet.reject(id)).state, 'rejected');
+    await assert.rejects(wallet.reject(id), { code: 'USAGE', message: /is rejected/ });
+    await assert.rejects(wallet.approve(id), { code: 'USAGE', message: /is rejected/ });
+    assert.deepEqual(calls, []);
+  });
+  
+  it('resumes an interrupted replay only if the wallet recorded nothing since', async () => {
+    const untouched = park(8);
+    approvals.updateRequest(untouched.id, { state: 'approved', approvedBy: 'local', approvedAt: new Date().toISOString() });
+    assert.equal((await wallet.approve(untouched.id)).state, 'completed');
+    assert.deepEqual(calls, [{ agent: null, amount: 8 }]);
+    
+    const changed = park(9);
+    approvals.updateRequest(changed.id, { state: 'approved', approvedBy: 'local', approvedAt: new Date(Date.now() - 1000).toISOString() });
+    store.recordTransaction({ type: 'send', mint: MINT, amount: 9, fee: 0 });
+    const failed = await wallet.approve(changed.id);
+    assert.equal(failed.state, 'failed');
+    assert.match(failed.error.message, /^Interrupted while being carried out, and the wallet changed since/);
+    assert.equal(calls.length, 1);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * BOLT 11 decoding, on invoices signed here
+ *
+ * The invoices are built field by field, so each test can leave out,
+ * add or break what it needs: the `n` field, the amount, the signature.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { bech32 } = require('@scure/base');
+const { secp256k1 } = require('@noble/curves/secp256k1.js');
+const { decodeInvoice, invoiceProblems, checkInvoice } = require('../lib/bolt11');
+
+const NODE_KEY = crypto.randomBytes(32);
+const NODE_PUBKEY = Buffer.from(secp256k1.getPublicKey(NODE_KEY, true));
+const OTHER_PUBKEY = Buffer.from(secp256k1.getPublicKey(crypto.randomBytes(32), true));
+const CURVE_ORDER = secp256k1.Point.Fn.ORDER;
+
+function intWords(n, length) {
+  const words = [];
+  for (let i = 0; i < length; i++) {
+    words.unshift(n % 32);
+    n = Math.floor(n / 32);
+  }
+  return words;
+}
+
+function tagged(type, words) {
+  return [type, Math.floor(words.length / 32), words.length % 32, ...words];
+}
+
+function wordsToBytes(words) {
+  const bytes = [];
+  let acc = 0;
+  let bits = 0;
+  for (const w of words) {
+    acc = (acc << 5) | w;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (bits > 0) bytes.push((acc << (8 - bits)) & 0xff);
+  return Buffer.from(bytes);
+}
+
+/**
+ * A bolt11 invoice signed with NODE_KEY
+ *
+ * @param {object} [options]
+ * @param {string} [options.prefix='lnbc210n'] - 21 sats on bitcoin
+ * @param {number} [options.timestamp] - Default: now
+ * @param {Buffer} [options.payee] - `n` field to include
+ * @param {boolean} [options.highS] - Sign with the high-S form of the signature
+ * @param {Array<number[]>} [options.fields] - Extra tagged fields
+ */
+function invoice({ prefix = 'lnbc210n', timestamp = Math.floor(Date.now() / 1000), payee, highS = false, fields = [] } = {}) {
+  const data = [
+    ...intWords(timestamp, 7),
+    ...tagged(1, bech32.toWords(crypto.randomBytes(32))),
+    ...tagged(13, bech32.toWords(Buffer.from('coffee'))),
+    ...(payee ? tagged(19, bech32.toWords(payee)) : []),
+    ...fields.flat()
+  ];
+  const hash = crypto.createHash('sha256').update(Buffer.concat([Buffer.from(prefix), wordsToBytes(data)])).digest();
+  let sig = secp256k1.Signature.fromBytes(secp256k1.sign(hash, NODE_KEY, { prehash: false, format: 'recovered' }), 'recovered');
+  if (highS) sig = new secp256k1.Signature(sig.r, CURVE_ORDER - sig.s, sig.recovery ^ 1);
+  const signature = Buffer.concat([Buffer.from(sig.toBytes('compact')), Buffer.from([sig.recovery])]);
+  return bech32.encode(prefix, [...data, ...bech32.toWords(signature)], false);
+}
+
+describe('bolt11', () => {
+  it('decodes the fields and recovers the payee from the signature', () => {
+    const decoded = decodeInvoice(invoice({ timestamp: 1700000000, fields: [tagged(6, intWords(600, 2))] }));
+    assert.equal(decoded.network, 'bitcoin');
+    assert.equal(decoded.amount, 21);
+    assert.equal(decoded.amountMsat, 21000);
+    assert.equal(decoded.timestamp, 1700000000);
+    assert.equal(decoded.expiresAt, 1700000600);
+    assert.equal(decoded.description, 'coffee');
+    assert.match(decoded.paymentHash, /^[0-9a-f]{64}$/);
+    assert.equal(decoded.payee, NODE_PUBKEY.toString('hex'));
+  });
+  
+  it('reads amounts and networks from the prefix', () => {
+    assert.equal(decodeInvoice(invoice({ prefix: 'lnbc2500u' })).amount, 250000);
+    assert.equal(decodeInvoice(invoice({ prefix: 'lnbc1m' })).amount, 100000);
+    assert.equal(decodeInvoice(invoice({ prefix: 'lnbc10p' })).amountMsat, 1);
+    assert.equal(decodeInvoice(invoice({ prefix: 'lnbc' })).amount, null);
+    assert.equal(decodeInvoice(invoice({ prefix: 'lntbs100n' })).network, 'signet');
+    assert.throws(() => decodeInvoice(invoice({ prefix: 'lnbc1p' })), { code: 'USAGE', message: /sub-millisatoshi/ });
+  });
+  
+  it('accepts the lightning: prefix and any case', () => {
+    const pr = invoice();
+    assert.equal(decodeInvoice(`lightning:${pr.toUpperCase()}`).payee, NODE_PUBKEY.toString('hex'));
+  });
+  
+  it('checks the signature against the n field', () => {
+    assert.equal(decodeInvoice(invoice({ payee: NODE_PUBKEY })).payee, NODE_PUBKEY.toString('hex'));
+    assert.equal(decodeInvoice(invoice({ payee: NODE_PUBKEY, highS: true })).payee, NODE_PUBKEY.toString('hex'));
+    assert.throws(() => decodeInvoice(invoice({ payee: OTHER_PUBKEY })), {
+      code: 'USAGE',
+      message: /not made by its payee/
+    });
+  });
+  
+  it('refuses an invoice whose fields were changed after signing', () => {
+    const pr = invoice({ payee: NODE_PUBKEY });
+    const { prefix, words } = bech32.decode(pr, Number.MAX_SAFE_INTEGER);
+    words[3] ^= 1;  // timestamp
+    assert.throws(() => decodeInvoice(bech32.encode(prefix, words, false)), { code: 'USAGE', message: /signature/ });
+  });
+  
+  it('refuses what isn\'t an invoice', () => {
+    assert.throws(() => decodeInvoice('lnbc1invalid'), { code: 'USAGE', message: /Not a bolt11 invoice/ });
+    assert.throws(() => decodeInvoice(bech32.encode('lnxy', [1, 2, 3], false)), { code: 'USAGE', message: /unknown prefix/ });
+    assert.throws(() => decodeInvoice(bech32.encode('lnbc', [1, 2, 3], false)), { code: 'USAGE', message: /too short/ });
+  });
+  
+  it('lists why an invoice can\'t be paid', () => {
+    const expired = decodeInvoice(invoice({ timestamp: 1700000000 }));
+    assert.deepEqual(invoiceProblems(expired, { now: 1700000000 }), []);
+    assert.match(invoiceProblems(expired, { now: 1700003600 })[0], /expired/);
+    
+    const any = decodeInvoice(invoice({ prefix: 'lntb' }));
+    assert.deepEqual(invoiceProblems(any, { network: 'testnet', amount: 5 }), []);
+    assert.deepEqual(invoiceProblems(any, { network: 'bitcoin' }), [
+      'Invoice is for testnet, the wallet pays on bitcoin',
+      'Invoice has no amount: give the amount to pay'
+    ]);
+    
+    assert.throws(() => checkInvoice(invoice(), { amount: 20 }), { code: 'USAGE', message: /for 21 sats, not 20/ });
+    assert.equal(checkInvoice(invoice(), { amount: 21 }).amount, 21);
+  });
+});
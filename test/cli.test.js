@@ -0,0 +1,75 @@
+/**
+ * The hexnuts command and its JSON output, run as a child process under
+ * a temporary HOME
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-cli-'));
+const BIN = path.join(__dirname, '..', 'bin', 'hexnuts.js');
+
+function hexnuts(...args) {
+  const env = { ...process.env, HOME, HEXNUTS_STORAGE: 'json' };
+  delete env.HEXNUTS_WALLET;
+  delete env.HEXNUTS_OUTPUT;
+  const result = spawnSync(process.execPath, [BIN, ...args], { env, encoding: 'utf8', timeout: 60000 });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+const json = (...args) => {
+  const { status, stdout } = hexnuts(...args, '--json');
+  const lines = stdout.trim().split('\n');
+  assert.equal(lines.length, 1, `one JSON line from hexnuts ${args.join(' ')}`);
+  return { status, output: JSON.parse(lines[0]) };
+};
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('hexnuts', () => {
+  it('lists the scripts as commands, with their summaries', () => {
+    const { status, output } = json();
+    assert.equal(status, 0);
+    const names = output.commands.map(c => c.name);
+    assert.ok(['balance', 'send', 'melt', 'wallets'].every(name => names.includes(name)));
+    assert.equal(names.includes('wallet-store'), false);
+    assert.deepEqual(names, [...names].sort());
+    assert.equal(output.commands.find(c => c.name === 'history').summary, 'Show the wallet transaction ledger');
+  });
+  
+  it('shows a command\'s usage in hexnuts terms', () => {
+    const { output } = json('help', 'history');
+    assert.match(output.help, /Usage: hexnuts history \[options\]/);
+    assert.equal(output.help.includes('node history.js'), false);
+    
+    assert.equal(json('history', '--help').output.help, output.help);
+    assert.match(hexnuts('help', 'history').stdout, /--wallet <name>/);
+    assert.equal(json('--version').output.version, require('../package.json').version);
+  });
+  
+  it('runs commands with global options on either side', () => {
+    const { status, output } = json('balance');
+    assert.equal(status, 0);
+    assert.deepEqual(output, { ok: true, command: 'balance', balance: 0, pending: 0, mints: [] });
+    
+    const unknown = json('--wallet', 'nobody', 'balance');
+    assert.equal(unknown.status, 1);
+    assert.equal(unknown.output.error.code, 'UNKNOWN_WALLET');
+    assert.equal(json('balance', '--wallet', 'nobody').output.error.code, 'UNKNOWN_WALLET');
+  });
+  
+  it('reports usage errors with their code', () => {
+    for (const args of [['steal'], ['help', 'steal'], ['history', '--since', 'someday'], ['history', '--type', 'gift']]) {
+      const { status, output } = json(...args);
+      assert.equal(status, 1, args.join(' '));
+      assert.equal(output.ok, false);
+      assert.equal(output.error.code, 'USAGE', args.join(' '));
+    }
+    assert.match(hexnuts('steal').stderr, /Unknown command: steal/);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Transaction ledger and its filters, in a JSON wallet under a temporary
+ * HOME
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-history-'));
+process.env.HOME = HOME;
+process.env.HEXNUTS_STORAGE = 'json';
+delete process.env.HEXNUTS_WALLET;
+delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+delete process.env.ARCHON_PASSPHRASE;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const store = require('../scripts/wallet-store');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+const MINT = 'https://mint.example';
+const OTHER = 'https://other.example';
+const DAY = 24 * 60 * 60 * 1000;
+
+const ago = (ms) => new Date(Date.now() - ms).toISOString();
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('history', () => {
+  const wallet = new HexNutsWallet();
+  
+  before(() => {
+    store.recordTransaction({ type: 'mint', mint: MINT, amount: 100, quote: 'q1', timestamp: ago(10 * DAY) });
+    store.recordTransaction({ type: 'send', mint: MINT, amount: 20, fee: 1, counterparty: 'did:cid:Alice', timestamp: ago(3 * DAY) });
+    store.recordTransaction({ type: 'melt', mint: OTHER, amount: 50, fee: 2, timestamp: ago(DAY / 2) });
+    store.recordTransaction({ type: 'transfer', mint: MINT, amount: 30, fee: 3, timestamp: ago(DAY / 4) });
+    store.recordTransaction({ type: 'receive', mint: OTHER, amount: 7, counterparty: 'npub1alice' });
+  });
+  
+  it('appends entries with an id, a timestamp and a fee', () => {
+    const entry = store.getHistory().at(-1);
+    assert.match(entry.id, /^[0-9a-f]{16}$/);
+    assert.ok(Date.now() - new Date(entry.timestamp) < 60000);
+    assert.equal(entry.fee, 0);
+    assert.throws(() => store.recordTransaction({ type: 'gift', mint: MINT, amount: 1 }), /Unknown transaction type: gift/);
+  });
+  
+  it('filters by type, mint, counterparty and time', () => {
+    const types = (filters) => store.getHistory(filters).map(tx => tx.type);
+    assert.deepEqual(types(), ['mint', 'send', 'melt', 'transfer', 'receive']);
+    assert.deepEqual(types({ type: ['send', 'melt'] }), ['send', 'melt']);
+    assert.deepEqual(types({ mint: OTHER }), ['melt', 'receive']);
+    assert.deepEqual(types({ counterparty: 'ALICE' }), ['send', 'receive']);
+    assert.deepEqual(types({ since: new Date(Date.now() - DAY) }), ['melt', 'transfer', 'receive']);
+    assert.deepEqual(types({ until: new Date(Date.now() - DAY) }), ['mint', 'send']);
+  });
+  
+  it('totals what came in, went out and was paid in fees', async () => {
+    assert.deepEqual(await wallet.history({ since: '7d' }), {
+      transactions: store.getHistory().slice(1),
+      incoming: 7,
+      outgoing: 70,
+      fees: 6
+    });
+    
+    const { transactions, incoming } = await wallet.history({ limit: 2, until: new Date() });
+    assert.deepEqual(transactions.map(tx => tx.type), ['transfer', 'receive']);
+    assert.equal(incoming, 7);
+    assert.equal((await wallet.history({ since: ago(4 * DAY), until: '1d' })).transactions[0].counterparty, 'did:cid:Alice');
+  });
+  
+  it('refuses unknown types, bad limits and dates', async () => {
+    await assert.rejects(wallet.history({ type: 'gift' }), { code: 'USAGE', message: /^Unknown type: gift/ });
+    for (const limit of [0, -1, 1.5]) {
+      await assert.rejects(wallet.history({ limit }), { code: 'USAGE', message: `Invalid limit: ${limit}` });
+    }
+    await assert.rejects(wallet.history({ since: 'last week' }), { code: 'USAGE', message: 'Invalid date: last week' });
+  });
+  
+  it('prints the ledger as JSON from history.js', () => {
+    const run = (...args) => {
+      const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'history.js'), ...args, '--json'], {
+        encoding: 'utf8',
+        timeout: 60000
+      });
+      return { status: result.status, output: JSON.parse(result.stdout) };
+    };
+    
+    const { status, output } = run('--type', 'melt,receive', '--limit', '1');
+    assert.equal(status, 0);
+    assert.equal(output.ok, true);
+    assert.deepEqual(output.transactions.map(tx => tx.amount), [7]);
+    assert.equal(output.incoming, 7);
+    
+    const refused = run('--type', 'gift');
+    assert.equal(refused.status, 1);
+    assert.equal(refused.output.error.code, 'USAGE');
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Hashlocks (NUT-14), against a stand-in mint
+ *
+ * Proofs come from lib/htlc.js's own outputs, signed with the stand-in's
+ * keys, so their secrets are exactly what a mint would sign. Witnesses
+ * are checked with cashu-ts's verifier, as receive() does.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { secp256k1 } = require('@noble/curves/secp256k1.js');
+const { createNewMintKeys, createBlindSignature, pointFromHex, signP2PKProofs } = require('@cashu/cashu-ts');
+const htlc = require('../lib/htlc');
+
+const mintKeys = createNewMintKeys(4, new Uint8Array(crypto.randomBytes(32)));
+const keyset = {
+  id: mintKeys.keysetId,
+  unit: 'sat',
+  keys: Object.fromEntries(Object.entries(mintKeys.pubKeys).map(([a, k]) => [a, Buffer.from(k).toString('hex')]))
+};
+
+function keypair() {
+  const priv = crypto.randomBytes(32).toString('hex');
+  return { priv, pub: Buffer.from(secp256k1.getPublicKey(Buffer.from(priv, 'hex'), true)).toString('hex') };
+}
+
+const [bob, carol] = [keypair(), keypair()];
+
+// A proof the stand-in mint signed for a hashlock output
+function locked(options, amount = 2) {
+  const output = htlc.hashlockOutputs(options).factory(amount, keyset);
+  const { B_ } = output.blindedMessage;
+  const C_ = createBlindSignature(pointFromHex(B_), mintKeys.privKeys[amount], amount, keyset.id).C_.toHex(true);
+  return output.toProof({ id: keyset.id, amount, C_ }, keyset);
+}
+
+const past = () => Math.floor(Date.now() / 1000) - 60;
+const later = () => Math.floor(Date.now() / 1000) + 3600;
+
+describe('htlc', () => {
+  it('hashes preimages and checks hashes', () => {
+    const { preimage, hash } = htlc.newPreimage();
+    assert.match(preimage, /^[0-9a-f]{64}$/);
+    assert.equal(hash, crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex'));
+    assert.equal(htlc.hashOf(preimage.toUpperCase()), hash);
+    assert.equal(htlc.checkHash(hash.toUpperCase()), hash);
+    
+    for (const bad of [undefined, 'abcd', preimage + '00', 'zz'.repeat(32)]) {
+      assert.throws(() => htlc.hashOf(bad), { code: 'USAGE', message: /32 bytes of hex/ });
+      assert.throws(() => htlc.checkHash(bad), { code: 'USAGE', message: /SHA-256 hash in hex/ });
+    }
+  });
+  
+  it('locks outputs to the hash and its other conditions', () => {
+    const { hash } = htlc.newPreimage();
+    const locktime = later();
+    const proof = locked({ hash, pubkeys: [bob.pub, carol.pub], threshold: 2, refundKeys: [carol.pub], locktime });
+    const [kind, { data, tags }] = JSON.parse(proof.secret);
+    assert.equal(kind, 'HTLC');
+    assert.equal(data, hash);
+    assert.deepEqual(tags, [
+      ['locktime', String(locktime)],
+      ['pubkeys', bob.pub, carol.pub],
+      ['n_sigs', '2'],
+      ['refund', carol.pub]
+    ]);
+    assert.equal(htlc.isHTLC(proof), true);
+    assert.equal(htlc.hashlockOf(proof), hash);
+    
+    const plain = { ...proof, secret: crypto.randomBytes(32).toString('hex') };
+    assert.equal(htlc.isHTLC(plain), false);
+    assert.equal(htlc.hashlockOf(plain), null);
+  });
+  
+  it('adds the preimage only to the proofs it opens, keeping signatures', () => {
+    const { preimage, hash } = htlc.newPreimage();
+    const other = locked({ hash: htlc.newPreimage().hash });
+    const [opened, untouched] = htlc.addPreimage([{ ...locked({ hash }), witness: '{"signatures":["sig"]}' }, other], preimage.toUpperCase());
+    assert.deepEqual(opened.witness, { preimage, signatures: ['sig'] });
+    assert.equal(untouched, other);
+    
+    assert.throws(() => htlc.addPreimage([other], preimage), { code: 'USAGE', message: /doesn't match the token's hashlock/ });
+  });
+  
+  it('takes the preimage alone when the lock names no keys', () => {
+    const { preimage, hash } = htlc.newPreimage();
+    const proof = locked({ hash });
+    assert.equal(htlc.verifyHashlock(proof).success, false);
+    
+    const [opened] = htlc.addPreimage([proof], preimage);
+    const check = htlc.verifyHashlock(opened);
+    assert.equal(check.success, true);
+    assert.equal(check.path, 'MAIN');
+    
+    const wrong = { ...opened, witness: { preimage: htlc.newPreimage().preimage, signatures: [] } };
+    assert.equal(htlc.verifyHashlock(wrong).success, false);
+  });
+  
+  it('needs the preimage and the named keys\' signatures on the main path', () => {
+    const { preimage, hash } = htlc.newPreimage();
+    const proof = locked({ hash, pubkeys: [bob.pub] });
+    
+    const [opened] = htlc.addPreimage([proof], preimage);
+    assert.equal(htlc.verifyHashlock(opened).success, false);
+    assert.equal(htlc.verifyHashlock(signP2PKProofs([proof], bob.priv)[0]).success, false);
+    assert.equal(htlc.verifyHashlock(signP2PKProofs([opened], carol.priv)[0]).success, false);
+    
+    const check = htlc.verifyHashlock(signP2PKProofs([opened], bob.priv)[0]);
+    assert.equal(check.success, true);
+    assert.equal(check.path, 'MAIN');
+  });
+  
+  it('opens the refund path without the preimage once the locktime has passed', () => {
+    const { hash } = htlc.newPreimage();
+    const refundable = (locktime) => signP2PKProofs([locked({ hash, pubkeys: [bob.pub], refundKeys: [carol.pub], locktime })], carol.priv)[0];
+    
+    assert.equal(htlc.verifyHashlock(refundable(later())).success, false);
+    const check = htlc.verifyHashlock(refundable(past()));
+    assert.equal(check.success, true);
+    assert.equal(check.path, 'REFUND');
+    
+    assert.equal(htlc.verifyHashlock(locked({ hash, locktime: past() })).path, 'UNLOCKED');
+  });
+  
+  it('reads the preimage a spent proof revealed, if it opens the hashlock', () => {
+    const { preimage, hash } = htlc.newPreimage();
+    const proof = locked({ hash });
+    assert.equal(htlc.revealedPreimage(proof, JSON.stringify({ preimage, signatures: [] })), preimage);
+    assert.equal(htlc.revealedPreimage(proof, { preimage }), preimage);
+    assert.equal(htlc.revealedPreimage(proof, JSON.stringify({ preimage: htlc.newPreimage().preimage })), null);
+    assert.equal(htlc.revealedPreimage(proof, JSON.stringify({ signatures: ['sig'] })), null);
+    assert.equal(htlc.revealedPreimage(proof, null), null);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Token inspection: spending conditions, named keys, DLEQ proofs and,
+ * with check, the mint's NUT-07 states, against a stand-in mint
+ *
+ * The stand-in is a cashu-ts Mint whose requests are answered here: it
+ * signs with its own keys, DLEQ proofs included, and reports the proofs
+ * each test marks spent. The wallet is a JSON wallet under a temporary
+ * HOME, with a nostr.env of its own.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-inspect-'));
+process.env.HOME = HOME;
+process.env.HEXNUTS_STORAGE = 'json';
+delete process.env.HEXNUTS_WALLET;
+delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+delete process.env.ARCHON_PASSPHRASE;
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { bech32 } = require('@scure/base');
+const { secp256k1 } = require('@noble/curves/secp256k1.js');
+const {
+  Mint,
+  Wallet,
+  OutputData,
+  CheckStateEnum,
+  createNewMintKeys,
+  createBlindSignature,
+  createDLEQProof,
+  pointFromHex,
+  hashToCurve,
+  getEncodedTokenV4
+} = require('@cashu/cashu-ts');
+const store = require('../scripts/wallet-store');
+const inspect = require('../lib/inspect');
+const htlc = require('../lib/htlc');
+const { NOSTR_ENV } = require('../lib/paths');
+const { cacheMint } = require('../lib/wallet');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+const MINT = 'https://inspect.mint.example';
+const FEE_PPK = 400;
+
+const mintKeys = createNewMintKeys(4, new Uint8Array(crypto.randomBytes(32)), { input_fee_ppk: FEE_PPK });
+const keyset = {
+  id: mintKeys.keysetId,
+  unit: 'sat',
+  keys: Object.fromEntries(Object.entries(mintKeys.pubKeys).map(([a, k]) => [a, Buffer.from(k).toString('hex')]))
+};
+
+function sign({ amount, B_ }) {
+  const point = pointFromHex(B_);
+  const { s, e } = createDLEQProof(point, mintKeys.privKeys[amount]);
+  return {
+    id: keyset.id,
+    amount,
+    C_: createBlindSignature(point, mintKeys.privKeys[amount], amount, keyset.id).C_.toHex(true),
+    dleq: { s: Buffer.from(s).toString('hex'), e: Buffer.from(e).toString('hex') }
+  };
+}
+
+function keypair() {
+  const priv = crypto.randomBytes(32).toString('hex');
+  return { priv, pub: Buffer.from(secp256k1.getPublicKey(Buffer.from(priv, 'hex'), true)).toString('hex') };
+}
+
+const Y = (proof) => hashToCurve(new TextEncoder().encode(proof.secret)).toHex(true);
+
+/**
+ * The mint's side: spent proofs by Y, and every path asked for
+ */
+const spent = new Set();
+const asked = [];
+
+const answers = {
+  '/v1/info': () => ({ name: 'stand-in', version: 'stand-in/0', nuts: {} }),
+  '/v1/keysets': () => ({ keysets: [{ id: keyset.id, unit: 'sat', active: true, input_fee_ppk: FEE_PPK }] }),
+  '/v1/keys': () => ({ keysets: [keyset] }),
+  '/v1/checkstate': ({ Ys }) => ({
+    states: Ys.map(y => ({ Y: y, state: spent.has(y) ? CheckStateEnum.SPENT : CheckStateEnum.UNSPENT, witness: null }))
+  })
+};
+
+const mint = new Mint(MINT, {
+  customRequest: async ({ endpoint, requestBody }) => {
+    const { pathname } = new URL(endpoint);
+    asked.push(pathname);
+    return answers[pathname](requestBody);
+  }
+});
+
+const signed = (outputs) => outputs.map(o => o.toProof(sign(o.blindedMessage), keyset));
+
+const [own, bob, carol] = [keypair(), keypair(), keypair()];
+const BOB_DID = 'did:test:bob';
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('inspect', () => {
+  const wallet = new HexNutsWallet({ mint: MINT });
+  wallet.wallet = async () => {
+    const standIn = new Wallet(mint, { unit: 'sat' });
+    await standIn.loadMint();
+    cacheMint(MINT, standIn);
+    return standIn;
+  };
+  
+  fs.mkdirSync(path.dirname(NOSTR_ENV), { recursive: true });
+  fs.writeFileSync(NOSTR_ENV, `NOSTR_PUBLIC_KEY_HEX="${own.pub.slice(2)}"\nNOSTR_SECRET_KEY_HEX="${own.priv}"\n`);
+  store.recordTransaction({ type: 'lock', mint: MINT, amount: 1, pubkeys: [bob.pub], recipients: [BOB_DID] });
+  
+  it('reads the conditions in each proof\'s secret', () => {
+    const locktime = Math.floor(Date.now() / 1000) + 3600;
+    const [locked] = signed(OutputData.createP2PKData({
+      pubkey: [bob.pub, carol.pub],
+      requiredSignatures: 2,
+      locktime,
+      refundKeys: [own.pub],
+      sigFlag: 'SIG_ALL',
+      additionalTags: [['memo', 'rent']]
+    }, 2, keyset));
+    assert.deepEqual(inspect.conditionOf(locked), {
+      kind: 'P2PK',
+      hash: null,
+      pubkeys: [bob.pub, carol.pub],
+      threshold: 2,
+      locktime,
+      refundPubkeys: [own.pub],
+      refundThreshold: 1,
+      sigFlag: 'SIG_ALL',
+      otherTags: [['memo', 'rent']]
+    });
+    
+    const { hash } = htlc.newPreimage();
+    const hashlocked = inspect.conditionOf(signed([htlc.hashlockOutputs({ hash, pubkeys: [carol.pub] }).factory(1, keyset)])[0]);
+    assert.deepEqual([hashlocked.kind, hashlocked.hash, hashlocked.pubkeys, hashlocked.threshold], ['HTLC', hash, [carol.pub], 1]);
+    
+    const unknown = inspect.conditionOf({ secret: JSON.stringify(['DLC', { nonce: '00', data: 'ab', tags: [['x', '1']] }]) });
+    assert.deepEqual([unknown.kind, unknown.otherTags, unknown.threshold], ['DLC', [['x', '1']], 0]);
+    assert.equal(inspect.conditionOf({ secret: crypto.randomBytes(32).toString('hex') }).kind, null);
+  });
+  
+  it('groups proofs by their conditions, in order', () => {
+    const plainProofs = signed(OutputData.createRandomData(3, keyset));
+    const lockedProofs = signed(OutputData.createP2PKData({ pubkey: bob.pub }, 6, keyset));
+    const groups = inspect.groupByCondition([plainProofs[0], ...lockedProofs, plainProofs[1]]);
+    assert.deepEqual(groups.map(g => [g.condition.kind, g.proofs.length]), [[null, 2], ['P2PK', 2]]);
+  });
+  
+  it('names keys by npub, DID and whether they are ours', () => {
+    const npub = bech32.encode('npub', bech32.toWords(Buffer.from(bob.pub.slice(2), 'hex')));
+    assert.equal(inspect.npubOf(bob.pub), npub);
+    assert.equal(inspect.npubOf(bob.pub.slice(2)), npub);
+    
+    const known = { own: own.pub, dids: new Map([[bob.pub.slice(2), BOB_DID]]) };
+    assert.deepEqual(inspect.identify(bob.pub, known), { pubkey: bob.pub, npub, did: BOB_DID, own: false });
+    assert.equal(inspect.identify(own.pub.slice(2).toUpperCase(), known).own, true);
+    assert.equal(inspect.identify(carol.pub, { own: null, dids: new Map() }).did, null);
+  });
+  
+  it('checks DLEQ proofs against the keyset, offline', () => {
+    const [proof] = signed(OutputData.createRandomData(4, keyset));
+    assert.equal(inspect.dleqOf(proof, keyset), 'valid');
+    assert.equal(inspect.dleqOf({ ...proof, C: keyset.keys[4] }, keyset), 'invalid');
+    assert.equal(inspect.dleqOf({ ...proof, amount: 64 }, keyset), 'invalid');
+    assert.equal(inspect.dleqOf(proof, null), 'unverified');
+    const { dleq, ...bare } = proof;
+    assert.equal(inspect.dleqOf(bare, keyset), 'missing');
+  });
+  
+  it('rounds the input fee up, once every keyset is known', () => {
+    const proofs = [{ id: 'a' }, { id: 'a' }, { id: 'b' }];
+    assert.equal(inspect.inputFee(proofs, { a: { input_fee_ppk: 400 }, b: { input_fee_ppk: 100 } }), 1);
+    assert.equal(inspect.inputFee(proofs, { a: { input_fee_ppk: 600 }, b: {} }), 2);
+    assert.equal(inspect.inputFee(proofs, { a: {} }), null);
+  });
+  
+  it('inspects a mixed token, and asks the mint for its states with check', async () => {
+    const plainProofs = signed(OutputData.createRandomData(3, keyset));
+    const lockedProofs = signed(OutputData.createP2PKData({ pubkey: [bob.pub, own.pub], requiredSignatures: 2 }, 4, keyset));
+    const { dleq, ...undisclosed } = plainProofs[1];
+    const proofs = [plainProofs[0], undisclosed, ...lockedProofs];
+    const token = getEncodedTokenV4({ mint: MINT, unit: 'sat', memo: 'split', proofs });
+    
+    // Only the keysets are loaded, to expand the token's short keyset ID
+    const offline = await wallet.inspect(token);
+    assert.deepEqual([offline.amount, offline.proofs, offline.memo, offline.p2pk], [7, 3, 'split', true]);
+    assert.deepEqual(offline.denominations, { 1: 1, 2: 1, 4: 1 });
+    assert.deepEqual(offline.conditions.map(c => [c.kind, c.amount, c.proofs]), [[null, 3, 2], ['P2PK', 4, 1]]);
+    assert.deepEqual(offline.conditions[1].pubkeys.map(k => [k.did, k.own]), [[BOB_DID, false], [null, true]]);
+    assert.deepEqual(offline.dleq, { valid: 2, invalid: 0, missing: 1, unverified: 0 });
+    assert.deepEqual(offline.keysets, [{ id: keyset.id, proofs: 3, known: true, active: true, inputFeePpk: FEE_PPK }]);
+    assert.equal(offline.fee, 2);
+    assert.deepEqual([offline.checked, offline.states, offline.details.map(d => d.state)], [false, null, [null, null, null]]);
+    assert.equal(asked.includes('/v1/checkstate'), false);
+    
+    spent.add(Y(lockedProofs[0]));
+    const checked = await wallet.inspect(token, { check: true });
+    assert.deepEqual(checked.states, { UNSPENT: 2, PENDING: 0, SPENT: 1 });
+    assert.deepEqual(checked.details.map(d => [d.condition, d.dleq, d.state]), [
+      [0, 'valid', CheckStateEnum.UNSPENT],
+      [0, 'missing', CheckStateEnum.UNSPENT],
+      [1, 'valid', CheckStateEnum.SPENT]
+    ]);
+    
+    await assert.rejects(wallet.inspect('cashuBnot-a-token'), { code: 'INVALID_TOKEN' });
+    await assert.rejects(wallet.inspect(), { code: 'USAGE' });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * HexNutsWallet as a library: what index.js exports, and the typed
+ * errors calls fail with before any mint is contacted
+ *
+ * The wallet is a JSON wallet under a temporary HOME, funded with
+ * made-up proofs; every call here stops at a check short of the mint.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-library-'));
+process.env.HOME = HOME;
+process.env.HEXNUTS_STORAGE = 'json';
+delete process.env.HEXNUTS_WALLET;
+delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+delete process.env.ARCHON_PASSPHRASE;
+delete process.env.HEXNUTS_AGENT;
+
+// Options a script would take out of argv: a library leaves them alone
+const ARGV = [...process.argv];
+process.argv.push('--wallet', 'elsewhere', '--json');
+
+const { describe, it, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const hexnuts = require('..');
+const store = require('../scripts/wallet-store');
+const { POLICY_FILE, ensureConfigDir } = require('../lib/paths');
+
+const { HexNutsWallet, HexNutsError } = hexnuts;
+const MINT = 'https://mint.example';
+
+const proof = (amount) => ({ id: '00ad268c4d1f5826', amount, secret: crypto.randomBytes(16).toString('hex'), C: '02' + '11'.repeat(32) });
+
+const usePolicy = (policy) => {
+  ensureConfigDir();
+  fs.writeFileSync(POLICY_FILE, JSON.stringify(policy));
+};
+
+after(() => {
+  process.argv = ARGV;
+  fs.rmSync(HOME, { recursive: true, force: true });
+});
+
+describe('library', () => {
+  const wallet = new HexNutsWallet({ mint: MINT });
+  store.addProofsForMint(MINT, [proof(8), proof(2)]);
+  
+  afterEach(() => fs.rmSync(POLICY_FILE, { force: true }));
+  
+  it('exports the wallet and its errors, and leaves argv alone', () => {
+    assert.equal(typeof HexNutsWallet, 'function');
+    const errors = Object.entries(hexnuts).filter(([name]) => name.endsWith('Error'));
+    assert.ok(errors.length >= 10);
+    for (const [name, ErrorClass] of errors) {
+      assert.ok(ErrorClass === HexNutsError || ErrorClass.prototype instanceof HexNutsError, name);
+    }
+    assert.deepEqual(process.argv.slice(-3), ['--wallet', 'elsewhere', '--json']);
+  });
+  
+  it('reads balances from the local wallet', async () => {
+    assert.deepEqual(await wallet.balance(), {
+      balance: 10,
+      pending: 0,
+      mints: [{ mint: MINT, balance: 10, proofs: 2, pending: 0 }]
+    });
+    assert.deepEqual(await wallet.balance({ mint: 'https://other.example' }), { mint: 'https://other.example', balance: 0, pending: 0 });
+  });
+  
+  it('fails with typed errors carrying their details', async () => {
+    for (const amount of [0, -1, 1.5, '5']) {
+      await assert.rejects(wallet.send(amount), (e) => e instanceof hexnuts.InvalidArgumentError && e.code === 'USAGE');
+    }
+    
+    const short = await wallet.send(11).catch(e => e);
+    assert.ok(short instanceof hexnuts.InsufficientBalanceError);
+    assert.deepEqual([short.code, short.mint, short.needed, short.available], ['INSUFFICIENT_BALANCE', MINT, 11, 10]);
+    
+    usePolicy({ maxPerTransaction: 4 });
+    const denied = await wallet.send(5).catch(e => e);
+    assert.ok(denied instanceof hexnuts.PolicyViolationError);
+    assert.equal(denied.rule, 'maxPerTransaction');
+  });
+  
+  it('asks the confirm hook, and parks spends over the approval threshold', async () => {
+    const asked = [];
+    const confirm = async (spend) => {
+      asked.push(spend);
+      return false;
+    };
+    await assert.rejects(wallet.send(3, { confirm }), { code: 'NOT_CONFIRMED', spend: { action: 'send', mint: MINT, amount: 3 } });
+    assert.deepEqual(asked, [{ action: 'send', mint: MINT, amount: 3 }]);
+    
+    usePolicy({ requireApprovalAbove: 2 });
+    const parked = await wallet.forAgent('bot').send(3).catch(e => e);
+    assert.ok(parked instanceof hexnuts.ApprovalRequiredError);
+    assert.equal(parked.threshold, 2);
+    const request = wallet.approval(parked.request);
+    assert.deepEqual([request.agent, request.method, request.args], ['bot', 'send', [3, { mint: MINT, verify: false }]]);
+    assert.equal(store.getBalanceForMint(MINT), 10);
+  });
+  
+  it('throws instead of exiting when the profile is unknown', () => {
+    const result = spawnSync(process.execPath, ['-e', `
+      try {
+        require(${JSON.stringify(path.join(__dirname, '..'))});
+      } catch (e) {
+        console.log(e instanceof Error && e.code);
+      }
+    `], { env: { ...process.env, HEXNUTS_WALLET: 'nobody' }, encoding: 'utf8', timeout: 60000 });
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout.trim(), 'UNKNOWN_WALLET');
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * LNURL-pay against a local stand-in service
+ *
+ * The service answers on 127.0.0.1 (plain http is allowed there) with a
+ * pay request per name, and signs real bolt11 invoices for its callback.
+ * Some names misbehave on purpose:
+ *
+ *   nobody    pay request answers {status: 'ERROR'}
+ *   wrongamt  invoice for 1 sat more than asked
+ *   badhash   invoice whose description hash isn't the metadata's
+ *   broke     callback answers {status: 'ERROR'}
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { bech32 } = require('@scure/base');
+const { secp256k1 } = require('@noble/curves/secp256k1.js');
+const lnurl = require('../lib/lnurl');
+const { decodeInvoice } = require('../lib/bolt11');
+
+const NODE_KEY = crypto.randomBytes(32);
+const MIN_SENDABLE = 10 * 1000;
+const MAX_SENDABLE = 100 * 1000;
+const COMMENT_ALLOWED = 10;
+
+function intWords(n, length) {
+  const words = [];
+  for (let i = 0; i < length; i++) {
+    words.unshift(n % 32);
+    n = Math.floor(n / 32);
+  }
+  return words;
+}
+
+function tagged(type, words) {
+  return [type, Math.floor(words.length / 32), words.length % 32, ...words];
+}
+
+function wordsToBytes(words) {
+  const bytes = [];
+  let acc = 0;
+  let bits = 0;
+  for (const w of words) {
+    acc = (acc << 5) | w;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (bits > 0) bytes.push((acc << (8 - bits)) & 0xff);
+  return Buffer.from(bytes);
+}
+
+// A signed bolt11 invoice for msat (a multiple of 100) committing to descriptionHash
+function invoice(msat, descriptionHash) {
+  const prefix = `lnbc${msat / 100}n`;
+  const data = [
+    ...intWords(Math.floor(Date.now() / 1000), 7),
+    ...tagged(1, bech32.toWords(crypto.randomBytes(32))),
+    ...tagged(23, bech32.toWords(descriptionHash)),
+    ...tagged(6, intWords(3600, 2))
+  ];
+  const hash = crypto.createHash('sha256').update(Buffer.concat([Buffer.from(prefix), wordsToBytes(data)])).digest();
+  const sig = secp256k1.sign(hash, NODE_KEY, { prehash: false, format: 'recovered' });
+  const signature = Buffer.concat([Buffer.from(sig.subarray(1)), Buffer.from([sig[0]])]);
+  return bech32.encode(prefix, [...data, ...bech32.toWords(signature)], false);
+}
+
+const metadata = (name) => JSON.stringify([['text/plain', `Pay ${name}`], ['text/identifier', name]]);
+
+describe('lnurl', () => {
+  let server;
+  let host;
+  const calls = [];
+  
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, `http://${host}`);
+      const send = (body, status = 200) => {
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+      
+      let match = /^\/\.well-known\/lnurlp\/(\w+)$/.exec(url.pathname);
+      if (match) {
+        const name = match[1];
+        if (name === 'nobody') return send({ status: 'ERROR', reason: 'No such user' }, 404);
+        return send({
+          tag: 'payRequest',
+          callback: `http://${host}/callback/${name}`,
+          minSendable: MIN_SENDABLE,
+          maxSendable: MAX_SENDABLE,
+          metadata: metadata(name),
+          commentAllowed: COMMENT_ALLOWED
+        });
+      }
+      
+      match = /^\/callback\/(\w+)$/.exec(url.pathname);
+      if (match) {
+        const name = match[1];
+        const msat = Number(url.searchParams.get('amount'));
+        calls.push({ name, msat, comment: url.searchParams.get('comment') });
+        if (name === 'broke') return send({ status: 'ERROR', reason: 'Node offline' });
+        const hash = crypto.createHash('sha256').update(name === 'badhash' ? 'something else' : metadata(name)).digest();
+        return send({
+          pr: invoice(name === 'wrongamt' ? msat + 1000 : msat, hash),
+          routes: [],
+          successAction: { tag: 'message', message: `Thanks from ${name}` }
+        });
+      }
+      
+      send({ status: 'ERROR', reason: 'Not found' }, 404);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    host = `127.0.0.1:${server.address().port}`;
+  });
+  
+  after(() => new Promise(resolve => server.close(resolve)));
+  
+  it('resolves a Lightning address and fetches a matching invoice', async () => {
+    const payRequest = await lnurl.resolvePayRequest(`alice@${host}`);
+    assert.equal(payRequest.address, `alice@${host}`);
+    assert.equal(payRequest.description, 'Pay alice');
+    assert.equal(payRequest.commentAllowed, COMMENT_ALLOWED);
+    
+    const { invoice: pr, successAction } = await lnurl.fetchInvoice(payRequest, 21, { comment: 'thanks' });
+    const decoded = decodeInvoice(pr);
+    assert.equal(decoded.amount, 21);
+    assert.equal(decoded.payee, Buffer.from(secp256k1.getPublicKey(NODE_KEY, true)).toString('hex'));
+    assert.deepEqual(successAction, { tag: 'message', message: 'Thanks from alice' });
+    assert.deepEqual(calls.at(-1), { name: 'alice', msat: 21000, comment: 'thanks' });
+  });
+  
+  it('resolves an LNURL to the same pay request', async () => {
+    const url = `http://${host}/.well-known/lnurlp/alice`;
+    const encoded = bech32.encode('lnurl', bech32.toWords(Buffer.from(url)), Number.MAX_SAFE_INTEGER);
+    const payRequest = await lnurl.resolvePayRequest(encoded.toUpperCase());
+    assert.equal(payRequest.address, null);
+    assert.equal(payRequest.url, url);
+    assert.equal(payRequest.callback, `http://${host}/callback/alice`);
+  });
+  
+  it('refuses amounts outside the service\'s range before asking it', async () => {
+    const payRequest = await lnurl.resolvePayRequest(`alice@${host}`);
+    const asked = calls.length;
+    await assert.rejects(lnurl.fetchInvoice(payRequest, 9), { code: 'USAGE', message: /accepts 10 to 100 sats, not 9/ });
+    await assert.rejects(lnurl.fetchInvoice(payRequest, 101), { code: 'USAGE', message: /not 101/ });
+    assert.equal(calls.length, asked);
+  });
+  
+  it('refuses an invoice for another amount', async () => {
+    const payRequest = await lnurl.resolvePayRequest(`wrongamt@${host}`);
+    await assert.rejects(lnurl.fetchInvoice(payRequest, 20), {
+      code: 'LNURL_ERROR',
+      message: /invoice for 21000 msat, not 20000 msat/
+    });
+  });
+  
+  it('refuses an invoice whose description hash doesn\'t match the metadata', async () => {
+    const payRequest = await lnurl.resolvePayRequest(`badhash@${host}`);
+    await assert.rejects(lnurl.fetchInvoice(payRequest, 20), { code: 'LNURL_ERROR', message: /description hash/ });
+  });
+  
+  it('refuses a comment longer than the service accepts', async () => {
+    const payRequest = await lnurl.resolvePayRequest(`alice@${host}`);
+    const asked = calls.length;
+    await assert.rejects(lnurl.fetchInvoice(payRequest, 20, { comment: 'x'.repeat(COMMENT_ALLOWED + 1) }), {
+      code: 'USAGE',
+      message: /comments of up to 10 characters/
+    });
+    assert.equal(calls.length, asked);
+  });
+  
+  it('reports the service\'s error responses', async () => {
+    await assert.rejects(lnurl.resolvePayRequest(`nobody@${host}`), { code: 'LNURL_ERROR', message: /No such user/ });
+    
+    const payRequest = await lnurl.resolvePayRequest(`broke@${host}`);
+    await assert.rejects(lnurl.fetchInvoice(payRequest, 20), { code: 'LNURL_ERROR', message: /Node offline/ });
+  });
+});
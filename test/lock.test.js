@@ -0,0 +1,125 @@
+/**
+ * Cross-process lock files, in a temporary directory
+ *
+ * Other owners are played by lock files written by hand (a live pid, a
+ * pid that has exited, another host) and by a child process holding a
+ * real lock.
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { STALE_AFTER, withLock, withLockSync } = require('../lib/lock');
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-lock-'));
+
+let files = 0;
+const lockFile = () => path.join(DIR, `wallet-${++files}.lock`);
+
+const ownNamespace = () => {
+  try {
+    return fs.readlinkSync('/proc/self/ns/pid');
+  } catch (e) {
+    return null;
+  }
+};
+
+// A lock file as another owner would leave it
+function foreignLock(file, info, { age = 0 } = {}) {
+  fs.writeFileSync(file, typeof info === 'object' ? JSON.stringify(info) : String(info));
+  const time = new Date(Date.now() - age);
+  fs.utimesSync(file, time, time);
+}
+
+const exitedPid = () => spawnSync(process.execPath, ['-e', '']).pid;
+
+describe('lock', () => {
+  after(() => fs.rmSync(DIR, { recursive: true, force: true }));
+  
+  it('holds the lock file only while fn runs', async () => {
+    const file = lockFile();
+    assert.equal(withLockSync(file, () => {
+      assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).pid, process.pid);
+      return 'sync';
+    }), 'sync');
+    assert.equal(fs.existsSync(file), false);
+    
+    assert.throws(() => withLockSync(file, () => {
+      throw new Error('inside');
+    }), /inside/);
+    await assert.rejects(withLock(file, async () => {
+      throw new Error('inside');
+    }), /inside/);
+    assert.equal(fs.existsSync(file), false);
+  });
+  
+  it('lets nested async calls in the same chain through', async () => {
+    const file = lockFile();
+    const result = await withLock(file, () => withLock(file, () => withLock(file, async () => 'nested'), { timeout: 100 }));
+    assert.equal(result, 'nested');
+    assert.equal(fs.existsSync(file), false);
+  });
+  
+  it('runs concurrent async holders one after the other', async () => {
+    const file = lockFile();
+    const events = [];
+    const hold = (name) => withLock(file, async () => {
+      events.push(`${name} in`);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      events.push(`${name} out`);
+    });
+    await Promise.all([hold('a'), hold('b')]);
+    assert.deepEqual(events, ['a in', 'a out', 'b in', 'b out']);
+  });
+  
+  it('waits for a live owner and says who it is', async () => {
+    const file = lockFile();
+    const owner = { pid: process.pid, hostname: os.hostname(), ns: ownNamespace(), acquiredAt: '2024-01-01T00:00:00.000Z' };
+    foreignLock(file, owner);
+    
+    assert.throws(() => withLockSync(file, () => {}, { timeout: 100 }), {
+      code: 'LOCK_TIMEOUT',
+      message: `Wallet is busy: ${file} is held by pid ${process.pid} since 2024-01-01T00:00:00.000Z`
+    });
+    await assert.rejects(withLock(file, async () => {}, { timeout: 100 }), { code: 'LOCK_TIMEOUT' });
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), owner);
+  });
+  
+  it('takes over a lock whose process is gone', () => {
+    const file = lockFile();
+    foreignLock(file, { pid: exitedPid(), hostname: os.hostname(), ns: ownNamespace() });
+    assert.equal(withLockSync(file, () => 'taken', { timeout: 100 }), 'taken');
+    
+    foreignLock(file, exitedPid());
+    assert.equal(withLockSync(file, () => 'taken', { timeout: 100 }), 'taken');
+  });
+  
+  it('goes by the heartbeat for owners on other hosts', () => {
+    const file = lockFile();
+    foreignLock(file, { pid: exitedPid(), hostname: 'elsewhere' });
+    assert.throws(() => withLockSync(file, () => {}, { timeout: 100 }), { message: /held by pid \d+ on elsewhere/ });
+    
+    foreignLock(file, { pid: exitedPid(), hostname: 'elsewhere' }, { age: STALE_AFTER + 1000 });
+    assert.equal(withLockSync(file, () => 'taken', { timeout: 100 }), 'taken');
+  });
+  
+  it('waits for another process holding the lock', async () => {
+    const file = lockFile();
+    const child = spawn(process.execPath, ['-e', `
+      require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'lock'))}).withLock(${JSON.stringify(file)}, async () => {
+        console.log('held');
+        await new Promise(resolve => setTimeout(resolve, 300));
+      });
+    `]);
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    await new Promise(resolve => child.stdout.once('data', resolve));
+    
+    await assert.rejects(withLock(file, async () => {}, { timeout: 50 }), { message: new RegExp(`held by pid ${child.pid}`) });
+    const owner = await withLock(file, async () => JSON.parse(fs.readFileSync(file, 'utf8')).pid, { timeout: 10000 });
+    assert.equal(owner, process.pid);
+    await exited;
+  });
+});
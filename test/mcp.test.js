@@ -0,0 +1,212 @@
+/**
+ * MCP sessions and transports, over a stand-in wallet
+ *
+ * The wallet records its calls and asks the confirm hook about sends the
+ * way HexNutsWallet does. HTTP clients are real API clients under a
+ * temporary HOME.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-mcp-'));
+process.env.HOME = HOME;
+delete process.env.HEXNUTS_WALLET;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const clients = require('../lib/clients');
+const { McpSession, serveStdio, createHttpServer } = require('../lib/mcp');
+const { SpendNotConfirmedError } = require('../lib/errors');
+
+const MINT = 'https://mint.example';
+
+function standInWallet(calls = []) {
+  const forAgent = (agent) => ({
+    forAgent,
+    balance: async (options) => {
+      calls.push({ agent, method: 'balance', options });
+      return { balance: 21 };
+    },
+    send: async (amount, { confirm } = {}) => {
+      const spend = { action: 'send', amount, mint: MINT };
+      if (confirm && !await confirm(spend)) throw new SpendNotConfirmedError(spend);
+      calls.push({ agent, method: 'send', amount });
+      return { amount, token: 'cashuB...' };
+    }
+  });
+  return forAgent(null);
+}
+
+const rpc = (id, method, params) => ({ jsonrpc: '2.0', id, method, params });
+const callTool = (id, name, args) => rpc(id, 'tools/call', { name, arguments: args });
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('mcp session', () => {
+  it('negotiates the protocol version', async () => {
+    const session = new McpSession(standInWallet(), { info: { version: '1.2.3' } });
+    const { result } = await session.handle(rpc(1, 'initialize', { protocolVersion: '2025-03-26', capabilities: {} }));
+    assert.equal(result.protocolVersion, '2025-03-26');
+    assert.deepEqual(result.serverInfo, { name: 'hexnuts', version: '1.2.3' });
+    
+    const newest = await session.handle(rpc(2, 'initialize', { protocolVersion: '1999-01-01' }));
+    assert.equal(newest.result.protocolVersion, '2025-06-18');
+  });
+  
+  it('answers JSON-RPC errors for bad messages', async () => {
+    const session = new McpSession(standInWallet());
+    assert.equal((await session.handle({ id: 1, method: 'ping' })).error.code, -32600);
+    assert.equal((await session.handle(rpc(2, 'resources/list'))).error.code, -32601);
+    assert.equal((await session.handle(callTool(3, 'steal', {}))).error.code, -32602);
+    assert.equal((await session.handle(callTool(4, 'balance', [1]))).error.code, -32602);
+    assert.equal(await session.handle({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+    assert.deepEqual(await session.handle(rpc(5, 'ping')), { jsonrpc: '2.0', id: 5, result: {} });
+  });
+  
+  it('lists and runs only the tools the permissions allow', async () => {
+    const calls = [];
+    const session = new McpSession(standInWallet(calls), { permissions: ['balance'] });
+    const { result } = await session.handle(rpc(1, 'tools/list'));
+    assert.deepEqual(result.tools.map(t => t.name).sort(), ['approval_status', 'balance', 'decode_invoice']);
+    
+    const balance = await session.handle(callTool(2, 'balance', { mint: MINT }));
+    assert.deepEqual(balance.result.structuredContent, { balance: 21 });
+    assert.deepEqual(calls, [{ agent: null, method: 'balance', options: { mint: MINT } }]);
+    
+    const send = await session.handle(callTool(3, 'send_token', { amount: 5 }));
+    assert.equal(send.result.isError, true);
+    assert.deepEqual(send.result.structuredContent.error, {
+      code: 'FORBIDDEN',
+      message: 'This client may not use send_token (needs "send")'
+    });
+    assert.equal(calls.length, 1);
+  });
+  
+  it('asks the user about spends above confirmAbove', async () => {
+    const calls = [];
+    const session = new McpSession(standInWallet(calls), { confirmAbove: 10 });
+    
+    assert.equal((await session.handle(callTool(1, 'send_token', { amount: 10 }))).result.isError, undefined);
+    
+    const unasked = await session.handle(callTool(2, 'send_token', { amount: 11 }));
+    assert.equal(unasked.result.structuredContent.error.code, 'NOT_CONFIRMED');
+    assert.match(unasked.result.structuredContent.error.message, /can't ask the user/);
+    
+    await session.handle(rpc(3, 'initialize', { capabilities: { elicitation: {} } }));
+    for (const [approve, isError] of [[true, undefined], [false, true]]) {
+      const sent = [];
+      const send = (message) => {
+        sent.push(message);
+        session.handle({ jsonrpc: '2.0', id: message.id, result: { action: 'accept', content: { approve } } });
+      };
+      const answer = await session.handle(callTool(4, 'send_token', { amount: 50 }), send);
+      assert.equal(answer.result.isError, isError);
+      assert.equal(sent[0].method, 'elicitation/create');
+      assert.match(sent[0].params.message, /^Send a 50 sat token from https:\/\/mint\.example\?$/);
+    }
+    assert.deepEqual(calls.map(c => c.amount), [10, 50]);
+  });
+  
+  it('serves a session over stdio', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const done = serveStdio(new McpSession(standInWallet()), { input, output });
+    input.end('not json\n\n' + JSON.stringify(rpc(1, 'ping')) + '\n');
+    await done;
+    
+    await new Promise(resolve => setImmediate(resolve));
+    const lines = output.read().toString().trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines, [
+      { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } },
+      { jsonrpc: '2.0', id: 1, result: {} }
+    ]);
+  });
+});
+
+describe('mcp http', () => {
+  let server;
+  let url;
+  let viewer;
+  let spender;
+  const calls = [];
+  
+  const post = (token, message, { session, accept } = {}) => fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(session && { 'Mcp-Session-Id': session }),
+      ...(accept && { Accept: accept })
+    },
+    body: JSON.stringify(message)
+  });
+  
+  const initialize = async (token, capabilities = {}) => {
+    const res = await post(token, rpc(0, 'initialize', { capabilities }));
+    assert.equal(res.status, 200);
+    return res.headers.get('mcp-session-id');
+  };
+  
+  before(async () => {
+    viewer = clients.addClient('viewer').token;
+    spender = clients.addClient('spender', clients.parsePermissions('balance,send')).token;
+    server = createHttpServer(standInWallet(calls), { confirmAbove: 10 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/mcp`;
+  });
+  
+  after(() => new Promise(resolve => server.close(resolve)));
+  
+  it('needs a client token', async () => {
+    const res = await post(null, rpc(1, 'initialize', {}));
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).error.message, 'Missing or unknown API token');
+  });
+  
+  it('binds sessions to the client that started them', async () => {
+    const session = await initialize(viewer);
+    const list = await (await post(viewer, rpc(1, 'tools/list'), { session })).json();
+    assert.deepEqual(list.result.tools.map(t => t.name).sort(), ['approval_status', 'balance', 'decode_invoice', 'history']);
+    
+    await post(viewer, callTool(2, 'balance', {}), { session });
+    assert.equal(calls.at(-1).agent, 'viewer');
+    
+    assert.equal((await post(spender, rpc(3, 'tools/list'), { session })).status, 404);
+    assert.equal((await post(viewer, rpc(4, 'tools/list'))).status, 400);
+    assert.equal((await fetch(url, { headers: { Authorization: `Bearer ${viewer}` } })).status, 405);
+    
+    const end = () => fetch(url, { method: 'DELETE', headers: { Authorization: `Bearer ${viewer}`, 'Mcp-Session-Id': session } });
+    assert.equal((await end()).status, 200);
+    assert.equal((await end()).status, 404);
+  });
+  
+  it('asks for confirmation on the tool call\'s event stream', async () => {
+    const session = await initialize(spender, { elicitation: {} });
+    const res = await post(spender, callTool(1, 'send_token', { amount: 50 }), { session, accept: 'application/json, text/event-stream' });
+    assert.equal(res.headers.get('content-type'), 'text/event-stream');
+    
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffer.indexOf('\n\n')) >= 0) {
+        const message = JSON.parse(/^data: (.*)$/m.exec(buffer.slice(0, end))[1]);
+        buffer = buffer.slice(end + 2);
+        events.push(message);
+        if (message.method === 'elicitation/create') {
+          const answer = { jsonrpc: '2.0', id: message.id, result: { action: 'accept', content: { approve: true } } };
+          assert.equal((await post(spender, answer, { session })).status, 202);
+        }
+      }
+    }
+    
+    assert.equal(events.length, 2);
+    assert.deepEqual(events[1].result.structuredContent, { amount: 50, token: 'cashuB...' });
+    assert.deepEqual(calls.at(-1), { agent: 'spender', method: 'send', amount: 50 });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Planning multi-path payments (NUT-15), against stand-in mints
+ *
+ * Planning only asks for quotes: each stand-in quotes the amount at the
+ * end of an invoice (or the msat it is asked to pay of it) with a fee
+ * reserve of 2 sats, and records what it was asked.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const multipath = require('../lib/multipath');
+
+const INVOICE = 'lnbc-invoice-100';
+const FEE = 2;
+
+const amountOf = (request) => parseInt(request.split('-').pop());
+
+/**
+ * A mint that could pay part of the invoice
+ *
+ * @param {string} name
+ * @param {number} available
+ * @param {object} [options]
+ * @param {boolean} [options.mpp]
+ */
+function candidate(name, available, { mpp = false } = {}) {
+  const mint = `https://${name}.mint.example`;
+  const asked = [];
+  const wallet = {
+    asked,
+    getMintInfo: () => ({
+      isSupported: (nut) => ({ supported: nut === 15 && mpp, params: [{ method: 'bolt11', unit: 'sat' }] })
+    }),
+    async createMeltQuote(request) {
+      asked.push(['melt', request]);
+      return { quote: `${name}-melt-${asked.length}`, amount: amountOf(request), fee_reserve: FEE };
+    },
+    async createMultiPathMeltQuote(request, msat) {
+      asked.push(['part', request, msat]);
+      return { quote: `${name}-part-${asked.length}`, amount: msat / 1000, fee_reserve: FEE };
+    },
+    async createMintQuote(amount) {
+      asked.push(['mint', amount]);
+      return { quote: `${name}-mint-${asked.length}`, request: `lnbc-${name}-${amount}` };
+    }
+  };
+  return { mint, wallet, available, mpp };
+}
+
+describe('multipath', () => {
+  it('tells NUT-15 mints by their bolt11 sat support', () => {
+    const info = (supported, params) => ({ getMintInfo: () => ({ isSupported: () => ({ supported, params }) }) });
+    assert.equal(multipath.supportsMpp(info(true, [{ method: 'bolt11', unit: 'sat' }])), true);
+    assert.equal(multipath.supportsMpp(info(true, [{ method: 'bolt11', unit: 'usd' }])), false);
+    assert.equal(multipath.supportsMpp(info(false, [{ method: 'bolt11', unit: 'sat' }])), false);
+    const unloaded = () => {
+      throw new Error('not loaded');
+    };
+    assert.equal(multipath.supportsMpp({ getMintInfo: unloaded }), false);
+  });
+  
+  it('fits a quote and its growing fee reserve into what a mint has', async () => {
+    const tried = [];
+    const quoteFor = async (amount) => {
+      tried.push(amount);
+      return { amount, fee_reserve: Math.ceil(amount / 10) };
+    };
+    assert.deepEqual(await multipath.quoteFitting(55, 100, quoteFor), { amount: 49, fee_reserve: 5 });
+    assert.deepEqual(tried, [55, 49]);
+    assert.equal(await multipath.quoteFitting(0, 100, quoteFor), null);
+  });
+  
+  it('pays from one mint when it can cover it all', async () => {
+    const big = candidate('big', 102);
+    const plan = await multipath.planPayment([candidate('small', 10, { mpp: true }), big], INVOICE, 100);
+    assert.deepEqual(multipath.describePlan(plan), {
+      amount: 100,
+      feeReserve: 2,
+      parts: [{ mint: big.mint, amount: 100, feeReserve: 2, quote: 'big-melt-1' }],
+      transfers: []
+    });
+  });
+  
+  it('splits the invoice across NUT-15 mints, largest first', async () => {
+    const a = candidate('a', 60, { mpp: true });
+    const b = candidate('b', 50, { mpp: true });
+    const plan = multipath.describePlan(await multipath.planPayment([b, a], INVOICE, 100));
+    assert.deepEqual(plan.parts.map(p => [p.mint, p.amount]), [[a.mint, 58], [b.mint, 42]]);
+    assert.equal(plan.feeReserve, 4);
+    assert.deepEqual(plan.transfers, []);
+    assert.deepEqual(b.wallet.asked, [['part', INVOICE, 42000]]);
+  });
+  
+  it('moves in what the NUT-15 mints can\'t cover from the others', async () => {
+    const a = candidate('a', 60, { mpp: true });
+    const c = candidate('c', 80);
+    const plan = await multipath.planPayment([a, c], INVOICE, 100);
+    assert.deepEqual(multipath.describePlan(plan), {
+      amount: 100,
+      feeReserve: 4,
+      parts: [{ mint: a.mint, amount: 100, feeReserve: 2, quote: 'a-melt-3' }],
+      transfers: [{ from: c.mint, to: a.mint, amount: 42, feeReserve: 2 }]
+    });
+    assert.equal(plan.transfers[0].source, c.wallet);
+    assert.equal(plan.transfers[0].mintQuote.request, 'lnbc-a-42');
+  });
+  
+  it('refuses what the mints can\'t pay together, fees included', async () => {
+    await assert.rejects(multipath.planPayment([candidate('a', 60), candidate('b', 39)], INVOICE, 100), {
+      code: 'INSUFFICIENT_BALANCE',
+      needed: 100,
+      available: 99
+    });
+    await assert.rejects(multipath.planPayment([], INVOICE, 100), { code: 'INSUFFICIENT_BALANCE', available: 0 });
+    
+    await assert.rejects(multipath.planPayment([candidate('a', 60), candidate('b', 41)], INVOICE, 100), {
+      code: 'INSUFFICIENT_BALANCE',
+      mint: '2 mints',
+      needed: 104,
+      available: 101
+    });
+  });
+});
@@ -0,0 +1,357 @@
+/**
+ * Pending records and their settlement, against a stand-in mint
+ *
+ * The wallet is a JSON wallet under a temporary HOME. The stand-in
+ * answers NUT-07 states, melt quotes, swaps and NUT-09 restore from what
+ * each test tells it, and signs outputs with its own keys, so change and
+ * reclaimed tokens come back as real proofs. Each test uses its own mint
+ * URL.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-pending-'));
+process.env.HOME = HOME;
+process.env.HEXNUTS_STORAGE = 'json';
+delete process.env.HEXNUTS_WALLET;
+delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+delete process.env.ARCHON_PASSPHRASE;
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { secp256k1 } = require('@noble/curves/secp256k1.js');
+const {
+  OutputData,
+  CheckStateEnum,
+  MeltQuoteState,
+  createNewMintKeys,
+  createBlindSignature,
+  pointFromHex
+} = require('@cashu/cashu-ts');
+const store = require('../scripts/wallet-store');
+const pending = require('../lib/pending');
+
+const mintKeys = createNewMintKeys(4, new Uint8Array(crypto.randomBytes(32)));
+const keyset = {
+  id: mintKeys.keysetId,
+  unit: 'sat',
+  keys: Object.fromEntries(Object.entries(mintKeys.pubKeys).map(([a, k]) => [a, Buffer.from(k).toString('hex')]))
+};
+
+const mintUrl = (name) => `https://${name}.mint.example`;
+
+const recipient = '02' + crypto.randomBytes(32).toString('hex');
+const refundKey = (() => {
+  const priv = crypto.randomBytes(32).toString('hex');
+  return { priv, pub: Buffer.from(secp256k1.getPublicKey(Buffer.from(priv, 'hex'), true)).toString('hex') };
+})();
+
+function proof(amount) {
+  return { id: keyset.id, amount, secret: crypto.randomBytes(32).toString('hex'), C: keyset.keys[1] };
+}
+
+function sign(blindedMessages) {
+  return blindedMessages.map(({ amount, B_ }) => ({
+    id: keyset.id,
+    amount,
+    C_: createBlindSignature(pointFromHex(B_), mintKeys.privKeys[amount], amount, keyset.id).C_.toHex(true)
+  }));
+}
+
+/**
+ * A wallet whose mint reports what the test sets
+ *
+ * @param {object} [mint]
+ * @param {object} [mint.states] - Proof state by secret (default UNSPENT)
+ * @param {object} [mint.quotes] - Melt quote by id
+ * @param {object[]} [mint.signed] - Blinded messages the mint has signed, for restore
+ * @param {number} [mint.fee=0] - Fee of a swap
+ * @param {boolean} [mint.swapFails] - Swaps fail, leaving the inputs unspent
+ * @param {boolean} [mint.offline] - Every request fails
+ * @param {Array} [mint.signers] - Receives the key each swap was signed with
+ */
+function standIn(mint = {}) {
+  const reach = () => {
+    if (mint.offline) throw new Error('fetch failed');
+  };
+  return {
+    getKeyset: () => keyset,
+    async checkProofsStates(proofs) {
+      reach();
+      return proofs.map(p => ({ state: (mint.states || {})[p.secret] || CheckStateEnum.UNSPENT }));
+    },
+    async checkMeltQuoteBolt11(id) {
+      reach();
+      return mint.quotes[id];
+    },
+    async prepareSwapToReceive(token) {
+      reach();
+      return { keepOutputs: OutputData.createRandomData(token.proofs.reduce((sum, p) => sum + p.amount, 0) - (mint.fee || 0), keyset) };
+    },
+    async completeSwap(preview, privkey) {
+      reach();
+      if (mint.swapFails) throw new Error('Swap failed');
+      (mint.signers || []).push(privkey);
+      const signatures = sign(preview.keepOutputs.map(o => o.blindedMessage));
+      return { keep: preview.keepOutputs.map((o, i) => o.toProof(signatures[i], keyset)) };
+    },
+    mint: {
+      async restore({ outputs }) {
+        reach();
+        const known = outputs.filter(o => (mint.signed || []).some(s => s.B_ === o.B_));
+        return { outputs: known, signatures: sign(known) };
+      }
+    }
+  };
+}
+
+// Proof locked to the recipient, refundable to us after locktime
+function lockedProof(amount, locktime) {
+  const secret = JSON.stringify(['P2PK', {
+    nonce: crypto.randomBytes(16).toString('hex'),
+    data: recipient,
+    tags: [['locktime', String(locktime)], ['refund', refundKey.pub]]
+  }]);
+  return { ...proof(amount), secret };
+}
+
+function fund(mint, amounts) {
+  const proofs = amounts.map(proof);
+  store.addProofsForMint(mint, proofs);
+  return proofs;
+}
+
+function meltRecord(mint, inputs, { blanks = [], paymentAmount, type = 'melt' }) {
+  const quote = crypto.randomBytes(8).toString('hex');
+  store.saveQuote({ id: quote, kind: 'melt', mint, state: MeltQuoteState.PENDING });
+  return store.reservePending(mint, inputs, {
+    type,
+    state: 'pending-melt',
+    quote,
+    paymentAmount,
+    outputs: pending.serializeOutputs(blanks)
+  });
+}
+
+describe('pending', () => {
+  after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+  
+  it('moves reserved proofs out of the balance until released or finalised', () => {
+    const mint = mintUrl('reserve');
+    const [a, b, c] = fund(mint, [8, 4, 2]);
+    
+    const record = store.reservePending(mint, [a, b], { type: 'send' });
+    assert.equal(record.state, 'reserved');
+    assert.equal(record.amount, 12);
+    assert.equal(store.getBalanceForMint(mint), 2);
+    assert.equal(store.getPendingBalance(mint), 12);
+    assert.throws(() => store.reservePending(mint, [b, c]), /no longer available/);
+    assert.equal(store.getBalanceForMint(mint), 2);
+    
+    store.releasePending(record.id);
+    assert.equal(store.getBalanceForMint(mint), 14);
+    assert.equal(store.getPendingById(record.id), null);
+    
+    const spent = store.reservePending(mint, [a, c], { type: 'send' });
+    const change = [proof(1)];
+    store.updatePending(spent.id, { state: 'pending-send', proofs: [a] }, change);
+    assert.equal(store.getPendingById(spent.id).amount, 8);
+    assert.equal(store.getBalanceForMint(mint), 5);
+    
+    store.finalizePending(spent.id);
+    assert.equal(store.getBalanceForMint(mint), 5);
+    assert.equal(store.getPending({ mint }).length, 0);
+    assert.throws(() => store.updatePending(spent.id, {}), /Unknown pending record/);
+  });
+  
+  it('settles a paid melt with the change signed on its blanks', async () => {
+    const mint = mintUrl('paid');
+    const blanks = OutputData.createRandomData(4, keyset);
+    const record = meltRecord(mint, fund(mint, [8, 8]), { blanks, paymentAmount: 10 });
+    const wallet = standIn({
+      quotes: {
+        [record.quote]: {
+          state: MeltQuoteState.PAID,
+          payment_preimage: 'ab'.repeat(32),
+          change: sign(blanks.map(o => o.blindedMessage))
+        }
+      }
+    });
+    
+    const result = await pending.resolveMelt(wallet, record);
+    assert.equal(result.action, 'finalised');
+    assert.equal(result.amount, 12);
+    assert.equal(result.fee, 2);
+    assert.equal(result.preimage, 'ab'.repeat(32));
+    assert.equal(store.getBalanceForMint(mint), 4);
+    assert.deepEqual(store.getProofsForMint(mint).map(p => p.secret), blanks.map(o => Buffer.from(o.secret).toString()));
+    assert.equal(store.getQuote(record.quote).state, MeltQuoteState.PAID);
+    
+    const [tx] = store.getHistory({ mint });
+    assert.equal(tx.type, 'melt');
+    assert.equal(tx.amount, 10);
+    assert.equal(tx.fee, 2);
+    
+    const again = await pending.resolveMelt(wallet, record);
+    assert.equal(again.detail, 'already settled');
+    assert.equal(store.getHistory({ mint }).length, 1);
+  });
+  
+  it('restores the change of a paid melt whose quote doesn\'t carry it', async () => {
+    const mint = mintUrl('restore');
+    const blanks = OutputData.createRandomData(6, keyset);
+    const record = meltRecord(mint, fund(mint, [16]), { blanks, paymentAmount: 9, type: 'transfer' });
+    const wallet = standIn({
+      quotes: { [record.quote]: { state: MeltQuoteState.PAID } },
+      signed: blanks.map(o => o.blindedMessage)
+    });
+    
+    const result = await pending.resolveMelt(wallet, record);
+    assert.equal(result.action, 'finalised');
+    assert.equal(result.fee, 1);
+    assert.equal(store.getBalanceForMint(mint), 6);
+    assert.equal(store.getHistory({ mint })[0].type, 'transfer');
+  });
+  
+  it('returns the inputs of an unpaid melt once the mint reports them unspent', async () => {
+    const mint = mintUrl('unpaid');
+    const inputs = fund(mint, [8]);
+    const record = meltRecord(mint, inputs, { paymentAmount: 7 });
+    const quotes = { [record.quote]: { state: MeltQuoteState.UNPAID } };
+    
+    const stuck = await pending.resolveMelt(standIn({ quotes, states: { [inputs[0].secret]: CheckStateEnum.PENDING } }), record);
+    assert.equal(stuck.action, 'unchanged');
+    assert.match(stuck.detail, /not released yet/);
+    assert.equal(store.getBalanceForMint(mint), 0);
+    
+    const result = await pending.resolveMelt(standIn({ quotes }), record);
+    assert.equal(result.action, 'returned');
+    assert.equal(result.amount, 8);
+    assert.equal(store.getBalanceForMint(mint), 8);
+    assert.equal(store.getQuote(record.quote).state, MeltQuoteState.UNPAID);
+    assert.deepEqual(store.getHistory({ mint }), []);
+  });
+  
+  it('leaves a melt in flight alone', async () => {
+    const mint = mintUrl('inflight');
+    const record = meltRecord(mint, fund(mint, [4]), { paymentAmount: 3 });
+    
+    const result = await pending.resolveMelt(standIn({ quotes: { [record.quote]: { state: MeltQuoteState.PENDING } } }), record);
+    assert.equal(result.action, 'unchanged');
+    assert.equal(result.detail, 'payment in flight');
+    assert.equal(store.getPendingById(record.id).state, 'pending-melt');
+    
+    await assert.rejects(pending.resolveMelt(standIn({ offline: true }), record), /fetch failed/);
+    assert.equal(store.getPendingBalance(mint), 4);
+  });
+  
+  it('settles outgoing tokens as the recipient claims them', async () => {
+    const mint = mintUrl('send');
+    const [a, b] = fund(mint, [4, 2]);
+    const record = store.reservePending(mint, [a, b], { type: 'send', state: 'pending-send' });
+    
+    const waiting = await pending.resolvePending(standIn(), record);
+    assert.equal(waiting.detail, 'not yet claimed by recipient');
+    
+    const partly = await pending.resolvePending(standIn({ states: { [a.secret]: CheckStateEnum.SPENT } }), record);
+    assert.equal(partly.action, 'unchanged');
+    assert.match(partly.detail, /partially claimed \(4 sats\)/);
+    assert.deepEqual(store.getPendingById(record.id).proofs, [b]);
+    
+    const claimed = await pending.resolvePending(standIn({ states: { [b.secret]: CheckStateEnum.SPENT } }), record);
+    assert.equal(claimed.action, 'finalised');
+    assert.equal(claimed.amount, 2);
+    assert.equal(store.getPendingById(record.id), null);
+    assert.equal(store.getBalanceForMint(mint), 0);
+  });
+  
+  it('recovers the outputs of a swap whose result was lost', async () => {
+    const mint = mintUrl('swap');
+    const inputs = fund(mint, [8]);
+    const outputs = OutputData.createRandomData(8, keyset);
+    
+    const unspent = store.reservePending(mint, inputs, { type: 'send', outputs: pending.serializeOutputs(outputs) });
+    assert.equal((await pending.resolvePending(standIn(), unspent)).action, 'returned');
+    assert.equal(store.getBalanceForMint(mint), 8);
+    
+    const record = store.reservePending(mint, inputs, { type: 'send', outputs: pending.serializeOutputs(outputs) });
+    await assert.rejects(pending.resolvePending(standIn({ offline: true }), record), /fetch failed/);
+    assert.equal(store.getPendingBalance(mint), 8);
+    
+    const wallet = standIn({ states: { [inputs[0].secret]: CheckStateEnum.SPENT }, signed: outputs.map(o => o.blindedMessage) });
+    const result = await pending.resolvePending(wallet, record);
+    assert.equal(result.action, 'recovered');
+    assert.equal(result.amount, 8);
+    assert.deepEqual(store.getProofsForMint(mint).map(p => p.secret), outputs.map(o => Buffer.from(o.secret).toString()));
+  });
+  
+  it('reclaims what the recipient left unclaimed', async () => {
+    const mint = mintUrl('reclaim');
+    const [a, b] = fund(mint, [8, 4]);
+    const record = store.reservePending(mint, [a, b], { type: 'send', state: 'pending-send', counterparty: 'did:cid:bob' });
+    
+    const result = await pending.reclaimPending(standIn({ states: { [b.secret]: CheckStateEnum.SPENT }, fee: 1 }), record);
+    assert.deepEqual(result, { action: 'reclaimed', amount: 7, detail: '4 sats already claimed by recipient' });
+    assert.equal(store.getPendingById(record.id), null);
+    assert.equal(store.getBalanceForMint(mint), 7);
+    
+    const [entry] = store.getHistory({ mint, type: 'reclaim' });
+    assert.equal(entry.amount, 7);
+    assert.equal(entry.fee, 1);
+    assert.equal(entry.counterparty, 'did:cid:bob');
+    
+    assert.deepEqual(await pending.reclaimPending(standIn(), record), { action: 'unchanged', amount: 0, detail: 'already settled' });
+  });
+  
+  it('leaves claimed, pending and unsent tokens to the others', async () => {
+    const mint = mintUrl('claimed');
+    const [a, b] = fund(mint, [2, 1]);
+    
+    const held = store.reservePending(mint, [a], { type: 'send', state: 'pending-send' });
+    const inFlight = await pending.reclaimPending(standIn({ states: { [a.secret]: CheckStateEnum.PENDING } }), held);
+    assert.deepEqual(inFlight, { action: 'unchanged', amount: 2, detail: 'mint reports proofs pending' });
+    
+    const claimed = await pending.reclaimPending(standIn({ states: { [a.secret]: CheckStateEnum.SPENT } }), held);
+    assert.deepEqual(claimed, { action: 'finalised', amount: 2, detail: 'claimed by recipient' });
+    
+    const reserved = store.reservePending(mint, [b], { type: 'send' });
+    await assert.rejects(pending.reclaimPending(standIn(), reserved), { message: `Record ${reserved.id} is reserved, not an outgoing token` });
+    assert.equal(store.getBalanceForMint(mint), 0);
+  });
+  
+  it('reclaims locked tokens only once their refund path is open to us', async () => {
+    const mint = mintUrl('refund');
+    const now = Math.floor(Date.now() / 1000);
+    const options = { privkey: refundKey.priv, pubkeys: [refundKey.pub] };
+    
+    const future = lockedProof(4, now + 3600);
+    store.addProofsForMint(mint, [future]);
+    const waiting = store.reservePending(mint, [future], { type: 'lock', state: 'pending-send' });
+    const unchanged = await pending.reclaimPending(standIn(), waiting, options);
+    assert.equal(unchanged.action, 'unchanged');
+    assert.equal(unchanged.refundableAt, now + 3600);
+    assert.equal((await pending.reclaimPending(standIn(), waiting)).refundableAt, null);
+    
+    const expired = lockedProof(4, now - 60);
+    store.addProofsForMint(mint, [expired]);
+    const record = store.reservePending(mint, [expired], { type: 'lock', state: 'pending-send' });
+    const signers = [];
+    assert.equal((await pending.reclaimPending(standIn({ signers }), record, options)).action, 'reclaimed');
+    assert.deepEqual(signers, [refundKey.priv]);
+    assert.equal(store.getBalanceForMint(mint), 4);
+  });
+  
+  it('keeps a token outstanding when its reclaim swap fails', async () => {
+    const mint = mintUrl('swapfail');
+    const record = store.reservePending(mint, fund(mint, [2]), { type: 'send', state: 'pending-send' });
+    
+    await assert.rejects(pending.reclaimPending(standIn({ swapFails: true }), record), /Swap failed/);
+    const left = store.getPendingById(record.id);
+    assert.equal(left.state, 'pending-send');
+    assert.equal(left.outputs, undefined);
+    assert.equal(store.getBalanceForMint(mint), 0);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Spending policy rules and budgets
+ *
+ * Budgets are checked against a real ledger and pending records, in a
+ * JSON wallet under a temporary HOME. Each budget test uses its own mint
+ * so the spends of one don't count in another.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-policy-'));
+process.env.HOME = HOME;
+process.env.HEXNUTS_STORAGE = 'json';
+delete process.env.HEXNUTS_WALLET;
+delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+delete process.env.ARCHON_PASSPHRASE;
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { bech32 } = require('@scure/base');
+const store = require('../scripts/wallet-store');
+const policy = require('../lib/policy');
+const { POLICY_FILE, ensureConfigDir } = require('../lib/paths');
+
+const MINT = 'https://mint.example';
+const HOUR = 60 * 60 * 1000;
+
+const mintUrl = (name) => `https://${name}.mint.example`;
+const pubkey = () => '02' + crypto.randomBytes(32).toString('hex');
+const npubOf = (key) => bech32.encode('npub', bech32.toWords(Buffer.from(key.slice(-64), 'hex')));
+
+const send = (amount, extra = {}) => ({ action: 'send', amount, mint: MINT, ...extra });
+const melt = (amount, feeReserve, extra = {}) => ({ action: 'melt', amount, feeReserve, mint: MINT, ...extra });
+const transfer = (amount, feeReserve, from = MINT) => ({
+  action: 'transfer',
+  amount,
+  feeReserve,
+  mint: from,
+  to: 'https://other.example',
+  transfers: [{ from, to: 'https://other.example', amount, feeReserve }]
+});
+
+// Ledger entry at a given age
+function spent(mint, type, amount, { fee = 0, agent, age = 0 } = {}) {
+  store.recordTransaction({ type, mint, amount, fee, agent, timestamp: new Date(Date.now() - age).toISOString() });
+}
+
+// Payment in flight: its inputs (or a transfer's fee reserve) reserved as pending-melt
+function inFlight(mint, type, amount, { feeReserve, agent } = {}) {
+  const proofs = [{ id: '00ad268c4d1f5826', amount, secret: crypto.randomBytes(16).toString('hex'), C: pubkey() }];
+  store.addProofsForMint(mint, proofs);
+  return store.reservePending(mint, proofs, { type, state: 'pending-melt', feeReserve, agent });
+}
+
+const refusal = (rule, message) => ({ code: 'POLICY_DENIED', rule, ...(message && { message }) });
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('policy', () => {
+  it('reads the policy file, and refuses every spend when it is invalid', () => {
+    assert.equal(policy.loadPolicy(), null);
+    assert.doesNotThrow(() => policy.checkSpend(send(1e9)));
+    
+    ensureConfigDir();
+    fs.writeFileSync(POLICY_FILE, JSON.stringify({ maxPerTransaction: 100 }));
+    assert.throws(() => policy.checkSpend(send(101)), refusal('maxPerTransaction'));
+    
+    for (const bad of ['{"daily": 1.5}', '{"dayly": 10}', '{"actions": ["steal"]}', '{"agents": {"a": {"approvers": []}}}', '{']) {
+      fs.writeFileSync(POLICY_FILE, bad);
+      assert.throws(() => policy.checkSpend(send(1)), refusal('invalid', /is invalid, refusing to spend/), bad);
+    }
+    fs.rmSync(POLICY_FILE);
+  });
+  
+  it('caps single spends, Lightning fee reserve included', () => {
+    const rules = { maxPerTransaction: 100, mints: { [MINT]: { maxPerTransaction: 50 } } };
+    assert.throws(() => policy.checkSpend(melt(40, 11), { policy: rules }), refusal('maxPerTransaction', /over the wallet at https:\/\/mint\.example limit of 50 sats/));
+    assert.doesNotThrow(() => policy.checkSpend(melt(40, 10), { policy: rules }));
+    assert.doesNotThrow(() => policy.checkSpend(send(80, { mint: 'https://other.example' }), { policy: rules }));
+    assert.throws(() => policy.checkSpend(send(101, { mint: 'https://other.example' }), { policy: rules }), refusal('maxPerTransaction'));
+    
+    // A transfer stays in the wallet: only its fees count
+    assert.doesNotThrow(() => policy.checkSpend(transfer(1000, 5), { policy: rules }));
+    assert.throws(() => policy.checkSpend(transfer(1000, 51), { policy: rules }), refusal('maxPerTransaction'));
+  });
+  
+  it('counts sends, melts with their fees and transfer fees against budgets', () => {
+    const mint = mintUrl('budget');
+    spent(mint, 'send', 10);
+    spent(mint, 'melt', 20, { fee: 2 });
+    spent(mint, 'transfer', 500, { fee: 3 });
+    spent(mint, 'receive', 1000);
+    spent(mint, 'send', 100, { age: 25 * HOUR });
+    spent(mint, 'send', 1000, { age: 8 * 24 * HOUR });
+    
+    const rules = { mints: { [mint]: { daily: 50, weekly: 150 } } };
+    const spend = (amount) => policy.checkSpend(send(amount, { mint }), { policy: rules });
+    assert.throws(() => spend(16), refusal('daily', /\(35 sats spent in the last 24 hours\)/));
+    assert.doesNotThrow(() => spend(15));
+    assert.deepEqual(policy.budgetUsage(rules).map(u => [u.period, u.spent]), [['daily', 35], ['weekly', 135]]);
+  });
+  
+  it('counts payments still in flight', () => {
+    const mint = mintUrl('inflight');
+    inFlight(mint, 'melt', 32);
+    inFlight(mint, 'transfer', 64, { feeReserve: 3 });
+    spent(mint, 'transfer', 100, { fee: 2 });
+    
+    const rules = { mints: { [mint]: { daily: 40 } } };
+    assert.throws(() => policy.checkSpend(send(4, { mint }), { policy: rules }), refusal('daily', /\(37 sats spent/));
+    assert.doesNotThrow(() => policy.checkSpend(send(3, { mint }), { policy: rules }));
+  });
+  
+  it('keeps agents to their own rules and budgets', () => {
+    const mint = mintUrl('agents');
+    spent(mint, 'send', 30, { agent: 'trader' });
+    spent(mint, 'send', 60, { agent: 'other' });
+    
+    const rules = {
+      mints: { [mint]: { daily: 110 } },
+      agents: {
+        trader: { mints: { [mint]: { daily: 40 } }, actions: ['send', 'melt'] },
+        '*': { maxPerTransaction: 5 }
+      }
+    };
+    const check = (spend, agent) => policy.checkSpend(spend, { policy: rules, agent });
+    assert.doesNotThrow(() => check(send(10, { mint }), 'trader'));
+    assert.throws(() => check(send(11, { mint }), 'trader'), refusal('daily', /agent trader at/));
+    assert.throws(() => check(send(21, { mint }), null), refusal('daily', /wallet at https:\/\/agents\.mint\.example daily budget/));
+    assert.throws(() => check(send(6, { mint }), 'newcomer'), refusal('maxPerTransaction', /agent newcomer/));
+    assert.throws(() => check({ action: 'lock', amount: 1, mint, counterparty: pubkey() }, 'trader'),
+      refusal('actions', 'Spending policy: agent trader may not lock (allowed: send, melt)'));
+  });
+  
+  it('matches recipients and payees in any of their forms', () => {
+    const friend = pubkey();
+    const stranger = pubkey();
+    const rules = {
+      recipients: { allow: [npubOf(friend), 'did:cid:friend'], deny: [stranger.slice(2)] },
+      payees: { allow: ['alice@example.com', friend] }
+    };
+    const lock = (counterparty, extra = {}) => ({ action: 'lock', amount: 5, mint: MINT, counterparty, ...extra });
+    const check = (spend) => policy.checkSpend(spend, { policy: rules });
+    
+    assert.doesNotThrow(() => check(lock(friend)));
+    assert.doesNotThrow(() => check(lock('DID:cid:friend')));
+    assert.throws(() => check(lock(stranger)), refusal('recipients', /is denied for wallet/));
+    assert.throws(() => check(lock(pubkey())), refusal('recipients', /is not an allowed recipient/));
+    assert.throws(() => check(lock(friend, { refundKeys: [stranger] })), refusal('recipients', /refund key .* is denied/));
+    assert.throws(() => check(lock(friend, { locktime: 1 })), refusal('recipients', /can be claimed by anyone/));
+    assert.throws(() => check(send(5)), refusal('recipients', /a plain token has no recipient/));
+    
+    assert.doesNotThrow(() => check(melt(5, 1, { payee: pubkey(), address: 'Alice@Example.com' })));
+    assert.doesNotThrow(() => check(melt(5, 1, { payee: friend })));
+    assert.throws(() => check(melt(5, 1, { payee: pubkey() })), refusal('payees', /is not allowed/));
+    assert.throws(() => check(melt(5, 1)), refusal('payees', /can't be read/));
+  });
+  
+  it('picks the lowest approval threshold a spend is over', () => {
+    const rules = { requireApprovalAbove: 100, agents: { bot: { requireApprovalAbove: 20 } } };
+    assert.equal(policy.approvalThreshold(send(100), { policy: rules }), null);
+    assert.equal(policy.approvalThreshold(melt(95, 6), { policy: rules }), 100);
+    assert.equal(policy.approvalThreshold(send(21), { policy: rules, agent: 'bot' }), 20);
+    assert.equal(policy.approvalThreshold(send(500), { policy: rules, agent: 'bot' }), 20);
+    assert.equal(policy.approvalThreshold(send(500), { policy: null }), null);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Named wallet profiles, under a temporary HOME
+ *
+ * The profile is picked when lib/profile.js loads, so selecting one is
+ * tested through the scripts, each run in its own process.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-profiles-'));
+process.env.HOME = HOME;
+process.env.HEXNUTS_STORAGE = 'json';
+delete process.env.HEXNUTS_WALLET;
+delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+delete process.env.ARCHON_PASSPHRASE;
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const profiles = require('../lib/profile');
+const { createStorage } = require('../lib/storage');
+
+const MINT = 'https://mint.example';
+
+const proof = (amount) => ({ id: '00ad268c4d1f5826', amount, secret: crypto.randomBytes(16).toString('hex'), C: '02' + '11'.repeat(32) });
+
+function run(script, args, env = {}) {
+  const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', script), ...args, '--json'], {
+    env: { ...process.env, ...env },
+    encoding: 'utf8',
+    timeout: 60000
+  });
+  return { status: result.status, output: JSON.parse(result.stdout) };
+}
+
+// Proofs put straight into a profile's wallet file
+function fund(name, amounts) {
+  const storage = createStorage('json', { file: profiles.profilePaths(name).walletFile });
+  storage.addProofs(MINT, amounts.map(proof));
+  storage.close();
+}
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('profiles', () => {
+  it('keeps the default profile in the base directory, named ones under wallets/', () => {
+    assert.equal(profiles.PROFILE, 'default');
+    assert.equal(profiles.profileDir('default'), path.join(HOME, '.config', 'hex'));
+    assert.equal(profiles.profilePaths('bot').walletFile, path.join(HOME, '.config', 'hex', 'wallets', 'bot', 'cashu-wallet.json'));
+    
+    for (const name of ['a', 'bot-1', 'x_y', 'a'.repeat(32)]) assert.equal(profiles.isValidName(name), true, name);
+    for (const name of ['', 'Bot', '-bot', 'a/b', '..', 'a'.repeat(33), null]) assert.equal(profiles.isValidName(name), false, String(name));
+  });
+  
+  it('creates a profile with its own settings and keys', () => {
+    const { status, output } = run('wallets.js', ['create', 'bot', '--mint', MINT]);
+    assert.equal(status, 0);
+    assert.equal(output.defaultMint, MINT);
+    assert.match(output.pubkey, /^02[0-9a-f]{64}$/);
+    
+    const files = profiles.profilePaths('bot');
+    assert.equal(output.dir, files.dir);
+    assert.equal(fs.statSync(files.nostrEnv).mode & 0o777, 0o600);
+    assert.match(fs.readFileSync(files.nostrEnv, 'utf8'), new RegExp(`NOSTR_PUBLIC_KEY_HEX="${output.pubkey.slice(2)}"`));
+    assert.deepEqual(profiles.listProfiles(), ['default', 'bot']);
+    
+    for (const name of ['bot', 'default', 'Bad Name']) {
+      assert.equal(run('wallets.js', ['create', name]).output.error.code, 'USAGE', name);
+    }
+  });
+  
+  it('keeps each profile\'s proofs apart', () => {
+    run('wallets.js', ['create', 'savings']);
+    fund('default', [1, 2]);
+    fund('savings', [8]);
+    
+    const { output } = run('wallets.js', ['list'], { HEXNUTS_WALLET: 'savings' });
+    assert.equal(output.selected, 'savings');
+    assert.deepEqual(output.wallets.map(w => [w.name, w.balance]), [['default', 3], ['bot', 0], ['savings', 8]]);
+    
+    assert.equal(run('balance.js', []).output.balance, 3);
+    assert.equal(run('balance.js', ['--wallet', 'savings']).output.balance, 8);
+    assert.equal(run('balance.js', ['--wallet=bot']).output.balance, 0);
+  });
+  
+  it('refuses unknown and invalid profile names instead of starting an empty wallet', () => {
+    const unknown = run('balance.js', ['--wallet', 'savngs']);
+    assert.equal(unknown.status, 1);
+    assert.equal(unknown.output.error.code, 'UNKNOWN_WALLET');
+    assert.match(unknown.output.error.message, /node wallets\.js create savngs/);
+    assert.equal(fs.existsSync(profiles.profileDir('savngs')), false);
+    
+    assert.equal(run('balance.js', [], { HEXNUTS_WALLET: '../default' }).output.error.code, 'USAGE');
+  });
+});
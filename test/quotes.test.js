@@ -0,0 +1,195 @@
+/**
+ * Mint quotes kept in the wallet and claimed once paid, against a
+ * stand-in mint
+ *
+ * The stand-in hands out quotes, reports the state each test sets and
+ * signs minted outputs with its own keys. The wallet is a JSON wallet
+ * under a temporary HOME.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-quotes-'));
+process.env.HOME = HOME;
+process.env.HEXNUTS_STORAGE = 'json';
+delete process.env.HEXNUTS_WALLET;
+delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+delete process.env.ARCHON_PASSPHRASE;
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { OutputData, MintQuoteState, createNewMintKeys, createBlindSignature, pointFromHex } = require('@cashu/cashu-ts');
+const store = require('../scripts/wallet-store');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+const mintKeys = createNewMintKeys(4, new Uint8Array(crypto.randomBytes(32)));
+const keyset = {
+  id: mintKeys.keysetId,
+  unit: 'sat',
+  keys: Object.fromEntries(Object.entries(mintKeys.pubKeys).map(([a, k]) => [a, Buffer.from(k).toString('hex')]))
+};
+
+function sign({ amount, B_ }) {
+  const C_ = createBlindSignature(pointFromHex(B_), mintKeys.privKeys[amount], amount, keyset.id).C_.toHex(true);
+  return { id: keyset.id, amount, C_ };
+}
+
+const mintUrl = (name) => `https://${name}.mint.example`;
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * A mint whose quotes are in the state the test sets
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.subscriptions] - Announce NUT-17 and notify on payment
+ */
+function standInMint({ subscriptions = false } = {}) {
+  const quotes = new Map();
+  const mint = {
+    quotes,
+    checks: 0,
+    disconnected: 0,
+    pay(id) {
+      quotes.get(id).state = MintQuoteState.PAID;
+      (quotes.get(id).paid || (() => {}))();
+    },
+    getMintInfo() {
+      if (!subscriptions) throw new Error('no mint info');
+      return {
+        isSupported: () => ({ supported: true, params: [{ method: 'bolt11', unit: 'sat', commands: ['bolt11_mint_quote'] }] })
+      };
+    },
+    on: {
+      onceMintPaid: (id) => new Promise(resolve => {
+        quotes.get(id).paid = resolve;
+      })
+    },
+    mint: {
+      disconnectWebSocket: () => mint.disconnected++
+    },
+    async createMintQuote(amount) {
+      const quote = {
+        quote: crypto.randomBytes(8).toString('hex'),
+        request: `lnbc${amount}n1stand-in`,
+        amount,
+        expiry: now() + 600,
+        state: MintQuoteState.UNPAID
+      };
+      quotes.set(quote.quote, quote);
+      return { ...quote };
+    },
+    async checkMintQuote(id) {
+      mint.checks++;
+      const { paid, ...quote } = quotes.get(id);
+      return quote;
+    },
+    async mintProofs(amount, id) {
+      const quote = quotes.get(id);
+      if (quote.state !== MintQuoteState.PAID) throw new Error('Quote not paid');
+      quote.state = MintQuoteState.ISSUED;
+      return OutputData.createRandomData(amount, keyset).map(o => o.toProof(sign(o.blindedMessage), keyset));
+    }
+  };
+  return mint;
+}
+
+function walletFor(mint, url) {
+  const wallet = new HexNutsWallet({ mint: url });
+  wallet.wallet = async () => mint;
+  return wallet;
+}
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('quotes', () => {
+  it('keeps a quote until it is claimed, once', async () => {
+    const url = mintUrl('claim');
+    const mint = standInMint();
+    const wallet = walletFor(mint, url);
+    
+    const { quote, request, state } = await wallet.mint(5);
+    assert.equal(state, MintQuoteState.UNPAID);
+    assert.deepEqual(wallet.quotes({ mint: url }).quotes.map(q => [q.quote, q.amount, q.request]), [[quote, 5, request]]);
+    
+    await assert.rejects(wallet.claimQuote(quote), { code: 'QUOTE_NOT_PAID', quote, state: MintQuoteState.UNPAID });
+    
+    mint.pay(quote);
+    const claimed = await wallet.claimQuote(quote);
+    assert.deepEqual(claimed, { mint: url, quote, amount: 5, proofs: 2, balance: 5 });
+    assert.equal(store.getBalanceForMint(url), 5);
+    assert.deepEqual(store.getHistory({ mint: url }).map(tx => [tx.type, tx.amount, tx.quote]), [['mint', 5, quote]]);
+    
+    assert.deepEqual(wallet.quotes({ mint: url }).quotes, []);
+    assert.equal(wallet.quotes({ mint: url, all: true }).quotes[0].state, MintQuoteState.ISSUED);
+    await assert.rejects(wallet.claimQuote(quote), { code: 'QUOTE_NOT_PAID', state: MintQuoteState.ISSUED });
+    assert.equal(store.getBalanceForMint(url), 5);
+  });
+  
+  it('marks unpaid quotes past their expiry as expired', async () => {
+    const url = mintUrl('expiry');
+    const mint = standInMint();
+    const wallet = walletFor(mint, url);
+    const { quote } = await wallet.mint(3);
+    
+    mint.quotes.get(quote).expiry = now() - 1;
+    assert.equal((await wallet.checkQuote(quote)).state, 'EXPIRED');
+    assert.deepEqual(wallet.quotes({ mint: url }).quotes, []);
+    assert.deepEqual(wallet.quotes({ mint: url, state: 'EXPIRED' }).quotes.map(q => q.quote), [quote]);
+  });
+  
+  it('claims every paid quote and sorts out the rest', async () => {
+    const url = mintUrl('sweep');
+    const mint = standInMint();
+    const wallet = walletFor(mint, url);
+    const [paid, unpaid, expired, elsewhere] = await Promise.all([1, 2, 4, 8].map(amount => wallet.mint(amount)));
+    mint.pay(paid.quote);
+    mint.quotes.get(expired.quote).expiry = now() - 1;
+    mint.quotes.get(elsewhere.quote).state = MintQuoteState.ISSUED;
+    
+    const result = await wallet.claimPaidQuotes({ mint: url });
+    assert.deepEqual(result.claimed.map(c => c.quote), [paid.quote]);
+    assert.deepEqual(result.unpaid.map(q => q.quote), [unpaid.quote]);
+    assert.deepEqual(result.expired.map(q => q.quote), [expired.quote]);
+    assert.deepEqual(result.failed, [{
+      quote: elsewhere.quote,
+      mint: url,
+      error: 'Issued, but not into this wallet (restore.js may recover it)'
+    }]);
+    assert.equal(store.getBalanceForMint(url), 1);
+  });
+  
+  it('polls until the invoice is paid, or gives up', async () => {
+    const url = mintUrl('poll');
+    const mint = standInMint();
+    const wallet = walletFor(mint, url);
+    
+    const { quote } = await wallet.mint(2);
+    setTimeout(() => mint.pay(quote), 50);
+    const claimed = await wallet.watchQuote(quote, { interval: 10 });
+    assert.equal(claimed.amount, 2);
+    assert.ok(mint.checks > 1);
+    
+    const late = await wallet.mint(2);
+    await assert.rejects(wallet.waitForQuote(late.quote, { timeout: 30, interval: 10 }), { code: 'QUOTE_NOT_PAID', state: MintQuoteState.UNPAID });
+    
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 30);
+    await assert.rejects(wallet.waitForQuote(late.quote, { interval: 60000, signal: controller.signal }), { code: 'QUOTE_NOT_PAID' });
+  });
+  
+  it('wakes on the mint\'s payment notice, then closes the socket', { skip: typeof WebSocket === 'undefined' && 'no WebSocket in this Node' }, async () => {
+    const url = mintUrl('subscribed');
+    const mint = standInMint({ subscriptions: true });
+    const wallet = walletFor(mint, url);
+    
+    const { quote } = await wallet.mint(4);
+    setTimeout(() => mint.pay(quote), 50);
+    const paid = await wallet.waitForQuote(quote, { interval: 60000 });
+    assert.equal(paid.state, MintQuoteState.PAID);
+    assert.equal(mint.checks, 2);
+    assert.equal(mint.disconnected, 1);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Rebalancing settings and plans, and the wallet quoting the moves
+ * against stand-in mints
+ *
+ * The stand-ins quote transfers with a fee reserve of 2 sats and no input
+ * fees. The wallet is a JSON wallet under a temporary HOME, funded with
+ * made-up proofs; nothing is paid.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-rebalance-'));
+process.env.HOME = HOME;
+process.env.HEXNUTS_STORAGE = 'json';
+delete process.env.HEXNUTS_WALLET;
+delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+delete process.env.ARCHON_PASSPHRASE;
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const store = require('../scripts/wallet-store');
+const { rebalanceSettings, planMoves } = require('../lib/rebalance');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+const A = 'https://a.mint.example';
+const B = 'https://b.mint.example';
+const C = 'https://c.mint.example';
+
+const proof = (amount) => ({ id: '00ad268c4d1f5826', amount, secret: crypto.randomBytes(16).toString('hex'), C: '02' + '11'.repeat(32) });
+
+function standInMint(name) {
+  return {
+    getFeesForProofs: () => 0,
+    async createMintQuote(amount) {
+      return { quote: `${name}-mint`, request: `lnbc-${name}-${amount}` };
+    },
+    async createMeltQuote(request) {
+      return { quote: `${name}-melt`, amount: parseInt(request.split('-').pop()), fee_reserve: 2 };
+    }
+  };
+}
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('rebalance settings', () => {
+  it('fills in defaults and refuses invalid settings', () => {
+    assert.equal(rebalanceSettings({}), null);
+    assert.deepEqual(rebalanceSettings({ rebalance: { targets: { [A]: 60, [B]: 40 } } }), {
+      targets: { [A]: 60, [B]: 40 },
+      tolerance: 10,
+      minTransfer: 100
+    });
+    
+    const invalid = [
+      [{ targets: { [A]: 100 } }, /two or more mint URLs/],
+      [{ targets: [A, B] }, /two or more mint URLs/],
+      [{ targets: { [A]: 50, 'mint-b': 50 } }, /mint-b is not a mint URL/],
+      [{ targets: { [A]: 150, [B]: -50 } }, /must be a percentage/],
+      [{ targets: { [A]: 60, [B]: 30 } }, /add up to 90%, not 100%/],
+      [{ targets: { [A]: 50, [B]: 50 }, tolerance: 100 }, /tolerance/],
+      [{ targets: { [A]: 50, [B]: 50 }, minTransfer: 0.5 }, /minTransfer/]
+    ];
+    for (const [rebalance, message] of invalid) {
+      assert.throws(() => rebalanceSettings({ rebalance }), { code: 'USAGE', message });
+    }
+  });
+});
+
+describe('rebalance plans', () => {
+  const settings = { targets: { [A]: 50, [B]: 30, [C]: 20 }, tolerance: 10, minTransfer: 100 };
+  
+  it('leaves mints within the tolerance alone', () => {
+    const { total, mints, moves } = planMoves({ [A]: 550, [B]: 250, [C]: 200, 'https://other.example': 5000 }, settings);
+    assert.equal(total, 1000);
+    assert.deepEqual(mints.map(m => [m.mint, m.share, m.target]), [[A, 55, 50], [B, 25, 30], [C, 20, 20]]);
+    assert.deepEqual(moves, []);
+    assert.deepEqual(planMoves({}, settings).moves, []);
+  });
+  
+  it('moves from the mints furthest over to the ones furthest under', () => {
+    assert.deepEqual(planMoves({ [A]: 1000 }, settings).moves, [
+      { from: A, to: B, amount: 300 },
+      { from: A, to: C, amount: 200 }
+    ]);
+    assert.deepEqual(planMoves({ [A]: 100, [B]: 450, [C]: 450 }, settings).moves, [
+      { from: C, to: A, amount: 250 },
+      { from: B, to: A, amount: 150 }
+    ]);
+  });
+  
+  it('skips moves under minTransfer', () => {
+    const strict = { ...settings, tolerance: 5, minTransfer: 150 };
+    assert.deepEqual(planMoves({ [A]: 700, [B]: 100, [C]: 200 }, strict).moves, [{ from: A, to: B, amount: 200 }]);
+    assert.deepEqual(planMoves({ [A]: 600, [B]: 250, [C]: 150 }, strict).moves, []);
+  });
+});
+
+describe('rebalancing the wallet', () => {
+  const wallet = new HexNutsWallet();
+  wallet.wallet = async (mint) => standInMint(new URL(mint).hostname.split('.')[0]);
+  
+  it('needs targets', async () => {
+    await assert.rejects(wallet.planRebalance(), { code: 'USAGE', message: /No rebalance targets set/ });
+  });
+  
+  it('quotes each move with its fee reserve taken out of what the source can spare', async () => {
+    store.setConfig('rebalance', { targets: { [A]: 50, [B]: 50 }, minTransfer: 10 });
+    store.addProofsForMint(A, [proof(64), proof(32), proof(4)]);
+    
+    const plan = await wallet.planRebalance();
+    assert.equal(plan.total, 100);
+    assert.deepEqual(plan.transfers, [{ from: A, to: B, amount: 48, feeReserve: 2 }]);
+    assert.equal(plan.feeReserve, 2);
+  });
+  
+  it('asks about all the moves as one transfer', async () => {
+    const asked = [];
+    const confirm = async (spend) => {
+      asked.push(spend);
+      return false;
+    };
+    await assert.rejects(wallet.rebalance({ confirm }), { code: 'NOT_CONFIRMED' });
+    assert.deepEqual(asked, [{
+      action: 'transfer',
+      mint: A,
+      to: B,
+      amount: 48,
+      feeReserve: 2,
+      transfers: [{ from: A, to: B, amount: 48, feeReserve: 2 }]
+    }]);
+    assert.equal(store.getBalanceForMint(A), 100);
+    
+    store.setConfig('rebalance', { targets: { [A]: 95, [B]: 5 } });
+    assert.deepEqual(await wallet.rebalance({ confirm }), {
+      total: 100,
+      mints: [{ mint: A, balance: 100, share: 100, target: 95 }, { mint: B, balance: 0, share: 0, target: 5 }],
+      transfers: [],
+      fee: 0
+    });
+  });
+});
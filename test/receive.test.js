@@ -0,0 +1,184 @@
+/**
+ * Receiving P2PK-locked tokens through their main keys, their refund
+ * keys past the locktime (NUT-11 refund path) or no key at all, against a
+ * stand-in mint
+ *
+ * The stand-in is a cashu-ts Mint whose requests are answered here: it
+ * signs outputs with its own keys and checks the swap's witnesses with
+ * cashu-ts's NUT-11 verifier. The wallet is a JSON wallet under a
+ * temporary HOME; tokens come from the stand-in's own signatures.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-receive-'));
+process.env.HOME = HOME;
+process.env.HEXNUTS_STORAGE = 'json';
+delete process.env.HEXNUTS_WALLET;
+delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+delete process.env.ARCHON_PASSPHRASE;
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { secp256k1 } = require('@noble/curves/secp256k1.js');
+const {
+  Mint,
+  Wallet,
+  OutputData,
+  createNewMintKeys,
+  createBlindSignature,
+  pointFromHex,
+  hashToCurve,
+  getEncodedTokenV4,
+  verifyP2PKSpendingConditions
+} = require('@cashu/cashu-ts');
+const store = require('../scripts/wallet-store');
+const pending = require('../lib/pending');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+const MINT = 'https://refund.mint.example';
+const RECLAIM = path.join(__dirname, '..', 'scripts', 'reclaim.js');
+
+const mintKeys = createNewMintKeys(4, new Uint8Array(crypto.randomBytes(32)));
+const keyset = {
+  id: mintKeys.keysetId,
+  unit: 'sat',
+  keys: Object.fromEntries(Object.entries(mintKeys.pubKeys).map(([a, k]) => [a, Buffer.from(k).toString('hex')]))
+};
+
+function sign({ amount, B_ }) {
+  const C_ = createBlindSignature(pointFromHex(B_), mintKeys.privKeys[amount], amount, keyset.id).C_.toHex(true);
+  return { id: keyset.id, amount, C_ };
+}
+
+function keypair() {
+  const priv = crypto.randomBytes(32).toString('hex');
+  return { priv, pub: Buffer.from(secp256k1.getPublicKey(Buffer.from(priv, 'hex'), true)).toString('hex') };
+}
+
+const Y = (proof) => hashToCurve(new TextEncoder().encode(proof.secret)).toHex(true);
+const spent = new Set();
+
+const answers = {
+  '/v1/info': () => ({ name: 'stand-in', version: 'stand-in/0', nuts: {} }),
+  '/v1/keysets': () => ({ keysets: [{ id: keyset.id, unit: 'sat', active: true, input_fee_ppk: 0 }] }),
+  '/v1/keys': () => ({ keysets: [keyset] }),
+  '/v1/swap': ({ inputs, outputs }) => {
+    if (inputs.some(p => spent.has(Y(p)))) throw new Error('Token already spent');
+    if (!inputs.every(p => verifyP2PKSpendingConditions(p).success)) throw new Error('Witness is missing signatures');
+    inputs.forEach(p => spent.add(Y(p)));
+    return { signatures: outputs.map(sign) };
+  }
+};
+
+const mint = new Mint(MINT, {
+  customRequest: async ({ endpoint, requestBody }) => answers[new URL(endpoint).pathname](requestBody)
+});
+
+const [bob, carol, dave] = [keypair(), keypair(), keypair()];
+const now = () => Math.floor(Date.now() / 1000);
+
+// 8 sats locked to bob, and to whatever else the test asks
+function lockedProofs(p2pk = {}) {
+  return OutputData.createP2PKData({ pubkey: bob.pub, ...p2pk }, 8, keyset).map(o => o.toProof(sign(o.blindedMessage), keyset));
+}
+
+const lockedToken = (p2pk) => getEncodedTokenV4({ mint: MINT, unit: 'sat', proofs: lockedProofs(p2pk) });
+const iso = (time) => new Date(time * 1000).toISOString();
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('receive', () => {
+  const wallet = new HexNutsWallet({ mint: MINT });
+  wallet.wallet = async () => {
+    const standIn = new Wallet(mint, { unit: 'sat' });
+    await standIn.loadMint();
+    return standIn;
+  };
+  
+  it('tells which paths of a lock open when, and to whose keys', () => {
+    const locktime = now() + 3600;
+    const [proof] = lockedProofs({ locktime, refundKeys: [carol.pub, dave.pub], requiredRefundSignatures: 2 });
+    
+    const { paths } = pending.lockPaths(proof, [carol.pub]);
+    assert.deepEqual(paths.map(p => [p.path, p.required, p.held, p.opensAt, p.open, p.ours]), [
+      ['main', 1, 0, null, true, false],
+      ['refund', 2, 1, locktime, false, false]
+    ]);
+    assert.equal(pending.spendingPath(proof, [bob.pub]), 'main');
+    assert.equal(pending.spendingPath(proof, [carol.pub, dave.pub]), null);
+    assert.equal(pending.spendableAt([proof], [carol.pub, dave.pub]), locktime);
+    assert.equal(pending.spendableAt([proof], [carol.pub]), null);
+    assert.equal(pending.lockPaths(proof, [carol.pub, dave.pub], locktime).paths[1].ours, true);
+    
+    // x-only (Nostr) keys match their 02/03 forms
+    const [expired] = lockedProofs({ locktime: now() - 60, refundKeys: [carol.pub] });
+    assert.equal(pending.spendingPath(expired, [carol.pub.slice(2)]), 'refund');
+    assert.equal(pending.spendingPath(lockedProofs({ locktime: now() - 60 })[0]), 'unlocked');
+    assert.equal(pending.lockPaths({ ...proof, secret: crypto.randomBytes(32).toString('hex') }), null);
+  });
+  
+  it('receives through the refund path once the locktime has passed', async () => {
+    const locktime = now() + 3600;
+    await assert.rejects(wallet.receive(lockedToken({ locktime, refundKeys: [carol.pub] }), { privkey: carol.priv }), {
+      code: 'TOKEN_LOCKED',
+      message: `Token is locked to its recipients until ${iso(locktime)}, then refundable to your key`
+    });
+    
+    const refunded = await wallet.receive(lockedToken({ locktime: now() - 60, refundKeys: [carol.pub] }), { privkey: carol.priv });
+    assert.deepEqual([refunded.amount, refunded.p2pk, refunded.path, refunded.balance], [8, true, 'refund', 8]);
+    
+    // The main keys can still spend past the locktime
+    const main = await wallet.receive(lockedToken({ locktime: now() - 60, refundKeys: [carol.pub] }), { privkey: bob.priv });
+    assert.equal(main.path, 'main');
+    assert.equal(store.getBalanceForMint(MINT), 16);
+  });
+  
+  it('lets anyone receive past the locktime of a lock without refund keys', async () => {
+    const locktime = now() + 3600;
+    await assert.rejects(wallet.receive(lockedToken({ locktime }), { privkey: carol.priv }), {
+      code: 'TOKEN_LOCKED',
+      message: `Token is P2PK-locked until ${iso(locktime)}, then anyone can redeem it`
+    });
+    
+    const unlocked = await wallet.receive(lockedToken({ locktime: now() - 60 }));
+    assert.deepEqual([unlocked.p2pk, unlocked.path], [true, 'unlocked']);
+    assert.equal(store.getBalanceForMint(MINT), 24);
+  });
+  
+  it('says why a key can\'t receive a locked token', async () => {
+    const refusals = [
+      [lockedToken(), {}, 'Token is P2PK-locked: a private key is needed to receive it'],
+      [lockedToken(), { privkey: carol.priv }, 'Token is P2PK-locked to another key'],
+      [lockedToken({ pubkey: [bob.pub, carol.pub], requiredSignatures: 2 }), { privkey: bob.priv },
+        'Token needs 2 signatures: one key can\'t redeem it alone'],
+      [lockedToken({ locktime: now() - 60, refundKeys: [carol.pub, dave.pub], requiredRefundSignatures: 2 }), { privkey: dave.priv },
+        'Token needs 2 signatures (refund path): one key can\'t redeem it alone']
+    ];
+    for (const [token, options, message] of refusals) {
+      await assert.rejects(wallet.receive(token, options), { code: 'TOKEN_LOCKED', message });
+    }
+    assert.equal(store.getBalanceForMint(MINT), 24);
+  });
+  
+  it('lists when locked sends become refundable to our keys', () => {
+    const locktime = now() + 3600;
+    const records = [{ locktime, refundKeys: [carol.pub] }, { locktime: now() - 60, refundKeys: [carol.pub] }, {}].map(p2pk => {
+      const proofs = lockedProofs(p2pk);
+      store.addProofsForMint(MINT, proofs);
+      return store.reservePending(MINT, proofs, { type: 'lock', state: 'pending-send' });
+    });
+    const keyFile = path.join(HOME, 'refund.key');
+    fs.writeFileSync(keyFile, carol.priv);
+    
+    const result = spawnSync(process.execPath, [RECLAIM, '--list', '--privkey-file', keyFile, '--json'], { encoding: 'utf8', timeout: 60000 });
+    assert.equal(result.status, 0, result.stderr);
+    const { outstanding } = JSON.parse(result.stdout);
+    assert.deepEqual(records.map(r => outstanding.find(o => o.id === r.id).reclaimableAt), [locktime, 0, null]);
+    assert.ok(outstanding.every(o => o.locked));
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Redeeming a 2-of-3 token with a redemption file, against a stand-in
+ * mint
+ *
+ * The stand-in is a cashu-ts Mint whose requests are answered here: it
+ * signs outputs with its own keys, checks the swap's witnesses with
+ * cashu-ts's NUT-11 verifier, remembers what was spent and restores
+ * outputs it signed (NUT-09). The wallet is a JSON wallet under a
+ * temporary HOME; tokens come from the stand-in's own signatures.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-redeem-'));
+process.env.HOME = HOME;
+process.env.HEXNUTS_STORAGE = 'json';
+delete process.env.HEXNUTS_WALLET;
+delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+delete process.env.ARCHON_PASSPHRASE;
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { secp256k1 } = require('@noble/curves/secp256k1.js');
+const {
+  Mint,
+  Wallet,
+  OutputData,
+  CheckStateEnum,
+  createNewMintKeys,
+  createBlindSignature,
+  pointFromHex,
+  hashToCurve,
+  getEncodedTokenV4,
+  verifyP2PKSpendingConditions
+} = require('@cashu/cashu-ts');
+const store = require('../scripts/wallet-store');
+const redemption = require('../lib/redemption');
+const { HexNutsWallet } = require('../lib/hexnuts-wallet');
+
+const MINT = 'https://multisig.mint.example';
+
+const mintKeys = createNewMintKeys(6, new Uint8Array(crypto.randomBytes(32)));
+const keyset = {
+  id: mintKeys.keysetId,
+  unit: 'sat',
+  keys: Object.fromEntries(Object.entries(mintKeys.pubKeys).map(([a, k]) => [a, Buffer.from(k).toString('hex')]))
+};
+
+function sign({ amount, B_ }) {
+  const C_ = createBlindSignature(pointFromHex(B_), mintKeys.privKeys[amount], amount, keyset.id).C_.toHex(true);
+  return { id: keyset.id, amount, C_ };
+}
+
+function keypair() {
+  const priv = crypto.randomBytes(32).toString('hex');
+  return { priv, pub: Buffer.from(secp256k1.getPublicKey(Buffer.from(priv, 'hex'), true)).toString('hex') };
+}
+
+const Y = (proof) => hashToCurve(new TextEncoder().encode(proof.secret)).toHex(true);
+
+/**
+ * The mint's side: spent inputs by Y, signed outputs by B_
+ */
+const spent = new Set();
+const signed = new Map();
+
+const answers = {
+  '/v1/info': () => ({ name: 'stand-in', version: 'stand-in/0', nuts: {} }),
+  '/v1/keysets': () => ({ keysets: [{ id: keyset.id, unit: 'sat', active: true, input_fee_ppk: 0 }] }),
+  '/v1/keys': () => ({ keysets: [keyset] }),
+  '/v1/swap': ({ inputs, outputs }) => {
+    if (inputs.some(p => spent.has(Y(p)))) throw new Error('Token already spent');
+    if (!inputs.every(p => verifyP2PKSpendingConditions(p).success)) throw new Error('Witness is missing signatures');
+    const signatures = outputs.map(sign);
+    inputs.forEach(p => spent.add(Y(p)));
+    outputs.forEach((o, i) => signed.set(o.B_, signatures[i]));
+    return { signatures };
+  },
+  '/v1/checkstate': ({ Ys }) => ({
+    states: Ys.map(y => ({ Y: y, state: spent.has(y) ? CheckStateEnum.SPENT : CheckStateEnum.UNSPENT, witness: null }))
+  }),
+  '/v1/restore': ({ outputs }) => {
+    const known = outputs.filter(o => signed.has(o.B_));
+    return { outputs: known, signatures: known.map(o => signed.get(o.B_)) };
+  }
+};
+
+const mint = new Mint(MINT, {
+  customRequest: async ({ endpoint, requestBody }) => answers[new URL(endpoint).pathname](requestBody)
+});
+
+async function standInWallet() {
+  const wallet = new Wallet(mint, { unit: 'sat' });
+  await wallet.loadMint();
+  return wallet;
+}
+
+const [alice, bob, carol] = [keypair(), keypair(), keypair()];
+
+// 40 sats, 2 of alice, bob and carol's signatures to spend
+function lockedProofs() {
+  const p2pk = { pubkey: [alice.pub, bob.pub, carol.pub], requiredSignatures: 2 };
+  return OutputData.createP2PKData(p2pk, 40, keyset).map(o => o.toProof(sign(o.blindedMessage), keyset));
+}
+
+const lockedToken = (proofs = lockedProofs()) => getEncodedTokenV4({ mint: MINT, unit: 'sat', proofs });
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('redeem', () => {
+  const wallet = new HexNutsWallet({ mint: MINT });
+  wallet.wallet = standInWallet;
+  
+  it('collects signatures in turn, then redeems into the creator\'s wallet', async () => {
+    const { redemption: file, status } = await wallet.createRedemption(lockedToken(), { privkey: alice.priv });
+    assert.equal(file.amount, 40);
+    assert.deepEqual([status.complete, status.creator, status.sigAll], [false, true, false]);
+    assert.ok(status.inputs.every(i => i.required === 2 && i.signed.length === 1 && i.unsigned.length === 2));
+    await assert.rejects(wallet.finalizeRedemption(file), { code: 'TOKEN_LOCKED', message: /not fully signed yet/ });
+    await assert.rejects(mint.swap(redemption.swapRequest(file)), /missing signatures/);
+    
+    assert.throws(() => wallet.signRedemption(file), { code: 'USAGE', message: /A key to sign with is required/ });
+    for (const privkey of [alice.priv, keypair().priv]) {
+      assert.throws(() => wallet.signRedemption(file, { privkey }), { code: 'USAGE', message: /Nothing signed/ });
+    }
+    
+    // Bob signs on his own machine, from the JSON he was sent
+    const bobs = wallet.signRedemption(JSON.stringify(file), { privkey: bob.priv });
+    assert.ok(bobs.added > 0);
+    assert.equal(bobs.status.complete, true);
+    
+    const claim = await wallet.finalizeRedemption(bobs.redemption);
+    assert.deepEqual(claim, { id: file.id, mint: MINT, amount: 40, state: 'claimed', fee: 0, balance: 40 });
+    assert.deepEqual(store.getHistory({ mint: MINT }).map(tx => [tx.type, tx.amount]), [['receive', 40]]);
+    assert.equal(wallet.redemptionStatus(file).creator, false);
+    
+    await assert.rejects(wallet.finalizeRedemption(bobs.redemption), /already spent/);
+    assert.equal(store.getBalanceForMint(MINT), 40);
+  });
+  
+  it('combines copies signed in parallel', async () => {
+    const { redemption: file } = await wallet.createRedemption(lockedToken());
+    const copies = [bob, carol].map(k => wallet.signRedemption(file, { privkey: k.priv }).redemption);
+    assert.equal(wallet.redemptionStatus(copies[0]).complete, false);
+    
+    const { redemption: combined, status } = wallet.combineRedemptions(copies);
+    assert.equal(status.complete, true);
+    assert.ok(status.inputs.every(i => i.signed.length === 2));
+    assert.equal((await wallet.finalizeRedemption(combined)).state, 'claimed');
+    assert.equal(store.getBalanceForMint(MINT), 80);
+    
+    assert.throws(() => wallet.combineRedemptions([]), { code: 'USAGE' });
+  });
+  
+  it('claims what another keyholder finalised, once', async () => {
+    const signedBy = async (...keys) => (await wallet.createRedemption(lockedToken(), { privkey: keys.map(k => k.priv) })).redemption;
+    const [first, second] = [await signedBy(alice, carol), await signedBy(bob, carol)];
+    
+    // Carol finalises both from her own wallet: the same swap, outputs ours
+    for (const file of [first, second]) await mint.swap(redemption.swapRequest(file));
+    
+    assert.deepEqual((await wallet.claimRedemptions()).redemptions.map(c => [c.id, c.state, c.amount]), [
+      [first.id, 'claimed', 40],
+      [second.id, 'claimed', 40]
+    ]);
+    assert.equal(store.getBalanceForMint(MINT), 160);
+    assert.deepEqual((await wallet.claimRedemptions()).redemptions, []);
+  });
+  
+  it('recovers a finalised redemption whose response was lost', async () => {
+    const { redemption: file } = await wallet.createRedemption(lockedToken(), { privkey: [alice.priv, bob.priv] });
+    await mint.swap(redemption.swapRequest(file));
+    
+    assert.equal((await wallet.finalizeRedemption(file)).state, 'claimed');
+    assert.equal(store.getBalanceForMint(MINT), 200);
+  });
+  
+  it('waits for signatures, and drops redemptions whose token was spent some other way', async () => {
+    const proofs = lockedProofs();
+    const { redemption: file } = await wallet.createRedemption(lockedToken(proofs));
+    assert.deepEqual((await wallet.claimRedemptions()).redemptions.map(c => c.state), ['waiting']);
+    
+    // The keyholders sign a redemption of the same token elsewhere instead
+    const elsewhere = OutputData.createRandomData(40, keyset);
+    const other = redemption.signRedemption(
+      redemption.createRedemption({ mint: MINT, unit: 'sat', inputs: proofs, outputs: elsewhere.map(o => o.blindedMessage), fee: 0 }),
+      [bob.priv, carol.priv]
+    ).redemption;
+    await mint.swap(redemption.swapRequest(other));
+    
+    assert.deepEqual((await wallet.claimRedemptions()).redemptions, [{ id: file.id, mint: MINT, amount: 40, state: 'failed' }]);
+    assert.equal(wallet.redemptionStatus(file).creator, false);
+    assert.equal(store.getBalanceForMint(MINT), 200);
+  });
+});
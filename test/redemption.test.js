@@ -0,0 +1,136 @@
+/**
+ * Partially signed redemptions, without a mint
+ *
+ * The inputs are made-up proofs under a 2-of-3 lock: redemption files
+ * only read their secrets and C. What the signatures are worth is
+ * checked with cashu-ts's own NUT-11 verifier, over each SIG_ALL
+ * message format a mint may build.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { secp256k1 } = require('@noble/curves/secp256k1.js');
+const {
+  verifyP2PKSpendingConditions,
+  buildLegacyP2PKSigAllMessage,
+  buildInterimP2PKSigAllMessage,
+  buildP2PKSigAllMessage
+} = require('@cashu/cashu-ts');
+const redemption = require('../lib/redemption');
+
+const KEYSET = '00ad268c4d1f5826';
+const MINT = 'https://mint.example';
+
+function keypair() {
+  const priv = crypto.randomBytes(32);
+  return { priv: priv.toString('hex'), pub: Buffer.from(secp256k1.getPublicKey(priv, true)).toString('hex') };
+}
+
+const point = () => keypair().pub;
+
+const [alice, bob, carol] = [keypair(), keypair(), keypair()];
+
+function lockedProof(amount, sigflag) {
+  const secret = JSON.stringify(['P2PK', {
+    nonce: crypto.randomBytes(16).toString('hex'),
+    data: alice.pub,
+    tags: [['pubkeys', bob.pub, carol.pub], ['n_sigs', '2'], ['sigflag', sigflag]]
+  }]);
+  return { id: KEYSET, amount, secret, C: point() };
+}
+
+function newRedemption(sigflag) {
+  return redemption.createRedemption({
+    mint: MINT,
+    unit: 'sat',
+    inputs: [lockedProof(8, sigflag), lockedProof(2, sigflag)],
+    outputs: [{ amount: 8, id: KEYSET, B_: point() }, { amount: 1, id: KEYSET, B_: point() }],
+    fee: 1
+  });
+}
+
+// What a mint sees: the first input's witness, as the swap request sends it
+function mintCheck(file, message) {
+  const [first] = redemption.swapRequest(file).inputs;
+  return verifyP2PKSpendingConditions(first, undefined, message);
+}
+
+describe('redemption', () => {
+  it('signs SIG_ALL redemptions over every message format cashu-ts checks', () => {
+    let file = newRedemption('SIG_ALL');
+    const outputData = file.outputs.map(blindedMessage => ({ blindedMessage }));
+    const messages = [buildLegacyP2PKSigAllMessage, buildInterimP2PKSigAllMessage, buildP2PKSigAllMessage]
+      .map(build => build(file.inputs, outputData));
+    
+    ({ redemption: file } = redemption.signRedemption(file, [alice.priv]));
+    for (const message of messages) {
+      const check = mintCheck(file, message);
+      assert.equal(check.success, false);
+      assert.deepEqual(check.receivedSigners, [alice.pub]);
+    }
+    
+    const signed = redemption.signRedemption(file, [carol.priv]);
+    assert.equal(signed.added, 1);
+    for (const message of messages) {
+      assert.equal(mintCheck(signed.redemption, message).success, true);
+    }
+    assert.equal(redemption.redemptionStatus(signed.redemption).complete, true);
+  });
+  
+  it('builds the same messages a mint would', () => {
+    const file = newRedemption('SIG_ALL');
+    const outputData = file.outputs.map(blindedMessage => ({ blindedMessage }));
+    assert.equal(redemption.sigAllMessage(file.inputs, file.outputs), buildP2PKSigAllMessage(file.inputs, outputData));
+    assert.ok(redemption.sigAllMessages(file.inputs, file.outputs).includes(
+      [...file.inputs.flatMap(p => [p.secret, p.C]), ...file.outputs.flatMap(o => [String(o.amount), o.id, o.B_])].join('')
+    ));
+  });
+  
+  it('refuses SIG_ALL signatures over other outputs', () => {
+    const file = newRedemption('SIG_ALL');
+    const { redemption: signed } = redemption.signRedemption(file, [alice.priv, bob.priv]);
+    const other = { ...signed, outputs: [{ amount: 9, id: KEYSET, B_: point() }] };
+    for (const message of redemption.sigAllMessages(other.inputs, other.outputs)) {
+      assert.equal(mintCheck(other, message).success, false);
+    }
+    assert.throws(() => redemption.parseRedemption(JSON.stringify(other)), { code: 'USAGE', message: /was changed/ });
+  });
+  
+  it('combines copies signed in parallel', () => {
+    const file = newRedemption('SIG_ALL');
+    const copies = [bob, carol].map(k => redemption.parseRedemption(JSON.stringify(redemption.signRedemption(file, [k.priv]).redemption)));
+    const status = redemption.redemptionStatus(copies[0]);
+    assert.equal(status.sigAll, true);
+    assert.equal(status.complete, false);
+    assert.deepEqual(status.inputs[1].signed, [bob.pub]);
+    
+    const combined = redemption.combineRedemptions(copies);
+    const after = redemption.redemptionStatus(combined);
+    assert.equal(after.complete, true);
+    assert.deepEqual(after.inputs[0].signed.sort(), [bob.pub, carol.pub].sort());
+    assert.deepEqual(after.inputs[0].unsigned, [alice.pub]);
+  });
+  
+  it('signs each input separately without SIG_ALL', () => {
+    const file = newRedemption('SIG_INPUTS');
+    const { redemption: signed, added } = redemption.signRedemption(file, [alice.priv, bob.priv]);
+    assert.equal(added, 4);
+    for (const proof of redemption.swapRequest(signed).inputs) {
+      assert.equal(verifyP2PKSpendingConditions(proof).success, true);
+    }
+    const status = redemption.redemptionStatus(signed);
+    assert.equal(status.sigAll, false);
+    assert.equal(status.complete, true);
+  });
+  
+  it('refuses SIG_ALL inputs under different locks', () => {
+    assert.throws(() => redemption.createRedemption({
+      mint: MINT,
+      unit: 'sat',
+      inputs: [lockedProof(8, 'SIG_ALL'), lockedProof(2, 'SIG_INPUTS')],
+      outputs: [],
+      fee: 0
+    }), { code: 'USAGE', message: /mixes locks/ });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * HTTP API authentication and permissions, over a stand-in wallet
+ *
+ * API clients are real (api-clients.json under a temporary HOME); the
+ * wallet only records which method was called, for which agent, and
+ * answers what each test sets.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-server-'));
+process.env.HOME = HOME;
+delete process.env.HEXNUTS_WALLET;
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const clients = require('../lib/clients');
+const { createServer } = require('../lib/server');
+const { CLIENTS_FILE } = require('../lib/paths');
+const {
+  InsufficientBalanceError,
+  PolicyViolationError,
+  ApprovalRequiredError,
+  NotFoundError
+} = require('../lib/errors');
+
+/**
+ * A wallet whose methods record their calls and return answers[method](...args)
+ * (default: {})
+ */
+function standInWallet(calls, answers) {
+  const forAgent = (agent) => new Proxy({}, {
+    get: (target, method) => (...args) => {
+      calls.push({ agent, method, args });
+      return answers[method] ? answers[method](...args) : {};
+    }
+  });
+  return { forAgent };
+}
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('server', () => {
+  let server;
+  let base;
+  let viewer;
+  let spender;
+  const calls = [];
+  const answers = {};
+  const lines = [];
+  
+  const call = async (route, { token, body, raw } = {}) => {
+    const [method, pathname] = route.split(' ');
+    const res = await fetch(base + pathname, {
+      method,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: raw !== undefined ? raw : body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  
+  before(async () => {
+    viewer = clients.addClient('viewer').token;
+    spender = clients.addClient('spender', clients.parsePermissions('balance,send')).token;
+    server = createServer(standInWallet(calls, answers), { info: { version: 'test' }, log: (line) => lines.push(line) });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  
+  after(() => new Promise(resolve => server.close(resolve)));
+  
+  beforeEach(() => {
+    calls.length = 0;
+    for (const method of Object.keys(answers)) delete answers[method];
+  });
+  
+  it('answers /health without a token', async () => {
+    assert.deepEqual(await call('GET /health'), { status: 200, body: { ok: true, version: 'test' } });
+  });
+  
+  it('refuses requests without a known token', async () => {
+    for (const token of [undefined, 'hxn_' + '00'.repeat(32), 'not-a-token']) {
+      const { status, body } = await call('GET /balance', { token });
+      assert.equal(status, 401);
+      assert.equal(body.error.code, 'UNAUTHORIZED');
+    }
+    assert.deepEqual(calls, []);
+  });
+  
+  it('runs allowed routes as the client\'s agent', async () => {
+    answers.balance = () => ({ balance: 21 });
+    assert.deepEqual(await call('GET /balance?mint=https://mint.example', { token: viewer }), {
+      status: 200,
+      body: { ok: true, balance: 21 }
+    });
+    assert.deepEqual(calls, [{ agent: 'viewer', method: 'balance', args: [{ mint: 'https://mint.example' }] }]);
+    
+    await call('POST /send', { token: spender, body: { amount: 5 } });
+    assert.equal(calls[1].agent, 'spender');
+    assert.deepEqual(calls[1].args, [5, { mint: undefined, verify: false }]);
+    assert.match(lines.at(-1), /^\S+ spender POST \/send 200 \d+ms$/);
+  });
+  
+  it('refuses routes outside the client\'s permissions', async () => {
+    const { status, body } = await call('POST /send', { token: viewer, body: { amount: 5 } });
+    assert.equal(status, 403);
+    assert.deepEqual(body.error, { code: 'FORBIDDEN', message: 'Client viewer may not use POST /send (needs "send")' });
+    assert.equal((await call('POST /melt', { token: spender, body: { invoice: 'lnbc1' } })).status, 403);
+    assert.deepEqual(calls, []);
+  });
+  
+  it('lets any client follow and hand in approvals', async () => {
+    answers.approvals = () => [{ id: 'a1' }];
+    answers.approve = async (id) => ({ id, state: 'done' });
+    assert.deepEqual((await call('GET /approvals', { token: viewer })).body, { ok: true, requests: [{ id: 'a1' }] });
+    assert.deepEqual((await call('POST /approvals/approve', { token: viewer, body: { id: 'a1', pubkey: 'pk', sig: 'sig' } })).body, {
+      ok: true,
+      request: { id: 'a1', state: 'done' }
+    });
+    assert.deepEqual(calls[1].args, ['a1', { pubkey: 'pk', sig: 'sig' }]);
+  });
+  
+  it('maps wallet errors to statuses, with their details', async () => {
+    const refuse = (err) => () => {
+      throw err;
+    };
+    
+    answers.send = refuse(new InsufficientBalanceError('https://mint.example', 5, 2));
+    let res = await call('POST /send', { token: spender, body: { amount: 5 } });
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.error, {
+      code: 'INSUFFICIENT_BALANCE',
+      message: 'Insufficient balance at https://mint.example: have 2 sats, need 5 sats',
+      mint: 'https://mint.example',
+      needed: 5,
+      available: 2
+    });
+    
+    answers.send = refuse(new PolicyViolationError('Over the daily limit', { rule: 'daily' }));
+    res = await call('POST /send', { token: spender, body: { amount: 5 } });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error.rule, 'daily');
+    
+    answers.send = refuse(new ApprovalRequiredError({ id: 'a2', spend: { action: 'send', amount: 500 }, expiresAt: 'later' }, 100));
+    res = await call('POST /send', { token: spender, body: { amount: 500 } });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.error.request, 'a2');
+    
+    answers.balance = refuse(new NotFoundError('No such mint'));
+    assert.equal((await call('GET /balance', { token: viewer })).status, 404);
+    assert.equal((await call('GET /nowhere', { token: viewer })).body.error.message, 'No such endpoint: GET /nowhere');
+    
+    answers.send = refuse(new Error('boom'));
+    res = await call('POST /send', { token: spender, body: { amount: 5 } });
+    assert.deepEqual(res, { status: 500, body: { ok: false, error: { code: 'ERROR', message: 'boom' } } });
+  });
+  
+  it('refuses bodies that aren\'t a JSON object', async () => {
+    for (const raw of ['{"amount":', '[1]', '"text"']) {
+      const { status, body } = await call('POST /send', { token: spender, raw });
+      assert.equal(status, 400);
+      assert.equal(body.error.code, 'USAGE');
+    }
+    assert.deepEqual(calls, []);
+  });
+  
+  it('sees added and removed clients without a restart', async () => {
+    const { token } = clients.addClient('later', clients.parsePermissions('all'));
+    assert.equal((await call('POST /send', { token, body: { amount: 1 } })).status, 200);
+    clients.removeClient('later');
+    assert.equal((await call('POST /send', { token, body: { amount: 1 } })).status, 401);
+  });
+});
+
+describe('clients', () => {
+  it('stores only a hash of each token', () => {
+    const { token, client } = clients.addClient('hashed');
+    assert.match(token, /^hxn_[0-9a-f]{64}$/);
+    assert.deepEqual(client.permissions, clients.DEFAULT_PERMISSIONS);
+    assert.equal(fs.readFileSync(CLIENTS_FILE, 'utf8').includes(token), false);
+    assert.equal(clients.authenticate(token).name, 'hashed');
+    assert.equal(fs.statSync(CLIENTS_FILE).mode & 0o777, 0o600);
+  });
+  
+  it('checks names and permissions', () => {
+    assert.deepEqual(clients.parsePermissions('all'), clients.PERMISSIONS);
+    assert.deepEqual(clients.parsePermissions('send, send,balance'), ['send', 'balance']);
+    assert.throws(() => clients.parsePermissions('balance,spend'), { code: 'USAGE', message: /Unknown permission: spend/ });
+    assert.throws(() => clients.addClient('Bad Name'), { code: 'USAGE' });
+    assert.throws(() => clients.addClient('viewer'), { code: 'USAGE', message: /already exists/ });
+    assert.throws(() => clients.removeClient('nobody'), { code: 'NOT_FOUND' });
+  });
+});
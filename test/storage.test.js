@@ -0,0 +1,256 @@
+/**
+ * Wallet storage backends, on files under a temporary HOME
+ *
+ * Each test opens its own wallet file, so snapshots and recovery can be
+ * checked on exactly the writes the test made. Both backends go through
+ * the same interface checks; SQLite's are skipped where node:sqlite
+ * can't be loaded (before Node.js 22.5).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-storage-'));
+process.env.HOME = HOME;
+delete process.env.HEXNUTS_WALLET;
+delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+delete process.env.ARCHON_PASSPHRASE;
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const { STORAGE_TYPES, createStorage } = require('../lib/storage');
+const { createJsonStorage, SNAPSHOT_COUNT } = require('../lib/storage/json');
+const { writeFileAtomic } = require('../lib/atomic');
+
+const MINT = 'https://mint.example';
+
+let files = 0;
+const walletFile = (type = 'json') => path.join(HOME, `wallet-${++files}.${type === 'json' ? 'json' : 'db'}`);
+
+const proof = (amount) => ({ id: '00ad268c4d1f5826', amount, secret: `secret-${amount}-${files}`, C: '02' + '11'.repeat(32) });
+
+function available(type) {
+  try {
+    createStorage(type, { file: walletFile(type) }).close();
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+const SKIP = Object.fromEntries(STORAGE_TYPES.map(type => [type, !available(type) && `${type} storage can't be opened here`]));
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('json storage', () => {
+  it('writes a transaction once it returns and discards it if it throws', () => {
+    const storage = createJsonStorage({ file: walletFile() });
+    storage.transaction(() => {
+      storage.addProofs(MINT, [proof(1)]);
+      storage.transaction(() => storage.addProofs(MINT, [proof(2)]));
+      assert.equal(storage.exists(), false);
+    });
+    assert.equal(storage.getBalance(MINT), 3);
+    
+    assert.throws(() => storage.transaction(() => {
+      storage.addProofs(MINT, [proof(4)]);
+      throw new Error('midway');
+    }), /midway/);
+    assert.equal(storage.getBalance(MINT), 3);
+    assert.equal(fs.existsSync(storage.file + '.lock'), false);
+  });
+  
+  it('keeps the previous versions as snapshots', () => {
+    const storage = createJsonStorage({ file: walletFile() });
+    for (let i = 1; i <= SNAPSHOT_COUNT + 2; i++) {
+      storage.addProofs(MINT, [proof(i)]);
+    }
+    const snapshot = (n) => JSON.parse(fs.readFileSync(`${storage.file}.${n}`, 'utf8')).proofs[MINT].length;
+    assert.equal(snapshot(1), SNAPSHOT_COUNT + 1);
+    assert.equal(snapshot(SNAPSHOT_COUNT), 2);
+    assert.equal(fs.existsSync(`${storage.file}.${SNAPSHOT_COUNT + 1}`), false);
+    assert.deepEqual(fs.readdirSync(HOME).filter(f => f.includes('.tmp-')), []);
+    assert.equal(fs.statSync(storage.file).mode & 0o777, 0o600);
+  });
+  
+  it('recovers a corrupt or missing wallet file from the newest snapshot', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const storage = createJsonStorage({ file: walletFile() });
+    storage.addProofs(MINT, [proof(1)]);
+    storage.addProofs(MINT, [proof(2)]);
+    
+    fs.writeFileSync(storage.file, '{"proofs": {"https://mint.exa');
+    assert.equal(storage.getBalance(MINT), 1);
+    const corrupt = fs.readdirSync(HOME).filter(f => f.startsWith(`${path.basename(storage.file)}.corrupt-`));
+    assert.equal(corrupt.length, 1);
+    
+    storage.addProofs(MINT, [proof(4)]);
+    fs.rmSync(storage.file);
+    assert.equal(storage.getBalance(MINT), 1);
+  });
+  
+  it('refuses to start from an empty wallet when nothing can be recovered', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const storage = createJsonStorage({ file: walletFile() });
+    storage.addProofs(MINT, [proof(1)]);
+    storage.addProofs(MINT, [proof(2)]);
+    for (let n = 1; n <= SNAPSHOT_COUNT; n++) {
+      if (fs.existsSync(`${storage.file}.${n}`)) fs.writeFileSync(`${storage.file}.${n}`, '[]');
+    }
+    fs.writeFileSync(storage.file, 'not json');
+    
+    assert.throws(() => storage.getBalance(MINT), /no snapshot could be recovered/);
+    assert.throws(() => storage.addProofs(MINT, [proof(4)]), /Refusing to continue with an empty wallet/);
+    assert.equal(fs.readFileSync(storage.file, 'utf8'), 'not json');
+  });
+  
+  it('replaces files atomically', () => {
+    const file = path.join(HOME, 'atomic.txt');
+    writeFileAtomic(file, 'one');
+    writeFileAtomic(file, 'two', { snapshots: 2, mode: 0o640 });
+    assert.equal(fs.readFileSync(file, 'utf8'), 'two');
+    assert.equal(fs.readFileSync(`${file}.1`, 'utf8'), 'one');
+    assert.equal(fs.statSync(file).mode & 0o777, 0o640);
+  });
+});
+
+for (const type of STORAGE_TYPES) {
+  describe(`${type} storage interface`, { skip: SKIP[type] }, () => {
+    it('keeps proofs per mint, each secret once', () => {
+      const storage = createStorage(type, { file: walletFile(type) });
+      const other = 'https://other.example';
+      const [a, b, c] = [proof(1), proof(2), proof(4)];
+      storage.addProofs(MINT, [a, b]);
+      storage.addProofs(MINT, [b, c]);
+      storage.addProofs(other, [proof(8)]);
+      
+      assert.equal(storage.getBalance(MINT), 7);
+      assert.equal(storage.getBalance(), 15);
+      assert.deepEqual(storage.getProofMints().sort(), [MINT, other].sort());
+      assert.deepEqual(storage.getProofs(MINT).map(p => p.amount).sort(), [1, 2, 4]);
+      
+      assert.equal(storage.removeProofs(MINT, [a.secret, 'unknown']), 1);
+      assert.equal(storage.removeProofs(other, [b.secret]), 0);
+      storage.setProofs(other, [c]);
+      assert.deepEqual(storage.getProofs(other), [c]);
+      storage.close();
+    });
+    
+    it('keeps records by id', () => {
+      const storage = createStorage(type, { file: walletFile(type) });
+      const tables = [
+        ['getPending', 'listPending', 'putPending', 'deletePending'],
+        ['getQuote', 'listQuotes', 'putQuote', 'deleteQuote'],
+        ['getRedemption', 'listRedemptions', 'putRedemption', 'deleteRedemption'],
+        ['getApproval', 'listApprovals', 'putApproval', 'deleteApproval']
+      ];
+      for (const [get, list, put, remove] of tables) {
+        storage[put]({ id: 'one', state: 'a' });
+        storage[put]({ id: 'two', state: 'a' });
+        storage[put]({ id: 'one', state: 'b' });
+        assert.deepEqual(storage[get]('one'), { id: 'one', state: 'b' }, get);
+        assert.equal(storage[list]().length, 2, list);
+        storage[remove]('one');
+        assert.equal(storage[get]('one'), null, get);
+        assert.deepEqual(storage[list](), [{ id: 'two', state: 'a' }], list);
+      }
+      
+      storage.putMint(MINT, { info: { name: 'Mint' } });
+      assert.deepEqual(storage.listMints(), { [MINT]: { info: { name: 'Mint' } } });
+      
+      storage.setCounter('keyset', 10);
+      storage.setCounter('keyset', 4);
+      assert.deepEqual(storage.getCounters(), { keyset: 10 });
+      
+      storage.appendHistory({ id: 'tx1', amount: 1 });
+      storage.appendHistory({ id: 'tx2', amount: 2 });
+      assert.deepEqual(storage.listHistory().map(tx => tx.id), ['tx1', 'tx2']);
+      storage.close();
+    });
+    
+    it('rolls back a transaction that throws', () => {
+      const storage = createStorage(type, { file: walletFile(type) });
+      storage.addProofs(MINT, [proof(1)]);
+      assert.throws(() => storage.transaction(() => {
+        storage.addProofs(MINT, [proof(2)]);
+        storage.putPending({ id: 'p', proofs: [] });
+        storage.transaction(() => storage.removeProofs(MINT, [proof(1).secret]));
+        throw new Error('midway');
+      }), /midway/);
+      assert.equal(storage.getBalance(MINT), 1);
+      assert.equal(storage.getPending('p'), null);
+      storage.close();
+    });
+    
+    it('exports and imports the whole wallet', () => {
+      const source = createStorage(type, { file: walletFile(type) });
+      source.addProofs(MINT, [proof(1), proof(2)]);
+      source.putPending({ id: 'p', proofs: [proof(4)] });
+      source.putMint(MINT, { info: {} });
+      source.setCounter('keyset', 3);
+      source.putQuote({ id: 'q' });
+      source.putRedemption({ id: 'r' });
+      source.putApproval({ id: 'a' });
+      source.appendHistory({ id: 'tx' });
+      const data = source.exportData();
+      
+      for (const targetType of STORAGE_TYPES.filter(t => !SKIP[t])) {
+        const target = createStorage(targetType, { file: walletFile(targetType) });
+        target.addProofs('https://old.example', [proof(8)]);
+        target.importData(data);
+        assert.deepEqual(target.exportData(), data, `${type} -> ${targetType}`);
+        target.close();
+      }
+      source.close();
+    });
+  });
+}
+
+describe('migrate-storage', { skip: SKIP.sqlite }, () => {
+  const home = path.join(HOME, 'migrate');
+  const walletDir = path.join(home, '.config', 'hex');
+  
+  const migrate = (...args) => {
+    const env = { ...process.env, HOME: home };
+    delete env.HEXNUTS_STORAGE;
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'migrate-storage.js'), ...args, '--json'], {
+      env,
+      encoding: 'utf8',
+      timeout: 60000
+    });
+    return { status: result.status, output: JSON.parse(result.stdout) };
+  };
+  
+  it('copies the wallet to SQLite and switches the setting', () => {
+    fs.mkdirSync(walletDir, { recursive: true });
+    const source = createJsonStorage({ file: path.join(walletDir, 'cashu-wallet.json') });
+    source.addProofs(MINT, [proof(1), proof(4)]);
+    source.putPending({ id: 'p', proofs: [proof(2)] });
+    source.putRedemption({ id: 'r' });
+    source.appendHistory({ id: 'tx' });
+    
+    const { status, output } = migrate('--to', 'sqlite');
+    assert.equal(status, 0);
+    assert.equal(output.storage, 'sqlite');
+    assert.equal(output.balance, 5);
+    assert.deepEqual([output.pending, output.redemptions, output.history], [1, 1, 1]);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(walletDir, 'cashu-config.json'), 'utf8')).storage, 'sqlite');
+    
+    const target = createStorage('sqlite', { file: path.join(walletDir, 'cashu-wallet.db') });
+    assert.deepEqual(target.exportData(), source.exportData());
+    target.close();
+    assert.equal(migrate('--status').output.storage, 'sqlite');
+  });
+  
+  it('won\'t overwrite a wallet already at the target without --force', () => {
+    const { status, output } = migrate('--to', 'json');
+    assert.equal(status, 1);
+    assert.equal(output.error.code, 'USAGE');
+    assert.match(output.error.message, /already holds a wallet/);
+    
+    assert.equal(migrate('--to', 'json', '--force').status, 0);
+    assert.equal(migrate('--status').output.storage, 'json');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Wallet encryption at rest: envelopes, fields, and both backends
+ * sealed, rotated and opened again under a temporary HOME
+ *
+ * Every distinct passphrase costs a real scrypt derivation, so the tests
+ * stick to a handful of them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'hexnuts-crypto-'));
+process.env.HOME = HOME;
+delete process.env.HEXNUTS_WALLET;
+delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+delete process.env.ARCHON_PASSPHRASE;
+
+const { describe, it, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const walletCrypto = require('../lib/wallet-crypto');
+const { STORAGE_TYPES, createStorage } = require('../lib/storage');
+
+const MINT = 'https://mint.example';
+const SECRET = 'a-proof-secret-nobody-may-read';
+
+let files = 0;
+const walletFile = (type) => path.join(HOME, `wallet-${++files}.${type === 'json' ? 'json' : 'db'}`);
+
+function available(type) {
+  try {
+    createStorage(type, { file: walletFile(type) }).close();
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+const usePassphrase = (passphrase) => {
+  if (passphrase) process.env.HEXNUTS_WALLET_PASSPHRASE = passphrase;
+  else delete process.env.HEXNUTS_WALLET_PASSPHRASE;
+};
+
+// Everything written to the wallet's files, snapshots included
+const onDisk = (file) => fs.readdirSync(HOME)
+  .filter(f => f.startsWith(path.basename(file)))
+  .map(f => fs.readFileSync(path.join(HOME, f)).toString('latin1'))
+  .join('\n');
+
+after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+describe('wallet-crypto', () => {
+  afterEach(() => usePassphrase(null));
+  
+  it('seals wallet JSON so only the passphrase opens it', () => {
+    const envelope = walletCrypto.seal('{"proofs":{}}', 'correct horse');
+    assert.equal(walletCrypto.isSealed(envelope), true);
+    assert.equal(walletCrypto.open(envelope, 'correct horse'), '{"proofs":{}}');
+    
+    assert.throws(() => walletCrypto.open(envelope, 'wrong horse'), { code: 'BAD_PASSPHRASE' });
+    assert.throws(() => walletCrypto.open(envelope, null), { code: 'WALLET_LOCKED' });
+    
+    const tampered = { ...envelope, data: Buffer.from('{"proofs":{"x":1}}').toString('base64') };
+    assert.throws(() => walletCrypto.open(tampered, 'correct horse'), (e) => !walletCrypto.isLockedError(e) && /authentication/.test(e.message));
+  });
+  
+  it('keeps the key derivation while the passphrase stays the same', () => {
+    const first = walletCrypto.seal('one', 'correct horse');
+    const again = walletCrypto.seal('two', 'correct horse', first);
+    assert.deepEqual(again.kdf, first.kdf);
+    assert.notEqual(again.iv, first.iv);
+    
+    const rotated = walletCrypto.seal('two', 'battery staple', first);
+    assert.notEqual(rotated.kdf.salt, first.kdf.salt);
+    assert.throws(() => walletCrypto.open(rotated, 'correct horse'), { code: 'BAD_PASSPHRASE' });
+  });
+  
+  it('encrypts single fields under an unlocked key', () => {
+    const header = walletCrypto.createKeyHeader('correct horse');
+    const key = walletCrypto.unlockKey(header, 'correct horse');
+    const field = walletCrypto.encryptField(key, SECRET);
+    assert.notEqual(walletCrypto.encryptField(key, SECRET), field);
+    assert.equal(walletCrypto.decryptField(key, field), SECRET);
+    assert.throws(() => walletCrypto.unlockKey(header, 'wrong horse'), { code: 'BAD_PASSPHRASE' });
+  });
+});
+
+for (const type of STORAGE_TYPES) {
+  describe(`${type} wallet encryption`, { skip: !available(type) && `${type} storage can't be opened here` }, () => {
+    afterEach(() => usePassphrase(null));
+    
+    it('encrypts, rotates and decrypts the wallet', () => {
+      const file = walletFile(type);
+      let storage = createStorage(type, { file });
+      storage.addProofs(MINT, [{ id: '00ad268c4d1f5826', amount: 2, secret: SECRET, C: '02' + '11'.repeat(32) }]);
+      storage.putRedemption({ id: 'r', secret: SECRET });
+      storage.appendHistory({ id: 'tx', memo: SECRET });
+      assert.equal(storage.isEncrypted(), false);
+      
+      storage.reseal('correct horse');
+      storage.close();
+      assert.equal(onDisk(file).includes(SECRET), false);
+      
+      storage = createStorage(type, { file });
+      assert.equal(storage.isEncrypted(), true);
+      assert.throws(() => storage.exportData(), { code: 'WALLET_LOCKED' });
+      storage.close();
+      
+      usePassphrase('correct horse');
+      storage = createStorage(type, { file });
+      assert.equal(storage.getBalance(MINT), 2);
+      storage.addProofs(MINT, [{ id: '00ad268c4d1f5826', amount: 4, secret: `${SECRET}-2`, C: '02' + '11'.repeat(32) }]);
+      assert.equal(onDisk(file).includes(SECRET), false);
+      
+      storage.reseal('battery staple');
+      storage.close();
+      storage = createStorage(type, { file });
+      assert.throws(() => storage.exportData(), { code: 'BAD_PASSPHRASE' });
+      storage.close();
+      
+      usePassphrase('battery staple');
+      storage = createStorage(type, { file });
+      assert.equal(storage.getRedemption('r').secret, SECRET);
+      storage.reseal(null);
+      storage.close();
+      
+      usePassphrase(null);
+      storage = createStorage(type, { file });
+      assert.equal(storage.isEncrypted(), false);
+      assert.equal(storage.getBalance(MINT), 6);
+      assert.equal(storage.listHistory()[0].memo, SECRET);
+      storage.close();
+    });
+  });
+}
+
+describe('encrypted json snapshots', () => {
+  afterEach(() => usePassphrase(null));
+  
+  it('re-encrypts the snapshots and never mistakes a wrong passphrase for corruption', () => {
+    const file = walletFile('json');
+    const storage = createStorage('json', { file });
+    for (let i = 1; i <= 3; i++) {
+      storage.appendHistory({ id: `tx${i}`, memo: SECRET });
+    }
+    assert.equal(onDisk(file).includes(SECRET), true);
+    
+    const { snapshots } = storage.reseal('correct horse');
+    assert.equal(snapshots, 2);
+    assert.equal(onDisk(file).includes(SECRET), false);
+    
+    usePassphrase('wrong horse');
+    assert.throws(() => storage.listHistory(), { code: 'BAD_PASSPHRASE' });
+    assert.throws(() => storage.appendHistory({ id: 'tx4' }), { code: 'BAD_PASSPHRASE' });
+    assert.deepEqual(fs.readdirSync(HOME).filter(f => f.includes('.corrupt-')), []);
+    
+    usePassphrase('correct horse');
+    assert.equal(storage.listHistory().length, 3);
+  });
+});